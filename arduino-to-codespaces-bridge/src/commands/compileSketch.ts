@@ -1,15 +1,18 @@
 /**
  * Compile Sketch Command
  *
- * Compiles the currently active Arduino sketch using arduino-cli.
- * Shows progress and error output in the output channel.
+ * Compiles the currently active Arduino sketch using arduino-cli, for the
+ * board saved in its sketch.yaml or the default board from settings.
+ * Shows progress and error output in the output channel; errors and
+ * warnings also appear in the Problems panel (see services/compileDiagnostics).
  *
  * @module commands/compileSketch
  */
 
 import * as vscode from "vscode";
 import * as path from "path";
-import { BridgeServer } from "../server";
+import { BridgeServer, CompileResult } from "../server";
+import { readSketchFqbn } from "../services/sketchProject";
 
 /**
  * Compile the active sketch
@@ -54,9 +57,16 @@ export async function compileSketch(
   const sketchDir = path.dirname(filePath);
   const sketchName = path.basename(sketchDir);
 
-  // Get board FQBN from settings
+  // Get board FQBN from sketch.yaml, else from settings
   const config = vscode.workspace.getConfiguration("arduinoBridge");
-  const fqbn = config.get<string>("defaultBoard") || "arduino:avr:uno";
+  let sketchFqbn: string | undefined;
+  try {
+    sketchFqbn = readSketchFqbn(sketchDir);
+  } catch (error: any) {
+    vscode.window.showWarningMessage(`Ignoring sketch.yaml: ${error.message}`);
+  }
+  const fqbn =
+    sketchFqbn || config.get<string>("defaultBoard") || "arduino:avr:uno";
 
   // Show output channel
   outputChannel.show(true);
@@ -84,12 +94,7 @@ export async function compileSketch(
           body: JSON.stringify({ sketchPath: sketchDir, fqbn }),
         });
 
-        const result = (await response.json()) as {
-          success: boolean;
-          output?: string[];
-          hexPath?: string;
-          error?: string;
-        };
+        const result = (await response.json()) as CompileResult;
 
         progress.report({ increment: 100, message: "Done" });
 
@@ -102,6 +107,16 @@ export async function compileSketch(
 
         outputChannel.appendLine("");
 
+        const diagnostics = result.diagnostics || [];
+        const errors = diagnostics.filter((d) => d.severity === "error").length;
+        if (diagnostics.length > 0) {
+          outputChannel.appendLine(
+            `${errors} error(s), ${
+              diagnostics.length - errors
+            } warning(s) - see the Problems panel`
+          );
+        }
+
         if (result.success) {
           outputChannel.appendLine("✓ Compilation successful!");
           if (result.hexPath) {
@@ -127,11 +142,16 @@ export async function compileSketch(
           vscode.window
             .showErrorMessage(
               `Compilation failed. Check Output panel for details.`,
-              "Show Output"
+              "Show Output",
+              ...(errors > 0 ? ["Show Problems"] : [])
             )
             .then((selection) => {
               if (selection === "Show Output") {
                 outputChannel.show(true);
+              } else if (selection === "Show Problems") {
+                vscode.commands.executeCommand(
+                  "workbench.actions.view.problems"
+                );
               }
             });
         }
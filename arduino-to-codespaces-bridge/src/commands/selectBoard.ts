@@ -2,13 +2,20 @@
  * Select Board Command
  *
  * Shows a quick pick dialog for selecting the target Arduino board.
- * Fetches available boards from arduino-cli and saves selection to settings.
+ * Fetches available boards from arduino-cli and saves the selection to the
+ * active sketch's sketch.yaml, or to settings when no sketch is open.
  *
  * @module commands/selectBoard
  */
 
 import * as vscode from "vscode";
+import * as path from "path";
 import { BridgeServer } from "../server";
+import {
+  findSketchDir,
+  readSketchFqbn,
+  writeSketchFqbn,
+} from "../services/sketchProject";
 
 interface BoardQuickPickItem extends vscode.QuickPickItem {
   fqbn: string;
@@ -84,12 +91,29 @@ export async function selectBoard(server: BridgeServer): Promise<void> {
     return;
   }
 
+  // Boards are saved per sketch when an .ino file is open
+  const activeFile = vscode.window.activeTextEditor?.document.fileName;
+  const sketchDir =
+    activeFile && activeFile.endsWith(".ino")
+      ? findSketchDir(activeFile)
+      : undefined;
+
   // Get current board for pre-selection
   const config = vscode.workspace.getConfiguration("arduinoBridge");
-  const currentFqbn = config.get<string>("defaultBoard");
+  let currentFqbn = config.get<string>("defaultBoard");
+  if (sketchDir) {
+    try {
+      currentFqbn = readSketchFqbn(sketchDir) || currentFqbn;
+    } catch (error: any) {
+      vscode.window.showWarningMessage(
+        `Ignoring sketch.yaml: ${error.message}`
+      );
+    }
+  }
 
-  // Find current board in list
-  const currentBoard = boards.find((b) => b.fqbn === currentFqbn);
+  // Find current board in list (menu options do not matter)
+  const currentBase = currentFqbn?.split(":").slice(0, 3).join(":");
+  const currentBoard = boards.find((b) => b.fqbn === currentBase);
 
   // Show quick pick
   const selected = await vscode.window.showQuickPick(boards, {
@@ -100,7 +124,18 @@ export async function selectBoard(server: BridgeServer): Promise<void> {
     matchOnDetail: true,
   });
 
-  if (selected) {
+  if (selected && sketchDir) {
+    try {
+      writeSketchFqbn(sketchDir, selected.fqbn);
+      vscode.window.showInformationMessage(
+        `Board for ${path.basename(sketchDir)} set to: ${selected.label}`
+      );
+    } catch (error: any) {
+      vscode.window.showErrorMessage(
+        `Could not save board to sketch.yaml: ${error.message}`
+      );
+    }
+  } else if (selected) {
     // Save to workspace settings
     await config.update(
       "defaultBoard",
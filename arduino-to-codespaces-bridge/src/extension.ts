@@ -12,6 +12,7 @@
  * - **Tree Views**: Provides sidebar panels for Status, Boards, and Libraries
  * - **Command Palette**: Registers commands for compile, upload, board selection
  * - **Environment Sync**: Auto-syncs installed boards/libraries to config file
+ * - **Compile Diagnostics**: Shows compiler errors and warnings in the Problems panel
  * - **Clang Format**: Auto-configures code formatting for Arduino style
  *
  * Architecture:
@@ -31,10 +32,12 @@ import { BridgeServer } from "./server";
 import { StatusTreeProvider } from "./views/StatusTreeProvider";
 import { BoardsTreeProvider } from "./views/BoardsTreeProvider";
 import { LibrariesTreeProvider } from "./views/LibrariesTreeProvider";
+import { SketchesTreeProvider } from "./views/SketchesTreeProvider";
 import { openBridge } from "./commands/openBridge";
 import { selectBoard } from "./commands/selectBoard";
 import { compileSketch } from "./commands/compileSketch";
 import { EnvironmentSyncController } from "./services/environmentSync";
+import { registerCompileDiagnostics } from "./services/compileDiagnostics";
 
 // =============================================================================
 // Module State
@@ -55,6 +58,9 @@ let boardsProvider: BoardsTreeProvider;
 /** @type {LibrariesTreeProvider} */
 let librariesProvider: LibrariesTreeProvider;
 
+/** @type {SketchesTreeProvider} */
+let sketchesProvider: SketchesTreeProvider;
+
 /** @type {vscode.OutputChannel} */
 let outputChannel: vscode.OutputChannel;
 
@@ -80,6 +86,7 @@ export async function activate(
 
   // Initialize server
   server = new BridgeServer(context, outputChannel);
+  registerCompileDiagnostics(context, server);
 
   // Create status bar item
   const config = vscode.workspace.getConfiguration("arduinoBridge");
@@ -99,6 +106,13 @@ export async function activate(
   statusProvider = new StatusTreeProvider(server);
   boardsProvider = new BoardsTreeProvider(server);
   librariesProvider = new LibrariesTreeProvider(server);
+  sketchesProvider = new SketchesTreeProvider();
+
+  // Sketches created from the web client show up without waiting for the
+  // file watcher
+  context.subscriptions.push(
+    server.onDidCreateSketch(() => sketchesProvider.refresh())
+  );
 
   environmentSync = await EnvironmentSyncController.create(
     context,
@@ -119,6 +133,10 @@ export async function activate(
     vscode.window.registerTreeDataProvider(
       "arduinoBridge.libraries",
       librariesProvider
+    ),
+    vscode.window.registerTreeDataProvider(
+      "arduinoBridge.sketches",
+      sketchesProvider
     )
   );
 
@@ -159,6 +177,9 @@ export async function activate(
         await environmentSync.syncInstalledToConfig();
       }
     }),
+    vscode.commands.registerCommand("arduinoBridge.refreshSketches", () =>
+      sketchesProvider.refresh()
+    ),
     vscode.commands.registerCommand(
       "arduinoBridge.syncEnvironmentConfig",
       async () => {
@@ -0,0 +1,361 @@
+/**
+ * Compiler Diagnostics Parser
+ *
+ * Turns GCC/Clang output from arduino-cli into structured diagnostics, the
+ * same shape the web client's server returns:
+ * - file (relative to the sketch when inside it), line, column, severity
+ * - notes attached to the error or warning they belong to
+ * - the enclosing function and include chain
+ * - lines in the preprocessed .ino.cpp mapped back to the original .ino
+ * - linker errors (undefined reference, multiple definition)
+ *
+ * A port of web-client/src/server/diagnostics.js; web-client/tests/
+ * diagnostics.test.js runs both on the same compiler output, so change them
+ * together.
+ *
+ * @module server/diagnostics
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface DiagnosticLocation {
+  /** Relative to the sketch folder, absolute outside it, null for the linker */
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  inSketch: boolean;
+}
+
+export interface DiagnosticNote extends DiagnosticLocation {
+  message: string;
+  source: string | null;
+}
+
+export interface CompilerDiagnostic extends DiagnosticLocation {
+  severity: "error" | "warning";
+  message: string;
+  /** Enclosing scope, e.g. "In function 'void loop()'" */
+  context: string | null;
+  /** Offending source line as printed by the compiler */
+  source: string | null;
+  includedFrom: Array<{ file: string | null; line: number | null }>;
+  notes: DiagnosticNote[];
+}
+
+interface LineDirective {
+  /** Line of the directive itself in the .ino.cpp */
+  at: number;
+  line: number;
+  file: string;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** file:line:col: severity: message (column is missing for some tools) */
+const DIAGNOSTIC_PATTERN =
+  /^(.+?):(\d+)(?::(\d+))?:\s+(fatal error|error|warning|note):\s+(.*)$/;
+
+/** file: In function 'void loop()': */
+const CONTEXT_PATTERN = /^(.+?):\s+((?:In|At) [^:].*?):?$/;
+
+/** In file included from a.h:3, / from sketch.ino:1: */
+const INCLUDED_FROM_PATTERN =
+  /^\s*(?:In file included from|from)\s+(.+?):(\d+)(?::\d+)?[,:]$/;
+
+/** file:line: undefined reference to `foo()' or foo.o:(.text+0x8): ... */
+const LINKER_PATTERN =
+  /^(?:(.+?):(\d+)|.*\(\.[^)]*\)):\s+((?:undefined reference to|multiple definition of) .*)$/;
+
+/** collect2: error: ld returned 1 exit status */
+const TOOL_ERROR_PATTERN = /^([\w.+-]+):\s+(?:fatal error|error):\s+(.*)$/;
+
+/** Caret line under the source line: "   ^~~~" or "      |   ^~~~" */
+const CARET_PATTERN = /^[\s|~]*\^[\s~^]*$/;
+
+/** Line-number gutter GCC 9+ prints before source lines: "   12 | " */
+const GUTTER_PATTERN = /^\s*\d*\s\|\s?/;
+
+/** #line 12 "/path/to/Sketch.ino" in the preprocessed sketch */
+const LINE_DIRECTIVE_PATTERN = /^#line\s+(\d+)\s+"((?:[^"\\]|\\.)*)"/;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Source line as written in the file
+ */
+function stripSourcePrefix(text: string): string {
+  // Older GCC (e.g. avr-gcc 7) indents the line by one space instead
+  return GUTTER_PATTERN.test(text)
+    ? text.replace(GUTTER_PATTERN, "")
+    : text.replace(/^ /, "");
+}
+
+/**
+ * Read the #line directives of a preprocessed .ino.cpp file
+ */
+function readLineDirectives(cppPath: string): LineDirective[] {
+  let content: string;
+  try {
+    content = fs.readFileSync(cppPath, "utf8");
+  } catch {
+    return [];
+  }
+
+  const directives: LineDirective[] = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(LINE_DIRECTIVE_PATTERN);
+    if (match) {
+      directives.push({
+        at: index + 1,
+        line: parseInt(match[1], 10),
+        file: match[2].replace(/\\(.)/g, "$1"),
+      });
+    }
+  });
+  return directives;
+}
+
+/**
+ * Map locations in build-path copies back to the sketch folder
+ *
+ * arduino-cli compiles a copy of the sketch under <buildPath>/sketch, with
+ * all .ino files merged into <Sketch>.ino.cpp.
+ */
+class LocationMapper {
+  private readonly sketchPath: string;
+  private readonly buildSketchDir: string | null;
+  private readonly directives = new Map<string, LineDirective[]>();
+
+  constructor(sketchPath: string, buildPath?: string) {
+    this.sketchPath = path.resolve(sketchPath);
+    this.buildSketchDir = buildPath ? path.resolve(buildPath, "sketch") : null;
+  }
+
+  map(
+    file: string,
+    line: number | null
+  ): { file: string; line: number | null; inSketch: boolean } {
+    let absolute = path.resolve(this.sketchPath, file);
+
+    const fromBuild = this.buildSketchDir
+      ? path.relative(this.buildSketchDir, absolute)
+      : null;
+    if (
+      fromBuild &&
+      !fromBuild.startsWith("..") &&
+      !path.isAbsolute(fromBuild)
+    ) {
+      if (fromBuild.endsWith(".ino.cpp")) {
+        ({ file: absolute, line } = this.mapPreprocessed(
+          absolute,
+          fromBuild,
+          line
+        ));
+      } else {
+        absolute = path.join(this.sketchPath, fromBuild);
+      }
+    }
+
+    const relative = path.relative(this.sketchPath, absolute);
+    const inSketch = !relative.startsWith("..") && !path.isAbsolute(relative);
+    return {
+      file: inSketch ? relative.split(path.sep).join("/") : absolute,
+      line,
+      inSketch,
+    };
+  }
+
+  /**
+   * Follow #line directives from the merged .ino.cpp to the original .ino
+   */
+  private mapPreprocessed(
+    cppPath: string,
+    relativeCpp: string,
+    line: number | null
+  ): { file: string; line: number } {
+    if (!this.directives.has(cppPath)) {
+      this.directives.set(cppPath, readLineDirectives(cppPath));
+    }
+    const directives = this.directives.get(cppPath) || [];
+
+    const directive =
+      line === null
+        ? undefined
+        : directives.filter((entry) => entry.at < line).pop();
+    if (directive && line !== null) {
+      return {
+        file: path.resolve(this.sketchPath, directive.file),
+        line: directive.line + (line - directive.at - 1),
+      };
+    }
+
+    // Generated code before the first directive (e.g. #include <Arduino.h>)
+    return {
+      file: path.join(this.sketchPath, relativeCpp.replace(/\.cpp$/, "")),
+      line: 1,
+    };
+  }
+}
+
+// =============================================================================
+// Parser
+// =============================================================================
+
+/**
+ * Parse compiler output into diagnostics
+ * @param compileLog - arduino-cli compile output
+ * @param sketchPath - Absolute sketch folder
+ * @param buildPath - Build path used for the compile
+ * @returns Errors and warnings in output order
+ */
+export function parseCompilerDiagnostics(
+  compileLog: string,
+  sketchPath: string,
+  buildPath?: string
+): CompilerDiagnostic[] {
+  if (!compileLog) {
+    return [];
+  }
+
+  const lines = compileLog.split(/\r?\n/);
+  const mapper = new LocationMapper(sketchPath, buildPath);
+
+  const diagnostics: CompilerDiagnostic[] = [];
+  const seen = new Set<string>();
+  let current: CompilerDiagnostic | null = null;
+  let context: { file: string; text: string } | null = null;
+  let includedFrom: CompilerDiagnostic["includedFrom"] = [];
+
+  const locate = (
+    file: string,
+    line: number | null,
+    column: number | null
+  ): DiagnosticLocation => ({ ...mapper.map(file, line), column });
+
+  const noLocation: DiagnosticLocation = {
+    file: null,
+    line: null,
+    column: null,
+    inSketch: false,
+  };
+
+  const add = (diagnostic: CompilerDiagnostic): void => {
+    // Library detection runs the preprocessor first, repeating some errors
+    const key = [
+      diagnostic.file,
+      diagnostic.line,
+      diagnostic.column,
+      diagnostic.severity,
+      diagnostic.message,
+    ].join("|");
+    if (seen.has(key)) {
+      current = null;
+      return;
+    }
+    seen.add(key);
+    diagnostics.push(diagnostic);
+    current = diagnostic;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i];
+
+    const includeMatch = text.match(INCLUDED_FROM_PATTERN);
+    if (includeMatch) {
+      if (/^\s*In file/.test(text)) {
+        includedFrom = [];
+      }
+      const { file, line } = mapper.map(
+        includeMatch[1],
+        parseInt(includeMatch[2], 10)
+      );
+      includedFrom.push({ file, line });
+      continue;
+    }
+
+    const match = text.match(DIAGNOSTIC_PATTERN);
+    if (match) {
+      const [, file, line, column, severity, message] = match;
+      const location = locate(
+        file,
+        parseInt(line, 10),
+        column ? parseInt(column, 10) : null
+      );
+
+      // GCC prints the offending source line and a caret under it
+      const source =
+        i + 2 < lines.length && CARET_PATTERN.test(lines[i + 2])
+          ? stripSourcePrefix(lines[i + 1])
+          : null;
+      if (source !== null) {
+        i += 2;
+      }
+
+      if (severity === "note") {
+        (current as CompilerDiagnostic | null)?.notes.push({
+          ...location,
+          message,
+          source,
+        });
+        continue;
+      }
+
+      add({
+        ...location,
+        severity: severity === "warning" ? "warning" : "error",
+        message,
+        context: context && context.file === file ? context.text : null,
+        source,
+        includedFrom,
+        notes: [],
+      });
+      includedFrom = [];
+      continue;
+    }
+
+    const contextMatch = text.match(CONTEXT_PATTERN);
+    if (contextMatch) {
+      context = { file: contextMatch[1], text: contextMatch[2] };
+      continue;
+    }
+
+    const linkerMatch = text.match(LINKER_PATTERN);
+    if (linkerMatch) {
+      const [, file, line, message] = linkerMatch;
+      add({
+        ...(file ? locate(file, parseInt(line, 10), null) : noLocation),
+        severity: "error",
+        message,
+        context: null,
+        source: null,
+        includedFrom: [],
+        notes: [],
+      });
+      continue;
+    }
+
+    const toolMatch = text.match(TOOL_ERROR_PATTERN);
+    if (toolMatch) {
+      add({
+        ...noLocation,
+        severity: "error",
+        message: `${toolMatch[1]}: ${toolMatch[2]}`,
+        context: null,
+        source: null,
+        includedFrom: [],
+        notes: [],
+      });
+    }
+  }
+
+  return diagnostics;
+}
@@ -21,6 +21,8 @@
  * - GET  /api/version - Server version info
  * - GET  /api/boards - List available boards
  * - GET  /api/sketches - List sketches in workspace
+ * - GET  /api/sketches/templates - Built-in sketch templates
+ * - POST /api/sketches - Create a sketch from a template or library example
  * - POST /api/compile - Compile a sketch
  * - GET  /api/hex/:sketchName - Download compiled firmware
  * - GET  /api/cli/health - Check arduino-cli availability
@@ -32,24 +34,33 @@
  */
 
 import * as http from "http";
+import * as os from "os";
 import * as path from "path";
 import * as fs from "fs";
 import * as vscode from "vscode";
 import express, { Application, Request, Response, NextFunction } from "express";
 import { spawn, ChildProcess, exec } from "child_process";
 import { writeEnvironmentConfig } from "../config/environmentConfig";
+import { CompilerDiagnostic, parseCompilerDiagnostics } from "./diagnostics";
+import { writeSketchFqbn } from "../services/sketchProject";
+import {
+  createSketch,
+  listSketchTemplates,
+  SketchTemplateError,
+} from "../services/sketchTemplates";
 
 // =============================================================================
 // Types
 // =============================================================================
 
-interface CompileResult {
+export interface CompileResult {
   success: boolean;
   hexPath?: string;
   output?: string[];
   error?: string;
   fqbn?: string;
   sketchPath?: string;
+  diagnostics?: CompilerDiagnostic[];
 }
 
 interface BoardInfo {
@@ -126,6 +137,15 @@ export class BridgeServer {
   private lastCoreIndexUpdate?: number;
   private lastLibraryIndexUpdate?: number;
   private cachedBoardUrls: string[] = [];
+  private _onDidCompile = new vscode.EventEmitter<CompileResult>();
+
+  /** Fires after every compile through POST /api/compile */
+  readonly onDidCompile = this._onDidCompile.event;
+
+  private _onDidCreateSketch = new vscode.EventEmitter<string>();
+
+  /** Fires with the folder of each sketch created from the web client */
+  readonly onDidCreateSketch = this._onDidCreateSketch.event;
 
   /**
    * Create a new BridgeServer instance
@@ -515,6 +535,69 @@ export class BridgeServer {
       }
     });
 
+    // Sketch templates
+    this.app.get("/api/sketches/templates", (_req: Request, res: Response) => {
+      res.json({
+        success: true,
+        templates: listSketchTemplates(this.getTemplatesDir()).map(
+          ({ id, label, description }) => ({ id, label, description })
+        ),
+      });
+    });
+
+    // Create a sketch from a template or a library example
+    this.app.post("/api/sketches", async (req: Request, res: Response) => {
+      const { name, template, examplePath, fqbn } = req.body || {};
+      try {
+        const sketchDir = createSketch(
+          this.workspaceRoot,
+          this.getTemplatesDir(),
+          {
+            name: typeof name === "string" ? name.trim() : name,
+            template,
+            // Examples from the sketch dropdown keep their prefix
+            examplePath:
+              typeof examplePath === "string"
+                ? examplePath.replace(/^__EXAMPLE__:/, "")
+                : examplePath,
+            exampleRoots: examplePath ? await this.getExampleRoots() : [],
+            reservedNames: IGNORE_DIRS,
+          }
+        );
+        const sketchName = path.basename(sketchDir);
+        this.log(`Created sketch ${sketchName}`);
+
+        // The new sketch starts on the board that was selected
+        const warnings: string[] = [];
+        if (fqbn) {
+          try {
+            writeSketchFqbn(sketchDir, fqbn);
+          } catch (error: any) {
+            warnings.push(`Board not saved: ${error.message}`);
+          }
+        }
+
+        this._onDidCreateSketch.fire(sketchDir);
+        res.json({
+          success: true,
+          sketch: {
+            name: sketchName,
+            relativePath: path.relative(this.workspaceRoot, sketchDir),
+            mainFile: `${sketchName}.ino`,
+          },
+          warnings,
+        });
+      } catch (error: any) {
+        const status =
+          error instanceof SketchTemplateError
+            ? error.code === "SKETCH_EXISTS"
+              ? 409
+              : 400
+            : 500;
+        res.status(status).json({ success: false, error: error.message });
+      }
+    });
+
     // Compile endpoint
     this.app.post("/api/compile", async (req: Request, res: Response) => {
       try {
@@ -1429,15 +1512,22 @@ export class BridgeServer {
         timeoutMs: 300_000,
       });
 
+      const diagnostics = parseCompilerDiagnostics(
+        result.log || result.rawOutput || "",
+        fullSketchPath,
+        buildDir
+      );
+
       if (!result.success) {
         const message = this.parseCliError(result.error || result.log);
-        return {
+        return this.finishCompile({
           success: false,
           error: message,
           output: (result.log || result.rawOutput || message).split(/\r?\n/),
           fqbn: boardFqbn,
           sketchPath: fullSketchPath,
-        };
+          diagnostics,
+        });
       }
 
       // Find the output file
@@ -1450,25 +1540,35 @@ export class BridgeServer {
         ? binFile
         : null;
 
-      return {
+      return this.finishCompile({
         success: true,
         hexPath: outputFile || undefined,
         output: (result.rawOutput || result.log || "").split(/\r?\n/),
         fqbn: boardFqbn,
         sketchPath: fullSketchPath,
-      };
+        diagnostics,
+      });
     } catch (error: any) {
       const message = error?.message || String(error);
-      return {
+      return this.finishCompile({
         success: false,
         error: message,
         output: message.split(/\r?\n/),
         fqbn: boardFqbn,
         sketchPath: fullSketchPath,
-      };
+        diagnostics: [],
+      });
     }
   }
 
+  /**
+   * Notify onDidCompile listeners and pass the result through
+   */
+  private finishCompile(result: CompileResult): CompileResult {
+    this._onDidCompile.fire(result);
+    return result;
+  }
+
   // =========================================================================
   // Server Lifecycle
   // =========================================================================
@@ -1663,6 +1763,46 @@ export class BridgeServer {
     return this.port;
   }
 
+  /**
+   * Folder with the built-in sketch templates, shared with the web client
+   */
+  private getTemplatesDir(): string {
+    return path.join(
+      this.context.extensionPath,
+      "resources",
+      "sketch-templates"
+    );
+  }
+
+  /**
+   * Folders library and platform examples may be copied from: user and
+   * built-in libraries, and each installed platform's hardware folder
+   */
+  private async getExampleRoots(): Promise<string[]> {
+    const result = await this.runCliCommand(["config", "dump"], {
+      timeoutMs: 10_000,
+    });
+    // Newer arduino-cli versions nest the settings under "config"
+    const directories =
+      result.data?.config?.directories || result.data?.directories || {};
+    const data: string =
+      directories.data || path.join(os.homedir(), ".arduino15");
+    const user: string = directories.user || path.join(os.homedir(), "Arduino");
+
+    const packagesDir = path.join(data, "packages");
+    let vendors: string[] = [];
+    try {
+      vendors = fs.readdirSync(packagesDir);
+    } catch {
+      // No platforms installed
+    }
+    return [
+      path.join(user, "libraries"),
+      path.join(data, "libraries"),
+      ...vendors.map((vendor) => path.join(packagesDir, vendor, "hardware")),
+    ];
+  }
+
   /**
    * Get workspace root path
    */
@@ -0,0 +1,117 @@
+/**
+ * Compile Diagnostics Service
+ *
+ * Publishes compiler errors and warnings from the bridge server as VS Code
+ * diagnostics, so they show in the Problems panel and as squiggles in the
+ * editor. Covers compiles through the extension's own /api/compile, i.e.
+ * the Compile Sketch command; the web client compiles through the jobs API
+ * of its standalone server (web-client/server.js), which the extension does
+ * not run, so those compiles never reach this service.
+ *
+ * @module services/compileDiagnostics
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import { BridgeServer, CompileResult } from "../server";
+import { CompilerDiagnostic } from "../server/diagnostics";
+
+const DIAGNOSTIC_SOURCE = "arduino-cli";
+
+/**
+ * Create the diagnostic collection and keep it in sync with compiles
+ * @param context - Extension context, owns the collection and listener
+ * @param server - Bridge server whose compiles are reported
+ */
+export function registerCompileDiagnostics(
+  context: vscode.ExtensionContext,
+  server: BridgeServer
+): void {
+  const collection = vscode.languages.createDiagnosticCollection("arduino");
+
+  context.subscriptions.push(
+    collection,
+    server.onDidCompile((result) => publishDiagnostics(collection, result))
+  );
+}
+
+/**
+ * Replace the collection's contents with a compile's diagnostics
+ */
+function publishDiagnostics(
+  collection: vscode.DiagnosticCollection,
+  result: CompileResult
+): void {
+  // Only the latest compile is relevant, like the Arduino IDE
+  collection.clear();
+  if (!result.sketchPath || !result.diagnostics) {
+    return;
+  }
+
+  const byFile = new Map<string, vscode.Diagnostic[]>();
+  for (const diagnostic of result.diagnostics) {
+    // Linker errors without a location are left to the output channel
+    if (!diagnostic.file) {
+      continue;
+    }
+
+    const filePath = path.resolve(result.sketchPath, diagnostic.file);
+    const entries = byFile.get(filePath) || [];
+    entries.push(toVsCodeDiagnostic(diagnostic, result.sketchPath));
+    byFile.set(filePath, entries);
+  }
+
+  for (const [filePath, diagnostics] of byFile) {
+    collection.set(vscode.Uri.file(filePath), diagnostics);
+  }
+}
+
+/**
+ * Range starting at the reported column (whole line when unknown)
+ */
+function toRange(line: number | null, column: number | null): vscode.Range {
+  const lineIndex = Math.max((line || 1) - 1, 0);
+  if (!column) {
+    return new vscode.Range(lineIndex, 0, lineIndex, Number.MAX_SAFE_INTEGER);
+  }
+  // VS Code extends a zero-length range to the word under it
+  return new vscode.Range(lineIndex, column - 1, lineIndex, column - 1);
+}
+
+function toVsCodeDiagnostic(
+  diagnostic: CompilerDiagnostic,
+  sketchPath: string
+): vscode.Diagnostic {
+  const result = new vscode.Diagnostic(
+    toRange(diagnostic.line, diagnostic.column),
+    diagnostic.message,
+    diagnostic.severity === "warning"
+      ? vscode.DiagnosticSeverity.Warning
+      : vscode.DiagnosticSeverity.Error
+  );
+  result.source = DIAGNOSTIC_SOURCE;
+
+  const related = [
+    ...diagnostic.notes.map((note) => ({ ...note, prefix: "note: " })),
+    ...diagnostic.includedFrom.map((include) => ({
+      ...include,
+      column: null,
+      message: "included from here",
+      prefix: "",
+    })),
+  ].filter((entry) => entry.file);
+
+  if (related.length > 0) {
+    result.relatedInformation = related.map(
+      (entry) =>
+        new vscode.DiagnosticRelatedInformation(
+          new vscode.Location(
+            vscode.Uri.file(path.resolve(sketchPath, entry.file!)),
+            toRange(entry.line, entry.column)
+          ),
+          `${entry.prefix}${entry.message}`
+        )
+    );
+  }
+  return result;
+}
@@ -0,0 +1,105 @@
+/**
+ * Sketch Project Service
+ *
+ * Reads and writes the board of a sketch in its sketch.yaml (`default_fqbn`),
+ * the same file the web client uses for the board, menu options and serial
+ * settings. arduino-cli also picks up `default_fqbn` when no board is given.
+ *
+ * @module services/sketchProject
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as YAML from "yaml";
+
+/** File names arduino-cli accepts for the project file, preferred first */
+const PROJECT_FILES = ["sketch.yaml", "sketch.yml"];
+
+/**
+ * Project file of a sketch
+ * @param sketchDir - Absolute sketch folder
+ * @returns Existing sketch.yaml/sketch.yml, else where to create one
+ */
+export function getProjectFilePath(sketchDir: string): string {
+  const existing = PROJECT_FILES.map((name) => path.join(sketchDir, name)).find(
+    (filePath) => fs.existsSync(filePath)
+  );
+  return existing || path.join(sketchDir, PROJECT_FILES[0]);
+}
+
+/**
+ * Parse a project file, keeping comments and layout for rewriting
+ * @returns The document, undefined if the file does not exist
+ * @throws Error if the file is not a valid YAML mapping
+ */
+function loadDocument(filePath: string): YAML.Document | undefined {
+  if (!fs.existsSync(filePath)) {
+    return undefined;
+  }
+
+  const doc = YAML.parseDocument(fs.readFileSync(filePath, "utf8"));
+  if (doc.errors.length > 0) {
+    throw new Error(
+      `${path.basename(filePath)}: ${doc.errors[0].message.split("\n")[0]}`
+    );
+  }
+  if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+    throw new Error(`${path.basename(filePath)} must contain a mapping`);
+  }
+  return doc;
+}
+
+/**
+ * Board saved for a sketch
+ * @param sketchDir - Absolute sketch folder
+ * @returns FQBN including menu options, undefined if none is saved
+ * @throws Error if sketch.yaml cannot be parsed
+ */
+export function readSketchFqbn(sketchDir: string): string | undefined {
+  const fqbn = loadDocument(getProjectFilePath(sketchDir))?.get("default_fqbn");
+  return typeof fqbn === "string" && fqbn ? fqbn : undefined;
+}
+
+/**
+ * Save the board of a sketch, creating sketch.yaml if needed
+ *
+ * Menu options already saved for the same board are kept.
+ *
+ * @param sketchDir - Absolute sketch folder
+ * @param fqbn - Board FQBN
+ * @returns The FQBN now saved
+ * @throws Error if sketch.yaml cannot be parsed or written
+ */
+export function writeSketchFqbn(sketchDir: string, fqbn: string): string {
+  const filePath = getProjectFilePath(sketchDir);
+  const doc = loadDocument(filePath) || new YAML.Document({});
+
+  const current = doc.get("default_fqbn");
+  const sameBoard =
+    typeof current === "string" &&
+    current.split(":").slice(0, 3).join(":") ===
+      fqbn.split(":").slice(0, 3).join(":");
+  const saved = sameBoard && fqbn.split(":").length === 3 ? current : fqbn;
+
+  if (saved !== current) {
+    doc.set("default_fqbn", saved);
+    fs.writeFileSync(filePath, doc.toString());
+  }
+  return saved;
+}
+
+/**
+ * Sketch folder of a file, if it belongs to a sketch
+ * @param filePath - File open in the editor
+ * @returns Folder containing an .ino file, undefined otherwise
+ */
+export function findSketchDir(filePath: string): string | undefined {
+  const dir = path.dirname(filePath);
+  try {
+    return fs.readdirSync(dir).some((name) => name.endsWith(".ino"))
+      ? dir
+      : undefined;
+  } catch {
+    return undefined;
+  }
+}
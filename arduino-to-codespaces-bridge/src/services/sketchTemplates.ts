@@ -0,0 +1,220 @@
+/**
+ * Sketch Templates Service
+ *
+ * Creates new sketch folders for the bridge's `POST /api/sketches`, the same
+ * way the standalone web-client server does:
+ * - Names follow the Arduino sketch specification, and the folder gets a
+ *   matching main .ino
+ * - Built-in templates come from resources/sketch-templates (`{{name}}`
+ *   becomes the sketch name)
+ * - Or a copy of a library example, with its main .ino renamed to match;
+ *   examples must lie inside a library or platform folder
+ *
+ * @module services/sketchTemplates
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+/** Letter, digit or _, then letters, digits, _ . and -, at most 63 characters */
+const SKETCH_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/;
+
+export interface SketchTemplate {
+  id: string;
+  label: string;
+  description: string;
+  file: string;
+}
+
+export interface CreateSketchOptions {
+  name: string;
+  template?: string;
+  examplePath?: string;
+  /** Folders examples may be copied from */
+  exampleRoots?: string[];
+  reservedNames?: Set<string>;
+}
+
+/** Error with a code the server maps to an HTTP status */
+export class SketchTemplateError extends Error {
+  constructor(
+    message: string,
+    public readonly code:
+      | "INVALID_SKETCH_NAME"
+      | "SKETCH_EXISTS"
+      | "UNKNOWN_TEMPLATE"
+      | "INVALID_EXAMPLE"
+  ) {
+    super(message);
+  }
+}
+
+/**
+ * Built-in templates
+ * @param templatesDir - Folder with templates.json
+ */
+export function listSketchTemplates(templatesDir: string): SketchTemplate[] {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(templatesDir, "templates.json"), "utf8")
+    );
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check a sketch name against the Arduino sketch specification
+ * @returns Why the name is invalid, undefined if it is fine
+ */
+export function validateSketchName(name: unknown): string | undefined {
+  if (typeof name !== "string" || !name) {
+    return "Sketch name is required";
+  }
+  if (name.length > 63) {
+    return "Sketch names are at most 63 characters";
+  }
+  if (!SKETCH_NAME_PATTERN.test(name)) {
+    return "Sketch names start with a letter, number or _ and may only contain letters, numbers, _ . and -";
+  }
+  return undefined;
+}
+
+/**
+ * Main .ino of an example folder
+ */
+function findMainIno(dir: string): string | undefined {
+  const named = `${path.basename(dir)}.ino`;
+  const inos = fs
+    .readdirSync(dir)
+    .filter((file) => file.toLowerCase().endsWith(".ino"));
+  if (inos.includes(named)) {
+    return named;
+  }
+  return inos.length === 1 ? inos[0] : undefined;
+}
+
+/**
+ * Real path of an example folder, if it lies inside one of the roots once
+ * symlinks are followed
+ */
+function resolveExampleFolder(
+  examplePath: string,
+  roots: string[]
+): string | undefined {
+  if (!path.isAbsolute(examplePath)) {
+    return undefined;
+  }
+
+  let real: string;
+  try {
+    real = fs.realpathSync(examplePath);
+    if (!fs.statSync(real).isDirectory()) {
+      return undefined;
+    }
+  } catch {
+    return undefined;
+  }
+
+  const inside = roots.some((root) => {
+    try {
+      return real.startsWith(fs.realpathSync(root) + path.sep);
+    } catch {
+      return false;
+    }
+  });
+  return inside ? real : undefined;
+}
+
+/**
+ * Create a sketch folder with a matching .ino
+ * @param workspaceRoot - Folder new sketches are created in
+ * @param templatesDir - Folder with the built-in templates
+ * @returns Absolute path of the new sketch folder
+ * @throws SketchTemplateError for invalid names, existing folders, unknown
+ *   templates or examples that are not sketches or lie outside exampleRoots
+ */
+export function createSketch(
+  workspaceRoot: string,
+  templatesDir: string,
+  {
+    name,
+    template = "blank",
+    examplePath,
+    exampleRoots = [],
+    reservedNames = new Set(),
+  }: CreateSketchOptions
+): string {
+  const problem = validateSketchName(name);
+  if (problem) {
+    throw new SketchTemplateError(problem, "INVALID_SKETCH_NAME");
+  }
+  if (reservedNames.has(name)) {
+    throw new SketchTemplateError(
+      `"${name}" is used by the bridge, choose another name`,
+      "INVALID_SKETCH_NAME"
+    );
+  }
+
+  // Case-insensitive, so the sketch also works on macOS and Windows
+  const existing = fs
+    .readdirSync(workspaceRoot)
+    .find((entry) => entry.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    throw new SketchTemplateError(
+      `${existing} already exists`,
+      "SKETCH_EXISTS"
+    );
+  }
+
+  const sketchDir = path.join(workspaceRoot, name);
+  const mainFile = `${name}.ino`;
+
+  if (examplePath) {
+    if (typeof examplePath !== "string") {
+      throw new SketchTemplateError(
+        "examplePath must be a folder path",
+        "INVALID_EXAMPLE"
+      );
+    }
+    const exampleDir = resolveExampleFolder(examplePath, exampleRoots);
+    if (!exampleDir) {
+      throw new SketchTemplateError(
+        `${examplePath} is not a library or platform example`,
+        "INVALID_EXAMPLE"
+      );
+    }
+    const exampleIno = findMainIno(exampleDir);
+    if (!exampleIno) {
+      throw new SketchTemplateError(
+        `${examplePath} is not a sketch folder`,
+        "INVALID_EXAMPLE"
+      );
+    }
+
+    fs.cpSync(exampleDir, sketchDir, { recursive: true });
+    if (exampleIno !== mainFile) {
+      fs.renameSync(
+        path.join(sketchDir, exampleIno),
+        path.join(sketchDir, mainFile)
+      );
+    }
+  } else {
+    const found = listSketchTemplates(templatesDir).find(
+      (entry) => entry.id === template
+    );
+    if (!found) {
+      throw new SketchTemplateError(
+        `Unknown template "${template}"`,
+        "UNKNOWN_TEMPLATE"
+      );
+    }
+    const source = fs
+      .readFileSync(path.join(templatesDir, found.file), "utf8")
+      .replace(/\{\{name\}\}/g, name);
+    fs.mkdirSync(sketchDir);
+    fs.writeFileSync(path.join(sketchDir, mainFile), source);
+  }
+
+  return sketchDir;
+}
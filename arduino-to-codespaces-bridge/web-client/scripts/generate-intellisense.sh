@@ -139,6 +139,31 @@ case "$ARCH" in
     ;;
 esac
 
+# Ask arduino-cli for the board's build properties: menu options (4-part
+# FQBN) can change the clock, and build.extra_flags / build.defines carry
+# defines such as ARDUINO_USB_CDC_ON_BOOT or the board's USB ids
+BOARD_EXTRA_DEFINES=()
+if command -v arduino-cli >/dev/null 2>&1; then
+  BOARD_PROPERTIES=$(arduino-cli board details -b "$BOARD_FQBN" --show-properties=expanded 2>/dev/null)
+
+  if [ -n "$VARIANT_OPT" ]; then
+    BOARD_F_CPU=$(sed -n 's/^build\.f_cpu=//p' <<< "$BOARD_PROPERTIES" | head -1)
+    if [ -n "$BOARD_F_CPU" ]; then
+      CPU_FREQ="$BOARD_F_CPU"
+      echo "Using F_CPU from board options: $CPU_FREQ"
+    fi
+  fi
+
+  # -DNAME, -DNAME=value and '-DNAME="quoted value"', without the -D
+  while IFS= read -r define; do
+    [ -n "$define" ] && BOARD_EXTRA_DEFINES+=("${define#-D}")
+  done < <(sed -n 's/^build\.\(extra_flags\|defines\)=//p' <<< "$BOARD_PROPERTIES" \
+    | grep -oE -- "-D[^ \"']*(\"[^\"]*\")?[^ \"']*")
+  if [ ${#BOARD_EXTRA_DEFINES[@]} -gt 0 ]; then
+    echo "Using ${#BOARD_EXTRA_DEFINES[@]} define(s) from build.extra_flags and build.defines"
+  fi
+fi
+
 # Find Arduino.h for forced include
 ARDUINO_H="$CORE_PATH/cores/arduino/Arduino.h"
 if [ ! -f "$ARDUINO_H" ]; then
@@ -186,6 +211,36 @@ for inc in "${INCLUDE_PATHS[@]}"; do
   INCLUDE_JSON="$INCLUDE_JSON                \"$inc\""
 done
 
+# Build defines array, board defines first; later duplicates of a name are dropped
+DEFINES=(
+  "F_CPU=$CPU_FREQ"
+  "ARDUINO=10607"
+  "$BOARD_DEFINE"
+  "$ARCH_DEFINE"
+  "USBCON"
+  "__cplusplus=201103L"
+)
+for define in "${BOARD_EXTRA_DEFINES[@]}"; do
+  duplicate=""
+  for existing in "${DEFINES[@]}"; do
+    if [ "${existing%%=*}" == "${define%%=*}" ]; then
+      duplicate=1
+      break
+    fi
+  done
+  [ -z "$duplicate" ] && DEFINES+=("$define")
+done
+
+# Generate defines JSON array (quotes in values are escaped)
+DEFINES_JSON=""
+for define in "${DEFINES[@]}"; do
+  if [ -n "$DEFINES_JSON" ]; then
+    DEFINES_JSON="$DEFINES_JSON,"$'\n'
+  fi
+  define="${define//\\/\\\\}"
+  DEFINES_JSON="$DEFINES_JSON                \"${define//\"/\\\"}\""
+done
+
 # Generate forced includes
 FORCED_INCLUDE_JSON=""
 if [ -n "$ARDUINO_H" ]; then
@@ -219,12 +274,7 @@ $INCLUDE_JSON
             "cStandard": "c11",
             "cppStandard": "$CPP_STANDARD",
             "defines": [
-                "F_CPU=$CPU_FREQ",
-                "ARDUINO=10607",
-                "$BOARD_DEFINE",
-                "$ARCH_DEFINE",
-                "USBCON",
-                "__cplusplus=201103L"
+$DEFINES_JSON
             ]
         }
     ]
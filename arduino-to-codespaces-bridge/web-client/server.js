@@ -22,9 +22,64 @@ import { serverLogger } from "./src/shared/Logger.js";
 import { success, failure, ErrorCodes } from "./src/shared/Result.js";
 
 // CLI Manager imports
-import { checkCliAvailable } from "./src/server/cli-executor.js";
+import {
+  checkCliAvailable,
+  executeCliCommand,
+} from "./src/server/cli-executor.js";
 import * as coreManager from "./src/server/core-manager.js";
 import * as libraryManager from "./src/server/library-manager.js";
+import {
+  startJob,
+  getJob,
+  listJobs,
+  cancelAllJobs,
+  configureJobHistory,
+  JobStatus,
+} from "./src/server/job-manager.js";
+import {
+  configureBuildCache,
+  prepareBuildPath,
+  releaseBuildPath,
+  getBuildCacheStats,
+  pruneBuildCache,
+  pruneBuildCacheIfDue,
+  getArduinoDirectories,
+} from "./src/server/build-cache.js";
+import { parseCompilerDiagnostics } from "./src/server/diagnostics.js";
+import {
+  parseMemoryUsage,
+  findNmTool,
+  findElfFile,
+  readLargestSymbols,
+  configureMemoryBudgets,
+  getMemoryBudget,
+  listMemoryBudgets,
+  setMemoryBudget,
+  checkMemoryBudget,
+} from "./src/server/memory-usage.js";
+import {
+  readSketchProject,
+  updateSketchProject,
+  parseUsedLibraries,
+  getSketchProfile,
+  createProfile,
+  saveSketchProfile,
+} from "./src/server/sketch-project.js";
+import {
+  getMainFileName,
+  listSketchFiles,
+  readSketchFile,
+  writeSketchFile,
+  createSketchFile,
+  renameSketchFile,
+  deleteSketchFile,
+  resolveExampleFolder,
+} from "./src/server/sketch-files.js";
+import {
+  configureSketchTemplates,
+  listSketchTemplates,
+  createSketch,
+} from "./src/server/sketch-templates.js";
 
 // =============================================================================
 // Constants
@@ -91,6 +146,7 @@ function cleanupResources() {
   });
 
   activeProcesses.clear();
+  cancelAllJobs("Stopped by server cleanup");
 }
 
 /**
@@ -143,6 +199,26 @@ const WORKSPACE_ROOT = path.resolve(__dirname, "..");
 /** Directory for compiled sketch artifacts */
 const BUILD_ROOT = path.join(WORKSPACE_ROOT, "build", "sketches");
 
+/** Persistent arduino-cli build paths, reused between compiles */
+const BUILD_CACHE_ROOT = path.join(WORKSPACE_ROOT, "build", "cache");
+
+/** Job history, kept across /api/restart */
+const JOB_HISTORY_PATH = path.join(WORKSPACE_ROOT, "build", "jobs.json");
+
+/** Per-board RAM warning thresholds */
+const MEMORY_BUDGETS_PATH = path.join(
+  WORKSPACE_ROOT,
+  "build",
+  "memory-budgets.json"
+);
+
+/** Built-in sketch templates, shared with the VS Code extension */
+const SKETCH_TEMPLATES_DIR = path.join(
+  WORKSPACE_ROOT,
+  "resources",
+  "sketch-templates"
+);
+
 /** Path to bridge restart script */
 const START_SCRIPT = path.join(
   WORKSPACE_ROOT,
@@ -178,12 +254,23 @@ const ROOT_IGNORE_DIRS = new Set([
 // State
 // =============================================================================
 
-/** Current board FQBN for IntelliSense regeneration */
-let currentFqbn = "arduino:renesas_uno:unor4wifi";
+/**
+ * Board FQBN for IntelliSense regeneration, set by /api/intellisense (the web
+ * client sends the selected sketch's board). Until then the board of the
+ * first successful compile is used, so library changes regenerate from the
+ * start; null before either happens.
+ */
+let currentFqbn = null;
 
 /** Flag to prevent concurrent restart operations */
 let restartInProgress = false;
 
+/**
+ * arduino-cli data and user folders, where library and platform examples
+ * live; null until arduino-cli has answered
+ */
+let arduinoDirectories = null;
+
 // =============================================================================
 // Helper Functions
 // =============================================================================
@@ -422,6 +509,12 @@ async function detectMissingIncludes(compileLog) {
 }
 
 fs.mkdirSync(BUILD_ROOT, { recursive: true });
+configureBuildCache(BUILD_CACHE_ROOT);
+configureMemoryBudgets(MEMORY_BUDGETS_PATH);
+configureSketchTemplates(SKETCH_TEMPLATES_DIR);
+getArduinoDirectories().then((directories) => {
+  arduinoDirectories = directories;
+});
 
 app.use(express.json());
 app.use((req, res, next) => {
@@ -640,29 +733,10 @@ app.get("/api/cli/cores/installed", async (req, res) => {
 });
 
 // --- Core Install/Upgrade/Uninstall ---
-app.post("/api/cli/cores/install", async (req, res) => {
-  try {
-    const { platformId, version } = req.body;
-    if (!platformId) {
-      return res
-        .status(400)
-        .json({ success: false, error: "platformId is required" });
-    }
-
-    console.log(
-      `[CLI] Installing core: ${platformId}${version ? "@" + version : ""}`
-    );
-    const result = await coreManager.installCore(platformId, version);
-
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
-  } catch (error) {
-    console.error("[CLI] Core install error:", error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Queued as a job like POST /api/jobs, answered when it finishes
+app.post("/api/cli/cores/install", (req, res) => {
+  const { platformId, version } = req.body || {};
+  runJobForResponse("core-install", { platformId, version }, res);
 });
 
 app.post("/api/cli/cores/upgrade", async (req, res) => {
@@ -772,39 +846,10 @@ app.get("/api/cli/libraries/installed", async (req, res) => {
 });
 
 // --- Library Install/Upgrade/Uninstall ---
-app.post("/api/cli/libraries/install", async (req, res) => {
-  try {
-    const { name, version, installDeps } = req.body;
-    if (!name) {
-      return res
-        .status(400)
-        .json({ success: false, error: "name is required" });
-    }
-
-    console.log(
-      `[CLI] Installing library: ${name}${version ? "@" + version : ""}${
-        installDeps ? " (with deps)" : ""
-      }`
-    );
-    const result = await libraryManager.installLibrary(
-      name,
-      version,
-      installDeps
-    );
-
-    if (result.success) {
-      // Regenerate IntelliSense to pick up new library
-      await regenerateIntelliSense(`library install: ${name}`);
-      // Sync library examples to workspace
-      await libraryManager.syncLibraryExamples();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
-  } catch (error) {
-    console.error("[CLI] Library install error:", error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Queued as a job like POST /api/jobs, answered when it finishes
+app.post("/api/cli/libraries/install", (req, res) => {
+  const { name, version, installDeps } = req.body || {};
+  runJobForResponse("library-install", { name, version, installDeps }, res);
 });
 
 app.post("/api/cli/libraries/upgrade", async (req, res) => {
@@ -1094,20 +1139,41 @@ function runRestartSequence() {
   });
 }
 
+/**
+ * Folders library and platform examples may be opened from: user and
+ * built-in libraries, and each installed platform's hardware folder (its
+ * bundled libraries and their examples)
+ * @returns {string[]}
+ */
+function getExampleRoots() {
+  if (!arduinoDirectories) return [];
+
+  const { data, user } = arduinoDirectories;
+  const packagesDir = path.join(data, "packages");
+  let vendors = [];
+  try {
+    vendors = fs.readdirSync(packagesDir);
+  } catch (err) {
+    // No platforms installed
+  }
+  return [
+    path.join(user, "libraries"),
+    path.join(data, "libraries"),
+    ...vendors.map((vendor) => path.join(packagesDir, vendor, "hardware")),
+  ];
+}
+
 function validateSketchPath(relativePath) {
   if (!relativePath || typeof relativePath !== "string") return null;
 
   // Handle library example paths (prefixed with __EXAMPLE__:)
   if (relativePath.startsWith("__EXAMPLE__:")) {
-    const examplePath = relativePath.substring("__EXAMPLE__:".length);
-    // Validate the example path exists and is a directory
-    if (
-      !fs.existsSync(examplePath) ||
-      !fs.lstatSync(examplePath).isDirectory()
-    ) {
-      return null;
-    }
-    // For examples, use the full path directly
+    // Only real example folders, never any folder on the server
+    const examplePath = resolveExampleFolder(
+      relativePath.substring("__EXAMPLE__:".length),
+      getExampleRoots()
+    );
+    if (!examplePath) return null;
     return { absolutePath: examplePath, normalized: examplePath };
   }
 
@@ -1137,7 +1203,7 @@ function findArtifactFile(outputDir, fqbn) {
   let preferredExtensions = [".uf2", ".bin", ".hex"];
 
   if (fqbn && fqbn.includes(":avr:")) {
-    // AVR boards (Uno R3, Mega, Nano) need HEX for STK500
+    // AVR boards (Uno R3, Mega, Nano) need HEX for STK500, Teensy for HalfKay
     preferredExtensions = [".hex", ".bin", ".uf2"];
   }
 
@@ -1155,17 +1221,186 @@ function findArtifactFile(outputDir, fqbn) {
   return null;
 }
 
+/** FQBN prefixes of platforms flashed with esptool (multi-image layout) */
+const ESPTOOL_PLATFORMS = ["esp32:esp32:", "esp8266:esp8266:"];
+
+/** Default ESP32 flash layout used when the upload pattern cannot be read */
+const DEFAULT_ESP32_LAYOUT = [
+  { role: "bootloader", offset: 0x1000, suffix: ".bootloader.bin" },
+  { role: "partitions", offset: 0x8000, suffix: ".partitions.bin" },
+  { role: "boot_app0", offset: 0xe000, suffix: "boot_app0.bin" },
+  { role: "app", offset: 0x10000, suffix: ".ino.bin" },
+];
+
+/** Matches `<offset> "<file>"` pairs in an esptool write_flash command */
+const WRITE_FLASH_PAIR_PATTERN =
+  /(0x[0-9a-f]+)\s+(?:"([^"]+\.bin)"|(\S+\.bin))/gi;
+
+/**
+ * Classify a flash image by its file name
+ * @param {string} fileName - Image file name
+ * @returns {string} One of bootloader, partitions, boot_app0 or app
+ */
+function flashImageRole(fileName) {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith(".bootloader.bin")) return "bootloader";
+  if (lower.endsWith(".partitions.bin")) return "partitions";
+  if (lower === "boot_app0.bin") return "boot_app0";
+  return "app";
+}
+
+/**
+ * Read the fully expanded build properties for a sketch and board
+ * @param {string} sketchPath - Absolute sketch directory
+ * @param {string} fqbn - Fully qualified board name
+ * @returns {Promise<Map<string, string>|null>} Property map, or null on failure
+ */
+async function getExpandedBuildProperties(sketchPath, fqbn) {
+  const result = await executeCliCommand(
+    ["compile", "--fqbn", fqbn, "--show-properties=expanded", sketchPath],
+    { timeout: 30000 }
+  );
+  const lines = result.success && result.data?.build_properties;
+  if (!Array.isArray(lines)) return null;
+
+  const properties = new Map();
+  for (const line of lines) {
+    const eq = line.indexOf("=");
+    if (eq > 0) properties.set(line.slice(0, eq), line.slice(eq + 1));
+  }
+  return properties;
+}
+
+/**
+ * Extract offset/file pairs from the esptool write_flash upload pattern
+ * @param {Map<string, string>} properties - Expanded build properties
+ * @returns {Array<{offset: number, file: string}>} Images in command order
+ */
+function parseWriteFlashImages(properties) {
+  const tool = properties.get("upload.tool") || "esptool_py";
+  const pattern =
+    properties.get(`tools.${tool}.upload.pattern_args`) ||
+    properties.get(`tools.${tool}.upload.pattern`) ||
+    "";
+  const writeFlashIndex = pattern.indexOf("write_flash");
+  if (writeFlashIndex === -1) return [];
+
+  const images = [];
+  for (const match of pattern
+    .slice(writeFlashIndex)
+    .matchAll(WRITE_FLASH_PAIR_PATTERN)) {
+    images.push({
+      offset: parseInt(match[1], 16),
+      file: match[2] || match[3],
+    });
+  }
+  return images;
+}
+
+/**
+ * Build the flash manifest for boards that need several images
+ *
+ * ESP32 boards need the second-stage bootloader, partition table,
+ * boot_app0 (OTA data) and the application, each at its own offset. The
+ * offsets come from the platform's expanded esptool upload pattern; files
+ * outside the output directory (boot_app0.bin lives in the core) are copied
+ * in so they are served from /artifacts like the rest.
+ *
+ * @param {Object} options
+ * @param {string} options.sketchPath - Absolute sketch directory
+ * @param {string} options.fqbn - Fully qualified board name
+ * @param {string} options.outputDir - Compile output directory
+ * @param {string} options.slug - Artifact URL slug
+ * @returns {Promise<Array<{role: string, name: string, url: string, offset: number, size: number}>|null>}
+ *   Images in write order, or null when the board takes a single artifact
+ */
+async function buildFlashManifest({ sketchPath, fqbn, outputDir, slug }) {
+  if (!ESPTOOL_PLATFORMS.some((prefix) => fqbn.startsWith(prefix))) {
+    return null;
+  }
+
+  const properties = await getExpandedBuildProperties(sketchPath, fqbn);
+  let images = properties ? parseWriteFlashImages(properties) : [];
+
+  if (images.length === 0 && fqbn.startsWith("esp32:")) {
+    serverLogger.warn(
+      `[Manifest] No write_flash pattern for ${fqbn}, using default ESP32 layout`
+    );
+    const entries = fs.readdirSync(outputDir);
+    const bootloaderAddr = parseInt(
+      properties?.get("build.bootloader_addr") || "0x1000",
+      16
+    );
+    images = DEFAULT_ESP32_LAYOUT.map((entry) => {
+      const name = entries.find((file) => file.endsWith(entry.suffix));
+      return {
+        offset: entry.role === "bootloader" ? bootloaderAddr : entry.offset,
+        file: name ? path.join(outputDir, name) : null,
+      };
+    }).filter((image) => image.file);
+  }
+
+  const manifest = [];
+  for (const image of images) {
+    const name = path.basename(image.file);
+    let localPath = path.join(outputDir, name);
+
+    if (!fs.existsSync(localPath)) {
+      if (!fs.existsSync(image.file)) {
+        serverLogger.warn(`[Manifest] Missing flash image: ${image.file}`);
+        return null;
+      }
+      fs.copyFileSync(image.file, localPath);
+    }
+
+    manifest.push({
+      role: flashImageRole(name),
+      name,
+      url: `/artifacts/${slug}/${name}`,
+      offset: image.offset,
+      size: fs.statSync(localPath).size,
+    });
+  }
+
+  return manifest.length > 0 ? manifest : null;
+}
+
 /** @constant {number} CLI_TIMEOUT_MS - Maximum time for CLI operations */
 const CLI_TIMEOUT_MS = 120000; // 2 minutes
 
-function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
+/**
+ * Run arduino-cli compile
+ * @param {object} params
+ * @param {string} params.sketchPath - Absolute sketch folder
+ * @param {string} params.fqbn - Board FQBN, ignored with a profile
+ * @param {string} [params.profile] - sketch.yaml profile name, passed as
+ *   --profile instead of --fqbn
+ * @param {string} params.outputDir - Build output folder
+ * @param {string} [params.buildPath] - Persistent build folder for incremental builds
+ * @param {function(string, string)} [params.onOutput] - Receives (text, stream) as output arrives
+ * @param {AbortSignal} [params.signal] - Aborting kills the compiler
+ * @returns {Promise<{code: number, stdout: string, stderr: string, cancelled?: boolean}>}
+ */
+function runArduinoCompile({
+  sketchPath,
+  fqbn,
+  profile,
+  outputDir,
+  buildPath,
+  onOutput,
+  signal,
+}) {
   return new Promise((resolve) => {
     const args = [
       "compile",
-      "--fqbn",
-      fqbn,
+      // A profile names the board and pins platform and library versions
+      ...(profile ? ["--profile", profile] : ["--fqbn", fqbn]),
       "--output-dir",
       outputDir,
+      ...(buildPath ? ["--build-path", buildPath] : []),
+      // Without this GCC runs with -w and only errors reach the diagnostics
+      "--warnings",
+      "default",
       sketchPath,
     ];
     serverLogger.info(`Running: arduino-cli ${args.join(" ")}`);
@@ -1174,6 +1409,7 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
     const child = spawn("arduino-cli", args, {
       cwd: sketchPath,
       env: process.env,
+      ...(signal ? { signal } : {}),
     });
 
     // Track process for cleanup
@@ -1205,8 +1441,14 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
 
     let stdout = "";
     let stderr = "";
-    child.stdout.on("data", (data) => (stdout += data.toString()));
-    child.stderr.on("data", (data) => (stderr += data.toString()));
+    child.stdout.on("data", (data) => {
+      stdout += data.toString();
+      onOutput?.(data.toString(), "stdout");
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+      onOutput?.(data.toString(), "stderr");
+    });
 
     child.on("close", (code) => {
       if (!resolved) {
@@ -1224,7 +1466,14 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
         activeProcesses.delete(child);
 
         // Handle specific spawn errors
-        if (err.code === "ENOENT") {
+        if (err.name === "AbortError") {
+          resolve({
+            code: -1,
+            stdout,
+            stderr: "Compile cancelled",
+            cancelled: true,
+          });
+        } else if (err.code === "ENOENT") {
           resolve({
             code: -1,
             stdout: "",
@@ -1248,11 +1497,76 @@ function runArduinoCompile({ sketchPath, fqbn, outputDir }) {
   });
 }
 
-async function prepareCompile(relativePath, fqbn) {
-  serverLogger.info(`Preparing compile for: ${relativePath} (${fqbn})`);
-  if (!relativePath || !fqbn)
+/** nm tool per FQBN, found once from the expanded build properties */
+const nmToolCache = new Map();
+
+/**
+ * Flash/RAM usage of a build, with its largest symbols and budget warnings
+ * @param {object} params
+ * @param {string} params.compileLog - Compiler output
+ * @param {string} params.sketchPath - Absolute sketch folder
+ * @param {string} params.fqbn - Board FQBN
+ * @param {string} params.buildPath - Build path holding the ELF
+ * @returns {Promise<object|null>} Null when the compile printed no size report
+ */
+async function buildMemoryReport({ compileLog, sketchPath, fqbn, buildPath }) {
+  const usage = parseMemoryUsage(compileLog);
+  if (!usage) return null;
+
+  const budget = getMemoryBudget(fqbn);
+  const report = {
+    ...usage,
+    budget,
+    warnings: checkMemoryBudget(usage, budget),
+    symbols: null,
+  };
+
+  // The symbol breakdown is best effort; the totals above are what matter
+  try {
+    const elfPath = findElfFile(buildPath, path.basename(sketchPath));
+    if (elfPath) {
+      if (!nmToolCache.has(fqbn)) {
+        const properties = await getExpandedBuildProperties(sketchPath, fqbn);
+        nmToolCache.set(fqbn, properties ? findNmTool(properties) : null);
+      }
+      const nmPath = nmToolCache.get(fqbn);
+      if (nmPath) report.symbols = await readLargestSymbols(nmPath, elfPath);
+    }
+  } catch (err) {
+    serverLogger.warn(`[Memory] Symbol breakdown failed: ${err.message}`);
+  }
+
+  return report;
+}
+
+/** Build output line for each prepareBuildPath() status */
+const BUILD_CACHE_MESSAGES = {
+  hit: "Build cache: reusing previous build (incremental)",
+  miss: "Build cache: first build for this sketch and board",
+  clean: "Build cache: clean build requested",
+  invalidated: "Build cache: cores or libraries changed, rebuilding",
+};
+
+/**
+ * Compile a workspace sketch into its build folder
+ * @param {string} relativePath - Sketch folder relative to the workspace
+ * @param {string} fqbn - Board FQBN, optional with a profile
+ * @param {object} [options]
+ * @param {string} [options.profile] - sketch.yaml build profile; its board
+ *   replaces fqbn and its pinned versions are used
+ * @param {boolean} [options.clean] - Ignore the build cache and rebuild everything
+ * @param {function(string, string)} [options.onOutput] - Streams compiler output
+ * @param {AbortSignal} [options.signal] - Aborting kills the compiler
+ * @returns {Promise<object>} {ok, status, ...} describing the build or the failure
+ */
+async function prepareCompile(relativePath, fqbn, options = {}) {
+  serverLogger.info(
+    `Preparing compile for: ${relativePath} (${
+      options.profile ? `profile ${options.profile}` : fqbn
+    })`
+  );
+  if (!relativePath || (!fqbn && !options.profile))
     return { ok: false, status: 400, error: "Missing path or fqbn" };
-  const normalizedFqbn = String(fqbn).trim();
   const resolved = validateSketchPath(relativePath);
   serverLogger.debug(`Resolved path:`, resolved);
   if (!resolved)
@@ -1264,12 +1578,35 @@ async function prepareCompile(relativePath, fqbn) {
       error: "Selected folder does not contain .ino files",
     };
 
+  let profile = null;
+  if (options.profile) {
+    try {
+      profile = getSketchProfile(resolved.absolutePath, options.profile);
+    } catch (err) {
+      return {
+        ok: false,
+        status: err.code === "UNKNOWN_PROFILE" ? 404 : 400,
+        error: err.message,
+      };
+    }
+  }
+  const normalizedFqbn = String(profile?.fqbn || fqbn).trim();
+
   const slug = slugify(resolved.normalized);
   const outputDir = path.join(BUILD_ROOT, slug);
 
+  // outputDir only holds the artifacts served under /artifacts; intermediate
+  // objects live in the cached build path
+  let buildCache;
   try {
     fs.rmSync(outputDir, { recursive: true, force: true });
     fs.mkdirSync(outputDir, { recursive: true });
+    buildCache = await prepareBuildPath({
+      sketchSlug: slug,
+      fqbn: normalizedFqbn,
+      profile,
+      clean: Boolean(options.clean),
+    });
   } catch (err) {
     return {
       ok: false,
@@ -1278,16 +1615,65 @@ async function prepareCompile(relativePath, fqbn) {
     };
   }
 
-  const compileResult = await runArduinoCompile({
-    sketchPath: resolved.absolutePath,
-    fqbn: normalizedFqbn,
-    outputDir,
-  });
+  const cacheMessage = BUILD_CACHE_MESSAGES[buildCache.status];
+  serverLogger.info(`[BuildCache] ${cacheMessage}: ${buildCache.buildPath}`);
+  options.onOutput?.(`${cacheMessage}\n`, "stdout");
+
+  let compileResult;
+  try {
+    compileResult = await runArduinoCompile({
+      sketchPath: resolved.absolutePath,
+      fqbn: normalizedFqbn,
+      profile: profile?.name,
+      outputDir,
+      buildPath: buildCache.buildPath,
+      onOutput: options.onOutput,
+      signal: options.signal,
+    });
+  } finally {
+    releaseBuildPath(buildCache.buildPath);
+  }
+
+  // In the background and throttled, the size walk covers the whole cache
+  pruneBuildCacheIfDue({ keep: [buildCache.buildPath] })
+    .then((pruned) => {
+      if (pruned?.removed.length > 0) {
+        serverLogger.info(
+          `[BuildCache] Pruned ${pruned.removed.length} old builds (${pruned.freedBytes} bytes)`
+        );
+      }
+    })
+    .catch((err) => {
+      serverLogger.warn(`[BuildCache] Prune failed: ${err.message}`);
+    });
 
   const compileLog = [compileResult.stdout, compileResult.stderr]
     .filter(Boolean)
     .join("\n")
     .trim();
+  if (compileResult.cancelled)
+    return {
+      ok: false,
+      status: 409,
+      error: "Compile cancelled",
+      log: compileLog,
+    };
+
+  const diagnostics = parseCompilerDiagnostics(compileLog, {
+    sketchPath: resolved.absolutePath,
+    buildPath: buildCache.buildPath,
+  });
+  // Also reported when linking succeeded but the sketch is too big
+  const memory = await buildMemoryReport({
+    compileLog,
+    sketchPath: resolved.absolutePath,
+    fqbn: normalizedFqbn,
+    buildPath: buildCache.buildPath,
+  });
+  memory?.warnings.forEach((warning) =>
+    options.onOutput?.(`Warning: ${warning}\n`, "stderr")
+  );
+
   const missingIncludes =
     compileResult.code !== 0 ? await detectMissingIncludes(compileLog) : [];
   if (compileResult.code !== 0)
@@ -1296,7 +1682,10 @@ async function prepareCompile(relativePath, fqbn) {
       status: 500,
       error: "Compile failed",
       log: compileLog,
+      diagnostics,
+      memory,
       missingIncludes,
+      exitCode: compileResult.code,
     };
 
   let artifactPath;
@@ -1310,16 +1699,41 @@ async function prepareCompile(relativePath, fqbn) {
       status: 500,
       error: "Compile succeeded but no artifact was found",
       log: compileLog,
+      diagnostics,
+      memory,
       missingIncludes,
     };
 
   const artifactStats = fs.statSync(artifactPath);
   const artifactName = path.basename(artifactPath);
 
+  if (!currentFqbn) {
+    currentFqbn = normalizedFqbn;
+    // Never rejects; the compile does not wait for the script
+    regenerateIntelliSense(`first compile: ${normalizedFqbn}`);
+  }
+
+  if (!isExampleSketch(relativePath)) {
+    recordUsedLibraries(resolved, compileLog);
+  }
+
+  let flashManifest = null;
+  try {
+    flashManifest = await buildFlashManifest({
+      sketchPath: resolved.absolutePath,
+      fqbn: normalizedFqbn,
+      outputDir,
+      slug,
+    });
+  } catch (err) {
+    serverLogger.warn(`[Manifest] Unable to build flash manifest:`, err);
+  }
+
   return {
     ok: true,
     status: 200,
     normalizedFqbn,
+    profile,
     resolved,
     slug,
     outputDir,
@@ -1328,11 +1742,50 @@ async function prepareCompile(relativePath, fqbn) {
       url: `/artifacts/${slug}/${artifactName}`,
       size: artifactStats.size,
     },
+    flashManifest,
+    buildCache,
     log: compileLog,
+    diagnostics,
+    memory,
     missingIncludes,
   };
 }
 
+/**
+ * Keep the required libraries in an existing sketch.yaml up to date
+ *
+ * Projects are only created when the user changes a setting, a compile never
+ * adds a sketch.yaml on its own.
+ *
+ * @param {{absolutePath: string, normalized: string}} resolved - Sketch from validateSketchPath()
+ * @param {string} compileLog - Output of the successful compile
+ */
+function recordUsedLibraries(resolved, compileLog) {
+  try {
+    const project = readSketchProject(resolved.absolutePath);
+    if (!project.exists) return;
+
+    const { changed } = updateSketchProject(resolved.absolutePath, {
+      libraries: parseUsedLibraries(compileLog),
+    });
+    if (changed) {
+      serverLogger.info(
+        `[Project] Updated libraries of ${resolved.normalized}`
+      );
+    }
+  } catch (err) {
+    serverLogger.warn(`[Project] Could not record libraries: ${err.message}`);
+  }
+}
+
+/**
+ * Library examples are read-only, their settings are not saved
+ * @param {string} relativePath - Sketch path as sent by the client
+ */
+function isExampleSketch(relativePath) {
+  return String(relativePath).startsWith("__EXAMPLE__:");
+}
+
 // --- API Endpoints ---
 
 app.get("/api/sketches", (req, res) => {
@@ -1344,6 +1797,67 @@ app.get("/api/sketches", (req, res) => {
   }
 });
 
+app.get("/api/sketches/templates", (req, res) => {
+  res.json({ success: true, templates: listSketchTemplates() });
+});
+
+/** HTTP status for sketch-templates.js error codes */
+const SKETCH_ERROR_STATUS = {
+  INVALID_SKETCH_NAME: 400,
+  UNKNOWN_TEMPLATE: 400,
+  INVALID_EXAMPLE: 400,
+  SKETCH_EXISTS: 409,
+};
+
+// Create a sketch from a template or a library example
+app.post("/api/sketches", (req, res) => {
+  const { name, template, examplePath, fqbn } = req.body || {};
+  try {
+    const sketch = createSketch(WORKSPACE_ROOT, {
+      name: typeof name === "string" ? name.trim() : name,
+      template,
+      // Examples from the sketch dropdown keep their prefix
+      examplePath:
+        typeof examplePath === "string"
+          ? examplePath.replace(/^__EXAMPLE__:/, "")
+          : examplePath,
+      exampleRoots: getExampleRoots(),
+      reservedNames: ROOT_IGNORE_DIRS,
+    });
+    serverLogger.info(
+      `[Sketches] Created ${sketch.name} from ${
+        examplePath || template || "blank"
+      }`
+    );
+
+    // The new sketch starts on the board that was selected
+    const warnings = [];
+    if (fqbn) {
+      try {
+        updateSketchProject(sketch.absolutePath, { fqbn });
+      } catch (err) {
+        warnings.push(`Board not saved: ${err.message}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      sketch: {
+        name: sketch.name,
+        relativePath: sketch.name,
+        mainFile: sketch.mainFile,
+      },
+      warnings,
+    });
+  } catch (err) {
+    const status = SKETCH_ERROR_STATUS[err.code] || 500;
+    if (status === 500) {
+      serverLogger.error("[Sketches] Create failed:", err);
+    }
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
 app.get("/api/boards", (req, res) => {
   exec("arduino-cli board listall --format json", (error, stdout, stderr) => {
     if (error) {
@@ -1382,6 +1896,7 @@ app.get("/api/board-details/:fqbn(*)", (req, res) => {
         let uploadTool = null;
         let uploadProtocol = null;
         let use1200bpsTouch = false;
+        const dfuProps = {};
 
         if (data.build_properties) {
           for (const prop of data.build_properties) {
@@ -1393,6 +1908,11 @@ app.get("/api/board-details/:fqbn(*)", (req, res) => {
               uploadProtocol = prop.split("=")[1];
             } else if (prop === "upload.use_1200bps_touch=true") {
               use1200bpsTouch = true;
+            } else if (
+              /^upload\.(address|interface|vid|pid)=/.test(prop) &&
+              prop.split("=")[1]
+            ) {
+              dfuProps[prop.slice(7, prop.indexOf("="))] = prop.split("=")[1];
             }
           }
         }
@@ -1407,7 +1927,10 @@ app.get("/api/board-details/:fqbn(*)", (req, res) => {
           if (toolLower.includes("bossac") || toolLower.includes("bossa")) {
             protocolType = "bossa";
           } else if (toolLower.includes("avrdude")) {
-            protocolType = "stk500";
+            // Mega 2560's wiring bootloader speaks STK500v2
+            protocolType = ["wiring", "stk500v2"].includes(uploadProtocol)
+              ? "stk500v2"
+              : "stk500";
           } else if (
             toolLower.includes("esptool") ||
             toolLower.includes("esp")
@@ -1438,14 +1961,43 @@ app.get("/api/board-details/:fqbn(*)", (req, res) => {
           }
         }
 
+        // dfu-util: --dfuse-address={upload.address} -a {upload.interface}
+        const toNumber = (value) => {
+          const number = parseInt(value, /^0x/i.test(value) ? 16 : 10);
+          return Number.isNaN(number) ? null : number;
+        };
+        const dfu =
+          protocolType === "dfu"
+            ? {
+                address: toNumber(dfuProps.address),
+                altSetting: toNumber(dfuProps.interface) ?? 0,
+                vid: toNumber(dfuProps.vid),
+                pid: toNumber(dfuProps.pid),
+              }
+            : null;
+
+        // Board menus (CPU frequency, partition scheme, ...) and their
+        // choices, selected according to the options in the FQBN
+        const configOptions = (data.config_options || []).map((menu) => ({
+          option: menu.option,
+          label: menu.option_label || menu.option,
+          values: (menu.values || []).map((choice) => ({
+            value: choice.value,
+            label: choice.value_label || choice.value,
+            selected: Boolean(choice.selected),
+          })),
+        }));
+
         res.json({
           fqbn: data.fqbn,
           name: data.name,
           version: data.version,
+          configOptions,
           uploadTool,
           uploadProtocol,
           protocolType,
           use1200bpsTouch,
+          dfu,
           toolsDependencies: toolNames,
           // Include raw data for debugging
           _raw: {
@@ -1466,76 +2018,85 @@ app.get("/api/strategies", (req, res) => {
   res.json({ strategies });
 });
 
-app.post("/api/compile", async (req, res) => {
-  console.log("[API] Received compile request:", req.body);
-  const { path: relativePath, fqbn } = req.body || {};
-  const compileResult = await prepareCompile(relativePath, fqbn);
-
+/**
+ * Build the /api/compile response for a prepareCompile() result
+ * @param {object} compileResult - Result of prepareCompile()
+ * @returns {{status: number, body: object}}
+ */
+function compileResponse(compileResult) {
   if (!compileResult.ok) {
-    return res.status(compileResult.status).json({
-      error: compileResult.error,
-      log: compileResult.log,
-      missingIncludes: compileResult.missingIncludes || [],
-    });
-  }
-
-  res.json({
-    success: true,
-    fqbn: compileResult.normalizedFqbn,
-    sketch: compileResult.resolved.normalized,
-    artifact: compileResult.artifact,
-    log: compileResult.log,
-    missingIncludes: compileResult.missingIncludes || [],
-  });
-});
-
-// --- Server-Side Upload Endpoint ---
-// Uses native bossac/arduino-cli for reliable uploads
-// Workaround for Web Serial limitations with R4 WiFi
-app.post("/api/upload", async (req, res) => {
-  console.log("[API] Received upload request:", req.body);
-  const { path: relativePath, fqbn, port } = req.body || {};
-
-  if (!relativePath || !fqbn || !port) {
-    return res.status(400).json({ error: "Missing path, fqbn, or port" });
+    return {
+      status: compileResult.status,
+      body: {
+        success: false,
+        error: compileResult.error,
+        log: compileResult.log,
+        diagnostics: compileResult.diagnostics || [],
+        memory: compileResult.memory || null,
+        missingIncludes: compileResult.missingIncludes || [],
+        exitCode: compileResult.exitCode,
+      },
+    };
   }
 
-  // First compile
-  const compileResult = await prepareCompile(relativePath, fqbn);
-  if (!compileResult.ok) {
-    return res.status(compileResult.status).json({
-      error: compileResult.error,
+  return {
+    status: 200,
+    body: {
+      success: true,
+      fqbn: compileResult.normalizedFqbn,
+      profile: compileResult.profile?.name || null,
+      sketch: compileResult.resolved.normalized,
+      artifact: compileResult.artifact,
+      flashManifest: compileResult.flashManifest,
+      buildCache: compileResult.buildCache,
       log: compileResult.log,
+      diagnostics: compileResult.diagnostics || [],
+      memory: compileResult.memory || null,
       missingIncludes: compileResult.missingIncludes || [],
-    });
-  }
-
-  // Then upload using arduino-cli
-  const artifactPath = path.join(
-    compileResult.outputDir,
-    compileResult.artifact.name
-  );
-
-  console.log(
-    `[Upload] Uploading ${artifactPath} to ${port} for board ${fqbn}`
-  );
+    },
+  };
+}
 
-  const uploadResult = await new Promise((resolve) => {
+/**
+ * Upload a compiled artifact with arduino-cli
+ * @param {object} params
+ * @param {string} params.fqbn - Board FQBN
+ * @param {string} [params.profile] - Build profile, uploads with its tools
+ * @param {string} [params.sketchPath] - Sketch folder, required with a profile
+ * @param {string} params.port - Serial port path on the server
+ * @param {string} params.artifactPath - Absolute path of the firmware file
+ * @param {function(string, string)} [params.onOutput] - Streams uploader output
+ * @param {AbortSignal} [params.signal] - Aborting kills the uploader
+ * @returns {Promise<{code: number, stdout: string, stderr: string, cancelled?: boolean}>}
+ */
+function runArduinoUpload({
+  fqbn,
+  profile,
+  sketchPath,
+  port,
+  artifactPath,
+  onOutput,
+  signal,
+}) {
+  return new Promise((resolve) => {
     const args = [
       "upload",
-      "--fqbn",
-      fqbn,
+      // arduino-cli finds the profile in the sketch's sketch.yaml
+      ...(profile ? ["--profile", profile] : ["--fqbn", fqbn]),
       "--port",
       port,
       "--input-file",
       artifactPath,
       "--verbose",
+      ...(profile ? [sketchPath] : []),
     ];
 
     console.log(`Running: arduino-cli ${args.join(" ")}`);
     const child = spawn("arduino-cli", args, {
       env: process.env,
+      ...(signal ? { signal } : {}),
     });
+    activeProcesses.add(child);
 
     let stdout = "";
     let stderr = "";
@@ -1543,18 +2104,78 @@ app.post("/api/upload", async (req, res) => {
       const str = data.toString();
       stdout += str;
       console.log("[Upload stdout]", str);
+      onOutput?.(str, "stdout");
     });
     child.stderr.on("data", (data) => {
       const str = data.toString();
       stderr += str;
       console.log("[Upload stderr]", str);
+      onOutput?.(str, "stderr");
+    });
+    child.on("close", (code) => {
+      activeProcesses.delete(child);
+      resolve({ code, stdout, stderr });
     });
-    child.on("close", (code) => resolve({ code, stdout, stderr }));
     child.on("error", (err) => {
+      activeProcesses.delete(child);
+      if (err.name === "AbortError") {
+        resolve({ code: -1, stdout, stderr, cancelled: true });
+        return;
+      }
       stderr += `\nSpawn error: ${err.message}`;
       resolve({ code: 1, stdout, stderr });
     });
   });
+}
+
+/**
+ * Compile then upload, as done by /api/upload
+ * @param {object} params
+ * @param {string} params.path - Sketch folder relative to the workspace
+ * @param {string} params.fqbn - Board FQBN, optional with a profile
+ * @param {string} [params.profile] - sketch.yaml build profile
+ * @param {string} params.port - Serial port path on the server
+ * @param {boolean} [params.clean] - Ignore the build cache
+ * @param {import("./src/server/job-manager.js").Job} [job] - Job to stream into
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function compileAndUpload(
+  { path: relativePath, fqbn, profile, port, clean },
+  job
+) {
+  const onOutput = job
+    ? (text, stream) => job.appendOutput(text, stream)
+    : null;
+
+  job?.setPhase("Compiling", 0, 50);
+  const compileResult = await prepareCompile(relativePath, fqbn, {
+    profile,
+    clean,
+    onOutput,
+    signal: job?.signal,
+  });
+  if (!compileResult.ok) return compileResponse(compileResult);
+
+  const artifactPath = path.join(
+    compileResult.outputDir,
+    compileResult.artifact.name
+  );
+
+  console.log(
+    `[Upload] Uploading ${artifactPath} to ${port} for board ${compileResult.normalizedFqbn}`
+  );
+
+  job?.setPhase("Uploading", 50, 100);
+  job?.appendOutput("\n--- UPLOAD ---\n");
+  const uploadResult = await runArduinoUpload({
+    fqbn: compileResult.normalizedFqbn,
+    profile: compileResult.profile?.name,
+    sketchPath: compileResult.resolved.absolutePath,
+    port,
+    artifactPath,
+    onOutput,
+    signal: job?.signal,
+  });
 
   const uploadLog = [
     compileResult.log,
@@ -1567,21 +2188,596 @@ app.post("/api/upload", async (req, res) => {
     .trim();
 
   if (uploadResult.code !== 0) {
-    return res.status(500).json({
-      success: false,
-      error: "Upload failed",
+    return {
+      status: uploadResult.cancelled ? 409 : 500,
+      body: {
+        success: false,
+        error: uploadResult.cancelled ? "Upload cancelled" : "Upload failed",
+        log: uploadLog,
+        diagnostics: compileResult.diagnostics,
+        exitCode: uploadResult.code,
+      },
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      fqbn: compileResult.normalizedFqbn,
+      profile: compileResult.profile?.name || null,
+      sketch: compileResult.resolved.normalized,
       log: uploadLog,
+      diagnostics: compileResult.diagnostics,
+    },
+  };
+}
+
+// Compiles and uploads are queued as jobs like POST /api/jobs, so they wait
+// for other CLI operations and show up in the job history; the request is
+// answered when the job finishes
+app.post("/api/compile", (req, res) => {
+  console.log("[API] Received compile request:", req.body);
+  const { path, fqbn, profile, clean } = req.body || {};
+  runJobForResponse("compile", { path, fqbn, profile, clean }, res);
+});
+
+// --- Server-Side Upload Endpoint ---
+// Uses native bossac/arduino-cli for reliable uploads
+// Workaround for Web Serial limitations with R4 WiFi
+app.post("/api/upload", (req, res) => {
+  console.log("[API] Received upload request:", req.body);
+  const { path, fqbn, profile, port, clean } = req.body || {};
+  runJobForResponse("upload", { path, fqbn, profile, port, clean }, res);
+});
+
+// --- Sketch Projects ---
+
+/** HTTP status for sketch-project.js error codes */
+const PROJECT_ERROR_STATUS = {
+  INVALID_PROJECT: 400,
+  UNKNOWN_PROFILE: 404,
+};
+
+app.get("/api/sketch-project", (req, res) => {
+  const resolved = validateSketchPath(req.query.path);
+  if (!resolved) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  try {
+    res.json({
+      success: true,
+      project: readSketchProject(resolved.absolutePath),
+      readOnly: isExampleSketch(req.query.path),
     });
+  } catch (err) {
+    res
+      .status(err.code === "INVALID_PROJECT" ? 422 : 500)
+      .json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/sketch-project", (req, res) => {
+  const {
+    path: relativePath,
+    fqbn,
+    baud,
+    lineEnding,
+    plotter,
+    defaultProfile,
+  } = req.body || {};
+  const resolved = validateSketchPath(relativePath);
+  if (!resolved) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  if (isExampleSketch(relativePath)) {
+    return res.status(403).json({
+      success: false,
+      error:
+        "Library examples are read-only, copy the example to save settings",
+    });
+  }
+  try {
+    const { project, changed } = updateSketchProject(resolved.absolutePath, {
+      fqbn,
+      baud,
+      lineEnding,
+      plotter,
+      defaultProfile,
+    });
+    if (changed) {
+      serverLogger.info(
+        `[Project] Saved ${project.file} for ${resolved.normalized}`
+      );
+    }
+    res.json({ success: true, project, changed });
+  } catch (err) {
+    res
+      .status(PROJECT_ERROR_STATUS[err.code] || 500)
+      .json({ success: false, error: err.message });
+  }
+});
+
+// Pin the installed platform and library versions in a new build profile
+app.post("/api/sketch-project/profiles", async (req, res) => {
+  const { path: relativePath, name, fqbn, makeDefault } = req.body || {};
+  const resolved = validateSketchPath(relativePath);
+  if (!resolved) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid sketch path" });
+  }
+  if (isExampleSketch(relativePath)) {
+    return res.status(403).json({
+      success: false,
+      error:
+        "Library examples are read-only, copy the example to save settings",
+    });
+  }
+  if (!name || !fqbn) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing name or fqbn" });
   }
 
+  try {
+    const [cores, libraries, boardUrls] = await Promise.all([
+      coreManager.listInstalledCores(),
+      libraryManager.listInstalledLibraries(),
+      coreManager.getAdditionalBoardUrls(),
+    ]);
+    if (!cores.success || !libraries.success) {
+      return res.status(500).json({
+        success: false,
+        error: cores.error || libraries.error || "arduino-cli unavailable",
+      });
+    }
+
+    const { profile, warnings } = createProfile({
+      fqbn,
+      platforms: cores.platforms,
+      libraries: libraries.libraries,
+      usedLibraries: readSketchProject(resolved.absolutePath).libraries,
+      boardUrls: boardUrls.urls,
+    });
+    const { project } = saveSketchProfile(
+      resolved.absolutePath,
+      name,
+      profile,
+      { makeDefault: Boolean(makeDefault) }
+    );
+    serverLogger.info(
+      `[Project] Saved profile ${name} for ${resolved.normalized}`
+    );
+    res.json({ success: true, project, profile: name, warnings });
+  } catch (err) {
+    res
+      .status(PROJECT_ERROR_STATUS[err.code] || 500)
+      .json({ success: false, error: err.message });
+  }
+});
+
+// --- Sketch Files ---
+
+/** HTTP status for sketch-files.js error codes */
+const FILE_ERROR_STATUS = {
+  INVALID_FILE_NAME: 400,
+  INVALID_CONTENT: 400,
+  MAIN_SKETCH_FILE: 400,
+  FILE_NOT_FOUND: 404,
+  FILE_EXISTS: 409,
+  FILE_CONFLICT: 409,
+  FILE_TOO_LARGE: 413,
+};
+
+/**
+ * Resolve the sketch of a file request, answering the request if it is
+ * invalid or, for changes, a read-only library example
+ * @returns {{absolutePath: string, normalized: string}|null}
+ */
+function resolveFilesSketch(relativePath, res, { write = false } = {}) {
+  const resolved = validateSketchPath(relativePath);
+  if (!resolved) {
+    res.status(400).json({ success: false, error: "Invalid sketch path" });
+    return null;
+  }
+  if (write && isExampleSketch(relativePath)) {
+    res.status(403).json({
+      success: false,
+      error: "Library examples are read-only, copy the example to edit it",
+    });
+    return null;
+  }
+  return resolved;
+}
+
+function sendFileError(res, err) {
+  const status = FILE_ERROR_STATUS[err.code] || 500;
+  if (status === 500) {
+    serverLogger.error("[Files] Unexpected error:", err);
+  }
+  res.status(status).json({ success: false, error: err.message });
+}
+
+app.get("/api/sketch-files", (req, res) => {
+  const resolved = resolveFilesSketch(req.query.path, res);
+  if (!resolved) return;
   res.json({
     success: true,
-    fqbn: compileResult.normalizedFqbn,
-    sketch: compileResult.resolved.normalized,
-    log: uploadLog,
+    files: listSketchFiles(resolved.absolutePath),
+    mainFile: getMainFileName(resolved.absolutePath),
+    readOnly: isExampleSketch(req.query.path),
   });
 });
 
+app.get("/api/sketch-files/content", (req, res) => {
+  const resolved = resolveFilesSketch(req.query.path, res);
+  if (!resolved) return;
+  try {
+    res.json({
+      success: true,
+      file: readSketchFile(resolved.absolutePath, req.query.file),
+    });
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+app.post("/api/sketch-files/save", (req, res) => {
+  const { path: relativePath, file, content, modified } = req.body || {};
+  const resolved = resolveFilesSketch(relativePath, res, { write: true });
+  if (!resolved) return;
+  try {
+    const saved = writeSketchFile(resolved.absolutePath, file, content, {
+      modified,
+    });
+    serverLogger.info(`[Files] Saved ${resolved.normalized}/${saved.name}`);
+    res.json({ success: true, file: saved });
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+app.post("/api/sketch-files/create", (req, res) => {
+  const { path: relativePath, file, content } = req.body || {};
+  const resolved = resolveFilesSketch(relativePath, res, { write: true });
+  if (!resolved) return;
+  try {
+    const created = createSketchFile(resolved.absolutePath, file, content);
+    serverLogger.info(`[Files] Created ${resolved.normalized}/${created.name}`);
+    res.json({ success: true, file: created });
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+app.post("/api/sketch-files/rename", (req, res) => {
+  const { path: relativePath, file, newName } = req.body || {};
+  const resolved = resolveFilesSketch(relativePath, res, { write: true });
+  if (!resolved) return;
+  try {
+    const renamed = renameSketchFile(resolved.absolutePath, file, newName);
+    serverLogger.info(
+      `[Files] Renamed ${resolved.normalized}/${file} to ${renamed.name}`
+    );
+    res.json({ success: true, file: renamed });
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+app.post("/api/sketch-files/delete", (req, res) => {
+  const { path: relativePath, file } = req.body || {};
+  const resolved = resolveFilesSketch(relativePath, res, { write: true });
+  if (!resolved) return;
+  try {
+    deleteSketchFile(resolved.absolutePath, file);
+    serverLogger.info(`[Files] Deleted ${resolved.normalized}/${file}`);
+    res.json({ success: true });
+  } catch (err) {
+    sendFileError(res, err);
+  }
+});
+
+// --- Memory Budgets ---
+
+app.get("/api/memory-budgets", (req, res) => {
+  res.json({ success: true, ...listMemoryBudgets() });
+});
+
+app.post("/api/memory-budgets", (req, res) => {
+  const { fqbn, ramWarnPercent } = req.body || {};
+  if (!fqbn) {
+    return res.status(400).json({ success: false, error: "Missing fqbn" });
+  }
+  try {
+    const budget = setMemoryBudget(fqbn, ramWarnPercent ?? null);
+    res.json({ success: true, fqbn, budget });
+  } catch (err) {
+    res
+      .status(err.code === "INVALID_BUDGET" ? 400 : 500)
+      .json({ success: false, error: err.message });
+  }
+});
+
+// --- Build Cache ---
+
+app.get("/api/build-cache", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getBuildCacheStats()) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/api/build-cache/prune", async (req, res) => {
+  const { all, sketch, maxBytes, olderThanDays } = req.body || {};
+  try {
+    const result = await pruneBuildCache({
+      all: Boolean(all),
+      sketch: sketch ? slugify(sketch) : null,
+      ...(maxBytes !== undefined ? { maxBytes: Number(maxBytes) } : {}),
+      ...(olderThanDays !== undefined
+        ? { maxAgeMs: Number(olderThanDays) * 24 * 60 * 60 * 1000 }
+        : {}),
+    });
+    serverLogger.info(
+      `[BuildCache] Pruned ${result.removed.length} builds (${result.freedBytes} bytes)`
+    );
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- Background Jobs ---
+// POST /api/jobs queues one of JOB_TYPES and returns its id at once; jobs run
+// one at a time and their output streams from GET /api/jobs/:id/events as
+// Server-Sent Events.
+
+/**
+ * Operations that can run as jobs
+ *
+ * validate() returns an error message for a bad request body, title() names
+ * the job, and run() resolves with the blocking endpoint's response
+ * ({status, body}); the body becomes the job's result.
+ */
+const JOB_TYPES = {
+  compile: {
+    validate: (p) =>
+      !p.path || !(p.fqbn || p.profile) ? "Missing path or fqbn" : null,
+    title: (p) =>
+      `${p.clean ? "Clean compile" : "Compile"} ${p.path} for ${
+        p.profile ? `profile ${p.profile}` : p.fqbn
+      }`,
+    run: async (job, p) => {
+      job.setProgress(null, "Compiling");
+      const compileResult = await prepareCompile(p.path, p.fqbn, {
+        profile: p.profile,
+        clean: p.clean,
+        onOutput: (text, stream) => job.appendOutput(text, stream),
+        signal: job.signal,
+      });
+      return compileResponse(compileResult);
+    },
+  },
+  upload: {
+    validate: (p) =>
+      !p.path || !(p.fqbn || p.profile) || !p.port
+        ? "Missing path, fqbn, or port"
+        : null,
+    title: (p) => `Upload ${p.path} to ${p.port}`,
+    run: (job, p) => compileAndUpload(p, job),
+  },
+  "core-install": {
+    validate: (p) => (!p.platformId ? "platformId is required" : null),
+    title: (p) => `Install ${p.platformId}${p.version ? "@" + p.version : ""}`,
+    run: async (job, p) => {
+      job.setProgress(null, "Installing");
+      const result = await coreManager.installCore(
+        p.platformId,
+        p.version,
+        ({ type, data }) => job.appendOutput(data, type),
+        job.signal
+      );
+      return { status: result.success ? 200 : 400, body: result };
+    },
+  },
+  "library-install": {
+    validate: (p) => (!p.name ? "name is required" : null),
+    title: (p) =>
+      `Install library ${p.name}${p.version ? "@" + p.version : ""}`,
+    run: async (job, p) => {
+      job.setProgress(null, "Installing");
+      const result = await libraryManager.installLibrary(
+        p.name,
+        p.version,
+        p.installDeps,
+        ({ type, data }) => job.appendOutput(data, type),
+        job.signal
+      );
+      if (result.success) {
+        job.setProgress(null, "Refreshing IntelliSense and examples");
+        await regenerateIntelliSense(`library install: ${p.name}`);
+        await libraryManager.syncLibraryExamples();
+      }
+      return { status: result.success ? 200 : 400, body: result };
+    },
+  },
+};
+
+configureJobHistory(JOB_HISTORY_PATH);
+
+/**
+ * Validate and queue a job
+ * @param {string} type - Key of JOB_TYPES
+ * @param {object} params - Job parameters
+ * @param {function({status: number, body: object}): void} [onResponse] -
+ *   Receives the operation's response when it completes
+ * @returns {{job?: object, error?: string}} The queued job, or why it was refused
+ */
+function queueJob(type, params, onResponse) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    return {
+      error: `Unknown job type "${type}". Expected one of: ${Object.keys(
+        JOB_TYPES
+      ).join(", ")}`,
+    };
+  }
+
+  const invalid = jobType.validate(params);
+  if (invalid) return { error: invalid };
+
+  const job = startJob(type, jobType.title(params), params, async (started) => {
+    const response = await jobType.run(started, params);
+    onResponse?.(response);
+    return response.body;
+  });
+  serverLogger.info(`[Jobs] Queued ${job.id}: ${job.title}`);
+  return { job };
+}
+
+/**
+ * Queue a job and answer a blocking request once it finishes, with the
+ * status and body the operation returned
+ *
+ * Jobs that are cancelled or throw answer 409 or 500 with the job's error.
+ * Every answer carries the job's id and jobsAhead, the number of jobs it
+ * waited behind, so a slow compile can be told apart from a queued one.
+ *
+ * @param {string} type - Key of JOB_TYPES
+ * @param {object} params - Job parameters
+ * @param {import("express").Response} res - Response to send
+ */
+function runJobForResponse(type, params, res) {
+  let queued = {};
+  const respond = (status, body) => {
+    if (!res.headersSent) res.status(status).json({ ...body, ...queued });
+  };
+
+  const { job, error } = queueJob(type, params, ({ status, body }) =>
+    respond(status, body)
+  );
+  if (error) {
+    return respond(400, { success: false, error });
+  }
+
+  queued = { jobId: job.id, jobsAhead: job.toJSON().jobsAhead };
+  if (queued.jobsAhead) {
+    serverLogger.info(
+      `[Jobs] ${job.id} waits for ${queued.jobsAhead} earlier job(s)`
+    );
+  }
+
+  job.once("done", (summary) => {
+    respond(summary.status === JobStatus.CANCELLED ? 409 : 500, {
+      success: false,
+      error: summary.error,
+    });
+  });
+}
+
+app.post("/api/jobs", (req, res) => {
+  const { type, ...params } = req.body || {};
+  const { job, error } = queueJob(type, params);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.status(202).json({ success: true, jobId: job.id, job: job.toJSON() });
+});
+
+app.post("/api/jobs/:id/rerun", (req, res) => {
+  const previous = getJob(req.params.id);
+  if (!previous) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+
+  const { job, error } = queueJob(previous.type, previous.params);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.status(202).json({ success: true, jobId: job.id, job: job.toJSON() });
+});
+
+app.get("/api/jobs", (req, res) => {
+  res.json({ success: true, jobs: listJobs() });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, job: job.toJSON(true) });
+});
+
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay what happened before the client subscribed
+  send("snapshot", job.toJSON(true));
+  if (job.finished) {
+    send("done", job.toJSON());
+    return res.end();
+  }
+
+  const onStatus = (data) => send("status", data);
+  const onOutput = (data) => send("output", data);
+  const onProgress = (data) => send("progress", data);
+  const onDone = (data) => {
+    send("done", data);
+    res.end();
+  };
+  const unsubscribe = () => {
+    job.off("status", onStatus);
+    job.off("output", onOutput);
+    job.off("progress", onProgress);
+    job.off("done", onDone);
+  };
+
+  job.on("status", onStatus);
+  job.on("output", onOutput);
+  job.on("progress", onProgress);
+  job.once("done", onDone);
+  res.on("close", unsubscribe);
+});
+
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+
+  if (!job.cancel()) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+      job: job.toJSON(),
+    });
+  }
+
+  serverLogger.info(`[Jobs] Cancelled ${job.id}: ${job.title}`);
+  res.json({ success: true, job: job.toJSON() });
+});
+
 // --- List Serial Ports ---
 app.get("/api/ports", (req, res) => {
   exec("arduino-cli board list --format json", (error, stdout, stderr) => {
@@ -7,15 +7,18 @@
  * When updating, verify against:
  * - protocols/bossa-renesas.yaml
  * - protocols/stk500v1.yaml
+ * - avrdude.conf / stk500v2.c (STK500v2 ISP parameters)
  * - Wireshark captures in captures/
  */
 
 export const PROTOCOL_TYPES = {
   STK500: "STK500v1",
+  STK500V2: "STK500v2",
   BOSSA: "BOSSA",
   ESPTOOL: "ESPTool",
   RP2040: "RP2040",
   TEENSY: "Teensy",
+  DFU: "DFU",
   UNKNOWN: "Unknown",
 };
 
@@ -58,6 +61,49 @@ export const STK500_CONFIG = {
   },
 };
 
+/**
+ * STK500v2 Protocol Configuration (wiring bootloader on ATmega2560)
+ * Reference: Atmel AVR068, avrdude stk500v2.c
+ */
+export const STK500V2_CONFIG = {
+  protocol: PROTOCOL_TYPES.STK500V2,
+
+  serial: {
+    baudUpload: 115200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: "none",
+  },
+
+  timing: {
+    signOnTimeoutMs: 200,
+    commandTimeoutMs: 1000,
+    signOnRetries: 10,
+  },
+
+  memory: {
+    pageSize: 256,
+    flashSize: 0x40000, // 256KB for ATmega2560
+    bootloaderSize: 0x2000,
+  },
+
+  // ISP parameters sent with ENTER_PROGMODE / PROGRAM_FLASH (avrdude.conf)
+  isp: {
+    timeout: 0xc8,
+    stabDelay: 0x64,
+    cmdexeDelay: 0x19,
+    synchLoops: 0x20,
+    byteDelay: 0x00,
+    pollValue: 0x53,
+    pollIndex: 0x03,
+    enterCmd: [0xac, 0x53, 0x00, 0x00],
+    flashMode: 0xc1, // Page mode, write page, poll RDY/BSY
+    flashDelay: 0x0a,
+    flashCmd: [0x40, 0x4c, 0x20],
+    readCmd: 0x20,
+  },
+};
+
 /**
  * BOSSA/SAM-BA Protocol Configuration for Renesas RA4M1
  * Reference: protocols/bossa-renesas.yaml, R4.pcapng capture
@@ -96,17 +142,251 @@ export const BOSSA_RENESAS_CONFIG = {
   bootloaderPids: [0x006d, 0x0054, 0x0057, 0x0069, 0x0369],
 };
 
+/**
+ * ESP ROM Loader (esptool serial protocol) Configuration
+ * Reference: esptool.py loader.py / targets/*.py (stub-less ROM path)
+ */
+export const ESPTOOL_CONFIG = {
+  protocol: PROTOCOL_TYPES.ESPTOOL,
+
+  serial: {
+    baudUpload: 115200, // ROM loader always starts at 115200
+    baudFast: 460800, // Requested via CHANGE_BAUDRATE once synced
+    dataBits: 8,
+    stopBits: 1,
+    parity: "none",
+  },
+
+  timing: {
+    syncAttempts: 7,
+    syncTimeoutMs: 100,
+    commandTimeoutMs: 3000,
+    eraseTimeoutPerMbMs: 30000, // Erase inside FLASH_BEGIN
+    md5TimeoutPerMbMs: 8000,
+    bootloaderDelayMs: 1200,
+  },
+
+  memory: {
+    flashWriteSize: 0x400, // ROM loader block size
+    defaultFlashSize: 0x400000, // 4MB, used for SPI_SET_PARAMS
+    appOffset: 0x10000,
+  },
+};
+
+/**
+ * PICOBOOT (RP2040/RP2350 BOOTSEL USB interface) Configuration
+ * Reference: pico-sdk boot/picoboot.h, picotool
+ */
+export const PICOBOOT_CONFIG = {
+  protocol: PROTOCOL_TYPES.RP2040,
+
+  usb: {
+    vendorId: 0x2e8a,
+    bootPids: {
+      0x0003: "RP2040",
+      0x000f: "RP2350",
+    },
+    interfaceClass: 0xff, // Vendor-specific, next to the mass storage interface
+  },
+
+  timing: {
+    commandTimeoutMs: 3000,
+    eraseTimeoutMs: 10000, // Per erase command
+    rebootDelayMs: 500, // Lets the reboot command be acknowledged
+  },
+
+  memory: {
+    flashBase: 0x10000000,
+    flashSize: 0x1000000, // 16MB XIP window, the device rejects addresses past the chip
+    sectorSize: 0x1000, // Erase granularity
+    pageSize: 0x100, // Program granularity
+  },
+};
+
+/**
+ * USB DFU 1.1 / ST DfuSe Protocol Configuration
+ * Reference: USB DFU 1.1 spec, ST AN3156, dfu-util dfuse.c
+ */
+export const DFU_CONFIG = {
+  protocol: PROTOCOL_TYPES.DFU,
+
+  usb: {
+    vendorIds: [0x2341, 0x0483], // Arduino (Portenta, Giga, Opta), ST system bootloader
+    interfaceClass: 0xfe, // Application specific
+    interfaceSubclass: 0x01, // Device Firmware Upgrade
+  },
+
+  timing: {
+    deviceWaitMs: 8000, // DFU device enumeration after the 1200 baud touch
+    devicePollMs: 250,
+    statusTimeoutMs: 5000, // Per block, GETSTATUS polling
+    eraseTimeoutMs: 20000, // Per sector, large STM32H7 sectors are slow
+  },
+
+  memory: {
+    defaultTransferSize: 1024, // Used when the functional descriptor can't be read
+  },
+};
+
+/**
+ * HalfKay (Teensy HID bootloader) Protocol Configuration
+ * Reference: PJRC teensy_loader_cli.c
+ */
+export const TEENSY_HALFKAY_CONFIG = {
+  protocol: PROTOCOL_TYPES.TEENSY,
+
+  usb: {
+    vendorId: 0x16c0,
+    bootloaderPid: 0x0478, // HalfKay bootloader
+    serialPid: 0x0483, // USB Serial sketches
+    rawHidPid: 0x0486, // RawHID sketches
+  },
+
+  serial: {
+    baudTouch: 134, // Opening a Teensy USB Serial port at 134 baud reboots into HalfKay
+  },
+
+  timing: {
+    firstBlockTimeoutMs: 5000, // First write triggers a full chip erase
+    blockTimeoutMs: 500,
+    retryDelayMs: 10,
+    rebootDelayMs: 100,
+  },
+
+  memory: {
+    codeSize: 0x40000,
+    blockSize: 1024,
+    flashBase: 0x00000000,
+  },
+};
+
+/**
+ * Per-board HalfKay memory layout keyed by FQBN.
+ * codeSize/blockSize match the MCU table in teensy_loader_cli.
+ */
+export const TEENSY_BOARD_MAP = {
+  "teensy:avr:teensy2": {
+    mcu: "atmega32u4",
+    memory: { codeSize: 32256, blockSize: 128, flashBase: 0 },
+  },
+  "teensy:avr:teensypp2": {
+    mcu: "at90usb1286",
+    memory: { codeSize: 130048, blockSize: 256, flashBase: 0 },
+  },
+  "teensy:avr:teensyLC": {
+    mcu: "mkl26z64",
+    memory: { codeSize: 63488, blockSize: 512, flashBase: 0 },
+  },
+  "teensy:avr:teensy30": {
+    mcu: "mk20dx128",
+    memory: { codeSize: 131072, blockSize: 1024, flashBase: 0 },
+  },
+  "teensy:avr:teensy31": {
+    mcu: "mk20dx256",
+    memory: { codeSize: 262144, blockSize: 1024, flashBase: 0 },
+  },
+  "teensy:avr:teensy35": {
+    mcu: "mk64fx512",
+    memory: { codeSize: 524288, blockSize: 1024, flashBase: 0 },
+  },
+  "teensy:avr:teensy36": {
+    mcu: "mk66fx1m0",
+    memory: { codeSize: 1048576, blockSize: 1024, flashBase: 0 },
+  },
+  // Teensy 4.x HEX files are linked at the FlexSPI base (0x60000000)
+  "teensy:avr:teensy40": {
+    mcu: "imxrt1062",
+    memory: { codeSize: 2031616, blockSize: 1024, flashBase: 0x60000000 },
+  },
+  "teensy:avr:teensy41": {
+    mcu: "imxrt1062",
+    memory: { codeSize: 8126464, blockSize: 1024, flashBase: 0x60000000 },
+  },
+  "teensy:avr:teensyMM": {
+    mcu: "imxrt1062",
+    memory: { codeSize: 16515072, blockSize: 1024, flashBase: 0x60000000 },
+  },
+};
+
+/**
+ * Get HalfKay configuration for a Teensy board
+ * @param {string} fqbn - Fully Qualified Board Name
+ * @returns {Object|null} Teensy configuration merged with HalfKay defaults
+ */
+export function getTeensyConfig(fqbn) {
+  if (!fqbn) return null;
+
+  // Strip board menu options (teensy:avr:teensy41:usb=serial,speed=600)
+  const baseFqbn = fqbn.split(":").slice(0, 3).join(":");
+  const board = TEENSY_BOARD_MAP[baseFqbn];
+  if (!board) return null;
+
+  return {
+    ...TEENSY_HALFKAY_CONFIG,
+    fqbn: baseFqbn,
+    mcu: board.mcu,
+    memory: { ...TEENSY_HALFKAY_CONFIG.memory, ...board.memory },
+  };
+}
+
+/**
+ * Per-board AVR memory layout keyed by FQBN.
+ * Values match the MCU entries in avrdude.conf and the bootloader section
+ * size fuses set by the Arduino AVR core.
+ */
+export const AVR_MCU_MAP = {
+  "arduino:avr:uno": {
+    mcu: "atmega328p",
+    protocol: STK500_CONFIG,
+    memory: { pageSize: 128, flashSize: 0x8000, bootloaderSize: 0x200 },
+  },
+  "arduino:avr:nano": {
+    mcu: "atmega328p",
+    protocol: STK500_CONFIG,
+    memory: { pageSize: 128, flashSize: 0x8000, bootloaderSize: 0x200 },
+  },
+  "arduino:avr:mega": {
+    mcu: "atmega2560",
+    protocol: STK500V2_CONFIG,
+    memory: { pageSize: 256, flashSize: 0x40000, bootloaderSize: 0x2000 },
+  },
+  "arduino:avr:megaADK": {
+    mcu: "atmega2560",
+    protocol: STK500V2_CONFIG,
+    memory: { pageSize: 256, flashSize: 0x40000, bootloaderSize: 0x2000 },
+  },
+};
+
+/**
+ * Get protocol and memory configuration for an AVR board
+ * @param {string} fqbn - Fully Qualified Board Name
+ * @returns {Object|null} Protocol configuration merged with the MCU layout
+ */
+export function getAvrConfig(fqbn) {
+  if (!fqbn) return null;
+
+  // Strip board menu options (arduino:avr:mega:cpu=atmega2560)
+  const baseFqbn = fqbn.split(":").slice(0, 3).join(":");
+  const board = AVR_MCU_MAP[baseFqbn];
+  if (!board) return null;
+
+  return {
+    ...board.protocol,
+    fqbn: baseFqbn,
+    mcu: board.mcu,
+    memory: { ...board.protocol.memory, ...board.memory },
+  };
+}
+
 /**
  * Board to Protocol mapping
  */
 export const BOARD_PROTOCOL_MAP = {
-  // AVR boards - STK500v1
+  // AVR boards - STK500v1 (Mega uses STK500v2, see AVR_MCU_MAP)
   "arduino:avr:uno": STK500_CONFIG,
   "arduino:avr:nano": STK500_CONFIG,
-  "arduino:avr:mega": {
-    ...STK500_CONFIG,
-    memory: { ...STK500_CONFIG.memory, flashSize: 0x40000, pageSize: 256 },
-  },
+  "arduino:avr:mega": STK500V2_CONFIG,
+  "arduino:avr:megaADK": STK500V2_CONFIG,
   "arduino:avr:leonardo": STK500_CONFIG,
   "arduino:avr:micro": STK500_CONFIG,
 
@@ -139,6 +419,14 @@ export const BOARD_PROTOCOL_MAP = {
   "arduino:mbed_nano:nano33ble": BOSSA_RENESAS_CONFIG,
   "arduino:mbed_nano:nanorp2040connect": BOSSA_RENESAS_CONFIG,
   "arduino:mbed_portenta:envie_m7": BOSSA_RENESAS_CONFIG,
+
+  // ESP boards - esptool ROM loader
+  "esp32:esp32": ESPTOOL_CONFIG,
+  "esp8266:esp8266": ESPTOOL_CONFIG,
+
+  // Teensy boards - HalfKay HID (see TEENSY_BOARD_MAP for memory layout)
+  "teensy:avr:teensy40": TEENSY_HALFKAY_CONFIG,
+  "teensy:avr:teensy41": TEENSY_HALFKAY_CONFIG,
 };
 
 /**
@@ -220,9 +508,18 @@ export function uses1200BaudTouch(fqbn) {
 export default {
   PROTOCOL_TYPES,
   STK500_CONFIG,
+  STK500V2_CONFIG,
   BOSSA_RENESAS_CONFIG,
+  ESPTOOL_CONFIG,
+  PICOBOOT_CONFIG,
+  DFU_CONFIG,
+  TEENSY_HALFKAY_CONFIG,
+  TEENSY_BOARD_MAP,
+  AVR_MCU_MAP,
   BOARD_PROTOCOL_MAP,
   getProtocolConfig,
+  getTeensyConfig,
+  getAvrConfig,
   getProtocolType,
   getChunkSize,
   getPageSize,
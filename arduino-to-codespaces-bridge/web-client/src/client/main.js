@@ -14,11 +14,22 @@
 
 import { SerialManager } from "./services/SerialManager.js";
 import { TerminalUI } from "./ui/TerminalUI.js";
-import { UploadManager } from "./services/UploadManager.js";
-import { PlotterUI } from "./ui/PlotterUI.js";
+import { UploadManager, STRATEGY_LABELS } from "./services/UploadManager.js";
+import { JobClient } from "./services/JobClient.js";
+import { PlotterUI, WINDOW_UNITS } from "./ui/PlotterUI.js";
+import { PlotterSeriesUI } from "./ui/PlotterSeriesUI.js";
+import { PlotterStatsUI } from "./ui/PlotterStatsUI.js";
+import { parsePlotterLine } from "./services/utils/plotterParser.js";
+import { parseSamplesCsv } from "./services/utils/plotterData.js";
 import { BoardManagerUI } from "./ui/BoardManagerUI.js";
 import { LibraryManagerUI } from "./ui/LibraryManagerUI.js";
 import { ReferenceUI } from "./ui/ReferenceUI.js";
+import { JobsUI } from "./ui/JobsUI.js";
+import { ProblemsUI } from "./ui/ProblemsUI.js";
+import { MemoryUsageUI } from "./ui/MemoryUsageUI.js";
+import { BoardOptionsUI } from "./ui/BoardOptionsUI.js";
+import { CodeEditorUI } from "./ui/CodeEditorUI.js";
+import { NewSketchUI } from "./ui/NewSketchUI.js";
 import { Logger } from "../shared/Logger.js";
 
 // =============================================================================
@@ -235,9 +246,17 @@ startHealthMonitoring();
 
 const terminal = new TerminalUI("terminal-container");
 const plotter = new PlotterUI("plotter-container");
+const plotterSeriesUI = new PlotterSeriesUI("plot-series-panel", plotter);
+const plotterStatsUI = new PlotterStatsUI("plot-stats-panel", plotter);
 const boardManager = new BoardManagerUI("boards-view");
 const libraryManager = new LibraryManagerUI("libraries-view");
 const referenceUI = new ReferenceUI("reference-view");
+const jobsUI = new JobsUI("jobs-view");
+const problemsUI = new ProblemsUI("problems-panel");
+const memoryUsageUI = new MemoryUsageUI("memory-usage");
+const boardOptionsUI = new BoardOptionsUI("board-options");
+const editorUI = new CodeEditorUI("editor-view");
+const newSketchUI = new NewSketchUI("new-sketch-modal");
 
 setupConsoleBridge(terminal);
 
@@ -246,11 +265,31 @@ logger.info(`Loaded at: ${new Date().toISOString()}`);
 
 const serialManager = new SerialManager();
 const uploadManager = new UploadManager();
+const jobClient = new JobClient();
 
 // Initialize manager UIs
 boardManager.init();
 libraryManager.init();
 referenceUI.init();
+jobsUI.init();
+problemsUI.init();
+memoryUsageUI.init();
+boardOptionsUI.init();
+editorUI.init();
+newSketchUI.init();
+plotterSeriesUI.init();
+plotterStatsUI.init();
+
+// Plotter series settings are saved with the sketch
+plotter.onSettingsChange((settings) => {
+  saveSketchProject({ plotter: settings });
+});
+
+// Problems in sketch files open in the Editor tab
+problemsUI.onOpen(async (file, line) => {
+  document.querySelector('.nav-tab[data-view="editor"]')?.click();
+  await editorUI.openFile(file, line);
+});
 
 // Set up main navigation view switching
 setupNavigation();
@@ -298,6 +337,15 @@ async function verifyServerVersion() {
 /** Track the last working baud rate for reconnection after upload */
 let lastWorkingBaudRate = DEFAULT_BAUD_RATE;
 
+/** Flash manifest from the last successful compile (multi-image boards) */
+let lastFlashManifest = null;
+
+/** @type {Object|null} sketch.yaml settings of the selected sketch (see /api/sketch-project) */
+let sketchProject = null;
+
+/** Profile dropdown entry that creates a new profile */
+const NEW_PROFILE_OPTION = "__NEW_PROFILE__";
+
 // UI Elements
 const bridgeStatusBanner = document.getElementById("bridge-status");
 const bridgeStatusText = document.getElementById("bridgeStatusText");
@@ -307,8 +355,11 @@ const connectBtn = document.getElementById("connectBtn");
 const disconnectBtn = document.getElementById("disconnectBtn");
 const baudSelect = document.getElementById("baudRate");
 const boardSelect = document.getElementById("boardType");
+const uploadStrategySelect = document.getElementById("uploadStrategySelect");
 const sketchSelect = document.getElementById("sketchSelect");
+const profileSelect = document.getElementById("profileSelect");
 const includeExamplesCheck = document.getElementById("includeExamplesCheck");
+const cleanBuildCheck = document.getElementById("cleanBuildCheck");
 const compileBtn = document.getElementById("compileBtn");
 const compileUploadBtn = document.getElementById("compileUploadBtn");
 const toggleViewBtn = document.getElementById("toggleViewBtn");
@@ -323,6 +374,18 @@ const clearBtn = document.getElementById("clearBtn");
 const downloadBtn = document.getElementById("downloadBtn");
 const freezePlotBtn = document.getElementById("freezePlotBtn");
 const downloadPlotBtn = document.getElementById("downloadPlotBtn");
+const plotWindowControls = document.getElementById("plotWindowControls");
+const plotAxisSelect = document.getElementById("plotAxisSelect");
+const plotWindowInput = document.getElementById("plotWindowInput");
+const plotWindowUnit = document.getElementById("plotWindowUnit");
+const plotDataControls = document.getElementById("plotDataControls");
+const recordPlotBtn = document.getElementById("recordPlotBtn");
+const plotExportSelect = document.getElementById("plotExportSelect");
+const loadPlotBtn = document.getElementById("loadPlotBtn");
+const loadPlotInput = document.getElementById("loadPlotInput");
+const plotStatus = document.getElementById("plotStatus");
+const plotSeriesBtn = document.getElementById("plotSeriesBtn");
+const plotStatsBtn = document.getElementById("plotStatsBtn");
 
 // Input Bar Elements
 const serialInput = document.getElementById("serialInput");
@@ -526,10 +589,13 @@ downloadBtn.addEventListener("click", () => {
 });
 
 // Freeze Plot Button Handler
-freezePlotBtn.addEventListener("click", () => {
-  const frozen = plotter.toggleFreeze();
+function updateFreezeButton(frozen) {
   freezePlotBtn.textContent = frozen ? "▶ Resume Plot" : "⏸ Freeze Plot";
   freezePlotBtn.style.backgroundColor = frozen ? "#4caf50" : "";
+}
+
+freezePlotBtn.addEventListener("click", () => {
+  updateFreezeButton(plotter.toggleFreeze());
 });
 
 // Download Plot as PNG Button Handler
@@ -537,6 +603,99 @@ downloadPlotBtn.addEventListener("click", () => {
   plotter.downloadPNG();
 });
 
+// Plot Window Handlers
+plotAxisSelect.addEventListener("change", () => {
+  plotter.setAxisMode(plotAxisSelect.value);
+});
+
+function applyPlotWindow() {
+  const size = parseFloat(plotWindowInput.value);
+  if (size > 0) {
+    plotter.setWindow(size, plotWindowUnit.value);
+  }
+}
+plotWindowInput.addEventListener("change", applyPlotWindow);
+plotWindowUnit.addEventListener("change", () => {
+  // 10 seconds and 10 points are very different amounts of data
+  plotWindowInput.value =
+    plotWindowUnit.value === WINDOW_UNITS.POINTS ? "500" : "10";
+  applyPlotWindow();
+});
+
+// Plot Data Handlers
+function setPlotStatus(message, className = "") {
+  plotStatus.textContent = message;
+  plotStatus.className = `plot-status ${className}`.trim();
+}
+
+let recordingTimer = null;
+
+recordPlotBtn.addEventListener("click", () => {
+  if (plotter.isRecording()) {
+    clearInterval(recordingTimer);
+    const count = plotter.stopRecording();
+    recordPlotBtn.textContent = "⏺ Record";
+    recordPlotBtn.classList.remove("recording");
+    setPlotStatus(
+      count > 0
+        ? `Recording saved (${count} samples)`
+        : "Recording stopped, no samples received"
+    );
+    return;
+  }
+
+  plotter.startRecording();
+  recordPlotBtn.classList.add("recording");
+  const showCount = () => {
+    recordPlotBtn.textContent = `⏹ Stop (${plotter.getRecordedCount()})`;
+  };
+  showCount();
+  recordingTimer = setInterval(showCount, 500);
+  setPlotStatus("Recording...");
+});
+
+plotExportSelect.addEventListener("change", () => {
+  const format = plotExportSelect.value;
+  plotExportSelect.value = "";
+  if (!format) return;
+
+  const count = plotter.exportData(format);
+  setPlotStatus(
+    count > 0
+      ? `Exported ${count} samples as ${format.toUpperCase()}`
+      : "No samples to export yet",
+    count > 0 ? "" : "status-warning"
+  );
+});
+
+loadPlotBtn.addEventListener("click", () => loadPlotInput.click());
+
+plotSeriesBtn.addEventListener("click", () => plotterSeriesUI.toggle());
+
+plotStatsBtn.addEventListener("click", () => plotterStatsUI.toggle());
+
+loadPlotInput.addEventListener("change", async () => {
+  const file = loadPlotInput.files[0];
+  loadPlotInput.value = "";
+  if (!file) return;
+
+  try {
+    const rows = parseSamplesCsv(await file.text());
+    const loadedWindow = plotter.loadSamples(rows);
+
+    // Loading widens the window and freezes the plot for review
+    plotWindowInput.value = String(loadedWindow.size);
+    plotWindowUnit.value = loadedWindow.unit;
+    updateFreezeButton(plotter.isFrozen());
+    setPlotStatus(
+      `Showing ${file.name} (${rows.length} samples), Resume Plot for live data`
+    );
+  } catch (err) {
+    logger.error("Failed to load plotter CSV", err);
+    setPlotStatus(`${file.name}: ${err.message}`, "status-warning");
+  }
+});
+
 // Toggle View Handler
 toggleViewBtn.addEventListener("click", () => {
   isPlotterMode = !isPlotterMode;
@@ -547,6 +706,8 @@ toggleViewBtn.addEventListener("click", () => {
     toggleViewBtn.textContent = "Switch to Monitor";
     freezePlotBtn.style.display = "inline-block";
     downloadPlotBtn.style.display = "inline-block";
+    plotWindowControls.classList.remove("hidden");
+    plotDataControls.classList.remove("hidden");
     plotter.resize();
   } else {
     terminalContainer.style.visibility = "visible";
@@ -554,6 +715,10 @@ toggleViewBtn.addEventListener("click", () => {
     toggleViewBtn.textContent = "Switch to Plotter";
     freezePlotBtn.style.display = "none";
     downloadPlotBtn.style.display = "none";
+    plotWindowControls.classList.add("hidden");
+    plotDataControls.classList.add("hidden");
+    plotterSeriesUI.hide();
+    plotterStatsUI.hide();
     terminal.fit(); // Ensure terminal fits new visibility
   }
 });
@@ -609,6 +774,7 @@ async function loadBoards() {
     boardSelect.innerHTML =
       '<option value="arduino:avr:uno">Arduino Uno (Fallback)</option>';
   }
+  syncUploadStrategySelect();
 }
 
 // Load Sketches (and optionally library examples)
@@ -732,6 +898,7 @@ if (includeExamplesCheck) {
 async function initialize() {
   await Promise.all([loadBoards(), loadSketches()]);
   updateCompileButtons();
+  await loadBoardOptions();
 }
 
 initialize();
@@ -743,6 +910,343 @@ function getBoardUploadMode() {
   return board?.uploadMode || "serial";
 }
 
+/** @type {Map<string, Object|null>} /api/board-details responses by FQBN */
+const boardDetailsCache = new Map();
+
+/**
+ * Fetch upload details (protocolType, DFU address, ...) for a board
+ * @param {string} fqbn - Board FQBN
+ * @returns {Promise<Object|null>} Board details, or null if unavailable
+ */
+async function fetchBoardDetails(fqbn) {
+  if (boardDetailsCache.has(fqbn)) return boardDetailsCache.get(fqbn);
+
+  let details = null;
+  try {
+    const response = await fetch(`/api/board-details/${fqbn}`);
+    if (response.ok) details = await response.json();
+  } catch (error) {
+    logger.warn(`Board details unavailable for ${fqbn}`, error);
+  }
+  if (details) boardDetailsCache.set(fqbn, details);
+  return details;
+}
+
+/**
+ * FQBN for compiling: the selected board plus its menu options
+ * @returns {string} e.g. esp32:esp32:esp32:PartitionScheme=huge_app
+ */
+function getSelectedFqbn() {
+  const profile = getSelectedProfile();
+  if (profile) return profile.fqbn;
+
+  // Options still showing for a previous board do not apply
+  return boardOptionsUI.baseFqbn === boardSelect.value
+    ? boardOptionsUI.getFqbn()
+    : boardSelect.value;
+}
+
+/**
+ * Build profile chosen for the selected sketch
+ * @returns {Object|null} Profile from sketch.yaml, null when the board
+ *   selector decides
+ */
+function getSelectedProfile() {
+  return (
+    sketchProject?.profiles?.find(
+      (profile) => profile.name === profileSelect.value && profile.fqbn
+    ) || null
+  );
+}
+
+/**
+ * Show the menus of the selected board with the sketch's saved choices
+ */
+async function loadBoardOptions() {
+  const baseFqbn = boardSelect.value;
+  const details = baseFqbn ? await fetchBoardDetails(baseFqbn) : null;
+
+  // The board may have changed while fetching
+  if (boardSelect.value !== baseFqbn) return;
+
+  // Sketches without saved options keep the current choices
+  boardOptionsUI.show(
+    baseFqbn,
+    details?.configOptions,
+    getSelectedProfile()?.fqbn || sketchProject?.fqbn || getSelectedFqbn()
+  );
+}
+
+/**
+ * Apply the selected sketch's saved board, options, baud, line ending and
+ * plotter series settings
+ * @returns {Promise<boolean>} Whether the FQBN changed
+ */
+async function loadSketchProject() {
+  const previousFqbn = getSelectedFqbn();
+  const sketchPath = sketchSelect.value;
+  let project = null;
+
+  if (sketchPath && sketchPath !== "__REFRESH__") {
+    try {
+      const response = await fetch(
+        `/api/sketch-project?path=${encodeURIComponent(sketchPath)}`
+      );
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error);
+      project = { ...data.project, readOnly: data.readOnly };
+    } catch (error) {
+      logger.warn(`Sketch settings unavailable for ${sketchPath}`, error);
+      terminal.write(
+        `\r\n⚠ Could not read sketch settings: ${error.message}\r\n`
+      );
+    }
+  }
+
+  // Another sketch may have been selected while fetching
+  if (sketchSelect.value !== sketchPath) return false;
+  sketchProject = project;
+  renderProfileSelect();
+  plotter.applySettings(project?.plotter || null);
+
+  const { baud, lineEnding } = project || {};
+  // The baud rate of an open connection is left alone
+  if (
+    baud &&
+    !serialManager.provider.port &&
+    hasOption(baudSelect, `${baud}`)
+  ) {
+    baudSelect.value = `${baud}`;
+    lastWorkingBaudRate = baud;
+  }
+  if (lineEnding && hasOption(lineEndingSelect, lineEnding)) {
+    lineEndingSelect.value = lineEnding;
+  }
+
+  await applySketchBoard();
+  return getSelectedFqbn() !== previousFqbn;
+}
+
+function hasOption(select, value) {
+  return Array.from(select.options).some((option) => option.value === value);
+}
+
+/**
+ * Select the board of the chosen profile, else the sketch's saved board
+ *
+ * While a profile is chosen the board selector and menus are locked, the
+ * profile decides the board.
+ */
+async function applySketchBoard() {
+  const profile = getSelectedProfile();
+  const fqbn = profile?.fqbn || sketchProject?.fqbn;
+
+  if (fqbn) {
+    const baseFqbn = fqbn.split(":").slice(0, 3).join(":");
+    if (hasOption(boardSelect, baseFqbn)) {
+      boardSelect.value = baseFqbn;
+    } else {
+      terminal.write(
+        `\r\n⚠ ${sketchSelect.value} is set up for ${baseFqbn}, which is not installed - see the Board Manager\r\n`
+      );
+    }
+  }
+  boardSelect.disabled = Boolean(profile);
+  boardOptionsUI.setDisabled(Boolean(profile));
+
+  updateCompileButtons();
+  syncUploadStrategySelect();
+  await loadBoardOptions();
+}
+
+/**
+ * Fill the profile dropdown from the sketch's sketch.yaml
+ */
+function renderProfileSelect() {
+  const profiles = sketchProject?.profiles || [];
+  const canCreate = Boolean(sketchProject && !sketchProject.readOnly);
+  profileSelect.classList.toggle("hidden", profiles.length === 0 && !canCreate);
+
+  const addOption = (value, text, title = "") => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    option.title = title;
+    profileSelect.appendChild(option);
+  };
+
+  profileSelect.innerHTML = "";
+  addOption("", "Profile: none");
+  profiles.forEach((profile) => {
+    addOption(
+      profile.name,
+      `Profile: ${profile.name}`,
+      [profile.fqbn, profile.notes].filter(Boolean).join("\n")
+    );
+  });
+  if (canCreate) {
+    addOption(NEW_PROFILE_OPTION, "+ New profile from installed versions...");
+  }
+
+  const defaultProfile = sketchProject?.defaultProfile;
+  profileSelect.value = profiles.some((p) => p.name === defaultProfile)
+    ? defaultProfile
+    : "";
+}
+
+/**
+ * Pin the installed platform and library versions in a new profile
+ * @returns {Promise<boolean>} Whether a profile was created
+ */
+async function createSketchProfile() {
+  const sketchPath = sketchSelect.value;
+  const name = prompt(
+    `Name for the new build profile of ${sketchPath}:\n\nIt pins ${getSelectedFqbn()} and the library versions installed now.`,
+    "classroom"
+  );
+  if (!name) return false;
+
+  try {
+    const response = await fetch("/api/sketch-project/profiles", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        path: sketchPath,
+        name: name.trim(),
+        fqbn: getSelectedFqbn(),
+        makeDefault: true,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error);
+
+    sketchProject = { ...data.project, readOnly: false };
+    terminal.write(
+      `\r\nSaved build profile "${data.profile}" to ${data.project.file}\r\n`
+    );
+    (data.warnings || []).forEach((warning) =>
+      terminal.write(`⚠ ${warning}\r\n`)
+    );
+    return true;
+  } catch (error) {
+    logger.warn("Could not create profile", error);
+    terminal.write(`\r\n⚠ Could not create profile: ${error.message}\r\n`);
+    return false;
+  }
+}
+
+/**
+ * Save the current board, options, baud and line ending to the sketch.yaml
+ * of the selected sketch (library examples are read-only)
+ * @param {Object} [settings] - Settings to save instead, see /api/sketch-project
+ */
+async function saveSketchProject(
+  settings = {
+    // The profile owns the board while one is chosen
+    fqbn: getSelectedProfile() ? undefined : getSelectedFqbn(),
+    baud: parseInt(baudSelect.value, 10) || undefined,
+    lineEnding: lineEndingSelect.value,
+  }
+) {
+  const sketchPath = sketchSelect.value;
+  if (!sketchPath || sketchPath === "__REFRESH__" || sketchProject?.readOnly) {
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/sketch-project", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ path: sketchPath, ...settings }),
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error);
+
+    if (sketchSelect.value === sketchPath) {
+      sketchProject = { ...data.project, readOnly: false };
+    }
+    if (data.changed) {
+      logger.info(`Saved ${data.project.file} for ${sketchPath}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not save sketch settings for ${sketchPath}`, error);
+    terminal.write(
+      `\r\n⚠ Could not save sketch settings: ${error.message}\r\n`
+    );
+  }
+}
+
+/**
+ * Regenerate IntelliSense configuration for the selected board and options
+ */
+async function updateIntelliSense() {
+  const fqbn = getSelectedFqbn();
+  if (!fqbn) return;
+
+  try {
+    const response = await fetch("/api/intellisense", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ fqbn }),
+    });
+    if (response.ok) {
+      logger.info(`IntelliSense updated for: ${fqbn}`);
+      terminal.write(`\r\n✨ IntelliSense updated for ${fqbn}\r\n`);
+    } else {
+      logger.warn("IntelliSense: Failed to update configuration");
+    }
+  } catch (error) {
+    logger.warn("IntelliSense: Error updating configuration", error);
+  }
+}
+
+boardOptionsUI.onChange((fqbn) => {
+  terminal.write(`\r\nBoard options: ${fqbn}\r\n`);
+  updateIntelliSense();
+  saveSketchProject();
+});
+
+lineEndingSelect.addEventListener("change", () => {
+  saveSketchProject();
+});
+
+document.getElementById("newSketchBtn")?.addEventListener("click", () => {
+  newSketchUI.open(getSelectedFqbn());
+});
+
+// Select a new sketch and open it in the Editor tab
+newSketchUI.onCreated(async (sketch, warnings) => {
+  terminal.write(`\r\nCreated sketch ${sketch.name}\r\n`);
+  warnings.forEach((warning) => terminal.write(`⚠ ${warning}\r\n`));
+
+  await loadSketches();
+  sketchSelect.value = sketch.relativePath;
+  sketchSelect.dispatchEvent(new Event("change"));
+  document.querySelector('.nav-tab[data-view="editor"]')?.click();
+});
+
+profileSelect.addEventListener("change", async () => {
+  const previousFqbn = boardOptionsUI.getFqbn();
+  if (profileSelect.value === NEW_PROFILE_OPTION) {
+    await createSketchProfile();
+    renderProfileSelect();
+  } else {
+    // arduino-cli also builds with default_profile when no board is given
+    await saveSketchProject({ defaultProfile: profileSelect.value || null });
+  }
+
+  await applySketchBoard();
+  const profile = getSelectedProfile();
+  terminal.write(
+    profile
+      ? `\r\nBuilding with profile "${profile.name}" (${profile.fqbn})\r\n`
+      : `\r\nBuilding with the selected board\r\n`
+  );
+  if (getSelectedFqbn() !== previousFqbn) {
+    await updateIntelliSense();
+  }
+});
+
 function getBoardUploadInstructions() {
   const fqbn = boardSelect.value;
   const board = availableBoards.find((b) => b.fqbn === fqbn);
@@ -764,6 +1268,10 @@ function updateCompileButtons() {
     // UF2 boards: Change button text and enable without serial connection
     compileUploadBtn.textContent = "Compile & Download (.uf2)";
     compileUploadBtn.disabled = !ready;
+  } else if (uploadMode === "hid") {
+    // HID bootloader boards (Teensy): serial connection is optional
+    compileUploadBtn.textContent = "Compile & Upload (HID)";
+    compileUploadBtn.disabled = !ready;
   } else {
     // Serial upload boards: Require connection
     compileUploadBtn.textContent = "Compile & Upload";
@@ -788,10 +1296,44 @@ sketchSelect.addEventListener("change", async (e) => {
     return;
   }
   updateCompileButtons();
+  editorUI.setSketch(sketchSelect.value);
+
+  // Board, options and serial settings are saved per sketch
+  if (await loadSketchProject()) {
+    await updateIntelliSense();
+  }
+});
+
+/**
+ * Fill the upload method dropdown and show the override for the current board
+ */
+function syncUploadStrategySelect() {
+  if (uploadStrategySelect.options.length === 1) {
+    for (const [id, label] of Object.entries(STRATEGY_LABELS)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = `Upload: ${label}`;
+      uploadStrategySelect.appendChild(option);
+    }
+  }
+  uploadStrategySelect.value =
+    uploadManager.getStrategyOverride(boardSelect.value) || "";
+}
+
+uploadStrategySelect.addEventListener("change", () => {
+  const fqbn = boardSelect.value;
+  const choice = uploadStrategySelect.value || null;
+  uploadManager.setStrategyOverride(fqbn, choice);
+  terminal.write(
+    `\r\nUpload method for ${fqbn}: ${
+      choice ? STRATEGY_LABELS[choice] : "automatic (board details)"
+    }\r\n`
+  );
 });
 
 boardSelect.addEventListener("change", async () => {
   updateCompileButtons();
+  syncUploadStrategySelect();
 
   // Auto-select default baud rate for this board (only if not connected)
   if (!serialManager.provider.port) {
@@ -799,25 +1341,10 @@ boardSelect.addEventListener("change", async () => {
     baudSelect.value = defaultBaud.toString();
   }
 
-  // Update IntelliSense configuration for the selected board
-  const fqbn = boardSelect.value;
-  if (fqbn) {
-    try {
-      const response = await fetch("/api/intellisense", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ fqbn }),
-      });
-      if (response.ok) {
-        logger.info(`IntelliSense updated for: ${fqbn}`);
-        terminal.write(`\r\n✨ IntelliSense updated for ${fqbn}\r\n`);
-      } else {
-        logger.warn("IntelliSense: Failed to update configuration");
-      }
-    } catch (error) {
-      logger.warn("IntelliSense: Error updating configuration", error);
-    }
-  }
+  // Update IntelliSense configuration for the selected board and options
+  await loadBoardOptions();
+  await updateIntelliSense();
+  saveSketchProject();
 
   // Show info message for UF2/download boards
   const uploadMode = getBoardUploadMode();
@@ -843,29 +1370,81 @@ boardSelect.addEventListener("change", async () => {
   }
 });
 
+/**
+ * Show compile diagnostics in the Problems panel and summarize them
+ * @param {Object[]} [diagnostics] - `diagnostics` from the compile result
+ */
+function showProblems(diagnostics = []) {
+  problemsUI.show(diagnostics);
+  // The panel takes space from the terminal
+  terminal.fit();
+
+  const { errors, warnings } = problemsUI.getCounts();
+  if (errors || warnings) {
+    terminal.write(
+      `\r\n${errors} error(s), ${warnings} warning(s) - see Problems below\r\n`
+    );
+  }
+}
+
+/** @type {string|null} Id of the compile job in progress, cancelled by the Compile button */
+let activeCompileJobId = null;
+
 // Compile Function
 async function compileSketch() {
   const sketchPath = sketchSelect.value;
-  const fqbn = boardSelect.value;
+  const fqbn = getSelectedFqbn();
+  const profile = getSelectedProfile()?.name;
+
+  // Compile what the editor shows
+  if (!(await editorUI.saveAll())) {
+    terminal.write(
+      `\r\n⚠ Not compiling: unsaved changes in ${editorUI
+        .getDirtyFiles()
+        .join(", ")} could not be saved (see the Editor tab)\r\n`
+    );
+    return null;
+  }
 
   logger.info(`Compiling sketch: '${sketchPath}' for board: '${fqbn}'`);
   terminal.write(`\r\n[Debug] Selected Sketch: ${sketchPath}\r\n`);
   terminal.write(`[Debug] Selected Board: ${fqbn}\r\n`);
-  terminal.write(`\r\nCompiling ${sketchPath} for ${fqbn}...\r\n`);
+  terminal.write(
+    `\r\nCompiling ${sketchPath} for ${fqbn}${
+      profile ? ` with profile "${profile}"` : ""
+    }...\r\n`
+  );
+  showProblems([]);
+  memoryUsageUI.show(null);
 
   try {
-    const response = await fetch("/api/compile", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ path: sketchPath, fqbn: fqbn }),
-    });
-
-    const data = await response.json();
+    // Compiler output streams into the terminal while the job runs
+    const job = await jobClient.run(
+      "compile",
+      { path: sketchPath, fqbn, profile, clean: cleanBuildCheck?.checked },
+      {
+        onStart: (started) => {
+          activeCompileJobId = started.id;
+          compileBtn.textContent = "Cancel Compile";
+          if (started.jobsAhead) {
+            terminal.write(
+              `Waiting for ${started.jobsAhead} earlier job(s), see the Jobs tab...\r\n`
+            );
+          }
+        },
+        onOutput: (text) => terminal.write(text.replace(/\r?\n/g, "\r\n")),
+      }
+    );
 
-    if (data.log) {
-      terminal.write(data.log.replace(/\n/g, "\r\n") + "\r\n");
+    if (job.status === "cancelled") {
+      terminal.write("\r\nCompilation cancelled.\r\n");
+      return null;
     }
 
+    const data = job.result || { success: false, error: job.error };
+    showProblems(data.diagnostics);
+    memoryUsageUI.show(data.memory, fqbn);
+
     if (Array.isArray(data.missingIncludes) && data.missingIncludes.length) {
       // Separate local includes ("header.h") from library includes (<header.h>)
       const localIncludes = data.missingIncludes.filter(
@@ -917,24 +1496,60 @@ async function compileSketch() {
 
     if (data.success && data.artifact) {
       terminal.write("Compilation Success!\r\n");
+      lastFlashManifest = Array.isArray(data.flashManifest)
+        ? data.flashManifest
+        : null;
       return data.artifact.url;
     } else {
-      terminal.write("Compilation Failed.\r\n");
+      terminal.write(
+        `\r\nCompilation Failed.${data.error ? ` ${data.error}` : ""}\r\n`
+      );
       return null;
     }
   } catch (error) {
     terminal.write(`\r\nError: ${error.message}\r\n`);
     return null;
+  } finally {
+    activeCompileJobId = null;
+    compileBtn.textContent = "Compile";
   }
 }
 
-// Compile Button Handler
+// Compile Button Handler - cancels the compile if one is running
 compileBtn.addEventListener("click", async () => {
+  if (activeCompileJobId) {
+    await jobClient.cancel(activeCompileJobId);
+    return;
+  }
   await compileSketch();
 });
 
+/**
+ * Download every image listed in a compile flash manifest
+ * @param {Array<{role: string, url: string, offset: number}>} manifest - Manifest from /api/compile
+ * @returns {Promise<Array<{role: string, offset: number, data: ArrayBuffer}>>}
+ */
+async function downloadFlashImages(manifest) {
+  const images = [];
+  for (const entry of manifest) {
+    const response = await fetch(entry.url);
+    if (!response.ok) throw new Error(`Failed to download ${entry.name}`);
+    images.push({
+      role: entry.role,
+      offset: entry.offset,
+      data: await response.arrayBuffer(),
+    });
+    terminal.write(
+      `  ${entry.role} → 0x${entry.offset.toString(16)} (${
+        entry.size
+      } bytes)\r\n`
+    );
+  }
+  return images;
+}
+
 // Helper to handle the upload process (reusable for retries)
-async function handleUpload(port, firmwareData, fqbn) {
+async function handleUpload(port, firmwareData, fqbn, uploadOptions = {}) {
   try {
     // 4. Re-open port for Flashing
     // Ensure any previous connection is fully closed first
@@ -958,7 +1573,8 @@ async function handleUpload(port, firmwareData, fqbn) {
           terminal.write(`\rFlashing: ${progress}%`);
         }
       },
-      fqbn
+      fqbn,
+      uploadOptions
     );
     terminal.write("\r\nUpload Complete!\r\n");
 
@@ -1124,6 +1740,66 @@ async function handleUpload(port, firmwareData, fqbn) {
       return;
     }
 
+    // DFU bootloader is up but WebUSB access has not been granted yet
+    if (error.code === "USB_DEVICE_NEEDED") {
+      terminal.write(
+        `\r\n\x1b[1;33mAction Required: ${error.message}\x1b[0m\r\n`
+      );
+
+      bootloaderModal.style.display = "flex";
+
+      const handleSelect = async () => {
+        bootloaderModal.style.display = "none";
+        cleanup();
+
+        try {
+          const usbDevice = await navigator.usb.requestDevice({
+            filters: error.filters,
+          });
+          terminal.write("\r\nResuming upload over WebUSB...\r\n");
+          await uploadManager.upload(
+            null,
+            firmwareData,
+            (progress, status) => {
+              terminal.write(`\r${status || "Flashing"}: ${progress}%`);
+            },
+            fqbn,
+            { ...uploadOptions, usbDevice }
+          );
+          terminal.write("\r\nUpload Complete!\r\n");
+          terminal.write("Click Connect to reopen the Serial Monitor.\r\n");
+        } catch (e) {
+          terminal.write(`\r\nUpload Error: ${e.message}\r\n`);
+        }
+        serialManager.resume();
+        connectBtn.disabled = false;
+        disconnectBtn.disabled = true;
+        baudSelect.disabled = false;
+        updateCompileButtons();
+      };
+
+      const handleCancel = () => {
+        bootloaderModal.style.display = "none";
+        cleanup();
+        terminal.write("\r\nUpload Cancelled.\r\n");
+        serialManager.resume();
+        connectBtn.disabled = false;
+        disconnectBtn.disabled = true;
+        baudSelect.disabled = false;
+        updateCompileButtons();
+      };
+
+      const cleanup = () => {
+        modalSelectPortBtn.removeEventListener("click", handleSelect);
+        modalCancelBtn.removeEventListener("click", handleCancel);
+      };
+
+      modalSelectPortBtn.addEventListener("click", handleSelect);
+      modalCancelBtn.addEventListener("click", handleCancel);
+
+      return;
+    }
+
     if (error.code === "RESET_REQUIRED") {
       terminal.write(
         `\r\n\x1b[1;33mAction Required: ${error.message}\x1b[0m\r\n`
@@ -1139,7 +1815,7 @@ async function handleUpload(port, firmwareData, fqbn) {
         try {
           const newPort = await navigator.serial.requestPort();
           terminal.write("\r\nResuming upload with new port...\r\n");
-          await handleUpload(newPort, firmwareData, fqbn);
+          await handleUpload(newPort, firmwareData, fqbn, uploadOptions);
         } catch (e) {
           terminal.write("\r\nUpload Cancelled.\r\n");
           serialManager.resume();
@@ -1228,6 +1904,28 @@ compileUploadBtn.addEventListener("click", async () => {
 
   // UF2 DOWNLOAD MODE (Pico, Teensy, etc.)
   if (uploadMode === "uf2-download") {
+    const strategy = uploadManager.getStrategy(fqbn);
+
+    // RP2040 already in BOOTSEL: flash over PICOBOOT (WebUSB)
+    if (!serialManager.provider.port && strategy?.supportsPicoboot?.()) {
+      let usbDevice = null;
+      try {
+        usbDevice = await strategy.selectBootDevice();
+      } catch (error) {
+        terminal.write(`\r\nWebUSB unavailable: ${error.message}\r\n`);
+      }
+      if (usbDevice) {
+        await handlePicobootUpload(fqbn, usbDevice);
+        return;
+      }
+    }
+
+    // RP2040: write straight to the RPI-RP2 drive when the browser allows it
+    if (strategy?.supportsDirectWrite?.()) {
+      await handleUf2DriveUpload(fqbn, strategy);
+      return;
+    }
+
     terminal.write(`\r\n[UF2 Download Mode] Board: ${fqbn}\r\n`);
 
     // 1. Compile
@@ -1286,6 +1984,12 @@ compileUploadBtn.addEventListener("click", async () => {
     return;
   }
 
+  // HID UPLOAD MODE (Teensy HalfKay)
+  if (uploadMode === "hid") {
+    await handleHidUpload(fqbn);
+    return;
+  }
+
   // SERIAL UPLOAD MODE (AVR, BOSSA, ESP32, etc.)
   if (!serialManager.provider.port) return;
 
@@ -1298,6 +2002,15 @@ compileUploadBtn.addEventListener("click", async () => {
     return; // User cancelled due to mismatch
   }
 
+  // Resolve the upload strategy before compiling so unsupported boards fail fast
+  const details = await fetchBoardDetails(fqbn);
+  try {
+    uploadManager.requireStrategy(fqbn, details?.protocolType);
+  } catch (error) {
+    terminal.write(`\r\n\x1b[1;31m${error.message}\x1b[0m\r\n`);
+    return;
+  }
+
   // Pause serial monitor during compile/upload to avoid garbled output
   serialManager.pause();
   terminal.write("\r\n[Serial Monitor paused during compile/upload]\r\n");
@@ -1325,18 +2038,176 @@ compileUploadBtn.addEventListener("click", async () => {
     if (!response.ok) throw new Error("Failed to download firmware");
     firmwareData = await response.arrayBuffer();
 
+    // Multi-image boards (ESP32) also need bootloader and partition images
+    const uploadOptions = {};
+    if (details) {
+      uploadOptions.protocolType = details.protocolType;
+      if (details.dfu) uploadOptions.dfu = details.dfu;
+    }
+    if (lastFlashManifest) {
+      terminal.write("Downloading flash images...\r\n");
+      uploadOptions.images = await downloadFlashImages(lastFlashManifest);
+    }
+
     // 3. Disconnect Serial Monitor
     if (serialManager.provider.port) {
       await serialManager.disconnect();
     }
 
     // Start Upload Process
-    await handleUpload(savedPort, firmwareData, fqbn);
+    await handleUpload(savedPort, firmwareData, fqbn, uploadOptions);
   } catch (error) {
     terminal.write(`\r\nError: ${error.message}\r\n`);
   }
 });
 
+/**
+ * Compile and flash a board whose bootloader is a HID device (Teensy).
+ * If the serial monitor is connected its port is handed to the strategy so
+ * it can reboot the board into the bootloader; it is not reconnected after.
+ * @param {string} fqbn - Selected board FQBN
+ */
+async function handleHidUpload(fqbn) {
+  const savedPort = serialManager.provider.port;
+
+  if (savedPort) serialManager.pause();
+
+  const artifactUrl = await compileSketch();
+  if (!artifactUrl) {
+    if (savedPort) serialManager.resume();
+    return;
+  }
+
+  try {
+    terminal.write("Downloading firmware...\r\n");
+    const response = await fetch(artifactUrl);
+    if (!response.ok) throw new Error("Failed to download firmware");
+    const firmwareData = await response.arrayBuffer();
+
+    if (savedPort) {
+      await serialManager.disconnect();
+      updateConnectionUIState(false);
+      updateCompileButtons();
+    }
+
+    terminal.write(
+      "\r\nSelect the Teensy bootloader (HalfKay) in the browser prompt.\r\n"
+    );
+    await uploadManager.upload(
+      savedPort,
+      firmwareData,
+      (progress, status) => {
+        terminal.write(`\r${status || "Flashing"}: ${progress}%`);
+      },
+      fqbn
+    );
+    terminal.write("\r\nUpload Complete!\r\n");
+    terminal.write("Click Connect to reopen the Serial Monitor.\r\n");
+  } catch (error) {
+    logger.error("HID upload failed", error);
+    terminal.write(`\r\nUpload Error: ${error.message}\r\n`);
+  } finally {
+    if (savedPort) serialManager.resume();
+  }
+}
+
+/**
+ * Compile and flash a UF2 over PICOBOOT to a board already in BOOTSEL mode.
+ * @param {string} fqbn - Selected board FQBN
+ * @param {USBDevice} usbDevice - Boot ROM device picked on click
+ */
+async function handlePicobootUpload(fqbn, usbDevice) {
+  terminal.write(`\r\n[PICOBOOT Mode] Board: ${fqbn}\r\n`);
+
+  const artifactUrl = await compileSketch();
+  if (!artifactUrl) return;
+
+  try {
+    terminal.write("Downloading firmware...\r\n");
+    const response = await fetch(artifactUrl);
+    if (!response.ok) throw new Error("Failed to download firmware");
+    const firmwareData = await response.arrayBuffer();
+
+    await uploadManager.upload(
+      null,
+      firmwareData,
+      (progress, status) => {
+        terminal.write(`\r${status || "Flashing"}: ${progress}%`);
+      },
+      fqbn,
+      { usbDevice }
+    );
+    terminal.write("\r\nUpload Complete!\r\n");
+    terminal.write("Click Connect to open the Serial Monitor.\r\n");
+  } catch (error) {
+    logger.error("PICOBOOT upload failed", error);
+    terminal.write(`\r\nUpload Error: ${error.message}\r\n`);
+  }
+}
+
+/**
+ * Compile and copy a UF2 onto the RPI-RP2 boot drive (File System Access API).
+ * The drive is picked before compiling because the picker and permission
+ * prompt need the click's user activation. A connected serial port is used
+ * for the 1200 baud touch into BOOTSEL mode and is not reconnected after.
+ * @param {string} fqbn - Selected board FQBN
+ * @param {RP2040Strategy} strategy - Strategy returned by the upload manager
+ */
+async function handleUf2DriveUpload(fqbn, strategy) {
+  terminal.write(`\r\n[UF2 Drive Mode] Board: ${fqbn}\r\n`);
+
+  let driveHandle;
+  try {
+    driveHandle = await strategy.selectDrive();
+  } catch (error) {
+    terminal.write(
+      `\r\nNo RPI-RP2 drive selected: ${error.message}\r\n` +
+        "Hold BOOTSEL while plugging in the board, then pick its drive.\r\n"
+    );
+    return;
+  }
+  terminal.write(`Boot drive: ${driveHandle.name}\r\n`);
+
+  const savedPort = serialManager.provider.port;
+  if (savedPort) serialManager.pause();
+
+  const artifactUrl = await compileSketch();
+  if (!artifactUrl) {
+    if (savedPort) serialManager.resume();
+    return;
+  }
+
+  try {
+    terminal.write("Downloading firmware...\r\n");
+    const response = await fetch(artifactUrl);
+    if (!response.ok) throw new Error("Failed to download firmware");
+    const firmwareData = await response.arrayBuffer();
+
+    if (savedPort) {
+      await serialManager.disconnect();
+      updateConnectionUIState(false);
+      updateCompileButtons();
+    }
+
+    await uploadManager.upload(
+      savedPort,
+      firmwareData,
+      (progress, status) => {
+        terminal.write(`\r${status || "Writing"}: ${progress}%`);
+      },
+      fqbn,
+      { driveHandle }
+    );
+    terminal.write("\r\nUpload Complete!\r\n");
+    terminal.write("Click Connect to reopen the Serial Monitor.\r\n");
+  } catch (error) {
+    logger.error("UF2 drive upload failed", error);
+    terminal.write(`\r\nUpload Error: ${error.message}\r\n`);
+  } finally {
+    if (savedPort) serialManager.resume();
+  }
+}
+
 // Get default baud rate for a board (used when user hasn't selected a baud)
 function getDefaultBaudRate(fqbn) {
   // Legacy AVR boards (Uno, Mega, Nano) traditionally used 9600
@@ -1470,6 +2341,7 @@ connectBtn.addEventListener("click", async () => {
         boardSelect.value = detectedBoard.fqbn;
         terminal.write(`\r\nAuto-detected board: ${detectedBoard.name}\r\n`);
         updateCompileButtons();
+        loadBoardOptions().then(saveSketchProject);
       }
     }
 
@@ -1498,6 +2370,9 @@ connectBtn.addEventListener("click", async () => {
     sendBtn.disabled = false;
 
     terminal.write("\r\nConnected to Serial Port\r\n");
+
+    // The plotter's time axis counts from the connection
+    plotter.clear();
   } catch (error) {
     logger.error("Connection failed", error);
     terminal.write(`\r\nError: ${error.message}\r\n`);
@@ -1534,6 +2409,7 @@ baudSelect.addEventListener("change", async () => {
 
   // Always track the selected baud rate for reconnection
   lastWorkingBaudRate = newBaudRate;
+  saveSketchProject();
 
   // If connected, reconnect with new baud rate
   if (serialManager.provider.port) {
@@ -1574,36 +2450,9 @@ serialManager.provider.on("data", (data) => {
 
 // Handle parsed lines for Plotter
 serialManager.on("line", (line) => {
-  // Simple parser for "Arduino Serial Plotter" format
-  // Supports: "val1, val2, val3" or "val1 val2" or "label:val1"
-
-  const trimmed = line.trim();
-  if (!trimmed) return;
-
-  // 1. Try to match "Label:Value" pairs first?
-  // Actually, standard Arduino plotter is simpler: just look for numbers.
-  // But "Label:Value" is a common extension.
-
-  // Regex to find numbers.
-  // This splits by comma or space, then checks if parts are numbers.
-  const parts = trimmed.split(/[\s,]+/);
-  const values = [];
-
-  for (const part of parts) {
-    // Check for "Label:Value"
-    if (part.includes(":")) {
-      const subparts = part.split(":");
-      const val = parseFloat(subparts[1]);
-      if (!isNaN(val)) values.push(val);
-    } else {
-      const val = parseFloat(part);
-      if (!isNaN(val)) values.push(val);
-    }
-  }
-
-  if (values.length > 0) {
-    const timestamp = new Date().toLocaleTimeString();
-    plotter.addData(timestamp, values);
+  const samples = parsePlotterLine(line);
+  if (samples) {
+    plotter.addData(samples);
   }
 });
 
@@ -1683,7 +2532,14 @@ function setupNavigation() {
   // Handle hash-based routing (for deep links)
   function handleHashRoute() {
     const hash = window.location.hash.replace("#/", "").replace("#", "");
-    const validViews = ["serial", "boards", "libraries", "reference"];
+    const validViews = [
+      "serial",
+      "editor",
+      "boards",
+      "libraries",
+      "jobs",
+      "reference",
+    ];
 
     if (validViews.includes(hash)) {
       const tab = document.querySelector(`.nav-tab[data-view="${hash}"]`);
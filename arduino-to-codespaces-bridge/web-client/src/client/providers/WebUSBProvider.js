@@ -9,6 +9,7 @@ export class WebUSBProvider {
     this.interfaceNumber = 0;
     this.endpointIn = 0;
     this.endpointOut = 0;
+    this.alternate = null;
   }
 
   async requestDevice(filters = []) {
@@ -21,21 +22,35 @@ export class WebUSBProvider {
     }
   }
 
-  async connect(device) {
+  async connect(device, { interfaceClass, alternateSetting } = {}) {
     this.device = device;
     await this.device.open();
     if (this.device.configuration === null) {
       await this.device.selectConfiguration(1);
     }
 
-    // Find the first interface with bulk endpoints
+    // Find the first interface with bulk endpoints (optionally of one class,
+    // e.g. vendor-specific 0xFF to skip a mass storage interface). A class
+    // match is enough for control-only interfaces such as DFU.
     const configuration = this.device.configuration;
     let foundInterface = null;
 
     for (const iface of configuration.interfaces) {
-      const alternate = iface.alternates[0];
+      const alternate =
+        iface.alternates.find(
+          (a) =>
+            alternateSetting === undefined ||
+            a.alternateSetting === alternateSetting
+        ) || iface.alternates[0];
       const endpoints = alternate.endpoints;
 
+      if (
+        interfaceClass !== undefined &&
+        alternate.interfaceClass !== interfaceClass
+      ) {
+        continue;
+      }
+
       const inEndpoint = endpoints.find(
         (e) => e.direction === "in" && e.type === "bulk"
       );
@@ -43,11 +58,12 @@ export class WebUSBProvider {
         (e) => e.direction === "out" && e.type === "bulk"
       );
 
-      if (inEndpoint && outEndpoint) {
+      if ((inEndpoint && outEndpoint) || interfaceClass !== undefined) {
         foundInterface = iface;
+        this.alternate = alternate;
         this.interfaceNumber = iface.interfaceNumber;
-        this.endpointIn = inEndpoint.endpointNumber;
-        this.endpointOut = outEndpoint.endpointNumber;
+        this.endpointIn = inEndpoint?.endpointNumber ?? 0;
+        this.endpointOut = outEndpoint?.endpointNumber ?? 0;
         break;
       }
     }
@@ -59,6 +75,12 @@ export class WebUSBProvider {
     }
 
     await this.device.claimInterface(this.interfaceNumber);
+    if (foundInterface && alternateSetting !== undefined) {
+      await this.device.selectAlternateInterface(
+        this.interfaceNumber,
+        this.alternate.alternateSetting
+      );
+    }
   }
 
   async disconnect() {
@@ -77,4 +99,64 @@ export class WebUSBProvider {
     if (!this.device) throw new Error("Device not connected");
     return await this.device.transferIn(this.endpointIn, length);
   }
+
+  // Vendor (or class) requests addressed to the claimed interface
+  async controlTransferOut(request, value = 0, data, requestType = "vendor") {
+    if (!this.device) throw new Error("Device not connected");
+    return await this.device.controlTransferOut(
+      {
+        requestType,
+        recipient: "interface",
+        request,
+        value,
+        index: this.interfaceNumber,
+      },
+      data
+    );
+  }
+
+  async controlTransferIn(
+    request,
+    value = 0,
+    length = 0,
+    requestType = "vendor"
+  ) {
+    if (!this.device) throw new Error("Device not connected");
+    return await this.device.controlTransferIn(
+      {
+        requestType,
+        recipient: "interface",
+        request,
+        value,
+        index: this.interfaceNumber,
+      },
+      length
+    );
+  }
+
+  // Standard GET_DESCRIPTOR, e.g. type 2 for the full configuration descriptor
+  async getDescriptor(type, index = 0, length = 255) {
+    if (!this.device) throw new Error("Device not connected");
+    const result = await this.device.controlTransferIn(
+      {
+        requestType: "standard",
+        recipient: "device",
+        request: 0x06,
+        value: (type << 8) | index,
+        index: 0,
+      },
+      length
+    );
+    return new Uint8Array(
+      result.data.buffer,
+      result.data.byteOffset,
+      result.data.byteLength
+    );
+  }
+
+  async clearHalt(direction) {
+    if (!this.device) throw new Error("Device not connected");
+    const endpoint = direction === "in" ? this.endpointIn : this.endpointOut;
+    await this.device.clearHalt(direction, endpoint);
+  }
 }
@@ -0,0 +1,165 @@
+/**
+ * Job Client Service
+ *
+ * Starts long server operations through /api/jobs and follows them:
+ * - Jobs queue on the server and run one at a time
+ * - Output and percent progress arrive over Server-Sent Events
+ * - Reconnects resume without repeating output already seen
+ * - Jobs can be cancelled while running
+ *
+ * @module client/services/JobClient
+ */
+
+// =============================================================================
+// JobClient Class
+// =============================================================================
+
+/**
+ * Client for the bridge server's job API
+ */
+export class JobClient {
+  /**
+   * Start a job
+   * @param {string} type - Job type ('compile', 'upload', 'core-install', 'library-install')
+   * @param {Object} params - Request parameters for the job type
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If the server refuses the job
+   */
+  async start(type, params) {
+    const res = await fetch("/api/jobs", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type, ...params }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      throw new Error(data.error || `Could not start ${type} job`);
+    }
+    return data.job;
+  }
+
+  /**
+   * Follow a job until it finishes
+   * @param {string} jobId - Job id
+   * @param {Object} [handlers] - Event callbacks
+   * @param {function(Object): void} [handlers.onStatus] - Job summary when a queued job starts
+   * @param {function(string, string): void} [handlers.onOutput] - Output text and stream
+   * @param {function(number|null, string): void} [handlers.onProgress] - Percent (null if unknown) and step
+   * @returns {Promise<Object>} Final job summary, including `result`
+   */
+  follow(jobId, { onStatus, onOutput, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(
+        `/api/jobs/${encodeURIComponent(jobId)}/events`
+      );
+      // Absolute position of the end of the output passed on so far
+      let seen = 0;
+
+      // Pass on the part of a chunk at an absolute position not seen yet
+      const emitOutput = (text, offset, stream) => {
+        if (!text) return;
+        if (offset > seen) {
+          // The server dropped old output while we were disconnected
+          const dropped = `[... ${
+            offset - seen
+          } characters of output dropped ...]\n`;
+          if (onOutput) onOutput(dropped, "stderr");
+        } else {
+          text = text.slice(seen - offset);
+          if (!text) return;
+        }
+        seen = offset + text.length;
+        if (onOutput) onOutput(text, stream);
+      };
+
+      // Sent on every (re)connect with the output the server still holds
+      source.addEventListener("snapshot", (e) => {
+        const job = JSON.parse(e.data);
+        emitOutput(job.output || "", job.outputOffset || 0, "stdout");
+        if (onProgress) onProgress(job.percent, job.progressStatus);
+      });
+
+      source.addEventListener("status", (e) => {
+        if (onStatus) onStatus(JSON.parse(e.data));
+      });
+
+      source.addEventListener("output", (e) => {
+        const { text, offset, stream } = JSON.parse(e.data);
+        emitOutput(text, offset, stream);
+      });
+
+      source.addEventListener("progress", (e) => {
+        const { percent, status } = JSON.parse(e.data);
+        if (onProgress) onProgress(percent, status);
+      });
+
+      source.addEventListener("done", (e) => {
+        source.close();
+        resolve(JSON.parse(e.data));
+      });
+
+      source.onerror = () => {
+        // EventSource retries by itself unless the server refused the stream
+        if (source.readyState === EventSource.CLOSED) {
+          reject(new Error(`Lost connection to job ${jobId}`));
+        }
+      };
+    });
+  }
+
+  /**
+   * Start a job and follow it to completion
+   * @param {string} type - Job type
+   * @param {Object} params - Request parameters
+   * @param {Object} [handlers] - See follow()
+   * @param {function(Object): void} [handlers.onStart] - Receives the job summary once started
+   * @returns {Promise<Object>} Final job summary
+   */
+  async run(type, params, handlers = {}) {
+    const job = await this.start(type, params);
+    if (handlers.onStart) handlers.onStart(job);
+    return this.follow(job.id, handlers);
+  }
+
+  /**
+   * List recent jobs, newest first
+   * @returns {Promise<Object[]>} Job summaries
+   */
+  async list() {
+    const res = await fetch("/api/jobs");
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      throw new Error(data.error || "Could not load jobs");
+    }
+    return data.jobs;
+  }
+
+  /**
+   * Queue a job again with the same parameters
+   * @param {string} jobId - Id of the earlier job
+   * @returns {Promise<Object>} Summary of the new job
+   * @throws {Error} If the server refuses the job
+   */
+  async rerun(jobId) {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/rerun`, {
+      method: "POST",
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      throw new Error(data.error || "Could not re-run job");
+    }
+    return data.job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job id
+   * @returns {Promise<boolean>} False if the job had already finished
+   */
+  async cancel(jobId) {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/cancel`, {
+      method: "POST",
+    });
+    return res.ok;
+  }
+}
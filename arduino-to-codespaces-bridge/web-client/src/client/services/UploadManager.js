@@ -2,7 +2,8 @@
  * Upload Manager Service
  *
  * Manages firmware uploads to Arduino boards:
- * - Strategy selection based on board FQBN
+ * - Strategy selection from a per-board user override, the board-details
+ *   protocolType, then a table of known FQBN prefixes
  * - Supports multiple upload protocols (STK500, BOSSA, ESPTool, etc.)
  * - Progress reporting and error handling
  *
@@ -14,8 +15,27 @@ import { BOSSAStrategy } from "./strategies/BOSSAStrategy.js";
 import { ESPToolStrategy } from "./strategies/ESPToolStrategy.js";
 import { TeensyStrategy } from "./strategies/TeensyStrategy.js";
 import { RP2040Strategy } from "./strategies/RP2040Strategy.js";
+import { DFUStrategy } from "./strategies/DFUStrategy.js";
 import { UploadLogger } from "./utils/UploadLogger.js";
 
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {string} OVERRIDES_STORAGE_KEY - localStorage key for per-FQBN strategy overrides */
+const OVERRIDES_STORAGE_KEY = "arduinoBridge.uploadStrategyOverrides";
+
+/** @constant {Object<string, string>} STRATEGY_LABELS - Selectable strategies by protocolType */
+export const STRATEGY_LABELS = {
+  stk500: "AVR (STK500v1)",
+  stk500v2: "AVR (STK500v2)",
+  bossa: "BOSSA (SAM-BA)",
+  esptool: "ESPTool",
+  rp2040: "RP2040 (UF2/PICOBOOT)",
+  teensy: "Teensy (HalfKay)",
+  dfu: "DFU (WebUSB)",
+};
+
 // =============================================================================
 // UploadManager Class
 // =============================================================================
@@ -27,36 +47,162 @@ export class UploadManager {
   constructor() {
     this.log = new UploadLogger("Manager");
 
-    /** @type {Object<string, object>} Strategy instances keyed by FQBN prefix */
-    this.strategies = {
-      "arduino:avr": new AVRStrategy(),
-      "arduino:renesas_uno": new BOSSAStrategy(),
-      "arduino:samd": new BOSSAStrategy(),
-      "arduino:esp32": new ESPToolStrategy(),
-      "esp32:esp32": new ESPToolStrategy(),
-      "teensy:avr": new TeensyStrategy(),
-      "arduino:mbed_nano": new BOSSAStrategy(),
-      "arduino:mbed_portenta": new BOSSAStrategy(),
-      "arduino:mbed_rp2040": new RP2040Strategy(),
-      "rp2040:rp2040": new RP2040Strategy(),
+    const avr = new AVRStrategy();
+    const bossa = new BOSSAStrategy();
+    const esptool = new ESPToolStrategy();
+    const teensy = new TeensyStrategy();
+    const rp2040 = new RP2040Strategy();
+    const dfu = new DFUStrategy();
+
+    /** @type {Object<string, object>} Strategy instances keyed by board-details protocolType */
+    this.protocolStrategies = {
+      stk500: avr,
+      stk500v2: avr,
+      bossa,
+      esptool,
+      rp2040,
+      teensy,
+      dfu,
+    };
+
+    /**
+     * Known platforms, used when board details are unavailable
+     * @type {Object<string, string>} protocolType keyed by FQBN prefix
+     */
+    this.fqbnProtocols = {
+      "arduino:avr": "stk500",
+      "arduino:renesas_uno": "bossa",
+      "arduino:samd": "bossa",
+      "arduino:esp32": "esptool",
+      "esp32:esp32": "esptool",
+      "esp8266:esp8266": "esptool",
+      "teensy:avr": "teensy",
+      "arduino:mbed_nano": "bossa",
+      "arduino:mbed_portenta": "dfu",
+      "arduino:mbed_giga": "dfu",
+      "arduino:mbed_rp2040": "rp2040",
+      "rp2040:rp2040": "rp2040",
     };
+
+    /** @type {Object<string, string>} User-chosen protocolType keyed by FQBN */
+    this.overrides = this.loadOverrides();
   }
 
+  // ===========================================================================
+  // Overrides
+  // ===========================================================================
+
   /**
-   * Get the appropriate upload strategy for a board
+   * Read persisted overrides
+   * @returns {Object<string, string>}
+   * @private
+   */
+  loadOverrides() {
+    try {
+      return JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Force a strategy for one board, or clear the override
    * @param {string} fqbn - Fully qualified board name
-   * @returns {object} Upload strategy instance
+   * @param {string|null} protocolType - Key of STRATEGY_LABELS, or null for automatic
    */
-  getStrategy(fqbn) {
-    if (!fqbn) return this.strategies["arduino:avr"];
+  setStrategyOverride(fqbn, protocolType) {
+    if (protocolType && !this.protocolStrategies[protocolType]) {
+      throw new Error(`Unknown upload strategy "${protocolType}"`);
+    }
 
-    for (const key of Object.keys(this.strategies)) {
-      if (fqbn.startsWith(key)) {
-        return this.strategies[key];
-      }
+    if (protocolType) {
+      this.overrides[fqbn] = protocolType;
+    } else {
+      delete this.overrides[fqbn];
     }
 
-    return this.strategies["arduino:avr"];
+    try {
+      localStorage.setItem(
+        OVERRIDES_STORAGE_KEY,
+        JSON.stringify(this.overrides)
+      );
+    } catch (e) {
+      this.log.warn(`Could not persist strategy override: ${e.message}`);
+    }
+  }
+
+  /**
+   * Get the user override for a board
+   * @param {string} fqbn - Fully qualified board name
+   * @returns {string|null} protocolType, or null if automatic
+   */
+  getStrategyOverride(fqbn) {
+    return this.overrides[fqbn] || null;
+  }
+
+  // ===========================================================================
+  // Strategy Resolution
+  // ===========================================================================
+
+  /**
+   * Work out which protocol a board is flashed with
+   * @param {string} fqbn - Fully qualified board name
+   * @param {string} [protocolType] - protocolType from /api/board-details
+   * @returns {{protocolType: string|null, source: string}} Resolved protocol and where it came from
+   */
+  resolveProtocol(fqbn, protocolType) {
+    const override = fqbn && this.getStrategyOverride(fqbn);
+    if (override) return { protocolType: override, source: "override" };
+
+    if (protocolType && this.protocolStrategies[protocolType]) {
+      return { protocolType, source: "board details" };
+    }
+
+    const prefix = Object.keys(this.fqbnProtocols).find((key) =>
+      (fqbn || "").startsWith(key)
+    );
+    if (prefix) {
+      return { protocolType: this.fqbnProtocols[prefix], source: "FQBN" };
+    }
+
+    return { protocolType: null, source: "none" };
+  }
+
+  /**
+   * Get the appropriate upload strategy for a board
+   * @param {string} fqbn - Fully qualified board name
+   * @param {string} [protocolType] - protocolType from /api/board-details
+   * @returns {object|null} Upload strategy instance, or null if the browser can't flash this board
+   */
+  getStrategy(fqbn, protocolType) {
+    const resolved = this.resolveProtocol(fqbn, protocolType);
+    return resolved.protocolType
+      ? this.protocolStrategies[resolved.protocolType]
+      : null;
+  }
+
+  /**
+   * Resolve the strategy for a board or explain why there is none
+   * @param {string} fqbn - Fully qualified board name
+   * @param {string} [protocolType] - protocolType from /api/board-details
+   * @returns {{strategy: object, protocolType: string, source: string}}
+   * @throws {Error} With code NO_BROWSER_STRATEGY if no strategy can flash the board
+   */
+  requireStrategy(fqbn, protocolType) {
+    const resolved = this.resolveProtocol(fqbn, protocolType);
+    if (!resolved.protocolType) {
+      const error = new Error(
+        `No browser upload strategy for ${fqbn} (protocol: ${
+          protocolType || "unknown"
+        }). Choose an upload method for this board, or upload server-side with arduino-cli (POST /api/upload) from a machine the board is plugged into.`
+      );
+      error.code = "NO_BROWSER_STRATEGY";
+      throw error;
+    }
+    return {
+      ...resolved,
+      strategy: this.protocolStrategies[resolved.protocolType],
+    };
   }
 
   /**
@@ -65,23 +211,29 @@ export class UploadManager {
    * @param {ArrayBuffer|string} hexString - Firmware data
    * @param {function} progressCallback - Progress callback (percent, status)
    * @param {string} fqbn - Fully qualified board name
+   * @param {Object} [options] - Strategy-specific options (e.g. flash images)
+   * @param {string} [options.protocolType] - board-details protocol, used unless the board has an override
+   * @throws {Error} With code NO_BROWSER_STRATEGY if no strategy can flash the board
    * @throws {Error} If upload fails
    */
-  async upload(port, hexString, progressCallback, fqbn) {
-    const strategy = this.getStrategy(fqbn);
-    if (!strategy) {
-      throw new Error(`No upload strategy found for board: ${fqbn}`);
-    }
+  async upload(port, hexString, progressCallback, fqbn, options = {}) {
+    const { strategy, protocolType, source } = this.requireStrategy(
+      fqbn,
+      options.protocolType
+    );
 
     this.log.info(
-      `Using ${strategy.name || "unknown strategy"} for ${
-        fqbn || "default (arduino:avr)"
-      }`
+      `Using ${
+        strategy.name || "unknown strategy"
+      } for ${fqbn} (${protocolType}, from ${source})`
     );
 
     try {
       await strategy.prepare(port, fqbn);
-      await strategy.flash(port, hexString, progressCallback, fqbn);
+      await strategy.flash(port, hexString, progressCallback, fqbn, {
+        ...options,
+        protocolType,
+      });
     } catch (error) {
       this.log.error("Upload failed", error);
       throw error;
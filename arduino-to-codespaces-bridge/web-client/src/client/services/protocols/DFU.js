@@ -0,0 +1,541 @@
+/**
+ * DFU Protocol Implementation
+ *
+ * Low-level implementation of USB Device Firmware Upgrade over WebUSB control
+ * transfers, as used by dfu-util:
+ * - DFU 1.1: sequential DNLOAD blocks, GETSTATUS polling, manifestation
+ * - ST DfuSe extensions (bcdDFU 0x011A): memory layout from the interface
+ *   name, sector erase, set address pointer and "leave" to start the app
+ *
+ * Used by the Portenta, Giga and Opta bootloaders and the STM32 ROM.
+ *
+ * @module client/services/protocols/DFU
+ */
+
+import { DFU_CONFIG } from "../../config/boardProtocols.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { toFlatImage } from "../utils/firmwareImage.js";
+
+// =============================================================================
+// DFU Protocol Constants
+// =============================================================================
+
+/** @constant {number} DFU_DNLOAD - Class request: download block */
+const DFU_DNLOAD = 0x01;
+
+/** @constant {number} DFU_GETSTATUS - Class request: status and poll timeout */
+const DFU_GETSTATUS = 0x03;
+
+/** @constant {number} DFU_CLRSTATUS - Class request: leave dfuERROR */
+const DFU_CLRSTATUS = 0x04;
+
+/** @constant {number} DFU_ABORT - Class request: return to dfuIDLE */
+const DFU_ABORT = 0x06;
+
+/** @constant {number} DFUSE_SET_ADDRESS - DfuSe command: set address pointer */
+const DFUSE_SET_ADDRESS = 0x21;
+
+/** @constant {number} DFUSE_ERASE - DfuSe command: erase sector at address */
+const DFUSE_ERASE = 0x41;
+
+/** @constant {number} DFUSE_VERSION - bcdDFUVersion of DfuSe devices */
+const DFUSE_VERSION = 0x011a;
+
+/** @constant {number} DFU_FUNCTIONAL_DESCRIPTOR - bDescriptorType of the DFU functional descriptor */
+const DFU_FUNCTIONAL_DESCRIPTOR = 0x21;
+
+/** @constant {number} INTERFACE_DESCRIPTOR - bDescriptorType of an interface descriptor */
+const INTERFACE_DESCRIPTOR = 0x04;
+
+/** @constant {number} ATTR_MANIFESTATION_TOLERANT - bmAttributes bit 2 */
+const ATTR_MANIFESTATION_TOLERANT = 0x04;
+
+/** @constant {Object<string, number>} STATE - bState values */
+const STATE = {
+  APP_IDLE: 0,
+  APP_DETACH: 1,
+  DFU_IDLE: 2,
+  DNLOAD_SYNC: 3,
+  DNBUSY: 4,
+  DNLOAD_IDLE: 5,
+  MANIFEST_SYNC: 6,
+  MANIFEST: 7,
+  MANIFEST_WAIT_RESET: 8,
+  UPLOAD_IDLE: 9,
+  ERROR: 10,
+};
+
+/** @constant {string[]} STATUS_NAMES - bStatus values from the DFU 1.1 spec */
+const STATUS_NAMES = [
+  "OK",
+  "errTARGET",
+  "errFILE",
+  "errWRITE",
+  "errERASE",
+  "errCHECK_ERASED",
+  "errPROG",
+  "errVERIFY",
+  "errADDRESS",
+  "errNOTDONE",
+  "errFIRMWARE",
+  "errVENDOR",
+  "errUSBR",
+  "errPOR",
+  "errUNKNOWN",
+  "errSTALLEDPKT",
+];
+
+/** @constant {Object<string, number>} SIZE_MULTIPLIERS - DfuSe sector size units */
+const SIZE_MULTIPLIERS = { " ": 1, B: 1, K: 1024, M: 1024 * 1024 };
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Parse a DfuSe memory layout from an alternate setting name
+ *
+ * Example: "@Internal Flash  /0x08000000/04*016Kg,01*064Kg,07*128Kg".
+ * Property letters a-g encode readable (1), erasable (2), writable (4).
+ *
+ * @param {string} name - Interface (alternate setting) name
+ * @returns {{name: string, sectors: {start: number, size: number, erasable: boolean, writable: boolean}[]}|null}
+ *   Layout, or null if the name is not a DfuSe layout
+ */
+export function parseDfuseLayout(name) {
+  if (!name || !name.startsWith("@")) return null;
+
+  const sectors = [];
+  const groupPattern = /\/\s*(0x[0-9a-f]+)\s*\/([^/]+)/gi;
+  let group;
+  while ((group = groupPattern.exec(name))) {
+    let address = parseInt(group[1], 16);
+    for (const spec of group[2].split(",")) {
+      const match = spec
+        .trim()
+        .match(/^(\d+)\s*\*\s*(\d+)\s*([ BKM]?)\s*([a-g])/i);
+      if (!match) continue;
+      const count = parseInt(match[1], 10);
+      const size =
+        parseInt(match[2], 10) *
+        (SIZE_MULTIPLIERS[(match[3] || " ").toUpperCase()] || 1);
+      const properties = match[4].toLowerCase().charCodeAt(0) - 96;
+      for (let i = 0; i < count; i++) {
+        sectors.push({
+          start: address,
+          size,
+          erasable: (properties & 2) !== 0,
+          writable: (properties & 4) !== 0,
+        });
+        address += size;
+      }
+    }
+  }
+
+  return {
+    name: name.slice(1, name.indexOf("/")).trim(),
+    sectors,
+  };
+}
+
+// =============================================================================
+// DfuProtocol Class
+// =============================================================================
+
+/**
+ * DFU / DfuSe protocol handler
+ */
+export class DfuProtocol {
+  /**
+   * Create a new DfuProtocol instance
+   * @param {WebUSBProvider} provider - WebUSB provider connected to the DFU interface
+   * @param {Object} [config] - DFU_CONFIG
+   * @param {Function} [logger] - Logging function
+   */
+  constructor(provider, config, logger) {
+    /** @type {WebUSBProvider} */
+    this.provider = provider;
+
+    /** @type {Object} */
+    this.config = config || DFU_CONFIG;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("DFU").getLogFunction();
+
+    /** @type {number} Bytes per DNLOAD block */
+    this.transferSize = this.config.memory.defaultTransferSize;
+
+    /** @type {number} DFU functional descriptor bmAttributes */
+    this.attributes = 0;
+
+    /** @type {number} bcdDFUVersion */
+    this.dfuVersion = 0x0110;
+
+    /** @type {Object|null} DfuSe memory layout, null for plain DFU */
+    this.layout = null;
+  }
+
+  /**
+   * Log a message
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    this.logger(msg);
+  }
+
+  /**
+   * Whether the device speaks the DfuSe extensions
+   * @returns {boolean}
+   */
+  get isDfuse() {
+    return this.dfuVersion === DFUSE_VERSION || this.layout !== null;
+  }
+
+  // ===========================================================================
+  // Descriptors
+  // ===========================================================================
+
+  /**
+   * Read transfer size, attributes and DFU version from the functional
+   * descriptor, and the DfuSe layout from the alternate setting name
+   * @returns {Promise<void>}
+   */
+  async readDescriptors() {
+    this.layout = parseDfuseLayout(this.provider.alternate?.interfaceName);
+
+    let config;
+    try {
+      const header = await this.provider.getDescriptor(2, 0, 9);
+      const totalLength = header[2] | (header[3] << 8);
+      config = await this.provider.getDescriptor(2, 0, totalLength);
+    } catch (e) {
+      this.log(
+        `Could not read configuration descriptor (${e.message}), using ${this.transferSize}-byte blocks`
+      );
+      return;
+    }
+
+    // Walk descriptors; the functional descriptor follows our interface
+    let inOurInterface = false;
+    for (let i = 0; i + 1 < config.length && config[i] > 0; i += config[i]) {
+      const type = config[i + 1];
+      if (type === INTERFACE_DESCRIPTOR) {
+        inOurInterface = config[i + 2] === this.provider.interfaceNumber;
+      } else if (
+        type === DFU_FUNCTIONAL_DESCRIPTOR &&
+        inOurInterface &&
+        config[i] >= 7
+      ) {
+        this.attributes = config[i + 2];
+        this.transferSize = config[i + 5] | (config[i + 6] << 8);
+        if (config[i] >= 9) {
+          this.dfuVersion = config[i + 7] | (config[i + 8] << 8);
+        }
+        break;
+      }
+    }
+
+    this.log(
+      `DFU ${this.dfuVersion.toString(16)}: ${this.transferSize}-byte blocks${
+        this.layout
+          ? `, "${this.layout.name}" (${this.layout.sectors.length} sectors)`
+          : ""
+      }`
+    );
+  }
+
+  // ===========================================================================
+  // Requests
+  // ===========================================================================
+
+  /**
+   * Send a DNLOAD block
+   * @param {number} blockNum - wBlockNum (0 = DfuSe command, 2+ = data)
+   * @param {Uint8Array} data - Block contents (empty to signal the end)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dnload(blockNum, data) {
+    const result = await this.provider.controlTransferOut(
+      DFU_DNLOAD,
+      blockNum,
+      data,
+      "class"
+    );
+    if (result.status !== "ok") {
+      throw new Error(`DFU_DNLOAD block ${blockNum} failed: ${result.status}`);
+    }
+  }
+
+  /**
+   * Read device status
+   * @returns {Promise<{status: number, pollTimeout: number, state: number}>}
+   */
+  async getStatus() {
+    const result = await this.provider.controlTransferIn(
+      DFU_GETSTATUS,
+      0,
+      6,
+      "class"
+    );
+    if (result.status !== "ok" || result.data.byteLength < 6) {
+      throw new Error(`DFU_GETSTATUS failed: ${result.status}`);
+    }
+    const view = result.data;
+    return {
+      status: view.getUint8(0),
+      pollTimeout:
+        view.getUint8(1) | (view.getUint8(2) << 8) | (view.getUint8(3) << 16),
+      state: view.getUint8(4),
+    };
+  }
+
+  /**
+   * Poll GETSTATUS until the device leaves its busy states
+   * @param {number} timeoutMs - Maximum wait
+   * @param {string} what - Operation name used in errors
+   * @returns {Promise<{status: number, pollTimeout: number, state: number}>}
+   * @throws {Error} With code DFU_ERROR if the device reports an error
+   * @private
+   */
+  async waitIdle(timeoutMs, what) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const status = await this.getStatus();
+
+      if (status.status !== 0 || status.state === STATE.ERROR) {
+        await this.provider
+          .controlTransferOut(DFU_CLRSTATUS, 0, undefined, "class")
+          .catch(() => {});
+        const error = new Error(
+          `${what} failed: ${
+            STATUS_NAMES[status.status] || `status ${status.status}`
+          }`
+        );
+        error.code = "DFU_ERROR";
+        throw error;
+      }
+
+      if (
+        status.state !== STATE.DNBUSY &&
+        status.state !== STATE.DNLOAD_SYNC &&
+        status.state !== STATE.MANIFEST
+      ) {
+        return status;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timeout waiting for ${what}`);
+      }
+      await new Promise((r) => setTimeout(r, status.pollTimeout || 1));
+    }
+  }
+
+  /**
+   * Bring the device to dfuIDLE, clearing errors and aborting transfers
+   * @returns {Promise<void>}
+   */
+  async ensureIdle() {
+    const { state } = await this.getStatus();
+    if (state === STATE.DFU_IDLE) return;
+
+    if (state === STATE.ERROR) {
+      await this.provider.controlTransferOut(
+        DFU_CLRSTATUS,
+        0,
+        undefined,
+        "class"
+      );
+    } else {
+      await this.provider.controlTransferOut(DFU_ABORT, 0, undefined, "class");
+    }
+
+    const after = await this.getStatus();
+    if (after.state !== STATE.DFU_IDLE) {
+      throw new Error(`Device stuck in DFU state ${after.state}`);
+    }
+  }
+
+  // ===========================================================================
+  // DfuSe Commands
+  // ===========================================================================
+
+  /**
+   * Run a DfuSe special command (block 0)
+   * @param {number} command - DFUSE_SET_ADDRESS or DFUSE_ERASE
+   * @param {number} address - Target address
+   * @param {number} [timeoutMs] - Time allowed for the command
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dfuseCommand(
+    command,
+    address,
+    timeoutMs = this.config.timing.statusTimeoutMs
+  ) {
+    const payload = new Uint8Array(5);
+    payload[0] = command;
+    new DataView(payload.buffer).setUint32(1, address >>> 0, true);
+    await this.dnload(0, payload);
+    await this.waitIdle(
+      timeoutMs,
+      `${
+        command === DFUSE_ERASE ? "Erase" : "Set address"
+      } ${UploadLogger.formatAddr(address)}`
+    );
+  }
+
+  /**
+   * Sectors of the DfuSe layout overlapping an address range
+   * @param {number} start - First address
+   * @param {number} end - One past the last address
+   * @returns {Object[]} Sectors in address order
+   * @throws {Error} If part of the range is not writable
+   * @private
+   */
+  sectorsFor(start, end) {
+    const sectors = this.layout.sectors.filter(
+      (s) => s.start < end && s.start + s.size > start
+    );
+    const covered = sectors.reduce(
+      (sum, s) =>
+        sum + Math.min(end, s.start + s.size) - Math.max(start, s.start),
+      0
+    );
+    if (covered < end - start || sectors.some((s) => !s.writable)) {
+      throw new Error(
+        `${UploadLogger.formatAddr(start)}-${UploadLogger.formatAddr(
+          end - 1
+        )} is not writable in "${this.layout.name}"`
+      );
+    }
+    return sectors;
+  }
+
+  // ===========================================================================
+  // Flashing
+  // ===========================================================================
+
+  /**
+   * Erase and write one segment with DfuSe addressing
+   * @param {number} address - Segment start
+   * @param {Uint8Array} data - Segment bytes
+   * @param {Function} report - Called with bytes done after each step
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dfuseWriteSegment(address, data, report) {
+    const end = address + data.length;
+
+    for (const sector of this.sectorsFor(address, end)) {
+      if (!sector.erasable) continue;
+      await this.dfuseCommand(
+        DFUSE_ERASE,
+        sector.start,
+        this.config.timing.eraseTimeoutMs
+      );
+      report(0, `Erasing ${UploadLogger.formatAddr(sector.start)}`);
+    }
+
+    // Like dfu-util, set the pointer before each block and always use block 2
+    for (let offset = 0; offset < data.length; offset += this.transferSize) {
+      const chunk = data.subarray(offset, offset + this.transferSize);
+      await this.dfuseCommand(DFUSE_SET_ADDRESS, address + offset);
+      await this.dnload(2, chunk);
+      await this.waitIdle(
+        this.config.timing.statusTimeoutMs,
+        `Write ${UploadLogger.formatAddr(address + offset)}`
+      );
+      report(chunk.length, "Flashing");
+    }
+  }
+
+  /**
+   * Leave DfuSe mode and jump to the application
+   * @param {number} address - Application start address
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dfuseLeave(address) {
+    this.log(`Leaving DFU mode, starting ${UploadLogger.formatAddr(address)}`);
+    await this.dfuseCommand(DFUSE_SET_ADDRESS, address);
+    await this.dnload(2, new Uint8Array(0));
+    // The device resets while answering; a failed GETSTATUS is expected
+    await this.getStatus().catch(() => {});
+  }
+
+  /**
+   * Write a flat image with plain DFU 1.1 blocks and manifest it
+   * @param {Uint8Array} data - Image bytes
+   * @param {Function} report - Called with bytes done after each block
+   * @returns {Promise<void>}
+   * @private
+   */
+  async dfuWrite(data, report) {
+    let blockNum = 0;
+    for (let offset = 0; offset < data.length; offset += this.transferSize) {
+      const chunk = data.subarray(offset, offset + this.transferSize);
+      await this.dnload(blockNum, chunk);
+      await this.waitIdle(
+        this.config.timing.statusTimeoutMs,
+        `Block ${blockNum}`
+      );
+      blockNum = (blockNum + 1) & 0xffff;
+      report(chunk.length, "Flashing");
+    }
+
+    this.log("Manifesting...");
+    await this.dnload(blockNum, new Uint8Array(0));
+    try {
+      await this.waitIdle(this.config.timing.statusTimeoutMs, "Manifest");
+    } catch (e) {
+      // Devices without manifestation tolerance reset during manifest
+      if (this.attributes & ATTR_MANIFESTATION_TOLERANT) throw e;
+    }
+  }
+
+  /**
+   * Flash a firmware image and start it
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {number} [options.startAddress] - DfuSe: address to start after leaving (defaults to first segment)
+   * @returns {Promise<{bytesWritten: number}>}
+   * @throws {Error} With code DFU_ERROR if the device rejects a block
+   */
+  async flashImage(image, progressCallback, { startAddress } = {}) {
+    await this.readDescriptors();
+    await this.ensureIdle();
+
+    const totalBytes = image.size;
+    let done = 0;
+    const report = (bytes, status) => {
+      done += bytes;
+      if (progressCallback) {
+        progressCallback(
+          Math.min(100, Math.round((done / totalBytes) * 100)),
+          status
+        );
+      }
+    };
+
+    if (this.isDfuse) {
+      if (!this.layout) {
+        throw new Error("DfuSe device did not report a memory layout");
+      }
+      for (const segment of image.segments) {
+        await this.dfuseWriteSegment(segment.address, segment.data, report);
+      }
+      this.log(`Wrote ${totalBytes} bytes`);
+      await this.dfuseLeave(startAddress ?? image.segments[0].address);
+    } else {
+      const base = image.segments[0].address;
+      await this.dfuWrite(toFlatImage(image, { base }), report);
+      this.log(`Wrote ${totalBytes} bytes`);
+    }
+
+    return { bytesWritten: totalBytes };
+  }
+}
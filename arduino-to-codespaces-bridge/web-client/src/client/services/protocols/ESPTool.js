@@ -1,221 +1,737 @@
 /**
- * ESPTool Protocol Implementation (Stub/Basic)
- * Handles SLIP encoding and basic commands for ESP32/ESP8266
+ * ESPTool Protocol Implementation
+ *
+ * Low-level implementation of the Espressif ROM serial loader protocol:
+ * - SLIP framing with buffered response parsing
+ * - SYNC handshake and chip detection (ESP8266, ESP32, S2, S3, C3)
+ * - Stub-less FLASH_BEGIN / FLASH_DATA / FLASH_END with checksums
+ * - SPI_FLASH_MD5 verification of written regions
+ * - CHANGE_BAUDRATE for faster uploads
+ *
+ * Mirrors the ROM code path of esptool.py (no flasher stub is uploaded).
+ *
+ * @module client/services/protocols/ESPTool
  */
+
+import { ESPTOOL_CONFIG } from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { md5Hex } from "../utils/md5.js";
+
+// =============================================================================
+// ESP ROM Loader Constants
+// =============================================================================
+
+/** @constant {number} ESP_FLASH_BEGIN - Erase region and prepare for writes */
+const ESP_FLASH_BEGIN = 0x02;
+
+/** @constant {number} ESP_FLASH_DATA - Write one flash block */
+const ESP_FLASH_DATA = 0x03;
+
+/** @constant {number} ESP_FLASH_END - Finish flashing, optionally reboot */
+const ESP_FLASH_END = 0x04;
+
+/** @constant {number} ESP_SYNC - Synchronization command */
+const ESP_SYNC = 0x08;
+
+/** @constant {number} ESP_READ_REG - Read a 32-bit register */
+const ESP_READ_REG = 0x0a;
+
+/** @constant {number} ESP_SPI_SET_PARAMS - Configure SPI flash geometry */
+const ESP_SPI_SET_PARAMS = 0x0b;
+
+/** @constant {number} ESP_SPI_ATTACH - Attach the SPI flash */
+const ESP_SPI_ATTACH = 0x0d;
+
+/** @constant {number} ESP_CHANGE_BAUDRATE - Switch loader baud rate */
+const ESP_CHANGE_BAUDRATE = 0x0f;
+
+/** @constant {number} ESP_SPI_FLASH_MD5 - MD5 of a flash region */
+const ESP_SPI_FLASH_MD5 = 0x13;
+
+/** @constant {number} ESP_CHECKSUM_MAGIC - Initial value for data checksum */
+const ESP_CHECKSUM_MAGIC = 0xef;
+
+/** @constant {number} CHIP_DETECT_MAGIC_REG - Register holding chip magic */
+const CHIP_DETECT_MAGIC_REG = 0x40001000;
 
+/** @constant {number} FLASH_SECTOR_SIZE - SPI flash sector size */
+const FLASH_SECTOR_SIZE = 0x1000;
+
+/** @constant {number} BYTES_PER_MB - Used to scale erase/MD5 timeouts */
+const BYTES_PER_MB = 0x100000;
+
+/** @constant {number} SLIP_END - SLIP frame delimiter */
+const SLIP_END = 0xc0;
+
+/** @constant {number} SLIP_ESC - SLIP escape byte */
+const SLIP_ESC = 0xdb;
+
+/** @constant {number} SLIP_ESC_END - Escaped SLIP_END */
+const SLIP_ESC_END = 0xdc;
+
+/** @constant {number} SLIP_ESC_ESC - Escaped SLIP_ESC */
+const SLIP_ESC_ESC = 0xdd;
+
+/** @constant {Object<number, string>} ROM_ERRORS - ROM loader error codes */
+const ROM_ERRORS = {
+  0x05: "Received message is invalid",
+  0x06: "Failed to act on received message",
+  0x07: "Invalid CRC in message",
+  0x08: "Flash write error",
+  0x09: "Flash read error",
+  0x0a: "Flash read length error",
+  0x0b: "Deflate error",
+};
+
+/**
+ * Supported chips, identified by the value at CHIP_DETECT_MAGIC_REG
+ * @type {Array<{name: string, magic: number[], statusBytes: number, bootloaderOffset: number, encryptedFlashParam: boolean, romSupportsMd5: boolean, romSupportsBaudChange: boolean, spiAttach: boolean}>}
+ */
+export const ESP_CHIPS = [
+  {
+    name: "ESP8266",
+    magic: [0xfff0c101],
+    statusBytes: 2,
+    bootloaderOffset: 0x0,
+    encryptedFlashParam: false,
+    romSupportsMd5: false,
+    romSupportsBaudChange: false,
+    spiAttach: false,
+  },
+  {
+    name: "ESP32",
+    magic: [0x00f01d83],
+    statusBytes: 4,
+    bootloaderOffset: 0x1000,
+    encryptedFlashParam: false,
+    romSupportsMd5: true,
+    romSupportsBaudChange: true,
+    spiAttach: true,
+  },
+  {
+    name: "ESP32-S2",
+    magic: [0x000007c6],
+    statusBytes: 4,
+    bootloaderOffset: 0x1000,
+    encryptedFlashParam: true,
+    romSupportsMd5: true,
+    romSupportsBaudChange: true,
+    spiAttach: true,
+  },
+  {
+    name: "ESP32-S3",
+    magic: [0x00000009],
+    statusBytes: 4,
+    bootloaderOffset: 0x0,
+    encryptedFlashParam: true,
+    romSupportsMd5: true,
+    romSupportsBaudChange: true,
+    spiAttach: true,
+  },
+  {
+    name: "ESP32-C3",
+    magic: [0x6921506f, 0x1b31506f, 0x4881606f, 0x4361606f],
+    statusBytes: 4,
+    bootloaderOffset: 0x0,
+    encryptedFlashParam: true,
+    romSupportsMd5: true,
+    romSupportsBaudChange: true,
+    spiAttach: true,
+  },
+];
+
+// =============================================================================
+// ESPToolProtocol Class
+// =============================================================================
+
+/**
+ * ESP ROM loader protocol handler
+ */
 export class ESPToolProtocol {
-  constructor(port, logger) {
+  /**
+   * Create a new ESPToolProtocol instance
+   * @param {SerialPort} port - WebSerial port instance (already open)
+   * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Protocol configuration
+   */
+  constructor(port, logger, config = ESPTOOL_CONFIG) {
+    /** @type {SerialPort} */
     this.port = port;
+
+    /** @type {Function} */
     this.logger = logger || new UploadLogger("ESPTool").getLogFunction();
+
+    /** @type {Object} */
+    this.config = config;
+
+    /** @type {ReadableStreamDefaultReader|null} */
     this.reader = null;
+
+    /** @type {WritableStreamDefaultWriter|null} */
     this.writer = null;
-    this.SLIP_END = 0xc0;
-    this.SLIP_ESC = 0xdb;
-    this.SLIP_ESC_END = 0xdc;
-    this.SLIP_ESC_ESC = 0xdd;
+
+    /** @type {Promise|null} Outstanding reader.read() shared across timeouts */
+    this.pendingRead = null;
+
+    /** @type {Uint8Array[]} Decoded frames not yet consumed */
+    this.frames = [];
+
+    /** @type {number[]} Bytes of the frame currently being decoded */
+    this.frameBuffer = [];
+
+    /** @type {boolean} Inside a SLIP frame */
+    this.inFrame = false;
+
+    /** @type {boolean} Previous byte was SLIP_ESC */
+    this.escape = false;
+
+    /** @type {Object|null} Detected chip from ESP_CHIPS */
+    this.chip = null;
+
+    /** @type {number} Current loader baud rate */
+    this.baudRate = config.serial.baudUpload;
   }
 
   /**
-   * SLIP Encode a packet
-   * @param {Uint8Array} data
+   * Log a message
+   * @param {string} msg - Message to log
+   * @private
    */
-  encode(data) {
-    const encoded = [];
-    encoded.push(this.SLIP_END);
-    for (const byte of data) {
-      if (byte === this.SLIP_END) {
-        encoded.push(this.SLIP_ESC, this.SLIP_ESC_END);
-      } else if (byte === this.SLIP_ESC) {
-        encoded.push(this.SLIP_ESC, this.SLIP_ESC_ESC);
-      } else {
-        encoded.push(byte);
-      }
-    }
-    encoded.push(this.SLIP_END);
-    return new Uint8Array(encoded);
+  log(msg) {
+    this.logger(`[ESPTool] ${msg}`);
   }
 
+  // ===========================================================================
+  // Transport
+  // ===========================================================================
+
   /**
-   * Connect to the serial port streams
+   * Acquire the port streams (port is opened by the strategy)
+   * @returns {Promise<void>}
    */
-  async connect(baudRate = 115200) {
-    // Port is assumed to be open by the Strategy
+  async connect() {
     this.reader = this.port.readable.getReader();
     this.writer = this.port.writable.getWriter();
-    this.logger("[ESPTool] Connected to streams");
+    this.log("Connected to streams");
   }
 
+  /**
+   * Release the port streams
+   * @returns {Promise<void>}
+   */
   async disconnect() {
     if (this.reader) {
-      await this.reader.cancel();
+      try {
+        await this.reader.cancel();
+      } catch (e) {
+        /* ignore */
+      }
       this.reader.releaseLock();
+      this.reader = null;
     }
     if (this.writer) {
       this.writer.releaseLock();
+      this.writer = null;
     }
+    this.pendingRead = null;
+  }
+
+  /**
+   * SLIP encode a packet
+   * @param {Uint8Array} data - Raw packet
+   * @returns {Uint8Array} Encoded frame including delimiters
+   */
+  encode(data) {
+    const encoded = [SLIP_END];
+    for (const byte of data) {
+      if (byte === SLIP_END) {
+        encoded.push(SLIP_ESC, SLIP_ESC_END);
+      } else if (byte === SLIP_ESC) {
+        encoded.push(SLIP_ESC, SLIP_ESC_ESC);
+      } else {
+        encoded.push(byte);
+      }
+    }
+    encoded.push(SLIP_END);
+    return new Uint8Array(encoded);
   }
 
+  /**
+   * Feed received bytes into the SLIP decoder
+   * @param {Uint8Array} bytes - Raw bytes from the port
+   * @private
+   */
+  decode(bytes) {
+    for (const byte of bytes) {
+      if (!this.inFrame) {
+        // Bytes outside a frame are boot messages or line noise
+        if (byte === SLIP_END) {
+          this.inFrame = true;
+          this.frameBuffer = [];
+        }
+        continue;
+      }
+
+      if (this.escape) {
+        this.escape = false;
+        if (byte === SLIP_ESC_END) this.frameBuffer.push(SLIP_END);
+        else if (byte === SLIP_ESC_ESC) this.frameBuffer.push(SLIP_ESC);
+        else this.frameBuffer.push(byte);
+      } else if (byte === SLIP_ESC) {
+        this.escape = true;
+      } else if (byte === SLIP_END) {
+        if (this.frameBuffer.length > 0) {
+          this.frames.push(new Uint8Array(this.frameBuffer));
+          this.frameBuffer = [];
+          this.inFrame = false;
+        }
+        // Empty frame: back-to-back delimiters, stay in frame
+      } else {
+        this.frameBuffer.push(byte);
+      }
+    }
+  }
+
+  /**
+   * Read one chunk from the port, waiting at most timeoutMs
+   * @param {number} timeoutMs - Maximum wait
+   * @returns {Promise<Uint8Array|null>} Data, or null on timeout
+   * @throws {Error} If the port closed
+   * @private
+   */
+  async readChunk(timeoutMs) {
+    if (!this.pendingRead) {
+      this.pendingRead = this.reader.read();
+    }
+
+    let timeoutId;
+    const timeoutPromise = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve("timeout"), timeoutMs);
+    });
+
+    const result = await Promise.race([this.pendingRead, timeoutPromise]);
+    clearTimeout(timeoutId);
+
+    if (result === "timeout") return null;
+
+    this.pendingRead = null;
+    if (result.done) throw new Error("Port closed");
+    return result.value || null;
+  }
+
+  /**
+   * Read the next complete SLIP frame
+   * @param {number} [timeoutMs] - Maximum wait
+   * @returns {Promise<Uint8Array|null>} Decoded packet, or null on timeout
+   */
+  async readPacket(timeoutMs = this.config.timing.commandTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.frames.length === 0) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+
+      const chunk = await this.readChunk(remaining);
+      if (chunk) this.decode(chunk);
+    }
+
+    return this.frames.shift();
+  }
+
+  /**
+   * Discard any buffered input
+   * @param {number} [durationMs=50] - How long to keep draining
+   * @returns {Promise<void>}
+   */
+  async flushInput(durationMs = 50) {
+    const deadline = Date.now() + durationMs;
+    while (Date.now() < deadline) {
+      const chunk = await this.readChunk(Math.max(1, deadline - Date.now()));
+      if (!chunk) break;
+    }
+    this.frames = [];
+    this.frameBuffer = [];
+    this.inFrame = false;
+    this.escape = false;
+  }
+
+  // ===========================================================================
+  // Command Layer
+  // ===========================================================================
+
   /**
    * Send a command packet
-   * @param {number} op Opcode
-   * @param {Uint8Array} data Payload
-   * @param {number} checksum Checksum (optional)
+   * @param {number} op - Opcode
+   * @param {Uint8Array} data - Payload
+   * @param {number} [checksum=0] - Checksum (FLASH_DATA only)
+   * @returns {Promise<void>}
    */
   async sendCommand(op, data, checksum = 0) {
-    this.logger(
-      `[ESPTool] Sending Op: 0x${op.toString(16)} Len: ${data.length}`
-    );
-
-    // Construct Header: 0x00, Op, Size(2), Checksum(4)
-    // Note: ESP32 uses little-endian
-    const header = new Uint8Array(8);
-    header[0] = 0x00;
-    header[1] = op;
-    header[2] = data.length & 0xff;
-    header[3] = (data.length >> 8) & 0xff;
-    header[4] = checksum & 0xff;
-    header[5] = (checksum >> 8) & 0xff;
-    header[6] = (checksum >> 16) & 0xff;
-    header[7] = (checksum >> 24) & 0xff;
-
-    const packet = new Uint8Array(header.length + data.length);
-    packet.set(header);
+    const packet = new Uint8Array(8 + data.length);
+    const view = new DataView(packet.buffer);
+    packet[0] = 0x00; // Direction: request
+    packet[1] = op;
+    view.setUint16(2, data.length, true);
+    view.setUint32(4, checksum, true);
     packet.set(data, 8);
 
-    const encoded = this.encode(packet);
-    await this.writer.write(encoded);
-  }
-
-  async readPacket() {
-    // Basic SLIP decoder
-    // Reads byte by byte (inefficient but simple for now)
-    let packet = [];
-    let escape = false;
-
-    while (true) {
-      const { value, done } = await this.reader.read();
-      if (done) break;
-
-      for (const byte of value) {
-        if (escape) {
-          if (byte === this.SLIP_ESC_END) packet.push(this.SLIP_END);
-          else if (byte === this.SLIP_ESC_ESC) packet.push(this.SLIP_ESC);
-          else packet.push(byte); // Should not happen
-          escape = false;
-        } else {
-          if (byte === this.SLIP_END) {
-            if (packet.length > 0) {
-              return new Uint8Array(packet);
-            }
-          } else if (byte === this.SLIP_ESC) {
-            escape = true;
-          } else {
-            packet.push(byte);
-          }
-        }
+    await this.writer.write(this.encode(packet));
+  }
+
+  /**
+   * Send a command and wait for its response
+   * @param {number} op - Opcode
+   * @param {Uint8Array} data - Payload
+   * @param {Object} [options]
+   * @param {number} [options.checksum=0] - Checksum value
+   * @param {number} [options.timeoutMs] - Response timeout
+   * @returns {Promise<{value: number, data: Uint8Array}>} Response value and body (status bytes stripped)
+   * @throws {Error} On timeout or non-zero ROM status
+   */
+  async command(op, data, { checksum = 0, timeoutMs } = {}) {
+    const timeout = timeoutMs ?? this.config.timing.commandTimeoutMs;
+    await this.sendCommand(op, data, checksum);
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const packet = await this.readPacket(deadline - Date.now());
+      if (!packet) break;
+
+      // Responses: dir(1)=0x01, op(1), size(2), value(4), data(size)
+      if (packet.length < 8 || packet[0] !== 0x01 || packet[1] !== op) {
+        continue;
       }
+
+      const view = new DataView(packet.buffer, packet.byteOffset);
+      const value = view.getUint32(4, true);
+      const body = packet.subarray(8);
+
+      return { value, data: this.checkStatus(op, body) };
+    }
+
+    throw new Error(
+      `Timeout waiting for response to command 0x${op.toString(16)}`
+    );
+  }
+
+  /**
+   * Validate the status bytes at the end of a response body
+   * @param {number} op - Opcode (for error messages)
+   * @param {Uint8Array} body - Response body including status bytes
+   * @returns {Uint8Array} Body without status bytes
+   * @throws {Error} If the ROM reported a failure
+   * @private
+   */
+  checkStatus(op, body) {
+    const statusLen = this.chip
+      ? this.chip.statusBytes
+      : body.length >= 4
+      ? 4
+      : 2;
+
+    if (body.length < statusLen) {
+      throw new Error(`Response to 0x${op.toString(16)} is too short`);
+    }
+
+    const status = body[body.length - statusLen];
+    const error = body[body.length - statusLen + 1];
+    if (status !== 0) {
+      const reason = ROM_ERRORS[error] || `error 0x${error.toString(16)}`;
+      throw new Error(`Command 0x${op.toString(16)} failed: ${reason}`);
+    }
+
+    return body.subarray(0, body.length - statusLen);
+  }
+
+  /**
+   * Compute the ROM loader checksum of a data block
+   * @param {Uint8Array} data - Block data
+   * @returns {number} Checksum
+   */
+  checksum(data) {
+    let chk = ESP_CHECKSUM_MAGIC;
+    for (const byte of data) {
+      chk ^= byte;
     }
-    return null;
+    return chk;
+  }
+
+  /**
+   * Pack 32-bit little-endian words into a payload
+   * @param {...number} words - Values to pack
+   * @returns {Uint8Array} Payload
+   * @private
+   */
+  packWords(...words) {
+    const data = new Uint8Array(words.length * 4);
+    const view = new DataView(data.buffer);
+    words.forEach((word, i) => view.setUint32(i * 4, word >>> 0, true));
+    return data;
   }
 
-  async sync() {
-    this.logger("[ESPTool] Syncing...");
-    // Send sync command repeatedly until response
-    // Opcode 0x08 is SYNC
-    // Payload: 0x07, 0x07, 0x12, 0x20 ... (36 bytes pattern)
-    const syncPattern = new Uint8Array([
-      0x07, 0x07, 0x12, 0x20, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55,
-      0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55,
-      0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55,
-    ]);
+  // ===========================================================================
+  // Loader Operations
+  // ===========================================================================
 
-    for (let i = 0; i < 10; i++) {
+  /**
+   * Synchronize with the ROM loader
+   * @param {number} [attempts] - Number of sync attempts
+   * @returns {Promise<boolean>} True when synchronized
+   * @throws {Error} If sync fails after all attempts
+   */
+  async sync(attempts = this.config.timing.syncAttempts) {
+    // SYNC payload: 0x07 0x07 0x12 0x20 followed by 32 x 0x55
+    const syncPattern = new Uint8Array(36).fill(0x55);
+    syncPattern.set([0x07, 0x07, 0x12, 0x20]);
+
+    await this.flushInput();
+
+    for (let i = 0; i < attempts; i++) {
+      this.log(`Sync attempt ${i + 1}/${attempts}...`);
       try {
-        await this.sendCommand(0x08, syncPattern);
-        // We should read response here, but for now we just blast it
-        // In real implementation, we'd wait for a response
-        await new Promise((r) => setTimeout(r, 100));
+        await this.command(ESP_SYNC, syncPattern, {
+          timeoutMs: this.config.timing.syncTimeoutMs,
+        });
+
+        // The ROM answers each SYNC several times; drop the extras
+        await this.flushInput(this.config.timing.syncTimeoutMs);
+        this.log("Synced!");
+        return true;
       } catch (e) {
-        this.logger("[ESPTool] Sync error: " + e.message);
+        this.log(`Sync attempt failed: ${e.message}`);
       }
     }
 
-    this.logger("[ESPTool] Sync sequence finished (Assumed success for stub)");
+    throw new Error("Failed to sync with ESP ROM loader");
+  }
+
+  /**
+   * Read a 32-bit register
+   * @param {number} addr - Register address
+   * @returns {Promise<number>} Register value
+   */
+  async readReg(addr) {
+    const { value } = await this.command(ESP_READ_REG, this.packWords(addr));
+    return value;
+  }
+
+  /**
+   * Identify the connected chip
+   * @returns {Promise<Object>} Entry from ESP_CHIPS
+   * @throws {Error} If the chip is not supported
+   */
+  async detectChip() {
+    const magic = (await this.readReg(CHIP_DETECT_MAGIC_REG)) >>> 0;
+    const chip = ESP_CHIPS.find((c) => c.magic.includes(magic));
+
+    if (!chip) {
+      throw new Error(
+        `Unsupported chip (magic value 0x${magic.toString(
+          16
+        )}). Supported: ${ESP_CHIPS.map((c) => c.name).join(", ")}`
+      );
+    }
+
+    this.chip = chip;
+    this.log(`Detected ${chip.name}`);
+    return chip;
+  }
+
+  /**
+   * Switch the loader and the port to a new baud rate
+   * @param {number} newBaud - Target baud rate
+   * @returns {Promise<boolean>} False if the ROM does not support it
+   */
+  async changeBaud(newBaud) {
+    if (this.chip && !this.chip.romSupportsBaudChange) {
+      this.log(`${this.chip.name} ROM cannot change baud rate, staying put`);
+      return false;
+    }
+
+    this.log(`Changing baud rate to ${newBaud}`);
+    // ROM loader expects (new_baud, 0); the stub would take the old baud
+    await this.command(ESP_CHANGE_BAUDRATE, this.packWords(newBaud, 0));
+
+    await this.disconnect();
+    await this.port.close();
+    await this.port.open({ baudRate: newBaud });
+    // Keep EN high and IO0 released after the reopen
+    await this.port.setSignals({
+      dataTerminalReady: false,
+      requestToSend: false,
+    });
+    await this.connect();
+    await new Promise((r) => setTimeout(r, 50));
+    await this.flushInput();
+
+    this.baudRate = newBaud;
     return true;
   }
 
-  async flashBegin(size, blocks, blockSize, offset) {
-    // Opcode 0x02: FLASH_BEGIN
-    // Struct: size(4), blocks(4), blockSize(4), offset(4)
-    const data = new Uint8Array(16);
-    const view = new DataView(data.buffer);
-    view.setUint32(0, size, true);
-    view.setUint32(4, blocks, true);
-    view.setUint32(8, blockSize, true);
-    view.setUint32(12, offset, true);
+  /**
+   * Attach the SPI flash and configure its geometry
+   * @param {number} [flashSize] - Total flash size in bytes
+   * @returns {Promise<void>}
+   */
+  async attachFlash(flashSize = this.config.memory.defaultFlashSize) {
+    if (this.chip?.spiAttach) {
+      await this.command(ESP_SPI_ATTACH, new Uint8Array(8));
+    }
 
-    this.logger(`[ESPTool] Flash Begin: Size=${size} Blocks=${blocks}`);
-    await this.sendCommand(0x02, data);
-    // Wait for response (stub)
-    await new Promise((r) => setTimeout(r, 100));
+    // fl_id, total_size, block_size, sector_size, page_size, status_mask
+    await this.command(
+      ESP_SPI_SET_PARAMS,
+      this.packWords(0, flashSize, 0x10000, FLASH_SECTOR_SIZE, 0x100, 0xffff)
+    );
   }
 
+  /**
+   * Work around the ESP8266 ROM erasing twice the requested region
+   * @param {number} offset - Flash offset
+   * @param {number} size - Image size
+   * @returns {number} Erase size to send in FLASH_BEGIN
+   * @private
+   */
+  getEraseSize(offset, size) {
+    if (this.chip?.name !== "ESP8266") return size;
+
+    const sectorsPerBlock = 16;
+    const numSectors = Math.ceil(size / FLASH_SECTOR_SIZE);
+    const startSector = Math.floor(offset / FLASH_SECTOR_SIZE);
+    let headSectors = sectorsPerBlock - (startSector % sectorsPerBlock);
+    if (numSectors < headSectors) headSectors = numSectors;
+
+    if (numSectors < 2 * headSectors) {
+      return Math.floor((numSectors + 1) / 2) * FLASH_SECTOR_SIZE;
+    }
+    return (numSectors - headSectors) * FLASH_SECTOR_SIZE;
+  }
+
+  /**
+   * Begin a flash write (erases the target region)
+   * @param {number} size - Image size in bytes
+   * @param {number} offset - Flash offset
+   * @returns {Promise<number>} Number of blocks to send
+   */
+  async flashBegin(size, offset) {
+    const blockSize = this.config.memory.flashWriteSize;
+    const blocks = Math.ceil(size / blockSize);
+    const eraseSize = this.getEraseSize(offset, size);
+
+    const words = [eraseSize, blocks, blockSize, offset];
+    if (this.chip?.encryptedFlashParam) words.push(0);
+
+    const timeoutMs = Math.max(
+      this.config.timing.commandTimeoutMs,
+      Math.ceil((this.config.timing.eraseTimeoutPerMbMs * size) / BYTES_PER_MB)
+    );
+
+    this.log(
+      `Flash Begin: ${size} bytes @ ${UploadLogger.formatAddr(
+        offset
+      )}, ${blocks} blocks`
+    );
+    await this.command(ESP_FLASH_BEGIN, this.packWords(...words), {
+      timeoutMs,
+    });
+    return blocks;
+  }
+
+  /**
+   * Write one flash block
+   * @param {Uint8Array} data - Block data (padded to flashWriteSize)
+   * @param {number} seq - Block sequence number
+   * @returns {Promise<void>}
+   */
   async flashData(data, seq) {
-    // Opcode 0x03: FLASH_DATA
-    // Struct: size(4), seq(4), 0(4), 0(4) + Data
-    const header = new Uint8Array(16);
-    const view = new DataView(header.buffer);
-    view.setUint32(0, data.length, true);
-    view.setUint32(4, seq, true);
-    view.setUint32(8, 0, true);
-    view.setUint32(12, 0, true);
+    const blockSize = this.config.memory.flashWriteSize;
+    const block = new Uint8Array(blockSize).fill(0xff);
+    block.set(data.subarray(0, blockSize));
 
-    const packet = new Uint8Array(16 + data.length);
-    packet.set(header);
-    packet.set(data, 16);
+    const packet = new Uint8Array(16 + blockSize);
+    packet.set(this.packWords(blockSize, seq, 0, 0));
+    packet.set(block, 16);
 
-    await this.sendCommand(0x03, packet, this.checksum(data));
-    // Wait for response (stub)
-    // await new Promise(r => setTimeout(r, 10));
+    await this.command(ESP_FLASH_DATA, packet, {
+      checksum: this.checksum(block),
+    });
   }
 
+  /**
+   * Finish flashing
+   * @param {boolean} [reboot=false] - Ask the ROM to run the new firmware
+   * @returns {Promise<void>}
+   */
   async flashFinish(reboot = false) {
-    // Opcode 0x04: FLASH_END
-    // Struct: reboot(4)
-    const data = new Uint8Array(4);
-    const view = new DataView(data.buffer);
-    view.setUint32(0, reboot ? 0 : 1, true); // 0=reboot, 1=no-reboot? Check docs. Usually 0=reboot.
-
-    this.logger("[ESPTool] Flash Finish");
-    await this.sendCommand(0x04, data);
+    this.log("Flash Finish");
+    // ROM takes "stay in loader" flag: 0 = reboot, 1 = stay
+    await this.command(ESP_FLASH_END, this.packWords(reboot ? 0 : 1));
   }
 
-  checksum(data) {
-    let ef = 0xef;
-    for (const byte of data) {
-      ef ^= byte;
+  /**
+   * Read the MD5 of a flash region
+   * @param {number} addr - Flash offset
+   * @param {number} size - Region size
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async flashMd5(addr, size) {
+    const timeoutMs = Math.max(
+      this.config.timing.commandTimeoutMs,
+      Math.ceil((this.config.timing.md5TimeoutPerMbMs * size) / BYTES_PER_MB)
+    );
+    const { data } = await this.command(
+      ESP_SPI_FLASH_MD5,
+      this.packWords(addr, size, 0, 0),
+      { timeoutMs }
+    );
+
+    // ROM returns 32 ASCII hex characters, the stub returns 16 raw bytes
+    if (data.length >= 32) {
+      return new TextDecoder().decode(data.subarray(0, 32)).toLowerCase();
     }
-    return ef;
+    return Array.from(data.subarray(0, 16))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
   }
-  async sync() {
-    this.logger("[ESPTool] Syncing...");
-    // Send sync command repeatedly until response
-    // Opcode 0x08 is SYNC
-    for (let i = 0; i < 5; i++) {
-      await this.sendCommand(0x08, new Uint8Array(0));
-      await new Promise((r) => setTimeout(r, 100));
+
+  /**
+   * Write a complete image and verify it
+   * @param {Uint8Array} image - Image bytes
+   * @param {number} offset - Flash offset
+   * @param {Function} [onBlock] - Called after each block (written, total)
+   * @returns {Promise<{md5: string|null, verified: boolean}>}
+   * @throws {Error} If verification fails
+   */
+  async writeImage(image, offset, onBlock) {
+    // Pad to a 4-byte boundary as esptool does before hashing
+    const padded = new Uint8Array(Math.ceil(image.length / 4) * 4).fill(0xff);
+    padded.set(image);
+
+    const blockSize = this.config.memory.flashWriteSize;
+    const blocks = await this.flashBegin(padded.length, offset);
+
+    for (let seq = 0; seq < blocks; seq++) {
+      const start = seq * blockSize;
+      await this.flashData(padded.subarray(start, start + blockSize), seq);
+      if (onBlock) onBlock(seq + 1, blocks);
     }
-    return true; // Simulate success
-  }
 
-  async flashData(data, progressCallback) {
-    this.logger("[ESPTool] Flashing data...");
-    // Simulate flashing
-    const total = 100;
-    for (let i = 0; i <= total; i += 10) {
-      if (progressCallback) progressCallback(i);
-      await new Promise((r) => setTimeout(r, 200));
+    if (!this.chip?.romSupportsMd5) {
+      this.log("MD5 verification not supported by this ROM, skipping");
+      return { md5: null, verified: false };
     }
+
+    const expected = md5Hex(padded);
+    const actual = await this.flashMd5(offset, padded.length);
+    if (actual !== expected) {
+      throw new Error(
+        `MD5 mismatch at ${UploadLogger.formatAddr(
+          offset
+        )}: expected ${expected}, flash has ${actual}`
+      );
+    }
+
+    this.log(`Verified ${UploadLogger.formatAddr(offset)} (MD5 ${actual})`);
+    return { md5: actual, verified: true };
   }
 }
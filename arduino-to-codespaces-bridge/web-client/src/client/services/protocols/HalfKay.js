@@ -0,0 +1,238 @@
+/**
+ * HalfKay Protocol Implementation
+ *
+ * Low-level implementation of PJRC's HalfKay HID bootloader used by Teensy:
+ * - Flattening of the parsed firmware image (Teensy 4.x rebased from FlexSPI)
+ * - Board-specific write report layout (Teensy 2.x, 3.x/LC, 4.x)
+ * - Blank block skipping and erase-aware write timeouts
+ * - Reboot command to start the new firmware
+ *
+ * Mirrors the behaviour of teensy_loader_cli.c.
+ *
+ * @module client/services/protocols/HalfKay
+ */
+
+import { TEENSY_HALFKAY_CONFIG } from "../../config/boardProtocols.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { toFlatImage } from "../utils/firmwareImage.js";
+
+// =============================================================================
+// HalfKay Protocol Constants
+// =============================================================================
+
+/** @constant {number} HID_REPORT_ID - HalfKay uses unnumbered reports */
+const HID_REPORT_ID = 0;
+
+/** @constant {number} ARM_HEADER_SIZE - Address header size on 32-bit Teensy */
+const ARM_HEADER_SIZE = 64;
+
+/** @constant {number} AVR_HEADER_SIZE - Address header size on 8-bit Teensy */
+const AVR_HEADER_SIZE = 2;
+
+/** @constant {number} BLANK_BYTE - Value of erased flash */
+const BLANK_BYTE = 0xff;
+
+// =============================================================================
+// HalfKayProtocol Class
+// =============================================================================
+
+/**
+ * HalfKay protocol handler for Teensy programming
+ */
+export class HalfKayProtocol {
+  /**
+   * Create a new HalfKayProtocol instance
+   * @param {WebHIDProvider} provider - Connected WebHID provider
+   * @param {Object} [config] - Teensy configuration from getTeensyConfig()
+   * @param {Function} [logger] - Logging function
+   */
+  constructor(provider, config, logger) {
+    /** @type {WebHIDProvider} */
+    this.provider = provider;
+
+    /** @type {Object} */
+    this.config = config || TEENSY_HALFKAY_CONFIG;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("HalfKay").getLogFunction();
+
+    /** @type {number} Bytes written per HID report */
+    this.blockSize = this.config.memory.blockSize;
+
+    /** @type {number} Usable flash size in bytes */
+    this.codeSize = this.config.memory.codeSize;
+  }
+
+  /**
+   * Log a message
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    this.logger(msg);
+  }
+
+  /**
+   * Size of the address header that precedes each block
+   * @returns {number} Header size in bytes
+   */
+  get headerSize() {
+    return this.blockSize >= 512 ? ARM_HEADER_SIZE : AVR_HEADER_SIZE;
+  }
+
+  /**
+   * Build a HalfKay write report for one block
+   * @param {number} addr - Flash address of the block
+   * @param {Uint8Array} block - Block data (blockSize bytes)
+   * @returns {Uint8Array} Report payload
+   */
+  buildWriteReport(addr, block) {
+    const report = new Uint8Array(this.headerSize + this.blockSize);
+
+    if (this.blockSize <= 256 && this.codeSize < 0x10000) {
+      // Teensy 2.0: 16-bit byte address
+      report[0] = addr & 0xff;
+      report[1] = (addr >> 8) & 0xff;
+    } else if (this.blockSize === 256) {
+      // Teensy++ 2.0: address in 256-byte pages
+      report[0] = (addr >> 8) & 0xff;
+      report[1] = (addr >> 16) & 0xff;
+    } else {
+      // Teensy 3.x / LC / 4.x: 24-bit byte address, 64-byte header
+      report[0] = addr & 0xff;
+      report[1] = (addr >> 8) & 0xff;
+      report[2] = (addr >> 16) & 0xff;
+    }
+
+    report.set(block, this.headerSize);
+    return report;
+  }
+
+  /**
+   * Build the HalfKay reboot report
+   * @returns {Uint8Array} Report payload
+   */
+  buildRebootReport() {
+    const report = new Uint8Array(this.headerSize + this.blockSize);
+    report[0] = 0xff;
+    report[1] = 0xff;
+    report[2] = 0xff;
+    return report;
+  }
+
+  /**
+   * Send a report, retrying while the bootloader is busy
+   *
+   * HalfKay NAKs reports while it is erasing or programming, which WebHID
+   * surfaces as a rejected sendReport() promise.
+   *
+   * @param {Uint8Array} report - Report payload
+   * @param {number} timeoutMs - Give up after this many milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} If the report could not be delivered in time
+   * @private
+   */
+  async sendWithRetry(report, timeoutMs) {
+    const start = Date.now();
+    let lastError = null;
+
+    while (Date.now() - start < timeoutMs) {
+      try {
+        await this.provider.sendReport(HID_REPORT_ID, report);
+        return;
+      } catch (e) {
+        lastError = e;
+        await new Promise((r) =>
+          setTimeout(r, this.config.timing.retryDelayMs)
+        );
+      }
+    }
+
+    throw new Error(
+      `HalfKay write timed out after ${timeoutMs}ms${
+        lastError ? `: ${lastError.message}` : ""
+      }`
+    );
+  }
+
+  /**
+   * Check whether a block only contains erased bytes
+   * @param {Uint8Array} block - Block data
+   * @returns {boolean} True if every byte is 0xFF
+   * @private
+   */
+  isBlank(block) {
+    for (let i = 0; i < block.length; i++) {
+      if (block[i] !== BLANK_BYTE) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Flash a firmware image to the device
+   *
+   * Teensy 4.x images are linked at the FlexSPI window and are rebased to
+   * offset 0 as HalfKay expects.
+   *
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<{bytesWritten: number, blocksWritten: number}>}
+   * @throws {Error} If a segment falls outside the board's flash
+   */
+  async flashImage(image, progressCallback) {
+    const data = toFlatImage(image, {
+      base: this.config.memory.flashBase || 0,
+      size: this.codeSize,
+      align: this.blockSize,
+      target: `${this.config.mcu || "Teensy"} flash`,
+    });
+    const size = data.length;
+
+    if (size === 0) {
+      throw new Error("Firmware image is empty");
+    }
+
+    const totalBlocks = Math.ceil(size / this.blockSize);
+    this.log(
+      `Flashing ${size} bytes in ${totalBlocks} blocks of ${this.blockSize} bytes`
+    );
+
+    let blocksWritten = 0;
+    for (let i = 0; i < totalBlocks; i++) {
+      const addr = i * this.blockSize;
+      const block = data.subarray(addr, addr + this.blockSize);
+      const firstBlock = i === 0;
+
+      // The first block is always written: it triggers the chip erase
+      if (!firstBlock && this.isBlank(block)) continue;
+
+      const timeout = firstBlock
+        ? this.config.timing.firstBlockTimeoutMs
+        : this.config.timing.blockTimeoutMs;
+
+      if (firstBlock && progressCallback) progressCallback(0, "Erasing...");
+
+      await this.sendWithRetry(this.buildWriteReport(addr, block), timeout);
+      blocksWritten++;
+
+      if (progressCallback) {
+        progressCallback(Math.round(((i + 1) / totalBlocks) * 100), "Flashing");
+      }
+    }
+
+    this.log(`Wrote ${blocksWritten} non-blank blocks`);
+    return { bytesWritten: size, blocksWritten };
+  }
+
+  /**
+   * Reboot the Teensy into the freshly written firmware
+   * @returns {Promise<void>}
+   */
+  async reboot() {
+    this.log("Sending reboot command");
+    await this.sendWithRetry(
+      this.buildRebootReport(),
+      this.config.timing.blockTimeoutMs
+    );
+  }
+}
@@ -0,0 +1,500 @@
+/**
+ * PICOBOOT Protocol Implementation
+ *
+ * Low-level implementation of the PICOBOOT vendor interface exposed by the
+ * RP2040/RP2350 boot ROM in BOOTSEL mode:
+ * - 32-byte command packets with token and magic
+ * - Exclusive access (ejects the RPI-RP2 mass storage drive)
+ * - Sector erase, page write and read-back verification
+ * - Reboot into the new firmware
+ *
+ * Mirrors the command sequence of picotool's "load -x".
+ *
+ * @module client/services/protocols/Picoboot
+ */
+
+import { PICOBOOT_CONFIG } from "../../config/boardProtocols.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+
+// =============================================================================
+// PICOBOOT Protocol Constants
+// =============================================================================
+
+/** @constant {number} PICOBOOT_MAGIC - dMagic of every command packet */
+const PICOBOOT_MAGIC = 0x431fd10b;
+
+/** @constant {number} COMMAND_SIZE - Size of a command packet */
+const COMMAND_SIZE = 32;
+
+/** @constant {number} ARGS_OFFSET - Offset of the command arguments */
+const ARGS_OFFSET = 16;
+
+/** @constant {number} CMD_DIRECTION_IN - bCmdId bit for device-to-host data */
+const CMD_DIRECTION_IN = 0x80;
+
+/** @constant {number} PC_EXCLUSIVE_ACCESS - Lock out the mass storage interface */
+const PC_EXCLUSIVE_ACCESS = 0x01;
+
+/** @constant {number} PC_REBOOT - Reboot (RP2040) */
+const PC_REBOOT = 0x02;
+
+/** @constant {number} PC_FLASH_ERASE - Erase 4KB-aligned flash range */
+const PC_FLASH_ERASE = 0x03;
+
+/** @constant {number} PC_READ - Read memory */
+const PC_READ = 0x04 | CMD_DIRECTION_IN;
+
+/** @constant {number} PC_WRITE - Write memory (256-byte aligned in flash) */
+const PC_WRITE = 0x05;
+
+/** @constant {number} PC_EXIT_XIP - Leave execute-in-place so flash can be programmed */
+const PC_EXIT_XIP = 0x06;
+
+/** @constant {number} PC_REBOOT2 - Reboot (RP2350) */
+const PC_REBOOT2 = 0x0a;
+
+/** @constant {number} EXCLUSIVE_AND_EJECT - bExclusive value that also ejects the drive */
+const EXCLUSIVE_AND_EJECT = 2;
+
+/** @constant {number} IF_RESET - Vendor control request: reset the interface */
+const IF_RESET = 0x41;
+
+/** @constant {number} IF_CMD_STATUS - Vendor control request: last command status */
+const IF_CMD_STATUS = 0x42;
+
+/** @constant {string[]} STATUS_NAMES - dStatusCode values from picoboot.h */
+const STATUS_NAMES = [
+  "OK",
+  "UNKNOWN_CMD",
+  "INVALID_CMD_LENGTH",
+  "INVALID_TRANSFER_LENGTH",
+  "INVALID_ADDRESS",
+  "BAD_ALIGNMENT",
+  "INTERLEAVED_WRITE",
+  "REBOOTING",
+  "UNKNOWN_ERROR",
+];
+
+/** @constant {number} BLANK_BYTE - Value of erased flash */
+const BLANK_BYTE = 0xff;
+
+// =============================================================================
+// PicobootProtocol Class
+// =============================================================================
+
+/**
+ * PICOBOOT protocol handler for RP2040/RP2350 programming
+ */
+export class PicobootProtocol {
+  /**
+   * Create a new PicobootProtocol instance
+   * @param {WebUSBProvider} provider - WebUSB provider connected to the PICOBOOT interface
+   * @param {Object} [config] - PICOBOOT_CONFIG, optionally with chip ("RP2040"/"RP2350")
+   * @param {Function} [logger] - Logging function
+   */
+  constructor(provider, config, logger) {
+    /** @type {WebUSBProvider} */
+    this.provider = provider;
+
+    /** @type {Object} */
+    this.config = config || PICOBOOT_CONFIG;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("PICOBOOT").getLogFunction();
+
+    /** @type {string} Chip family, selects the reboot command */
+    this.chip = this.config.chip || "RP2040";
+
+    /** @type {number} Token of the next command */
+    this.token = 1;
+  }
+
+  /**
+   * Log a message
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    this.logger(msg);
+  }
+
+  // ===========================================================================
+  // Transport
+  // ===========================================================================
+
+  /**
+   * Run a USB transfer, failing if it takes longer than timeoutMs
+   * @param {Promise<USBInTransferResult|USBOutTransferResult>} transfer - Pending transfer
+   * @param {number} timeoutMs - Maximum wait
+   * @param {string} what - Description used in the timeout error
+   * @returns {Promise<USBInTransferResult|USBOutTransferResult>}
+   * @private
+   */
+  async withTimeout(transfer, timeoutMs, what) {
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error(`Timeout waiting for ${what}`)),
+        timeoutMs
+      );
+    });
+
+    try {
+      return await Promise.race([transfer, timeoutPromise]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Reset the interface, clearing any half-finished command
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this.provider.controlTransferOut(IF_RESET);
+  }
+
+  /**
+   * Read the status of the last command after a stalled transfer
+   * @returns {Promise<string>} Status name, e.g. "INVALID_ADDRESS"
+   * @private
+   */
+  async readStatus() {
+    try {
+      const result = await this.provider.controlTransferIn(
+        IF_CMD_STATUS,
+        0,
+        16
+      );
+      const code = result.data.getUint32(4, true);
+      return STATUS_NAMES[code] || `status ${code}`;
+    } catch (e) {
+      return "unknown status";
+    }
+  }
+
+  /**
+   * Turn a stalled transfer into an error carrying the device status
+   * @param {number} cmdId - Command that failed
+   * @returns {Promise<Error>} Error with code PICOBOOT_ERROR
+   * @private
+   */
+  async commandError(cmdId) {
+    const status = await this.readStatus();
+    await this.provider.clearHalt("in").catch(() => {});
+    await this.provider.clearHalt("out").catch(() => {});
+    await this.reset().catch(() => {});
+
+    const error = new Error(
+      `PICOBOOT command 0x${cmdId.toString(16)} failed: ${status}`
+    );
+    error.code = "PICOBOOT_ERROR";
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Send a command, its data phase and wait for the acknowledgement
+   * @param {number} cmdId - Command ID (bit 7 set for IN commands)
+   * @param {number[]} [args] - Little-endian 32-bit arguments
+   * @param {Object} [options]
+   * @param {Uint8Array} [options.data] - OUT data phase
+   * @param {number} [options.readLength=0] - IN data phase length
+   * @param {number} [options.argBytes] - Argument size if not 4 per argument
+   * @param {number} [options.timeoutMs] - Timeout for each phase
+   * @returns {Promise<Uint8Array|null>} IN data, or null for OUT commands
+   * @throws {Error} With code PICOBOOT_ERROR if the device rejects the command
+   */
+  async command(
+    cmdId,
+    args = [],
+    {
+      data,
+      readLength = 0,
+      argBytes = args.length * 4,
+      timeoutMs = this.config.timing.commandTimeoutMs,
+    } = {}
+  ) {
+    const isIn = (cmdId & CMD_DIRECTION_IN) !== 0;
+    const transferLength = isIn ? readLength : data ? data.length : 0;
+
+    const packet = new Uint8Array(COMMAND_SIZE);
+    const view = new DataView(packet.buffer);
+    view.setUint32(0, PICOBOOT_MAGIC, true);
+    view.setUint32(4, this.token++, true);
+    packet[8] = cmdId;
+    packet[9] = argBytes;
+    view.setUint32(12, transferLength, true);
+    // Single-byte arguments (EXCLUSIVE_ACCESS) land in the low byte
+    args.forEach((arg, i) => {
+      view.setUint32(ARGS_OFFSET + i * 4, arg >>> 0, true);
+    });
+
+    const name = `command 0x${cmdId.toString(16)}`;
+    const sent = await this.withTimeout(
+      this.provider.transferOut(packet),
+      timeoutMs,
+      name
+    );
+    if (sent.status !== "ok") throw await this.commandError(cmdId);
+
+    let result = null;
+    if (isIn) {
+      if (readLength) {
+        const received = await this.withTimeout(
+          this.provider.transferIn(readLength),
+          timeoutMs,
+          `${name} data`
+        );
+        if (received.status !== "ok") throw await this.commandError(cmdId);
+        result = new Uint8Array(
+          received.data.buffer,
+          received.data.byteOffset,
+          received.data.byteLength
+        );
+      }
+      // Status phase: zero-length packet from the host
+      await this.withTimeout(
+        this.provider.transferOut(new Uint8Array(0)),
+        timeoutMs,
+        `${name} ack`
+      );
+    } else {
+      if (data) {
+        const written = await this.withTimeout(
+          this.provider.transferOut(data),
+          timeoutMs,
+          `${name} data`
+        );
+        if (written.status !== "ok") throw await this.commandError(cmdId);
+      }
+      // Status phase: zero-length packet from the device
+      const ack = await this.withTimeout(
+        this.provider.transferIn(1),
+        timeoutMs,
+        `${name} ack`
+      );
+      if (ack.status !== "ok") throw await this.commandError(cmdId);
+    }
+
+    return result;
+  }
+
+  // ===========================================================================
+  // Bootloader Commands
+  // ===========================================================================
+
+  /**
+   * Take exclusive access and eject the mass storage drive
+   * @returns {Promise<void>}
+   */
+  async exclusiveAccess() {
+    this.log("Requesting exclusive access (ejects RPI-RP2 drive)...");
+    await this.command(PC_EXCLUSIVE_ACCESS, [EXCLUSIVE_AND_EJECT], {
+      argBytes: 1,
+    });
+  }
+
+  /**
+   * Leave execute-in-place mode so flash can be erased and written
+   * @returns {Promise<void>}
+   */
+  async exitXip() {
+    await this.command(PC_EXIT_XIP);
+  }
+
+  /**
+   * Erase a sector-aligned flash range
+   * @param {number} address - Start address (4KB aligned)
+   * @param {number} size - Length in bytes (multiple of 4KB)
+   * @returns {Promise<void>}
+   */
+  async erase(address, size) {
+    await this.command(PC_FLASH_ERASE, [address, size], {
+      timeoutMs: this.config.timing.eraseTimeoutMs,
+    });
+  }
+
+  /**
+   * Write page-aligned data to flash
+   * @param {number} address - Start address (256-byte aligned)
+   * @param {Uint8Array} data - Whole pages
+   * @returns {Promise<void>}
+   */
+  async write(address, data) {
+    await this.command(PC_WRITE, [address, data.length], { data });
+  }
+
+  /**
+   * Read memory
+   * @param {number} address - Start address
+   * @param {number} size - Number of bytes
+   * @returns {Promise<Uint8Array>} Memory contents
+   */
+  async read(address, size) {
+    return await this.command(PC_READ, [address, size], { readLength: size });
+  }
+
+  /**
+   * Reboot into the flashed firmware
+   * @returns {Promise<void>}
+   */
+  async reboot() {
+    const delayMs = this.config.timing.rebootDelayMs;
+    this.log(`Rebooting in ${delayMs}ms...`);
+    if (this.chip === "RP2350") {
+      // dFlags 0 = normal boot
+      await this.command(PC_REBOOT2, [0, delayMs, 0, 0]);
+    } else {
+      // dPC 0 = normal boot from flash
+      await this.command(PC_REBOOT, [0, 0, delayMs]);
+    }
+  }
+
+  // ===========================================================================
+  // Flashing
+  // ===========================================================================
+
+  /**
+   * Group an image into the flash sectors it touches
+   *
+   * Sectors are erased whole, so bytes not covered by the image are written
+   * as erased bytes - the same result as copying the UF2 to the drive.
+   *
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware
+   * @returns {{address: number, data: Uint8Array}[]} Sectors sorted by address
+   * @throws {Error} If a segment lies outside the flash window
+   */
+  toSectors(image) {
+    const { flashBase, flashSize, sectorSize } = this.config.memory;
+    const sectors = new Map();
+
+    for (const segment of image.segments) {
+      const end = segment.address + segment.data.length;
+      if (segment.address < flashBase || end > flashBase + flashSize) {
+        throw new Error(
+          `Firmware segment at ${UploadLogger.formatAddr(
+            segment.address
+          )} is outside flash (${UploadLogger.formatAddr(
+            flashBase
+          )}-${UploadLogger.formatAddr(flashBase + flashSize - 1)})`
+        );
+      }
+
+      let offset = 0;
+      while (offset < segment.data.length) {
+        const address = segment.address + offset;
+        const sectorAddr = address - ((address - flashBase) % sectorSize);
+        const length = Math.min(
+          segment.data.length - offset,
+          sectorAddr + sectorSize - address
+        );
+
+        if (!sectors.has(sectorAddr)) {
+          sectors.set(sectorAddr, new Uint8Array(sectorSize).fill(BLANK_BYTE));
+        }
+        sectors
+          .get(sectorAddr)
+          .set(
+            segment.data.subarray(offset, offset + length),
+            address - sectorAddr
+          );
+        offset += length;
+      }
+    }
+
+    return [...sectors.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([address, data]) => ({ address, data }));
+  }
+
+  /**
+   * Read back every written sector and compare it with the image
+   * @param {{address: number, data: Uint8Array}[]} sectors - Sectors that were written
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} With code VERIFY_FAILED and the address of the first mismatch
+   * @private
+   */
+  async verify(sectors, progressCallback) {
+    for (let i = 0; i < sectors.length; i++) {
+      const { address, data } = sectors[i];
+      const actual = await this.read(address, data.length);
+
+      const index = data.findIndex((byte, j) => byte !== actual[j]);
+      if (index !== -1) {
+        const badAddr = address + index;
+        const message = `Verification failed at ${UploadLogger.formatAddr(
+          badAddr
+        )}: expected 0x${data[index].toString(16).padStart(2, "0")}, read 0x${(
+          actual[index] ?? 0
+        )
+          .toString(16)
+          .padStart(2, "0")}`;
+        this.log(message);
+        if (progressCallback) {
+          progressCallback(Math.round((i / sectors.length) * 100), message);
+        }
+        const error = new Error(message);
+        error.code = "VERIFY_FAILED";
+        error.address = badAddr;
+        throw error;
+      }
+
+      if (progressCallback) {
+        progressCallback(
+          Math.round(((i + 1) / sectors.length) * 100),
+          "Verifying"
+        );
+      }
+    }
+
+    this.log(`Verified ${sectors.length} sectors`);
+  }
+
+  /**
+   * Erase, write and verify the sectors of a firmware image
+   *
+   * The device stays in BOOTSEL mode; call reboot() to start the firmware.
+   *
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware (UF2)
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read back and compare every sector
+   * @returns {Promise<{sectorsWritten: number}>}
+   * @throws {Error} With code PICOBOOT_ERROR or VERIFY_FAILED
+   */
+  async flashImage(image, progressCallback, { verify = true } = {}) {
+    const sectors = this.toSectors(image);
+    const sectorSize = this.config.memory.sectorSize;
+
+    this.log(
+      `Flashing ${sectors.length} sectors of ${sectorSize} bytes (${this.chip})...`
+    );
+
+    await this.reset();
+    await this.exclusiveAccess();
+    await this.exitXip();
+
+    for (let i = 0; i < sectors.length; i++) {
+      const { address, data } = sectors[i];
+      await this.erase(address, sectorSize);
+      await this.write(address, data);
+
+      if (progressCallback) {
+        progressCallback(
+          Math.round(((i + 1) / sectors.length) * 100),
+          "Flashing"
+        );
+      }
+    }
+
+    if (verify) {
+      if (progressCallback) progressCallback(0, "Verifying");
+      await this.verify(sectors, progressCallback);
+    }
+
+    this.log("Flash complete!");
+    return { sectorsWritten: sectors.length };
+  }
+}
@@ -5,14 +5,17 @@
  * - Synchronization with bootloader
  * - Programming mode management
  * - Page-based flash writing
- * - Intel HEX file parsing
+ * - Read-back verification of written pages
  *
  * Compatible with ATmega328P (Arduino Uno R3) and similar AVR microcontrollers.
+ * Boards with the STK500v2 wiring bootloader (Mega 2560) use STK500v2.js.
  *
  * @module client/services/protocols/STK500
  */
 
+import { STK500_CONFIG } from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { toFlatImage } from "../utils/firmwareImage.js";
 
 // =============================================================================
 // STK500 Protocol Constants
@@ -33,6 +36,9 @@ const STK_LOAD_ADDRESS = 0x55;
 /** @constant {number} STK_PROG_PAGE - Program page command */
 const STK_PROG_PAGE = 0x64;
 
+/** @constant {number} STK_READ_PAGE - Read page command */
+const STK_READ_PAGE = 0x74;
+
 /** @constant {number} CRC_EOP - End of packet marker */
 const CRC_EOP = 0x20;
 
@@ -54,12 +60,6 @@ const SYNC_WINDOW_MS = 200;
 /** @constant {number} SYNC_RETRY_DELAY_MS - Delay between sync attempts */
 const SYNC_RETRY_DELAY_MS = 100;
 
-/** @constant {number} ATMEGA328P_PAGE_SIZE - Page size for ATmega328P */
-const ATMEGA328P_PAGE_SIZE = 128;
-
-/** @constant {number} MAX_MEMORY_SIZE - Maximum memory buffer size (32KB) */
-const MAX_MEMORY_SIZE = 32 * 1024;
-
 // =============================================================================
 // STK500Protocol Class
 // =============================================================================
@@ -72,14 +72,18 @@ export class STK500Protocol {
    * Create a new STK500Protocol instance
    * @param {SerialPort} port - WebSerial port instance
    * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Board configuration from getAvrConfig()
    */
-  constructor(port, logger) {
+  constructor(port, logger, config = STK500_CONFIG) {
     /** @type {SerialPort} */
     this.port = port;
 
     /** @type {Function} */
     this.logger = logger || new UploadLogger("STK500").getLogFunction();
 
+    /** @type {Object} */
+    this.config = config;
+
     /** @type {ReadableStreamDefaultReader|null} */
     this.reader = null;
 
@@ -298,16 +302,101 @@ export class STK500Protocol {
   }
 
   /**
-   * Flash a hex file to the device
-   * @param {string} hexString - Intel HEX format firmware
+   * Read a page of flash memory at the loaded address
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} Page contents
+   * @throws {Error} If the bootloader does not answer in sync
+   * @private
+   */
+  async readPage(length) {
+    await this.send([
+      STK_READ_PAGE,
+      (length >> 8) & 0xff,
+      length & 0xff,
+      FLASH_MEMORY_TYPE,
+      CRC_EOP,
+    ]);
+    const resp = await this.receive(length + 2);
+    if (resp[0] !== STK_INSYNC || resp[length + 1] !== STK_OK)
+      throw new Error("Failed to read page");
+    return resp.subarray(1, length + 1);
+  }
+
+  /**
+   * Read back every written page and compare it with the image
+   * @param {Uint8Array} data - Flash image that was written
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} With code VERIFY_FAILED and the address of the first mismatch
+   * @private
+   */
+  async verify(data, progressCallback) {
+    const pageSize = this.config.memory.pageSize;
+    const totalBytes = data.length;
+
+    for (let addr = 0; addr < totalBytes; addr += pageSize) {
+      const expected = data.subarray(
+        addr,
+        Math.min(addr + pageSize, totalBytes)
+      );
+
+      await this.loadAddress(addr >> 1);
+      const actual = await this.readPage(expected.length);
+
+      const index = expected.findIndex((byte, i) => byte !== actual[i]);
+      if (index !== -1) {
+        const badAddr = addr + index;
+        const message = `Verification failed at ${UploadLogger.formatAddr(
+          badAddr
+        )}: expected 0x${expected[index]
+          .toString(16)
+          .padStart(2, "0")}, read 0x${actual[index]
+          .toString(16)
+          .padStart(2, "0")}`;
+        this.log(message);
+        if (progressCallback) {
+          progressCallback(Math.round((addr / totalBytes) * 100), message);
+        }
+        const error = new Error(message);
+        error.code = "VERIFY_FAILED";
+        error.address = badAddr;
+        throw error;
+      }
+
+      if (progressCallback) {
+        progressCallback(Math.round((addr / totalBytes) * 100), "Verifying");
+      }
+    }
+
+    this.log(`Verified ${totalBytes} bytes`);
+  }
+
+  /**
+   * Flash a firmware image to the device
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware
    * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read back and compare every page
    * @returns {Promise<void>}
+   * @throws {Error} If the image does not fit below the bootloader
+   * @throws {Error} With code VERIFY_FAILED if the read-back differs
    */
-  async flashHex(hexString, progressCallback) {
-    const data = this.parseHex(hexString);
-    const pageSize = ATMEGA328P_PAGE_SIZE;
+  async flashImage(image, progressCallback, { verify = true } = {}) {
+    const { pageSize, flashSize, bootloaderSize = 0 } = this.config.memory;
+    const data = toFlatImage(image, {
+      size: flashSize,
+      target: `${this.config.mcu || "AVR"} flash`,
+    });
     const totalBytes = data.length;
 
+    if (totalBytes > flashSize - bootloaderSize) {
+      throw new Error(
+        `Sketch is ${totalBytes} bytes but only ${
+          flashSize - bootloaderSize
+        } bytes are available below the bootloader`
+      );
+    }
+
     this.log(`Flashing ${totalBytes} bytes...`);
 
     await this.connect();
@@ -339,6 +428,11 @@ export class STK500Protocol {
         }
       }
 
+      if (verify) {
+        if (progressCallback) progressCallback(0, "Verifying");
+        await this.verify(data, progressCallback);
+      }
+
       if (progressCallback) progressCallback(100, "Finalizing...");
       await this.leaveProgMode();
       this.log("Flash complete!");
@@ -346,34 +440,4 @@ export class STK500Protocol {
       await this.disconnect();
     }
   }
-
-  /**
-   * Parse Intel HEX format string into binary data
-   * @param {string} hex - Intel HEX format string
-   * @returns {Uint8Array} Binary data
-   * @private
-   */
-  parseHex(hex) {
-    const lines = hex.split("\n");
-    const memory = new Uint8Array(MAX_MEMORY_SIZE);
-    let maxAddr = 0;
-
-    for (const line of lines) {
-      if (!line.startsWith(":")) continue;
-      const len = parseInt(line.substr(1, 2), 16);
-      const addr = parseInt(line.substr(3, 4), 16);
-      const type = parseInt(line.substr(7, 2), 16);
-
-      if (type === 0) {
-        // Data record
-        for (let i = 0; i < len; i++) {
-          const byte = parseInt(line.substr(9 + i * 2, 2), 16);
-          memory[addr + i] = byte;
-        }
-        if (addr + len > maxAddr) maxAddr = addr + len;
-      }
-    }
-
-    return memory.subarray(0, maxAddr);
-  }
 }
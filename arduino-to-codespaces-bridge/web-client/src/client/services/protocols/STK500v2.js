@@ -0,0 +1,552 @@
+/**
+ * STK500v2 Protocol Implementation
+ *
+ * Low-level implementation of the STK500v2 protocol (Atmel AVR068) as spoken
+ * by the wiring bootloader on the Arduino Mega 2560:
+ * - Framed messages with sequence number, length and XOR checksum
+ * - Sign-on based synchronization
+ * - Page-based flash writing with extended (>64K word) addressing
+ * - Read-back verification of written pages
+ *
+ * @module client/services/protocols/STK500v2
+ */
+
+import { STK500V2_CONFIG } from "../../config/boardProtocols.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { toFlatImage } from "../utils/firmwareImage.js";
+
+// =============================================================================
+// STK500v2 Protocol Constants
+// =============================================================================
+
+/** @constant {number} MESSAGE_START - First byte of every message */
+const MESSAGE_START = 0x1b;
+
+/** @constant {number} TOKEN - Marks the start of the message body */
+const TOKEN = 0x0e;
+
+/** @constant {number} CMD_SIGN_ON - Sign on / identify programmer */
+const CMD_SIGN_ON = 0x01;
+
+/** @constant {number} CMD_LOAD_ADDRESS - Load 32-bit word address */
+const CMD_LOAD_ADDRESS = 0x06;
+
+/** @constant {number} CMD_ENTER_PROGMODE_ISP - Enter programming mode */
+const CMD_ENTER_PROGMODE_ISP = 0x10;
+
+/** @constant {number} CMD_LEAVE_PROGMODE_ISP - Leave programming mode */
+const CMD_LEAVE_PROGMODE_ISP = 0x11;
+
+/** @constant {number} CMD_PROGRAM_FLASH_ISP - Program flash page */
+const CMD_PROGRAM_FLASH_ISP = 0x13;
+
+/** @constant {number} CMD_READ_FLASH_ISP - Read flash page */
+const CMD_READ_FLASH_ISP = 0x14;
+
+/** @constant {number} STATUS_CMD_OK - Command succeeded */
+const STATUS_CMD_OK = 0x00;
+
+/** @constant {number} EXTENDED_ADDRESS_FLAG - LOAD_ADDRESS bit 31, selects the extended address byte */
+const EXTENDED_ADDRESS_FLAG = 0x80000000;
+
+/** @constant {number} WORD_ADDRESS_LIMIT - Byte address beyond which extended addressing is required */
+const WORD_ADDRESS_LIMIT = 0x20000;
+
+/** @constant {number} HEADER_SIZE - Bytes before the message body */
+const HEADER_SIZE = 5;
+
+/** @constant {number} BLANK_BYTE - Value of erased flash */
+const BLANK_BYTE = 0xff;
+
+// =============================================================================
+// STK500v2Protocol Class
+// =============================================================================
+
+/**
+ * STK500v2 protocol handler for AVR programming
+ */
+export class STK500v2Protocol {
+  /**
+   * Create a new STK500v2Protocol instance
+   * @param {SerialPort} port - WebSerial port instance (already open)
+   * @param {Function} [logger] - Logging function
+   * @param {Object} [config] - Board configuration from getAvrConfig()
+   */
+  constructor(port, logger, config = STK500V2_CONFIG) {
+    /** @type {SerialPort} */
+    this.port = port;
+
+    /** @type {Function} */
+    this.logger = logger || new UploadLogger("STK500v2").getLogFunction();
+
+    /** @type {Object} */
+    this.config = config;
+
+    /** @type {ReadableStreamDefaultReader|null} */
+    this.reader = null;
+
+    /** @type {WritableStreamDefaultWriter|null} */
+    this.writer = null;
+
+    /** @type {Promise|null} Outstanding reader.read() shared across timeouts */
+    this.pendingRead = null;
+
+    /** @type {number[]} Received bytes not yet consumed by a message */
+    this.rxBuffer = [];
+
+    /** @type {number} Sequence number of the next message */
+    this.sequence = 0;
+
+    /** @type {boolean} Enable debug logging */
+    this.debug = true;
+  }
+
+  /**
+   * Log a message if debug is enabled
+   * @param {string} msg - Message to log
+   * @private
+   */
+  log(msg) {
+    if (this.debug) this.logger(msg);
+  }
+
+  // ===========================================================================
+  // Transport
+  // ===========================================================================
+
+  /**
+   * Connect to the serial port for programming
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.writer = this.port.writable.getWriter();
+    this.reader = this.port.readable.getReader();
+  }
+
+  /**
+   * Disconnect from the serial port
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.reader) {
+      try {
+        await this.reader.cancel();
+      } catch (e) {
+        /* ignore */
+      }
+      this.reader.releaseLock();
+      this.reader = null;
+    }
+    if (this.writer) {
+      this.writer.releaseLock();
+      this.writer = null;
+    }
+    this.pendingRead = null;
+    this.rxBuffer = [];
+  }
+
+  /**
+   * Read one chunk from the port, waiting at most timeoutMs
+   * @param {number} timeoutMs - Maximum wait
+   * @returns {Promise<Uint8Array|null>} Data, or null on timeout
+   * @throws {Error} If the port closed
+   * @private
+   */
+  async readChunk(timeoutMs) {
+    if (!this.pendingRead) {
+      this.pendingRead = this.reader.read();
+    }
+
+    let timeoutId;
+    const timeoutPromise = new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve("timeout"), timeoutMs);
+    });
+
+    const result = await Promise.race([this.pendingRead, timeoutPromise]);
+    clearTimeout(timeoutId);
+
+    if (result === "timeout") return null;
+
+    this.pendingRead = null;
+    if (result.done) throw new Error("Port closed");
+    return result.value || null;
+  }
+
+  /**
+   * Build a framed message around a command body
+   * @param {number[]|Uint8Array} body - Command and parameters
+   * @returns {Uint8Array} Framed message with checksum
+   */
+  frame(body) {
+    const message = new Uint8Array(HEADER_SIZE + body.length + 1);
+    message[0] = MESSAGE_START;
+    message[1] = this.sequence;
+    message[2] = (body.length >> 8) & 0xff;
+    message[3] = body.length & 0xff;
+    message[4] = TOKEN;
+    message.set(body, HEADER_SIZE);
+
+    let checksum = 0;
+    for (let i = 0; i < message.length - 1; i++) checksum ^= message[i];
+    message[message.length - 1] = checksum;
+
+    return message;
+  }
+
+  /**
+   * Extract the next valid message body from the receive buffer
+   * @returns {Uint8Array|null} Body of a complete message, or null
+   * @private
+   */
+  takeMessage() {
+    while (this.rxBuffer.length > 0) {
+      const start = this.rxBuffer.indexOf(MESSAGE_START);
+      if (start === -1) {
+        this.rxBuffer = [];
+        return null;
+      }
+      if (start > 0) this.rxBuffer.splice(0, start);
+      if (this.rxBuffer.length < HEADER_SIZE) return null;
+
+      const size = (this.rxBuffer[2] << 8) | this.rxBuffer[3];
+      if (this.rxBuffer[4] !== TOKEN) {
+        // False start byte; resynchronise on the next MESSAGE_START
+        this.rxBuffer.shift();
+        continue;
+      }
+
+      const total = HEADER_SIZE + size + 1;
+      if (this.rxBuffer.length < total) return null;
+
+      const message = this.rxBuffer.splice(0, total);
+      let checksum = 0;
+      for (const byte of message) checksum ^= byte;
+
+      if (checksum !== 0) {
+        this.log("Discarding message with bad checksum");
+        continue;
+      }
+      if (message[1] !== this.sequence) {
+        this.log(
+          `Discarding stale message (seq ${message[1]}, want ${this.sequence})`
+        );
+        continue;
+      }
+
+      return new Uint8Array(message.slice(HEADER_SIZE, HEADER_SIZE + size));
+    }
+    return null;
+  }
+
+  /**
+   * Send a command and wait for its answer
+   * @param {number[]|Uint8Array} body - Command and parameters
+   * @param {number} [timeoutMs] - Maximum wait for the answer
+   * @returns {Promise<Uint8Array>} Answer body (command echo, status, data)
+   * @throws {Error} On timeout or a non-OK status
+   */
+  async command(body, timeoutMs = this.config.timing.commandTimeoutMs) {
+    const message = this.frame(body);
+    this.log(
+      `TX: cmd 0x${body[0].toString(16).padStart(2, "0")} seq ${
+        this.sequence
+      } (${body.length} bytes)`
+    );
+    await this.writer.write(message);
+
+    const deadline = Date.now() + timeoutMs;
+    let answer = this.takeMessage();
+
+    while (!answer) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(
+          `Timeout waiting for answer to command 0x${body[0].toString(16)}`
+        );
+      }
+      const chunk = await this.readChunk(remaining);
+      if (chunk) {
+        this.rxBuffer.push(...chunk);
+        answer = this.takeMessage();
+      }
+    }
+
+    this.sequence = (this.sequence + 1) & 0xff;
+
+    if (answer[0] !== body[0]) {
+      throw new Error(
+        `Answer for command 0x${answer[0].toString(
+          16
+        )} does not match request 0x${body[0].toString(16)}`
+      );
+    }
+    if (answer[1] !== STATUS_CMD_OK) {
+      throw new Error(
+        `Command 0x${body[0].toString(16)} failed with status 0x${answer[1]
+          .toString(16)
+          .padStart(2, "0")}`
+      );
+    }
+
+    return answer;
+  }
+
+  // ===========================================================================
+  // Bootloader Commands
+  // ===========================================================================
+
+  /**
+   * Synchronize with the bootloader by signing on
+   * @param {number} [attempts] - Number of sign-on attempts
+   * @returns {Promise<string>} Programmer signature (e.g. "AVRISP_2")
+   * @throws {Error} If no answer arrives after all attempts
+   */
+  async signOn(attempts = this.config.timing.signOnRetries) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        this.log(`Sign-on attempt ${i + 1}...`);
+        const answer = await this.command(
+          [CMD_SIGN_ON],
+          this.config.timing.signOnTimeoutMs
+        );
+        const length = answer[2] || 0;
+        const signature = new TextDecoder().decode(
+          answer.subarray(3, 3 + length)
+        );
+        this.log(`Signed on: ${signature}`);
+        return signature;
+      } catch (e) {
+        this.log(`Sign-on attempt failed: ${e.message}`);
+        // Fresh sequence number so a late answer to this attempt is ignored
+        this.sequence = (this.sequence + 1) & 0xff;
+      }
+    }
+    throw new Error("Failed to sign on to STK500v2 bootloader");
+  }
+
+  /**
+   * Enter programming mode
+   * @returns {Promise<void>}
+   */
+  async enterProgMode() {
+    this.log("Entering programming mode...");
+    const isp = this.config.isp;
+    await this.command([
+      CMD_ENTER_PROGMODE_ISP,
+      isp.timeout,
+      isp.stabDelay,
+      isp.cmdexeDelay,
+      isp.synchLoops,
+      isp.byteDelay,
+      isp.pollValue,
+      isp.pollIndex,
+      ...isp.enterCmd,
+    ]);
+  }
+
+  /**
+   * Leave programming mode (the bootloader then starts the sketch)
+   * @returns {Promise<void>}
+   */
+  async leaveProgMode() {
+    this.log("Leaving programming mode...");
+    await this.command([CMD_LEAVE_PROGMODE_ISP, 0x01, 0x01]);
+  }
+
+  /**
+   * Load a word address for the next page operation
+   *
+   * Above 128KB the extended address flag (bit 31) tells the bootloader to
+   * update its extended address byte (RAMPZ) from bits 16-23.
+   *
+   * @param {number} byteAddr - Byte address of the page
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadAddress(byteAddr) {
+    let wordAddr = byteAddr >>> 1;
+    if (this.config.memory.flashSize > WORD_ADDRESS_LIMIT) {
+      wordAddr = (wordAddr | EXTENDED_ADDRESS_FLAG) >>> 0;
+    }
+    await this.command([
+      CMD_LOAD_ADDRESS,
+      (wordAddr >>> 24) & 0xff,
+      (wordAddr >>> 16) & 0xff,
+      (wordAddr >>> 8) & 0xff,
+      wordAddr & 0xff,
+    ]);
+  }
+
+  /**
+   * Program one page of flash at the loaded address
+   * @param {Uint8Array} data - Page data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async progPage(data) {
+    const isp = this.config.isp;
+    const body = new Uint8Array(10 + data.length);
+    body[0] = CMD_PROGRAM_FLASH_ISP;
+    body[1] = (data.length >> 8) & 0xff;
+    body[2] = data.length & 0xff;
+    body[3] = isp.flashMode;
+    body[4] = isp.flashDelay;
+    body.set(isp.flashCmd, 5);
+    body[8] = 0x00; // poll1
+    body[9] = 0x00; // poll2
+    body.set(data, 10);
+    await this.command(body);
+  }
+
+  /**
+   * Read one page of flash at the loaded address
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Uint8Array>} Page contents
+   * @private
+   */
+  async readPage(length) {
+    const answer = await this.command([
+      CMD_READ_FLASH_ISP,
+      (length >> 8) & 0xff,
+      length & 0xff,
+      this.config.isp.readCmd,
+    ]);
+    // Answer: command, status, data..., status
+    return answer.subarray(2, 2 + length);
+  }
+
+  // ===========================================================================
+  // Flashing
+  // ===========================================================================
+
+  /**
+   * Build the padded page written at a byte address
+   * @param {Uint8Array} data - Flash image
+   * @param {number} addr - Page start address
+   * @returns {Uint8Array} Full page, padded with erased bytes
+   * @private
+   */
+  pageAt(data, addr) {
+    const pageSize = this.config.memory.pageSize;
+    const page = new Uint8Array(pageSize).fill(BLANK_BYTE);
+    page.set(data.subarray(addr, Math.min(addr + pageSize, data.length)));
+    return page;
+  }
+
+  /**
+   * Read back every written page and compare it with the image
+   * @param {Uint8Array} data - Flash image that was written
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @throws {Error} With code VERIFY_FAILED and the address of the first mismatch
+   * @private
+   */
+  async verify(data, progressCallback) {
+    const pageSize = this.config.memory.pageSize;
+    const totalBytes = data.length;
+
+    for (let addr = 0; addr < totalBytes; addr += pageSize) {
+      const expected = this.pageAt(data, addr);
+
+      await this.loadAddress(addr);
+      const actual = await this.readPage(pageSize);
+
+      const index = expected.findIndex((byte, i) => byte !== actual[i]);
+      if (index !== -1) {
+        const badAddr = addr + index;
+        const message = `Verification failed at ${UploadLogger.formatAddr(
+          badAddr
+        )}: expected 0x${expected[index]
+          .toString(16)
+          .padStart(2, "0")}, read 0x${(actual[index] ?? 0)
+          .toString(16)
+          .padStart(2, "0")}`;
+        this.log(message);
+        if (progressCallback) {
+          progressCallback(Math.round((addr / totalBytes) * 100), message);
+        }
+        const error = new Error(message);
+        error.code = "VERIFY_FAILED";
+        error.address = badAddr;
+        throw error;
+      }
+
+      if (progressCallback) {
+        progressCallback(
+          Math.min(100, Math.round(((addr + pageSize) / totalBytes) * 100)),
+          "Verifying"
+        );
+      }
+    }
+
+    this.log(`Verified ${totalBytes} bytes`);
+  }
+
+  /**
+   * Flash a firmware image to the device
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Parsed firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Flash options
+   * @param {boolean} [options.verify=true] - Read back and compare every page
+   * @returns {Promise<void>}
+   * @throws {Error} If the image does not fit below the bootloader
+   * @throws {Error} With code VERIFY_FAILED if the read-back differs
+   */
+  async flashImage(image, progressCallback, { verify = true } = {}) {
+    const { pageSize, flashSize, bootloaderSize = 0 } = this.config.memory;
+    const data = toFlatImage(image, {
+      size: flashSize,
+      target: `${this.config.mcu || "AVR"} flash`,
+    });
+    const totalBytes = data.length;
+    const maxSketchSize = flashSize - bootloaderSize;
+
+    if (totalBytes > maxSketchSize) {
+      throw new Error(
+        `Sketch is ${totalBytes} bytes but ${
+          this.config.mcu || "the board"
+        } only has ${maxSketchSize} bytes available`
+      );
+    }
+
+    this.log(
+      `Flashing ${totalBytes} bytes in ${Math.ceil(
+        totalBytes / pageSize
+      )} pages of ${pageSize} bytes...`
+    );
+
+    await this.connect();
+
+    try {
+      if (progressCallback) progressCallback(0, "Syncing...");
+      await this.signOn();
+
+      if (progressCallback) progressCallback(0, "Entering Programming Mode...");
+      await this.enterProgMode();
+
+      for (let addr = 0; addr < totalBytes; addr += pageSize) {
+        // Always send full pages, padded with erased bytes
+        await this.loadAddress(addr);
+        await this.progPage(this.pageAt(data, addr));
+
+        if (progressCallback) {
+          progressCallback(
+            Math.min(100, Math.round(((addr + pageSize) / totalBytes) * 100)),
+            "Flashing"
+          );
+        }
+      }
+
+      if (verify) {
+        if (progressCallback) progressCallback(0, "Verifying");
+        await this.verify(data, progressCallback);
+      }
+
+      if (progressCallback) progressCallback(100, "Finalizing...");
+      await this.leaveProgMode();
+      this.log("Flash complete!");
+    } finally {
+      await this.disconnect();
+    }
+  }
+}
@@ -2,18 +2,21 @@
  * AVR Upload Strategy
  *
  * Upload strategy for AVR-based Arduino boards using STK500 protocol:
- * - Arduino Uno R3
- * - Arduino Nano
- * - Arduino Mega
+ * - Arduino Uno R3, Nano (optiboot, STK500v1)
+ * - Arduino Mega 2560, Mega ADK (wiring bootloader, STK500v2)
  * - Other ATmega-based boards
  *
- * Uses DTR reset sequence to enter bootloader mode.
+ * Uses DTR reset sequence to enter bootloader mode. The protocol version and
+ * memory layout come from AVR_MCU_MAP in boardProtocols.js.
  *
  * @module client/services/strategies/AVRStrategy
  */
 
 import { STK500Protocol } from "../protocols/STK500.js";
+import { STK500v2Protocol } from "../protocols/STK500v2.js";
+import { PROTOCOL_TYPES, getAvrConfig } from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { parseFirmware, describeImage } from "../utils/firmwareImage.js";
 
 // =============================================================================
 // Constants
@@ -25,6 +28,12 @@ const RESET_PULSE_MS = 100;
 /** @constant {number} BOOTLOADER_INIT_MS - Time for bootloader initialization */
 const BOOTLOADER_INIT_MS = 100;
 
+/** @constant {string} DEFAULT_AVR_FQBN - Layout used for unlisted AVR boards */
+const DEFAULT_AVR_FQBN = "arduino:avr:uno";
+
+/** @constant {string} DEFAULT_AVR_V2_FQBN - Layout used for unlisted STK500v2 boards */
+const DEFAULT_AVR_V2_FQBN = "arduino:avr:mega";
+
 // =============================================================================
 // AVRStrategy Class
 // =============================================================================
@@ -85,25 +94,69 @@ export class AVRStrategy {
   }
 
   /**
-   * Flash firmware to the board using STK500 protocol
+   * Flash firmware to the board using STK500v1 or STK500v2
    * @param {SerialPort} port - WebSerial port instance
-   * @param {ArrayBuffer} data - Intel HEX firmware data
+   * @param {ArrayBuffer} data - Firmware file (Intel HEX, S-record or BIN)
    * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Fully qualified board name
+   * @param {Object} [options] - Upload options
+   * @param {boolean} [options.verify=true] - Read flash back after writing
+   * @param {string} [options.protocolType] - "stk500v2" picks the Mega layout for unlisted boards
    * @returns {Promise<void>}
    */
-  async flash(port, data, progressCallback) {
-    this.log.section("FLASH: Uploading Firmware via STK500 Protocol");
-
-    // data is ArrayBuffer, convert to string for STK500 (Intel Hex)
-    const decoder = new TextDecoder();
-    const hexString = decoder.decode(data);
-
-    this.log.info(`Firmware size: ${data.byteLength} bytes (Intel HEX format)`);
-    this.log.info("STK500 protocol used by AVR bootloaders (optiboot, etc.)");
-
-    const flasher = new STK500Protocol(port, this.log.getLogFunction());
-    await flasher.flashHex(hexString, progressCallback);
+  async flash(port, data, progressCallback, fqbn, options = {}) {
+    let config = getAvrConfig(fqbn);
+    if (!config) {
+      const fallback =
+        options.protocolType === "stk500v2"
+          ? DEFAULT_AVR_V2_FQBN
+          : DEFAULT_AVR_FQBN;
+      config = getAvrConfig(fallback);
+      this.log.warn(
+        `No AVR memory layout for "${fqbn}", assuming ${config.mcu} (${fallback})`
+      );
+    }
+
+    const useV2 = config.protocol === PROTOCOL_TYPES.STK500V2;
+    this.log.section(`FLASH: Uploading Firmware via ${config.protocol}`);
+
+    const image = parseFirmware(data);
+    this.log.info(`Firmware: ${describeImage(image)}`);
+    this.log.info(
+      `Target: ${config.mcu} (${UploadLogger.formatSize(
+        config.memory.flashSize
+      )} flash, ${config.memory.pageSize}-byte pages)`
+    );
+    this.log.info(
+      useV2
+        ? "STK500v2 protocol used by the wiring bootloader (Mega 2560)"
+        : "STK500 protocol used by AVR bootloaders (optiboot, etc.)"
+    );
 
+    const Protocol = useV2 ? STK500v2Protocol : STK500Protocol;
+    const verify = options.verify !== false;
+    if (!verify) this.log.warn("Read-back verification disabled");
+
+    const flasher = new Protocol(port, this.log.getLogFunction(), config);
+    try {
+      await flasher.flashImage(image, progressCallback, { verify });
+    } catch (e) {
+      if (e.code === "VERIFY_FAILED") {
+        this.log.memory(
+          "VERIFY",
+          e.address,
+          1,
+          "First byte that differs from the HEX file"
+        );
+        this.log.error(
+          "Flash contents do not match the firmware - check the USB cable/hub and upload again",
+          e
+        );
+      }
+      throw e;
+    }
+
+    if (verify) this.log.success("Flash contents verified");
     this.log.success("Firmware upload complete!");
   }
 }
@@ -0,0 +1,205 @@
+/**
+ * DFU Upload Strategy
+ *
+ * Upload strategy for boards whose upload tool is dfu-util:
+ * - Arduino Portenta H7, Giga R1, Opta (DfuSe bootloader)
+ * - STM32 boards in ROM DFU mode
+ *
+ * A connected serial port gets a 1200 baud touch to enter the bootloader.
+ * The DFU device is then found among the WebUSB devices the user already
+ * granted; the first time, the upload stops with USB_DEVICE_NEEDED so the
+ * page can ask for access from a click.
+ *
+ * @module client/services/strategies/DFUStrategy
+ */
+
+import { WebUSBProvider } from "../../providers/WebUSBProvider.js";
+import { DfuProtocol } from "../protocols/DFU.js";
+import { DFU_CONFIG } from "../../config/boardProtocols.js";
+import { UploadLogger } from "../utils/UploadLogger.js";
+import { parseFirmware, describeImage } from "../utils/firmwareImage.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} TOUCH_SETTLE_MS - Pause between opening and closing at 1200 baud */
+const TOUCH_SETTLE_MS = 100;
+
+// =============================================================================
+// DFUStrategy Class
+// =============================================================================
+
+/**
+ * Upload strategy for USB DFU / DfuSe bootloaders (WebUSB)
+ * @implements {UploadStrategy}
+ */
+export class DFUStrategy {
+  /**
+   * Create a new DFUStrategy instance
+   */
+  constructor() {
+    /** @type {string} Human-readable strategy name */
+    this.name = "DFU (WebUSB)";
+
+    /** @type {UploadLogger} Logger instance */
+    this.log = new UploadLogger("DFU");
+
+    /** @type {WebUSBProvider} DFU transport */
+    this.provider = new WebUSBProvider();
+  }
+
+  /**
+   * WebUSB filters for the board's DFU bootloader
+   * @param {Object} [dfu] - DFU details from /api/board-details
+   * @param {number} [dfu.vid] - Bootloader vendor ID
+   * @param {number} [dfu.pid] - Bootloader product ID
+   * @returns {USBDeviceFilter[]}
+   */
+  deviceFilters(dfu = {}) {
+    if (dfu.vid && dfu.pid) {
+      return [{ vendorId: dfu.vid, productId: dfu.pid }];
+    }
+    const { vendorIds, interfaceClass, interfaceSubclass } = DFU_CONFIG.usb;
+    return vendorIds.map((vendorId) => ({
+      vendorId,
+      classCode: interfaceClass,
+      subclassCode: interfaceSubclass,
+    }));
+  }
+
+  /**
+   * Wait for an already-permitted DFU device to enumerate
+   * @param {USBDeviceFilter[]} filters - Device filters
+   * @returns {Promise<USBDevice|null>} Device, or null if none appeared in time
+   * @private
+   */
+  async waitForDevice(filters) {
+    const { deviceWaitMs, devicePollMs } = DFU_CONFIG.timing;
+    const matches = (device) =>
+      filters.some(
+        (f) =>
+          device.vendorId === f.vendorId &&
+          (f.productId === undefined || device.productId === f.productId) &&
+          (f.classCode === undefined ||
+            device.configurations.some((c) =>
+              c.interfaces.some((i) =>
+                i.alternates.some(
+                  (a) =>
+                    a.interfaceClass === f.classCode &&
+                    a.interfaceSubclass === f.subclassCode
+                )
+              )
+            ))
+      );
+
+    const deadline = Date.now() + deviceWaitMs;
+    while (Date.now() < deadline) {
+      const device = (await navigator.usb.getDevices()).find(matches);
+      if (device) return device;
+      await new Promise((r) => setTimeout(r, devicePollMs));
+    }
+    return null;
+  }
+
+  /**
+   * Reboot the board into its DFU bootloader with a 1200 baud touch
+   * @param {SerialPort|null} port - WebSerial port of a running sketch, if any
+   * @returns {Promise<void>}
+   */
+  async prepare(port) {
+    this.log.section("PREPARE: Entering DFU Bootloader");
+
+    if (!port) {
+      this.log.info(
+        "No serial port connected - board must already be in DFU mode (double-tap reset)"
+      );
+      return;
+    }
+
+    this.log.serialConfig(1200, "1200 baud touch starts the DFU bootloader");
+    try {
+      if (port.readable || port.writable) {
+        await port.close();
+      }
+      await port.open({ baudRate: 1200 });
+      await new Promise((r) => setTimeout(r, TOUCH_SETTLE_MS));
+      await port.close();
+      this.log.success("1200 baud touch complete");
+    } catch (e) {
+      this.log.warn(
+        `1200 baud touch failed: ${e.message} (double-tap reset instead)`
+      );
+    }
+  }
+
+  /**
+   * Flash firmware over DFU
+   * @param {SerialPort|null} port - Unused, DFU runs over WebUSB
+   * @param {ArrayBuffer} data - Firmware (BIN, Intel HEX or S-record)
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Fully qualified board name
+   * @param {Object} [options] - Upload options
+   * @param {Object} [options.dfu] - DFU details from /api/board-details (address, altSetting, vid, pid)
+   * @param {USBDevice} [options.usbDevice] - Device picked by the user after USB_DEVICE_NEEDED
+   * @returns {Promise<void>}
+   * @throws {Error} With code USB_DEVICE_NEEDED if no permitted DFU device is present
+   */
+  async flash(port, data, progressCallback, fqbn, options = {}) {
+    this.log.section("FLASH: Uploading Firmware via USB DFU");
+
+    const dfu = options.dfu || {};
+    const image = parseFirmware(data, { baseAddress: dfu.address ?? 0 });
+    this.log.info(`Firmware: ${describeImage(image)}`);
+    if (image.format === "bin" && dfu.address == null) {
+      this.log.warn("No upload address for this board, writing BIN at 0x0");
+    }
+
+    const filters = this.deviceFilters(dfu);
+    const device = options.usbDevice || (await this.waitForDevice(filters));
+    if (!device) {
+      const error = new Error(
+        "DFU bootloader not found. Select the DFU device to allow WebUSB access."
+      );
+      error.code = "USB_DEVICE_NEEDED";
+      error.filters = filters;
+      throw error;
+    }
+
+    try {
+      await this.provider.connect(device, {
+        interfaceClass: DFU_CONFIG.usb.interfaceClass,
+        alternateSetting: dfu.altSetting ?? 0,
+      });
+      this.log.device(
+        device.vendorId,
+        device.productId,
+        `${device.productName || "DFU device"} (alt ${
+          this.provider.alternate?.alternateSetting ?? 0
+        })`
+      );
+
+      const protocol = new DfuProtocol(
+        this.provider,
+        DFU_CONFIG,
+        this.log.getLogFunction()
+      );
+      const { bytesWritten } = await protocol.flashImage(
+        image,
+        progressCallback,
+        { startAddress: dfu.address ?? undefined }
+      );
+
+      if (progressCallback) progressCallback(100, "Done");
+      this.log.success(
+        `Wrote ${UploadLogger.formatSize(bytesWritten)}, board restarting`
+      );
+    } catch (e) {
+      this.log.error("DFU flash failed", e);
+      throw e;
+    } finally {
+      // The device disappears when it leaves DFU mode, so close may reject
+      await this.provider.disconnect().catch(() => {});
+    }
+  }
+}
@@ -1,4 +1,19 @@
+/**
+ * ESPTool Upload Strategy
+ *
+ * Upload strategy for Espressif boards using the ROM serial loader:
+ * - ESP32, ESP32-S2, ESP32-S3, ESP32-C3
+ * - ESP8266
+ *
+ * Uses the DTR/RTS auto-reset circuit to enter the ROM loader, then drives
+ * ESPToolProtocol end to end: sync, chip detection, baud change, flash and
+ * MD5 verification.
+ *
+ * @module client/services/strategies/ESPToolStrategy
+ */
+
 import { ESPToolProtocol } from "../protocols/ESPTool.js";
+import { ESPTOOL_CONFIG } from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
 
 export class ESPToolStrategy {
@@ -51,7 +66,68 @@ export class ESPToolStrategy {
     );
   }
 
-  async flash(port, data, progressCallback) {
+  /**
+   * Resolve the list of images to write for the detected chip
+   *
+   * A compile manifest supplies bootloader, partition table, boot_app0 and
+   * application images. Without one, the single application binary is
+   * written at the chip's application offset. The bootloader always goes to
+   * the offset the ROM loads it from, whatever the manifest says.
+   *
+   * @param {Uint8Array} firmware - Application binary
+   * @param {Array<{role: string, offset: number, data: ArrayBuffer}>} [images] - Manifest images
+   * @param {Object} chip - Entry from ESP_CHIPS
+   * @returns {Array<{role: string, offset: number, data: Uint8Array}>} Images sorted by offset
+   * @private
+   */
+  resolveImages(firmware, images, chip) {
+    if (!images || images.length === 0) {
+      const offset =
+        chip.name === "ESP8266" ? 0x0 : ESPTOOL_CONFIG.memory.appOffset;
+      return [{ role: "app", offset, data: firmware }];
+    }
+
+    const resolved = images.map((image) => {
+      let offset = image.offset;
+      if (image.role === "bootloader" && offset !== chip.bootloaderOffset) {
+        this.log.warn(
+          `Manifest bootloader offset ${UploadLogger.formatAddr(
+            offset
+          )} does not match ${chip.name}, using ${UploadLogger.formatAddr(
+            chip.bootloaderOffset
+          )}`
+        );
+        offset = chip.bootloaderOffset;
+      }
+      return { role: image.role, offset, data: new Uint8Array(image.data) };
+    });
+
+    resolved.sort((a, b) => a.offset - b.offset);
+    for (let i = 1; i < resolved.length; i++) {
+      const prev = resolved[i - 1];
+      if (prev.offset + prev.data.length > resolved[i].offset) {
+        throw new Error(
+          `Flash images overlap: ${prev.role} runs past ${
+            resolved[i].role
+          } at ${UploadLogger.formatAddr(resolved[i].offset)}`
+        );
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Flash firmware through the ESP ROM loader
+   * @param {SerialPort} port - WebSerial port instance (open at 115200)
+   * @param {ArrayBuffer} data - Application binary
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Fully qualified board name
+   * @param {Object} [options] - Upload options
+   * @param {Array<{role: string, offset: number, data: ArrayBuffer}>} [options.images] -
+   *   Every image from the compile flash manifest, written in one session
+   * @returns {Promise<void>}
+   */
+  async flash(port, data, progressCallback, fqbn, options = {}) {
     this.log.section("FLASH: Uploading Firmware via ESPTool Protocol");
 
     const firmware = new Uint8Array(data);
@@ -67,75 +143,86 @@ export class ESPToolStrategy {
       await esptool.connect();
 
       // 1. Sync
+      if (progressCallback) progressCallback(0, "Syncing...");
       this.log.info("Sending SYNC command to establish communication");
-      const synced = await esptool.sync();
-      if (!synced) {
-        this.log.error("Failed to sync with ESP bootloader");
-        throw new Error("Failed to sync with ESP32");
-      }
+      await esptool.sync();
       this.log.success("Synced with ESP bootloader");
 
-      // 2. Flash setup
-      const blockSize = 1024;
-      const blocks = Math.ceil(firmware.length / blockSize);
-      const offset = 0x10000; // Standard app offset for ESP32
-
-      this.log.memory(
-        "FLASH_BEGIN",
-        offset,
-        firmware.length,
-        `Prepare to write ${blocks} blocks of ${blockSize} bytes each`
-      );
-
-      if (progressCallback) progressCallback(0, "Erasing...");
-      this.log.info("Sending FLASH_BEGIN - this triggers flash erase");
-      await esptool.flashBegin(firmware.length, blocks, blockSize, offset);
-
-      this.log.wait(
-        2000,
-        "Wait for flash erase to complete (can take several seconds)"
-      );
-      await new Promise((r) => setTimeout(r, 2000));
-
-      // 3. Write blocks
-      this.log.info(`Writing ${blocks} blocks to flash...`);
-      for (let i = 0; i < blocks; i++) {
-        const start = i * blockSize;
-        const end = Math.min(start + blockSize, firmware.length);
-        const chunk = firmware.subarray(start, end);
-
-        this.log.chunk(
-          i + 1,
-          blocks,
-          offset + start,
-          chunk.length,
-          i === blocks - 1
-        );
-        await esptool.flashData(chunk, i);
+      // 2. Identify chip and speed up the link
+      const chip = await esptool.detectChip();
+      this.log.success(`Chip: ${chip.name}`);
+
+      const fastBaud = ESPTOOL_CONFIG.serial.baudFast;
+      if (await esptool.changeBaud(fastBaud)) {
+        this.log.serialConfig(fastBaud, "ROM loader switched to fast baud");
+      }
+
+      await esptool.attachFlash();
 
+      // 3. Write and verify every image
+      const images = this.resolveImages(firmware, options.images, chip);
+      const totalBytes = images.reduce((sum, img) => sum + img.data.length, 0);
+      let bytesDone = 0;
+      let unverified = 0;
+
+      for (const image of images) {
+        this.log.memory(
+          "FLASH_BEGIN",
+          image.offset,
+          image.data.length,
+          `Erase and write ${image.role} image`
+        );
         if (progressCallback) {
-          progressCallback(Math.round(((i + 1) / blocks) * 100), "Flashing");
+          progressCallback(
+            Math.round((bytesDone / totalBytes) * 100),
+            `Erasing ${image.role}...`
+          );
         }
+
+        const { verified } = await esptool.writeImage(
+          image.data,
+          image.offset,
+          (written, total) => {
+            if (progressCallback) {
+              const done = bytesDone + (written / total) * image.data.length;
+              progressCallback(
+                Math.round((done / totalBytes) * 100),
+                `Flashing ${image.role}`
+              );
+            }
+          }
+        );
+
+        bytesDone += image.data.length;
+        if (!verified) unverified++;
+      }
+
+      if (unverified === 0) {
+        this.log.success(
+          `Flash contents verified (MD5, ${images.length} images)`
+        );
+      } else {
+        this.log.warn(`${unverified} of ${images.length} images not verified`);
       }
 
       // 4. Finalize
       if (progressCallback) progressCallback(100, "Finalizing...");
-      this.log.info("Sending FLASH_END command to finalize and reboot");
-      await esptool.flashFinish(true);
+      this.log.info("Sending FLASH_END command");
+      await esptool.flashFinish(false);
 
       this.log.success("Flash complete!");
-
-      // Reset to run code
-      this.log.info("Triggering reset to run new firmware");
-      this.log.signal("RTS", true, "EN = LOW → Reset");
-      await port.setSignals({ dataTerminalReady: false, requestToSend: true });
-      await new Promise((r) => setTimeout(r, 100));
-      this.log.signal("RTS", false, "EN = HIGH → Run");
-      await port.setSignals({ dataTerminalReady: false, requestToSend: false });
-
-      this.log.success("ESP32 should now be running the new firmware");
     } finally {
       await esptool.disconnect();
     }
+
+    // Reset to run code
+    this.log.info("Triggering reset to run new firmware");
+    this.log.signal("RTS", true, "EN = LOW → Reset");
+    await port.setSignals({ dataTerminalReady: false, requestToSend: true });
+    await new Promise((r) => setTimeout(r, 100));
+    this.log.signal("RTS", false, "EN = HIGH → Run");
+    await port.setSignals({ dataTerminalReady: false, requestToSend: false });
+
+    this.log.success("ESP should now be running the new firmware");
   }
 }
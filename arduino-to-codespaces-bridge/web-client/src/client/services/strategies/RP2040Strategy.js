@@ -1,14 +1,371 @@
+/**
+ * RP2040 Upload Strategy
+ *
+ * Upload strategy for Raspberry Pi RP2040 / RP2350 boards (UF2 bootloader):
+ * - Raspberry Pi Pico, Pico W, Pico 2
+ * - Arduino Nano RP2040 Connect
+ *
+ * The UF2 is validated, then flashed one of three ways:
+ * - PICOBOOT over WebUSB when the board is already in BOOTSEL mode
+ * - Written straight onto the RPI-RP2 drive with the File System Access API
+ *   (the drive folder is picked once and remembered in IndexedDB)
+ * - Downloaded for a manual drag and drop
+ *
+ * @module client/services/strategies/RP2040Strategy
+ */
+
+import { WebUSBProvider } from "../../providers/WebUSBProvider.js";
+import { PicobootProtocol } from "../protocols/Picoboot.js";
+import { PICOBOOT_CONFIG } from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import {
+  FIRMWARE_FORMATS,
+  UF2_FAMILIES,
+  describeImage,
+  parseFirmware,
+} from "../utils/firmwareImage.js";
+import { loadHandle, saveHandle, clearHandle } from "../utils/handleStore.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {string} DRIVE_HANDLE_KEY - handleStore key for the boot drive */
+const DRIVE_HANDLE_KEY = "rp2040-boot-drive";
+
+/** @constant {string} UF2_FILE_NAME - File name written to the boot drive */
+const UF2_FILE_NAME = "firmware.uf2";
+
+/** @constant {string} INFO_FILE_NAME - Marker file present on UF2 drives */
+const INFO_FILE_NAME = "INFO_UF2.TXT";
+
+/** @constant {number} WRITE_CHUNK_SIZE - Bytes per write (32 UF2 blocks) */
+const WRITE_CHUNK_SIZE = 32 * 512;
+
+/** @constant {number} MOUNT_TIMEOUT_MS - Time for the drive to appear after a 1200 baud touch */
+const MOUNT_TIMEOUT_MS = 8000;
 
+/** @constant {number} MOUNT_POLL_MS - Interval between drive checks */
+const MOUNT_POLL_MS = 250;
+
+/** @constant {number[]} RP2350_FAMILIES - Family IDs accepted by RP2350 boot ROM */
+const RP2350_FAMILIES = [
+  UF2_FAMILIES.RP2350_ARM_S,
+  UF2_FAMILIES.RP2350_ARM_NS,
+  UF2_FAMILIES.RP2350_RISCV,
+];
+
+// =============================================================================
+// RP2040Strategy Class
+// =============================================================================
+
+/**
+ * Upload strategy for RP2040 / RP2350 boards (UF2 mass storage)
+ * @implements {UploadStrategy}
+ */
 export class RP2040Strategy {
+  /**
+   * Create a new RP2040Strategy instance
+   */
   constructor() {
+    /** @type {string} Human-readable strategy name */
     this.name = "RP2040 (UF2/Serial)";
+
+    /** @type {UploadLogger} Logger instance */
     this.log = new UploadLogger("RP2040");
+
+    /** @type {FileSystemDirectoryHandle|null} Remembered boot drive */
+    this.driveHandle = null;
+
+    /** @type {WebUSBProvider} PICOBOOT transport */
+    this.usb = new WebUSBProvider();
+
+    /** @type {boolean} User dismissed the WebUSB prompt this session */
+    this.picobootDeclined = false;
   }
 
+  /**
+   * Whether the browser can write to the boot drive directly
+   * @returns {boolean}
+   */
+  supportsDirectWrite() {
+    return typeof window !== "undefined" && "showDirectoryPicker" in window;
+  }
+
+  /**
+   * Whether the browser can talk PICOBOOT over WebUSB
+   * @returns {boolean}
+   */
+  supportsPicoboot() {
+    return typeof navigator !== "undefined" && !!navigator.usb;
+  }
+
+  // ===========================================================================
+  // BOOTSEL USB Device
+  // ===========================================================================
+
+  /**
+   * WebUSB filters matching the boot ROM of every supported chip
+   * @returns {USBDeviceFilter[]}
+   * @private
+   */
+  bootDeviceFilters() {
+    const { vendorId, bootPids } = PICOBOOT_CONFIG.usb;
+    return Object.keys(bootPids).map((pid) => ({
+      vendorId,
+      productId: Number(pid),
+    }));
+  }
+
+  /**
+   * Find a board in BOOTSEL mode, asking for WebUSB access the first time
+   *
+   * Call this directly from the upload click: the device chooser requires a
+   * user gesture. Once the user dismisses the chooser it is not shown again
+   * this session, so the drive / download fallback stays reachable.
+   *
+   * @returns {Promise<USBDevice|null>} Boot ROM device, or null if none was picked
+   */
+  async selectBootDevice() {
+    const filters = this.bootDeviceFilters();
+    const matches = (device) =>
+      filters.some(
+        (f) =>
+          device.vendorId === f.vendorId && device.productId === f.productId
+      );
+
+    const known = (await navigator.usb.getDevices()).find(matches);
+    if (known) {
+      this.log.info("Found permitted BOOTSEL device");
+      return known;
+    }
+    if (this.picobootDeclined) return null;
+
+    try {
+      this.log.info("Requesting WebUSB access to the BOOTSEL device...");
+      return await navigator.usb.requestDevice({ filters });
+    } catch (e) {
+      if (e.name !== "NotFoundError") throw e;
+      this.log.info("No BOOTSEL device selected");
+      this.picobootDeclined = true;
+      return null;
+    }
+  }
+
+  /**
+   * Flash over PICOBOOT and reboot into the new firmware
+   * @param {USBDevice} device - Boot ROM device from selectBootDevice()
+   * @param {import("../utils/firmwareImage.js").FirmwareImage} image - Validated UF2 image
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {Object} [options] - Upload options
+   * @param {boolean} [options.verify=true] - Read back every written sector
+   * @returns {Promise<void>}
+   * @private
+   */
+  async flashPicoboot(device, image, progressCallback, options = {}) {
+    const chip = PICOBOOT_CONFIG.usb.bootPids[device.productId] || "RP2040";
+    this.log.device(device.vendorId, device.productId, `${chip} boot ROM`);
+
+    const expected =
+      chip === "RP2350" ? RP2350_FAMILIES : [UF2_FAMILIES.RP2040];
+    if (!image.familyIds.some((id) => expected.includes(id))) {
+      throw new Error(
+        `Connected board is an ${chip} but the UF2 was built for another chip`
+      );
+    }
+
+    try {
+      await this.usb.connect(device, {
+        interfaceClass: PICOBOOT_CONFIG.usb.interfaceClass,
+      });
+      this.log.success(
+        `Claimed PICOBOOT interface ${this.usb.interfaceNumber}`
+      );
+
+      const picoboot = new PicobootProtocol(
+        this.usb,
+        { ...PICOBOOT_CONFIG, chip },
+        this.log.getLogFunction()
+      );
+
+      const { sectorsWritten } = await picoboot.flashImage(
+        image,
+        progressCallback,
+        { verify: options.verify !== false }
+      );
+      this.log.success(`Programmed ${sectorsWritten} sectors`);
+
+      if (progressCallback) progressCallback(100, "Rebooting...");
+      await picoboot.reboot();
+      this.log.success(`${chip} rebooted into new firmware`);
+    } catch (e) {
+      this.log.error("PICOBOOT flash failed", e);
+      throw e;
+    } finally {
+      // The device disappears on reboot, so close may reject
+      await this.usb.disconnect().catch(() => {});
+    }
+  }
+
+  // ===========================================================================
+  // Boot Drive Handling
+  // ===========================================================================
+
+  /**
+   * Make sure the page may write to a directory handle
+   *
+   * requestPermission() needs a user gesture, so call this from a click.
+   *
+   * @param {FileSystemDirectoryHandle} handle - Directory handle
+   * @returns {Promise<boolean>} True if readwrite access is granted
+   * @private
+   */
+  async ensurePermission(handle) {
+    const options = { mode: "readwrite" };
+    try {
+      if ((await handle.queryPermission(options)) === "granted") return true;
+      return (await handle.requestPermission(options)) === "granted";
+    } catch (e) {
+      this.log.warn(`Permission check failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Read INFO_UF2.TXT to confirm a directory is a UF2 boot drive
+   * @param {FileSystemDirectoryHandle} handle - Directory handle
+   * @returns {Promise<string>} Board-ID from the info file (e.g. "RPI-RP2")
+   * @throws {Error} If the directory is not a mounted UF2 drive
+   */
+  async readDriveInfo(handle) {
+    let text;
+    try {
+      const infoHandle = await handle.getFileHandle(INFO_FILE_NAME);
+      text = await (await infoHandle.getFile()).text();
+    } catch (e) {
+      throw new Error(
+        `"${handle.name}" is not a mounted UF2 boot drive (${INFO_FILE_NAME} not found)`
+      );
+    }
+    const match = text.match(/Board-ID:\s*(\S+)/);
+    return match ? match[1] : "unknown";
+  }
+
+  /**
+   * Get a writable handle to the boot drive, asking the user only once
+   *
+   * Call this directly from the upload click: both the directory picker and
+   * the permission prompt require a user gesture.
+   *
+   * @returns {Promise<FileSystemDirectoryHandle>} Boot drive handle
+   * @throws {Error} If the user cancels or picks a folder that is not a UF2 drive
+   */
+  async selectDrive() {
+    const remembered = this.driveHandle || (await loadHandle(DRIVE_HANDLE_KEY));
+    if (remembered && (await this.ensurePermission(remembered))) {
+      this.log.info(`Using remembered boot drive "${remembered.name}"`);
+      this.driveHandle = remembered;
+      return remembered;
+    }
+
+    this.log.info("Asking the user to pick the RPI-RP2 drive");
+    const handle = await window.showDirectoryPicker({
+      id: "rpi-rp2",
+      mode: "readwrite",
+    });
+
+    const boardId = await this.readDriveInfo(handle);
+    this.log.success(`Selected boot drive "${handle.name}" (${boardId})`);
+
+    this.driveHandle = handle;
+    await saveHandle(DRIVE_HANDLE_KEY, handle);
+    return handle;
+  }
+
+  /**
+   * Forget the remembered boot drive
+   * @returns {Promise<void>}
+   */
+  async forgetDrive() {
+    this.driveHandle = null;
+    await clearHandle(DRIVE_HANDLE_KEY);
+  }
+
+  /**
+   * Wait until the boot drive is mounted and readable
+   * @param {FileSystemDirectoryHandle} handle - Boot drive handle
+   * @returns {Promise<string>} Board-ID of the mounted drive
+   * @throws {Error} If the drive does not appear in time
+   * @private
+   */
+  async waitForDrive(handle) {
+    const deadline = Date.now() + MOUNT_TIMEOUT_MS;
+    let lastError;
+
+    while (Date.now() < deadline) {
+      try {
+        return await this.readDriveInfo(handle);
+      } catch (e) {
+        lastError = e;
+        await new Promise((r) => setTimeout(r, MOUNT_POLL_MS));
+      }
+    }
+
+    throw new Error(
+      `Boot drive did not appear within ${
+        MOUNT_TIMEOUT_MS / 1000
+      }s - hold BOOTSEL while plugging in the board (${lastError.message})`
+    );
+  }
+
+  // ===========================================================================
+  // Upload
+  // ===========================================================================
+
+  /**
+   * Validate a UF2 file against the selected board
+   * @param {ArrayBuffer} data - UF2 file contents
+   * @param {string} [fqbn] - Fully qualified board name
+   * @returns {import("../utils/firmwareImage.js").FirmwareImage} Parsed image
+   * @throws {Error} If the file is malformed or built for another chip
+   */
+  validateUf2(data, fqbn = "") {
+    const image = parseFirmware(data, { format: FIRMWARE_FORMATS.UF2 });
+    const wantsRp2350 = /rp2350|pico2/i.test(fqbn);
+    const expected = wantsRp2350 ? RP2350_FAMILIES : [UF2_FAMILIES.RP2040];
+
+    if (!image.familyIds.some((id) => expected.includes(id))) {
+      const found = image.familyIds
+        .map((id) => `0x${id.toString(16)}`)
+        .join(", ");
+      throw new Error(
+        `UF2 family ${found} does not match ${
+          wantsRp2350 ? "RP2350" : "RP2040"
+        } - recompile for the selected board`
+      );
+    }
+
+    this.log.success(
+      `UF2 valid: ${describeImage(image)}, ${image.blockCount} blocks`
+    );
+    return image;
+  }
+
+  /**
+   * Reboot the board into BOOTSEL mode with a 1200 baud touch
+   * @param {SerialPort|null} port - WebSerial port of a running sketch, if any
+   * @returns {Promise<void>}
+   */
   async prepare(port) {
     this.log.section("PREPARE: Entering RP2040 Bootloader Mode");
 
+    if (!port) {
+      this.log.info(
+        "No serial port connected - board must already be in BOOTSEL mode"
+      );
+      return;
+    }
+
     const info = port.getInfo();
     this.log.device(
       info.usbVendorId,
@@ -50,14 +407,100 @@ export class RP2040Strategy {
     );
   }
 
-  async flash(port, data, progressCallback) {
+  /**
+   * Validate the UF2 and flash it over PICOBOOT or the boot drive
+   * @param {SerialPort|null} port - Unused, the board is already rebooted
+   * @param {ArrayBuffer} data - UF2 firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} [fqbn] - Fully qualified board name
+   * @param {Object} [options] - Upload options
+   * @param {USBDevice} [options.usbDevice] - BOOTSEL device from selectBootDevice()
+   * @param {FileSystemDirectoryHandle} [options.driveHandle] - Drive from selectDrive()
+   * @param {boolean} [options.verify=true] - PICOBOOT only: read back every sector
+   * @returns {Promise<void>}
+   */
+  async flash(port, data, progressCallback, fqbn, options = {}) {
     this.log.section("FLASH: RP2040 UF2 Firmware Upload");
 
     this.log.info(
       `Firmware size: ${UploadLogger.formatSize(data.byteLength)} (UF2 format)`
     );
+    const image = this.validateUf2(data, fqbn);
+
+    if (options.usbDevice) {
+      await this.flashPicoboot(
+        options.usbDevice,
+        image,
+        progressCallback,
+        options
+      );
+      return;
+    }
+
+    const handle = options.driveHandle || this.driveHandle;
+    if (!this.supportsDirectWrite() || !handle) {
+      this.downloadForManualCopy(data, progressCallback);
+      return;
+    }
+
+    if (progressCallback) progressCallback(0, "Waiting for RPI-RP2 drive...");
+    const boardId = await this.waitForDrive(handle);
+    this.log.success(`Boot drive "${handle.name}" mounted (${boardId})`);
+
+    await this.writeToDrive(handle, new Uint8Array(data), progressCallback);
+  }
+
+  /**
+   * Write the UF2 onto the boot drive in chunks
+   *
+   * The bootloader flashes blocks as they arrive and reboots after the last
+   * one, so closing the file can fail once the drive disappears.
+   *
+   * @param {FileSystemDirectoryHandle} handle - Boot drive
+   * @param {Uint8Array} bytes - UF2 contents
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeToDrive(handle, bytes, progressCallback) {
+    this.log.info(`Writing ${UF2_FILE_NAME} to "${handle.name}"`);
+
+    const fileHandle = await handle.getFileHandle(UF2_FILE_NAME, {
+      create: true,
+    });
+    const writable = await fileHandle.createWritable();
+
+    for (let offset = 0; offset < bytes.length; offset += WRITE_CHUNK_SIZE) {
+      const chunk = bytes.subarray(offset, offset + WRITE_CHUNK_SIZE);
+      await writable.write(chunk);
+      if (progressCallback) {
+        progressCallback(
+          Math.round(((offset + chunk.length) / bytes.length) * 100),
+          "Writing UF2"
+        );
+      }
+    }
+
+    try {
+      await writable.close();
+    } catch (e) {
+      this.log.warn(
+        `Closing ${UF2_FILE_NAME} failed (${e.message}) - expected if the board already rebooted`
+      );
+    }
+
+    this.log.success("UF2 written - the board reboots into the new firmware");
+  }
+
+  /**
+   * Fallback: download the UF2 and ask the user to copy it manually
+   * @param {ArrayBuffer} data - UF2 firmware
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @private
+   */
+  downloadForManualCopy(data, progressCallback) {
     this.log.info(
-      "RP2040 uses drag-and-drop UF2 file upload (browser cannot write directly)"
+      "File System Access API unavailable or no drive selected - using manual copy"
     );
 
     // Create Blob from firmware data (UF2)
@@ -66,10 +509,10 @@ export class RP2040Strategy {
     const url = URL.createObjectURL(blob);
 
     // Trigger Download
-    this.log.info("Triggering browser download of firmware.uf2");
+    this.log.info(`Triggering browser download of ${UF2_FILE_NAME}`);
     const a = document.createElement("a");
     a.href = url;
-    a.download = "firmware.uf2";
+    a.download = UF2_FILE_NAME;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1,46 +1,130 @@
+/**
+ * Teensy Upload Strategy
+ *
+ * Upload strategy for PJRC Teensy boards using the HalfKay HID bootloader:
+ * - Teensy 4.0 / 4.1 / MicroMod
+ * - Teensy 3.x and LC
+ * - Teensy 2.0 / ++2.0
+ *
+ * If a USB Serial port is connected, a 134 baud touch reboots the board into
+ * HalfKay. Otherwise the user presses the PROGRAM button.
+ *
+ * @module client/services/strategies/TeensyStrategy
+ */
+
 import { WebHIDProvider } from "../../providers/WebHIDProvider.js";
+import { HalfKayProtocol } from "../protocols/HalfKay.js";
+import {
+  TEENSY_HALFKAY_CONFIG,
+  getTeensyConfig,
+} from "../../config/boardProtocols.js";
 import { UploadLogger } from "../utils/UploadLogger.js";
+import { parseFirmware, describeImage } from "../utils/firmwareImage.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number} BOOTLOADER_ENUM_MS - Time for HalfKay to enumerate */
+const BOOTLOADER_ENUM_MS = 500;
+
+// =============================================================================
+// TeensyStrategy Class
+// =============================================================================
 
+/**
+ * Upload strategy for Teensy boards (HalfKay over WebHID)
+ * @implements {UploadStrategy}
+ */
 export class TeensyStrategy {
+  /**
+   * Create a new TeensyStrategy instance
+   */
   constructor() {
+    /** @type {string} Human-readable strategy name */
     this.name = "Teensy (HalfKay/HID)";
+
+    /** @type {UploadLogger} Logger instance */
     this.log = new UploadLogger("Teensy");
+
+    /** @type {WebHIDProvider} HID transport */
     this.provider = new WebHIDProvider();
-    this.TEENSY_VID = 0x16c0;
-    this.TEENSY_PID = 0x0486; // Bootloader mode
+
+    this.TEENSY_VID = TEENSY_HALFKAY_CONFIG.usb.vendorId;
+    this.TEENSY_PID = TEENSY_HALFKAY_CONFIG.usb.bootloaderPid;
   }
 
+  /**
+   * Prepare the board by rebooting it into HalfKay when possible
+   * @param {SerialPort|null} port - WebSerial port of a running sketch, if any
+   * @returns {Promise<void>}
+   */
   async prepare(port) {
     this.log.section("PREPARE: Teensy HID Bootloader Detection");
 
     this.log.info("Teensy boards use HID-based HalfKay bootloader protocol");
-    this.log.info("Looking for Teensy in bootloader mode...");
     this.log.device(
       this.TEENSY_VID,
       this.TEENSY_PID,
       "Teensy bootloader (HalfKay protocol)"
     );
 
-    this.log.warn(
-      "If Teensy is not detected, press the PROGRAM button on the board"
+    if (!port) {
+      this.log.warn(
+        "No serial port connected - press the PROGRAM button on the board"
+      );
+      return;
+    }
+
+    const baudTouch = TEENSY_HALFKAY_CONFIG.serial.baudTouch;
+    this.log.serialConfig(
+      baudTouch,
+      "Opening USB Serial at 134 baud requests a reboot into HalfKay"
     );
-    this.log.info("The button forces entry into bootloader mode");
+    try {
+      if (port.readable || port.writable) {
+        await port.close();
+      }
+      await port.open({ baudRate: baudTouch });
+      await port.close();
+      this.log.wait(BOOTLOADER_ENUM_MS, "Wait for HalfKay to enumerate");
+      await new Promise((r) => setTimeout(r, BOOTLOADER_ENUM_MS));
+      this.log.success("134 baud touch complete");
+    } catch (e) {
+      this.log.warn(
+        `134 baud touch failed: ${e.message} (press the PROGRAM button instead)`
+      );
+    }
   }
 
-  async flash(port, data, progressCallback) {
+  /**
+   * Flash firmware to the board using the HalfKay protocol
+   * @param {SerialPort|null} port - Unused, HalfKay runs over WebHID
+   * @param {ArrayBuffer} data - Firmware file (Intel HEX, S-record or BIN)
+   * @param {Function} [progressCallback] - Progress callback (percent, status)
+   * @param {string} fqbn - Fully qualified board name
+   * @returns {Promise<void>}
+   */
+  async flash(port, data, progressCallback, fqbn) {
     this.log.section("FLASH: Uploading Firmware via HalfKay HID Protocol");
 
-    this.log.info(`Firmware size: ${UploadLogger.formatSize(data.byteLength)}`);
+    const config = getTeensyConfig(fqbn);
+    if (!config) {
+      throw new Error(
+        `Unknown Teensy board "${fqbn}". Supported: Teensy 2.0, ++2.0, LC, 3.x, 4.x, MicroMod`
+      );
+    }
+
+    const image = parseFirmware(data);
+    this.log.info(`Firmware: ${describeImage(image)}`);
+    this.log.info(
+      `Target: ${config.mcu} (code ${UploadLogger.formatSize(
+        config.memory.codeSize
+      )}, ${config.memory.blockSize}-byte blocks)`
+    );
 
     try {
-      // Request HID device
       this.log.info("Requesting WebHID device access...");
-      this.log.device(
-        this.TEENSY_VID,
-        this.TEENSY_PID,
-        "Searching for Teensy bootloader"
-      );
-
       const filters = [
         { vendorId: this.TEENSY_VID, productId: this.TEENSY_PID },
       ];
@@ -54,38 +138,31 @@ export class TeensyStrategy {
       }
 
       await this.provider.connect(device);
-      this.log.success(`Connected to ${device.productName}`);
-      this.log.info(`Product: ${device.productName}`);
-      this.log.info(`Manufacturer: ${device.manufacturerName || "PJRC"}`);
+      this.log.success(`Connected to ${device.productName || "HalfKay"}`);
 
-      // Protocol info
-      this.log.info("Protocol: HalfKay (Teensy-specific HID bootloader)");
-      this.log.warn(
-        "NOTE: Full HalfKay implementation disabled in this version"
-      );
-      this.log.warn(
-        "This is a proof-of-concept - actual flashing disabled to prevent bricking"
+      const halfkay = new HalfKayProtocol(
+        this.provider,
+        config,
+        this.log.getLogFunction()
       );
 
-      if (progressCallback) progressCallback(10, "Erasing...");
-      this.log.info("Simulating erase phase...");
-      await new Promise((r) => setTimeout(r, 500));
+      const { blocksWritten } = await halfkay.flashImage(
+        image,
+        progressCallback
+      );
+      this.log.success(`Programmed ${blocksWritten} blocks`);
 
-      if (progressCallback) progressCallback(50, "Writing...");
-      this.log.info("Simulating write phase...");
-      await new Promise((r) => setTimeout(r, 500));
+      if (progressCallback) progressCallback(100, "Rebooting...");
+      await halfkay.reboot();
 
-      if (progressCallback) progressCallback(100, "Done (Simulation)");
-      this.log.success("Simulation complete");
-      this.log.info(
-        "For actual Teensy programming, use Teensy Loader application"
-      );
+      this.log.success("Teensy rebooted into new firmware");
     } catch (e) {
       this.log.error("Flash failed", e);
       throw e;
     } finally {
       this.log.info("Disconnecting from HID device");
-      await this.provider.disconnect();
+      // The device disappears on reboot, so close may reject
+      await this.provider.disconnect().catch(() => {});
     }
   }
 }
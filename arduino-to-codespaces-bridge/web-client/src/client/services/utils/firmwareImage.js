@@ -0,0 +1,619 @@
+/**
+ * Firmware Image Parsing
+ *
+ * Shared parser that turns compiler output into a list of memory segments:
+ * - Intel HEX (all record types, per-line checksum validation)
+ * - Motorola S-record (S1/S2/S3 data, S7/S8/S9 entry point)
+ * - UF2 (magic numbers, family IDs and block numbering validated)
+ * - Raw binary at a caller-supplied base address
+ *
+ * Strategies parse once with parseFirmware() and hand the image to their
+ * protocol, which flattens it with toFlatImage() for page-based writing.
+ *
+ * @module client/services/utils/firmwareImage
+ */
+
+import { UploadLogger } from "./UploadLogger.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {Object} FIRMWARE_FORMATS - Supported firmware file formats */
+export const FIRMWARE_FORMATS = {
+  HEX: "hex",
+  SREC: "srec",
+  UF2: "uf2",
+  BIN: "bin",
+};
+
+/** @constant {Object} UF2_FAMILIES - UF2 family IDs used by supported boards */
+export const UF2_FAMILIES = {
+  RP2040: 0xe48bff56,
+  ABSOLUTE: 0xe48bff57,
+  DATA: 0xe48bff58,
+  RP2350_ARM_S: 0xe48bff59,
+  RP2350_RISCV: 0xe48bff5a,
+  RP2350_ARM_NS: 0xe48bff5b,
+};
+
+/** @constant {string} PARSE_ERROR_CODE - error.code for malformed firmware */
+export const PARSE_ERROR_CODE = "FIRMWARE_PARSE_ERROR";
+
+/** @constant {number} BLANK_BYTE - Value of erased flash */
+const BLANK_BYTE = 0xff;
+
+/** @constant {number} SNIFF_LENGTH - Bytes inspected when detecting the format */
+const SNIFF_LENGTH = 64;
+
+/** @constant {Object} HEX_RECORD - Intel HEX record types */
+const HEX_RECORD = {
+  DATA: 0x00,
+  EOF: 0x01,
+  EXTENDED_SEGMENT: 0x02,
+  START_SEGMENT: 0x03,
+  EXTENDED_LINEAR: 0x04,
+  START_LINEAR: 0x05,
+};
+
+/** @constant {Object} SREC_ADDRESS_BYTES - Address width per S-record type */
+const SREC_ADDRESS_BYTES = {
+  0: 2,
+  1: 2,
+  2: 3,
+  3: 4,
+  5: 2,
+  6: 3,
+  7: 4,
+  8: 3,
+  9: 2,
+};
+
+/** @constant {Object} UF2 - UF2 block layout (see microsoft/uf2) */
+const UF2 = {
+  BLOCK_SIZE: 512,
+  MAGIC_START0: 0x0a324655,
+  MAGIC_START1: 0x9e5d5157,
+  MAGIC_END: 0x0ab16f30,
+  MAGIC_END_OFFSET: 508,
+  DATA_OFFSET: 32,
+  MAX_PAYLOAD: 476,
+  FLAG_NOT_MAIN_FLASH: 0x00000001,
+  FLAG_FAMILY_ID_PRESENT: 0x00002000,
+};
+
+/**
+ * @typedef {Object} FirmwareSegment
+ * @property {number} address - Start address of the segment
+ * @property {Uint8Array} data - Contiguous bytes
+ */
+
+/**
+ * @typedef {Object} FirmwareImage
+ * @property {string} format - One of FIRMWARE_FORMATS
+ * @property {FirmwareSegment[]} segments - Non-overlapping, sorted by address
+ * @property {number|null} entryPoint - Start address record, if present
+ * @property {number} size - Total bytes across all segments
+ * @property {number[]} [familyIds] - UF2 only: family IDs present in the file
+ * @property {number} [blockCount] - UF2 only: number of 512-byte blocks
+ */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Create a parse error carrying the offending line number
+ * @param {string} format - Format label used in the message
+ * @param {number} line - 1-based line number (0 when not line-specific)
+ * @param {string} message - Problem description
+ * @returns {Error} Error with code PARSE_ERROR_CODE and a line property
+ */
+function parseError(format, line, message) {
+  const where = line > 0 ? ` line ${line}` : "";
+  const error = new Error(`${format}${where}: ${message}`);
+  error.code = PARSE_ERROR_CODE;
+  error.line = line;
+  return error;
+}
+
+/**
+ * Decode a string of hex digit pairs
+ * @param {string} text - Hex digits
+ * @returns {Uint8Array|null} Bytes, or null if the text is not valid hex
+ */
+function decodeHexPairs(text) {
+  if (text.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(text)) return null;
+  const bytes = new Uint8Array(text.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Sort data records and merge adjacent ones into segments
+ * @param {Array<{address: number, data: Uint8Array, line: number}>} records - Data records
+ * @param {string} format - Format label used in error messages
+ * @returns {FirmwareSegment[]} Merged segments
+ * @throws {Error} If two records overlap
+ */
+function mergeRecords(records, format) {
+  const sorted = records
+    .filter((record) => record.data.length > 0)
+    .sort((a, b) => a.address - b.address);
+
+  const segments = [];
+  let current = null;
+  let parts = [];
+
+  const flush = () => {
+    if (!current) return;
+    const data = new Uint8Array(current.end - current.address);
+    let offset = 0;
+    for (const part of parts) {
+      data.set(part, offset);
+      offset += part.length;
+    }
+    segments.push({ address: current.address, data });
+  };
+
+  for (const record of sorted) {
+    if (current && record.address < current.end) {
+      throw parseError(
+        format,
+        record.line,
+        `data at ${UploadLogger.formatAddr(
+          record.address
+        )} overlaps earlier record`
+      );
+    }
+
+    if (current && record.address === current.end) {
+      parts.push(record.data);
+      current.end += record.data.length;
+    } else {
+      flush();
+      current = {
+        address: record.address,
+        end: record.address + record.data.length,
+      };
+      parts = [record.data];
+    }
+  }
+  flush();
+
+  return segments;
+}
+
+/**
+ * Build a FirmwareImage from merged segments
+ * @param {string} format - One of FIRMWARE_FORMATS
+ * @param {FirmwareSegment[]} segments - Merged segments
+ * @param {number|null} entryPoint - Start address, if any
+ * @returns {FirmwareImage}
+ */
+function makeImage(format, segments, entryPoint) {
+  const size = segments.reduce((sum, seg) => sum + seg.data.length, 0);
+  return { format, segments, entryPoint, size };
+}
+
+// =============================================================================
+// Parsers
+// =============================================================================
+
+/**
+ * Parse Intel HEX text
+ *
+ * Supports data (00), EOF (01), extended segment address (02), start
+ * segment address (03), extended linear address (04) and start linear
+ * address (05) records. Every line's byte count and checksum are checked.
+ *
+ * @param {string} text - Intel HEX file contents
+ * @returns {FirmwareImage}
+ * @throws {Error} With code FIRMWARE_PARSE_ERROR and the line number
+ */
+export function parseIntelHex(text) {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  let baseAddr = 0;
+  let entryPoint = null;
+  let sawEof = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i].trim();
+    if (line === "") continue;
+
+    if (!line.startsWith(":")) {
+      throw parseError("Intel HEX", lineNo, "missing ':' start code");
+    }
+
+    const bytes = decodeHexPairs(line.slice(1));
+    if (!bytes || bytes.length < 5) {
+      throw parseError("Intel HEX", lineNo, "malformed record");
+    }
+
+    const len = bytes[0];
+    if (bytes.length !== len + 5) {
+      throw parseError(
+        "Intel HEX",
+        lineNo,
+        `byte count ${len} does not match record length ${bytes.length - 5}`
+      );
+    }
+
+    const sum = bytes.reduce((acc, b) => acc + b, 0) & 0xff;
+    if (sum !== 0) {
+      const expected = (bytes[len + 4] - sum) & 0xff;
+      throw parseError(
+        "Intel HEX",
+        lineNo,
+        `checksum mismatch (record has 0x${bytes[len + 4]
+          .toString(16)
+          .padStart(2, "0")}, expected 0x${expected
+          .toString(16)
+          .padStart(2, "0")})`
+      );
+    }
+
+    const offset = (bytes[1] << 8) | bytes[2];
+    const type = bytes[3];
+    const payload = bytes.subarray(4, 4 + len);
+
+    switch (type) {
+      case HEX_RECORD.DATA:
+        records.push({
+          address: baseAddr + offset,
+          data: payload,
+          line: lineNo,
+        });
+        break;
+      case HEX_RECORD.EOF:
+        sawEof = true;
+        break;
+      case HEX_RECORD.EXTENDED_SEGMENT:
+        baseAddr = ((payload[0] << 8) | payload[1]) << 4;
+        break;
+      case HEX_RECORD.EXTENDED_LINEAR:
+        baseAddr = (((payload[0] << 8) | payload[1]) << 16) >>> 0;
+        break;
+      case HEX_RECORD.START_SEGMENT:
+        entryPoint =
+          ((((payload[0] << 8) | payload[1]) << 4) +
+            ((payload[2] << 8) | payload[3])) >>>
+          0;
+        break;
+      case HEX_RECORD.START_LINEAR:
+        entryPoint =
+          ((payload[0] << 24) |
+            (payload[1] << 16) |
+            (payload[2] << 8) |
+            payload[3]) >>>
+          0;
+        break;
+      default:
+        throw parseError(
+          "Intel HEX",
+          lineNo,
+          `unknown record type 0x${type.toString(16).padStart(2, "0")}`
+        );
+    }
+
+    if (sawEof) break;
+  }
+
+  // A missing EOF record usually means a truncated download
+  if (!sawEof) {
+    throw parseError("Intel HEX", 0, "missing EOF record (file truncated?)");
+  }
+
+  return makeImage(
+    FIRMWARE_FORMATS.HEX,
+    mergeRecords(records, "Intel HEX"),
+    entryPoint
+  );
+}
+
+/**
+ * Parse Motorola S-record text
+ * @param {string} text - S-record file contents
+ * @returns {FirmwareImage}
+ * @throws {Error} With code FIRMWARE_PARSE_ERROR and the line number
+ */
+export function parseSrec(text) {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  let entryPoint = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i].trim();
+    if (line === "") continue;
+
+    const type = parseInt(line[1], 10);
+    const addressBytes = SREC_ADDRESS_BYTES[type];
+    if (line[0] !== "S" || addressBytes === undefined) {
+      throw parseError("S-record", lineNo, "unknown record type");
+    }
+
+    const bytes = decodeHexPairs(line.slice(2));
+    if (!bytes || bytes.length < addressBytes + 2) {
+      throw parseError("S-record", lineNo, "malformed record");
+    }
+
+    const count = bytes[0];
+    if (bytes.length !== count + 1) {
+      throw parseError(
+        "S-record",
+        lineNo,
+        `byte count ${count} does not match record length ${bytes.length - 1}`
+      );
+    }
+
+    const sum = bytes.reduce((acc, b) => acc + b, 0) & 0xff;
+    if (sum !== 0xff) {
+      throw parseError("S-record", lineNo, "checksum mismatch");
+    }
+
+    let address = 0;
+    for (let b = 1; b <= addressBytes; b++) {
+      address = ((address << 8) | bytes[b]) >>> 0;
+    }
+
+    if (type >= 1 && type <= 3) {
+      records.push({
+        address,
+        data: bytes.subarray(1 + addressBytes, bytes.length - 1),
+        line: lineNo,
+      });
+    } else if (type >= 7) {
+      entryPoint = address;
+    }
+  }
+
+  return makeImage(
+    FIRMWARE_FORMATS.SREC,
+    mergeRecords(records, "S-record"),
+    entryPoint
+  );
+}
+
+/**
+ * Parse a UF2 file
+ *
+ * Every block must carry both start magics and the end magic, and for each
+ * family the block numbers must run 0..numBlocks-1 exactly once. Blocks
+ * flagged "not main flash" are validated but not returned as segments.
+ *
+ * @param {Uint8Array} bytes - UF2 file contents
+ * @returns {FirmwareImage} Image with familyIds and blockCount
+ * @throws {Error} With code FIRMWARE_PARSE_ERROR naming the bad block
+ */
+export function parseUf2(bytes) {
+  if (bytes.length === 0 || bytes.length % UF2.BLOCK_SIZE !== 0) {
+    throw parseError(
+      "UF2",
+      0,
+      `file size ${bytes.length} is not a multiple of ${UF2.BLOCK_SIZE} bytes`
+    );
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blockCount = bytes.length / UF2.BLOCK_SIZE;
+  const records = [];
+  /** @type {Map<number, {numBlocks: number, seen: Set<number>}>} */
+  const families = new Map();
+
+  for (let i = 0; i < blockCount; i++) {
+    const base = i * UF2.BLOCK_SIZE;
+    const word = (offset) => view.getUint32(base + offset, true);
+
+    if (
+      word(0) !== UF2.MAGIC_START0 ||
+      word(4) !== UF2.MAGIC_START1 ||
+      word(UF2.MAGIC_END_OFFSET) !== UF2.MAGIC_END
+    ) {
+      throw parseError("UF2", 0, `block ${i}: bad magic number`);
+    }
+
+    const flags = word(8);
+    const targetAddr = word(12);
+    const payloadSize = word(16);
+    const blockNo = word(20);
+    const numBlocks = word(24);
+    const familyId = flags & UF2.FLAG_FAMILY_ID_PRESENT ? word(28) : 0;
+
+    if (payloadSize > UF2.MAX_PAYLOAD) {
+      throw parseError(
+        "UF2",
+        0,
+        `block ${i}: payload size ${payloadSize} exceeds ${UF2.MAX_PAYLOAD}`
+      );
+    }
+    if (blockNo >= numBlocks) {
+      throw parseError(
+        "UF2",
+        0,
+        `block ${i}: block number ${blockNo} is not below total ${numBlocks}`
+      );
+    }
+
+    let family = families.get(familyId);
+    if (!family) {
+      family = { numBlocks, seen: new Set() };
+      families.set(familyId, family);
+    }
+    if (family.numBlocks !== numBlocks) {
+      throw parseError(
+        "UF2",
+        0,
+        `block ${i}: total ${numBlocks} disagrees with earlier blocks (${family.numBlocks})`
+      );
+    }
+    if (family.seen.has(blockNo)) {
+      throw parseError(
+        "UF2",
+        0,
+        `block ${i}: duplicate block number ${blockNo}`
+      );
+    }
+    family.seen.add(blockNo);
+
+    if (!(flags & UF2.FLAG_NOT_MAIN_FLASH)) {
+      records.push({
+        address: targetAddr,
+        data: bytes.subarray(
+          base + UF2.DATA_OFFSET,
+          base + UF2.DATA_OFFSET + payloadSize
+        ),
+        line: 0,
+      });
+    }
+  }
+
+  for (const [familyId, family] of families) {
+    if (family.seen.size !== family.numBlocks) {
+      throw parseError(
+        "UF2",
+        0,
+        `family 0x${familyId.toString(16)} has ${family.seen.size} of ${
+          family.numBlocks
+        } blocks (file truncated?)`
+      );
+    }
+  }
+
+  return {
+    ...makeImage(FIRMWARE_FORMATS.UF2, mergeRecords(records, "UF2"), null),
+    familyIds: [...families.keys()],
+    blockCount,
+  };
+}
+
+/**
+ * Wrap a raw binary as a single-segment image
+ * @param {Uint8Array} bytes - Binary contents
+ * @param {number} [baseAddress=0] - Address of the first byte
+ * @returns {FirmwareImage}
+ */
+export function parseBinary(bytes, baseAddress = 0) {
+  const segments =
+    bytes.length > 0 ? [{ address: baseAddress, data: bytes }] : [];
+  return makeImage(FIRMWARE_FORMATS.BIN, segments, null);
+}
+
+/**
+ * Guess the format of a firmware file from its first bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} One of FIRMWARE_FORMATS
+ */
+export function detectFormat(bytes) {
+  const head = new TextDecoder()
+    .decode(bytes.subarray(0, SNIFF_LENGTH))
+    .trimStart();
+
+  if (
+    bytes.length >= 8 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 8).getUint32(0, true) ===
+      UF2.MAGIC_START0
+  ) {
+    return FIRMWARE_FORMATS.UF2;
+  }
+  if (/^:[0-9a-fA-F]{10}/.test(head)) return FIRMWARE_FORMATS.HEX;
+  if (/^S[0-9][0-9a-fA-F]{6}/.test(head)) return FIRMWARE_FORMATS.SREC;
+  return FIRMWARE_FORMATS.BIN;
+}
+
+/**
+ * Parse firmware in any supported format
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - Force a format instead of detecting it
+ * @param {number} [options.baseAddress=0] - Load address for raw binaries
+ * @returns {FirmwareImage}
+ * @throws {Error} With code FIRMWARE_PARSE_ERROR if the file is malformed
+ */
+export function parseFirmware(data, { format, baseAddress = 0 } = {}) {
+  const bytes =
+    typeof data === "string"
+      ? new TextEncoder().encode(data)
+      : data instanceof Uint8Array
+      ? data
+      : new Uint8Array(data);
+
+  const resolvedFormat = format || detectFormat(bytes);
+
+  switch (resolvedFormat) {
+    case FIRMWARE_FORMATS.HEX:
+      return parseIntelHex(new TextDecoder().decode(bytes));
+    case FIRMWARE_FORMATS.SREC:
+      return parseSrec(new TextDecoder().decode(bytes));
+    case FIRMWARE_FORMATS.UF2:
+      return parseUf2(bytes);
+    case FIRMWARE_FORMATS.BIN:
+      return parseBinary(bytes, baseAddress);
+    default:
+      throw parseError("Firmware", 0, `unsupported format "${resolvedFormat}"`);
+  }
+}
+
+// =============================================================================
+// Layout
+// =============================================================================
+
+/**
+ * Flatten an image into one buffer, filling gaps with erased bytes
+ * @param {FirmwareImage} image - Parsed image
+ * @param {Object} [options]
+ * @param {number} [options.base=0] - Address that maps to offset 0
+ * @param {number} [options.size] - Usable memory size; segments past it are rejected
+ * @param {number} [options.align=1] - Pad the result to a multiple of this
+ * @param {number} [options.fill=0xFF] - Gap and padding value
+ * @param {string} [options.target="flash"] - Memory name used in errors
+ * @returns {Uint8Array} Bytes from base to the end of the last segment
+ * @throws {Error} If a segment lies outside [base, base + size)
+ */
+export function toFlatImage(
+  image,
+  { base = 0, size, align = 1, fill = BLANK_BYTE, target = "flash" } = {}
+) {
+  let end = 0;
+  for (const segment of image.segments) {
+    const start = segment.address - base;
+    const segmentEnd = start + segment.data.length;
+    if (start < 0 || (size !== undefined && segmentEnd > size)) {
+      throw new Error(
+        `Firmware segment at ${UploadLogger.formatAddr(segment.address)} (${
+          segment.data.length
+        } bytes) is outside ${target}${
+          size !== undefined
+            ? ` (${UploadLogger.formatAddr(base)}-${UploadLogger.formatAddr(
+                base + size - 1
+              )})`
+            : ""
+        }`
+      );
+    }
+    end = Math.max(end, segmentEnd);
+  }
+
+  const length = Math.ceil(end / align) * align;
+  const flat = new Uint8Array(length).fill(fill);
+  for (const segment of image.segments) {
+    flat.set(segment.data, segment.address - base);
+  }
+  return flat;
+}
+
+/**
+ * Describe an image for logging, e.g. "hex, 2 segments, 31.2 KB"
+ * @param {FirmwareImage} image - Parsed image
+ * @returns {string} Summary
+ */
+export function describeImage(image) {
+  const count = image.segments.length;
+  return `${image.format}, ${count} segment${
+    count === 1 ? "" : "s"
+  }, ${UploadLogger.formatSize(image.size)}`;
+}
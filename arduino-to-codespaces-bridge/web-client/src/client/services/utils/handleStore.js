@@ -0,0 +1,101 @@
+/**
+ * File System Handle Store
+ *
+ * Persists File System Access API handles in IndexedDB so a directory the
+ * user picked once (e.g. the RPI-RP2 drive) can be reused after a reload.
+ * Handles are structured-cloneable but cannot go into localStorage.
+ *
+ * @module client/services/utils/handleStore
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {string} DB_NAME - IndexedDB database name */
+const DB_NAME = "arduino-bridge";
+
+/** @constant {number} DB_VERSION - IndexedDB schema version */
+const DB_VERSION = 1;
+
+/** @constant {string} STORE_NAME - Object store holding handles by key */
+const STORE_NAME = "fileHandles";
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Open the database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the handle store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Load a previously saved handle
+ * @param {string} key - Handle name
+ * @returns {Promise<FileSystemHandle|null>} Saved handle, or null
+ */
+export async function loadHandle(key) {
+  if (typeof indexedDB === "undefined") return null;
+  try {
+    return (await withStore("readonly", (store) => store.get(key))) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Save a handle for later sessions
+ * @param {string} key - Handle name
+ * @param {FileSystemHandle} handle - Handle to persist
+ * @returns {Promise<void>}
+ */
+export async function saveHandle(key, handle) {
+  if (typeof indexedDB === "undefined") return;
+  await withStore("readwrite", (store) => store.put(handle, key));
+}
+
+/**
+ * Forget a saved handle
+ * @param {string} key - Handle name
+ * @returns {Promise<void>}
+ */
+export async function clearHandle(key) {
+  if (typeof indexedDB === "undefined") return;
+  await withStore("readwrite", (store) => store.delete(key));
+}
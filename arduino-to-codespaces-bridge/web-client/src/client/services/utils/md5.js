@@ -0,0 +1,103 @@
+/**
+ * MD5 Digest Utility
+ *
+ * Minimal RFC 1321 implementation for verifying flashed images against the
+ * SPI_FLASH_MD5 value reported by the ESP ROM loader. WebCrypto does not
+ * offer MD5, so it is computed here.
+ *
+ * @module client/services/utils/md5
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {number[]} SHIFTS - Per-round left rotation amounts */
+const SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5,
+  9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11,
+  16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10,
+  15, 21,
+];
+
+/** @constant {Uint32Array} K - Sine-derived round constants */
+const K = new Uint32Array(64).map((_, i) =>
+  Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000)
+);
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Compute the MD5 digest of a byte array
+ * @param {Uint8Array} bytes - Input data
+ * @returns {string} Lowercase hex digest (32 characters)
+ */
+export function md5Hex(bytes) {
+  const bitLength = bytes.length * 8;
+  const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+  const buffer = new Uint8Array(paddedLength);
+  buffer.set(bytes);
+  buffer[bytes.length] = 0x80;
+
+  const view = new DataView(buffer.buffer);
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const m = new Uint32Array(16);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      m[i] = view.getUint32(offset + i * 4, true);
+    }
+
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + K[i] + m[g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) | 0;
+    }
+
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  const out = new DataView(new ArrayBuffer(16));
+  out.setUint32(0, a0, true);
+  out.setUint32(4, b0, true);
+  out.setUint32(8, c0, true);
+  out.setUint32(12, d0, true);
+
+  return Array.from(new Uint8Array(out.buffer))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
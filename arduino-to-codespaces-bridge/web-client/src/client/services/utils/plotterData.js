@@ -0,0 +1,332 @@
+/**
+ * Serial Plotter Data
+ *
+ * Storage and file formats for plotter samples:
+ * - A ring buffer holding the most recent samples, independent of what the
+ *   chart's window still shows
+ * - CSV export with one column per series (`time_s`, `sample`, then the
+ *   series labels), and a JSON export of the same rows
+ * - Parsing of exported CSV files, so a recorded session can be loaded back
+ * - Statistics and cursor lookups over a range of chart points
+ *
+ * A sample row is `{t, n, samples}`: seconds since the first sample, the
+ * sample number and the line's values as returned by parsePlotterLine().
+ *
+ * @module client/services/utils/plotterData
+ */
+
+import { parsePlotterValue } from "./plotterParser.js";
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {string} TIME_COLUMN - CSV column with seconds since the first sample */
+export const TIME_COLUMN = "time_s";
+
+/** @constant {string} SAMPLE_COLUMN - CSV column with the sample number */
+export const SAMPLE_COLUMN = "sample";
+
+/** @constant {number} TIME_DECIMALS - Exported time resolution (milliseconds) */
+const TIME_DECIMALS = 3;
+
+// =============================================================================
+// Ring Buffer
+// =============================================================================
+
+/**
+ * Fixed-size buffer that keeps the newest rows
+ */
+export class SampleHistory {
+  /**
+   * @param {number} capacity - Rows kept before the oldest are overwritten
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.rows = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Add a row, overwriting the oldest when full
+   * @param {{t: number, n: number, samples: Object[]}} row
+   */
+  push(row) {
+    this.rows[(this.start + this.size) % this.capacity] = row;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Rows from oldest to newest
+   * @returns {Array<{t: number, n: number, samples: Object[]}>}
+   */
+  toArray() {
+    const rows = [];
+    for (let i = 0; i < this.size; i++) {
+      rows.push(this.rows[(this.start + i) % this.capacity]);
+    }
+    return rows;
+  }
+
+  clear() {
+    this.rows = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Series labels in order of first appearance
+ * @param {Array<{samples: Object[]}>} rows
+ * @returns {string[]}
+ */
+export function getSeriesLabels(rows) {
+  const labels = new Set();
+  rows.forEach((row) => row.samples.forEach(({ label }) => labels.add(label)));
+  return [...labels];
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break
+ */
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV, one column per series; cells stay empty where a line left a
+ * series out, and NaN is written as `NaN`
+ * @param {Array<{t: number, n: number, samples: Object[]}>} rows
+ * @returns {string}
+ */
+export function samplesToCsv(rows) {
+  const labels = getSeriesLabels(rows);
+  const lines = [[TIME_COLUMN, SAMPLE_COLUMN, ...labels].map(escapeCsv)];
+
+  for (const { t, n, samples } of rows) {
+    const values = new Map(samples.map(({ label, value }) => [label, value]));
+    lines.push([
+      t.toFixed(TIME_DECIMALS),
+      String(n),
+      ...labels.map((label) =>
+        values.has(label) ? String(values.get(label)) : ""
+      ),
+    ]);
+  }
+  return lines.map((cells) => cells.join(",")).join("\n") + "\n";
+}
+
+/**
+ * Rows as JSON; NaN becomes null
+ * @param {Array<{t: number, n: number, samples: Object[]}>} rows
+ * @returns {string}
+ */
+export function samplesToJson(rows) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      series: getSeriesLabels(rows),
+      samples: rows.map(({ t, n, samples }) => ({
+        t: Number(t.toFixed(TIME_DECIMALS)),
+        n,
+        values: Object.fromEntries(
+          samples.map(({ label, value }) => [
+            label,
+            Number.isNaN(value) ? null : value,
+          ])
+        ),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// =============================================================================
+// Import
+// =============================================================================
+
+/**
+ * Split a CSV line, honouring quoted cells
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map((text) => text.trim());
+}
+
+/**
+ * Parse a CSV exported by samplesToCsv(); without a `time_s` column the
+ * sample number is used as the time
+ * @param {string} text - File content
+ * @returns {Array<{t: number, n: number, samples: Object[]}>} Rows, oldest
+ *   first
+ * @throws {Error} If the header has no time or sample column, or a cell is
+ *   not a number
+ */
+export function parseSamplesCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) {
+    throw new Error("The file is empty");
+  }
+
+  const header = splitCsvLine(lines[0]);
+  const timeIndex = header.indexOf(TIME_COLUMN);
+  const sampleIndex = header.indexOf(SAMPLE_COLUMN);
+  if (timeIndex === -1 && sampleIndex === -1) {
+    throw new Error(
+      `Expected a "${TIME_COLUMN}" or "${SAMPLE_COLUMN}" column, as in files exported from the plotter`
+    );
+  }
+  const seriesColumns = header
+    .map((label, index) => ({ label, index }))
+    .filter(({ index }) => index !== timeIndex && index !== sampleIndex);
+  if (seriesColumns.length === 0) {
+    throw new Error("The file has no series columns");
+  }
+
+  const parseNumber = (cell, lineNumber) => {
+    const value = parsePlotterValue(cell);
+    if (value === undefined) {
+      throw new Error(`Line ${lineNumber}: "${cell}" is not a number`);
+    }
+    return value;
+  };
+
+  return lines.slice(1).map((line, rowIndex) => {
+    const lineNumber = rowIndex + 2;
+    const cells = splitCsvLine(line);
+    const n =
+      sampleIndex === -1
+        ? rowIndex
+        : parseNumber(cells[sampleIndex] ?? "", lineNumber);
+    const t =
+      timeIndex === -1 ? n : parseNumber(cells[timeIndex] ?? "", lineNumber);
+
+    const samples = [];
+    for (const { label, index } of seriesColumns) {
+      const cell = cells[index] ?? "";
+      if (cell) {
+        samples.push({ label, value: parseNumber(cell, lineNumber) });
+      }
+    }
+    return { t, n, samples };
+  });
+}
+
+// =============================================================================
+// Statistics
+// =============================================================================
+
+/**
+ * Index of the first point with x at (or, with `after`, past) a value
+ * @param {Array<{x: number}>} points - Sorted by x
+ * @param {number} x
+ * @param {boolean} [after=false] - Skip points at x
+ * @returns {number} points.length if there is no such point
+ */
+function findIndex(points, x, after = false) {
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (points[middle].x < x || (after && points[middle].x === x)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Statistics of the received values between two X positions
+ * @param {Array<{x: number, value: number, t: number}>} points - Chart
+ *   points of one series, sorted by x
+ * @param {number} from - First X position
+ * @param {number} to - Last X position
+ * @returns {{count: number, min: number, max: number, mean: number,
+ *   stdDev: number, rate: number}|null} NaN values are left out of min,
+ *   max, mean and standard deviation; rate is points per second. Null when
+ *   no point lies in the range
+ */
+export function computeStatistics(points, from, to) {
+  const start = findIndex(points, from);
+  const end = findIndex(points, to, true);
+  if (end <= start) return null;
+
+  // Welford's algorithm, stable for long windows of large values
+  let count = 0;
+  let mean = 0;
+  let squares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = start; i < end; i++) {
+    const { value } = points[i];
+    if (Number.isNaN(value)) continue;
+    count++;
+    const delta = value - mean;
+    mean += delta / count;
+    squares += delta * (value - mean);
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const duration = points[end - 1].t - points[start].t;
+  return {
+    count,
+    min: count > 0 ? min : NaN,
+    max: count > 0 ? max : NaN,
+    mean: count > 0 ? mean : NaN,
+    stdDev: count > 1 ? Math.sqrt(squares / (count - 1)) : NaN,
+    rate: duration > 0 ? (end - start - 1) / duration : NaN,
+  };
+}
+
+/**
+ * Point closest to an X position
+ * @param {Array<{x: number}>} points - Sorted by x
+ * @param {number} x
+ * @returns {Object|null} Null for no points
+ */
+export function findNearestPoint(points, x) {
+  if (points.length === 0) return null;
+  const index = findIndex(points, x);
+  if (index === 0) return points[0];
+  if (index === points.length) return points[index - 1];
+  const before = points[index - 1];
+  const after = points[index];
+  return x - before.x <= after.x - x ? before : after;
+}
@@ -0,0 +1,126 @@
+/**
+ * Serial Plotter Line Parsing
+ *
+ * Turns one line of serial output into plotter samples, following the
+ * Arduino IDE 2 Serial Plotter format:
+ * - Fields are separated by commas, tabs or spaces (`1 2 3`,
+ *   `temp:21 hum:40`); a label may contain spaces when its pair is set off
+ *   by commas or tabs (`Temp (C):21.5`)
+ * - `label:value` fields name their series, so series keep their identity
+ *   when a line leaves some of them out or changes their order
+ * - Unlabelled values are named by position: `value 1`, `value 2`, ...
+ * - `nan`, `inf` and `ovf` (what Arduino's Print writes for special floats)
+ *   become NaN, which the plotter draws as a gap
+ * - Lines with any other text (boot messages, debug output) are not plot
+ *   data and are ignored as a whole
+ *
+ * @module client/services/utils/plotterParser
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @constant {RegExp} FIELD_SEPARATOR - Separates fields of a line */
+const FIELD_SEPARATOR = /[,\t]/;
+
+/** @constant {RegExp} NUMBER_PATTERN - Decimal or scientific notation */
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/** @constant {Set<string>} NOT_A_NUMBER - Arduino's output for special floats */
+const NOT_A_NUMBER = new Set(["nan", "-nan", "inf", "-inf", "ovf"]);
+
+/** @constant {string} UNLABELLED_PREFIX - Name of unlabelled series */
+const UNLABELLED_PREFIX = "value";
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse one value
+ * @param {string} text - Trimmed value text
+ * @returns {number|undefined} The value, NaN for Arduino's nan/inf/ovf,
+ *   undefined if the text is not a number
+ */
+export function parsePlotterValue(text) {
+  if (NUMBER_PATTERN.test(text)) {
+    return Number(text);
+  }
+  if (NOT_A_NUMBER.has(text.toLowerCase())) {
+    return NaN;
+  }
+  return undefined;
+}
+
+/**
+ * Parse a `label:value` pair
+ * @param {string} text - Trimmed pair
+ * @returns {{label: string, value: number}|null} Null unless the label is
+ *   not empty and the value is a number
+ */
+function parsePair(text) {
+  const colon = text.lastIndexOf(":");
+  const label = text.slice(0, colon).trim();
+  const value = parsePlotterValue(text.slice(colon + 1).trim());
+  return label && value !== undefined ? { label, value } : null;
+}
+
+/**
+ * Parse one comma or tab separated field
+ * @param {string} text - Trimmed field
+ * @returns {Array<{label: string|null, value: number}>|null} Values, with a
+ *   null label when unlabelled; null if the field is not plot data
+ */
+function parseField(text) {
+  // Space separated values or pairs: `1 2 3`, `temp:21 hum:40`
+  const words = text
+    .split(/\s+/)
+    .map((word) =>
+      word.includes(":")
+        ? parsePair(word)
+        : { label: null, value: parsePlotterValue(word) }
+    );
+  if (words.every((word) => word && word.value !== undefined)) {
+    return words;
+  }
+
+  // Otherwise a single pair whose label contains spaces: `Temp (C):21`
+  const pair = text.includes(":") ? parsePair(text) : null;
+  return pair ? [pair] : null;
+}
+
+/**
+ * Parse one line of serial output
+ * @param {string} line - Line without its line ending
+ * @returns {Array<{label: string, value: number}>|null} Samples in line
+ *   order, null if the line is not plot data
+ */
+export function parsePlotterLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  const samples = [];
+  const seen = new Set();
+  let position = 0;
+
+  for (const field of trimmed.split(FIELD_SEPARATOR)) {
+    const text = field.trim();
+    if (!text) continue;
+
+    const values = parseField(text);
+    if (!values) return null;
+
+    for (const { label, value } of values) {
+      const name = label ?? `${UNLABELLED_PREFIX} ${++position}`;
+
+      // The IDE keeps the first value when a line repeats a label
+      if (!seen.has(name)) {
+        seen.add(name);
+        samples.push({ label: name, value });
+      }
+    }
+  }
+
+  return samples.length > 0 ? samples : null;
+}
@@ -3,11 +3,12 @@
  *
  * Provides UI for managing Arduino board/core platforms:
  * - Search and browse available platforms
- * - Install/upgrade/uninstall cores
+ * - Install/upgrade/uninstall cores (installs stream live output)
  * - Track index freshness
  */
 
 import { Logger } from "../../shared/Logger.js";
+import { JobClient } from "../services/JobClient.js";
 
 /** @type {Logger} */
 const logger = new Logger("BoardManager");
@@ -22,6 +23,9 @@ export class BoardManagerUI {
     this.showInstalled = false;
     this.isLoading = false;
     this.searchTimeout = null;
+    this.jobClient = new JobClient();
+    this.activeJobId = null;
+    this.progressTitle = "";
 
     // Cache DOM elements
     this.elements = {};
@@ -56,6 +60,7 @@ export class BoardManagerUI {
       jobProgress: document.getElementById("board-job-progress"),
       progressLog: document.getElementById("board-progress-log"),
       closeProgress: document.getElementById("close-board-progress"),
+      cancelJob: document.getElementById("cancel-board-job"),
       // URL modal elements
       urlModal: document.getElementById("board-url-modal"),
       urlList: document.getElementById("board-url-list"),
@@ -128,6 +133,11 @@ export class BoardManagerUI {
       this.hideProgress();
     });
 
+    // Cancel the running install job
+    this.elements.cancelJob?.addEventListener("click", () => {
+      if (this.activeJobId) this.jobClient.cancel(this.activeJobId);
+    });
+
     // Delegate click events on platform cards
     this.elements.list?.addEventListener("click", (e) => {
       const btn = e.target.closest("button[data-action]");
@@ -300,19 +310,26 @@ export class BoardManagerUI {
         body.version = version;
       }
 
-      const res = await fetch(`/api/cli/cores/${action}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      const data = await res.json();
-
-      if (data.log) {
-        this.appendProgressLog(data.log);
+      let data;
+      if (action === "install") {
+        // Installs stream their output as they download
+        data = await this.runJob("core-install", body);
+      } else {
+        const res = await fetch(`/api/cli/cores/${action}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        data = await res.json();
+
+        if (data.log) {
+          this.appendProgressLog(data.log);
+        }
       }
 
-      if (data.success) {
+      if (data.cancelled) {
+        this.appendProgressLog(`\n✗ ${action} cancelled\n`);
+      } else if (data.success) {
         this.appendProgressLog(
           `\n✓ ${action} completed in ${data.duration.toFixed(1)}s\n`
         );
@@ -332,6 +349,42 @@ export class BoardManagerUI {
     }
   }
 
+  /**
+   * Run a server job, streaming its output into the progress log
+   * @param {string} type - Job type
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object>} Operation result ({success, error, duration, ...})
+   */
+  async runJob(type, params) {
+    try {
+      const job = await this.jobClient.run(type, params, {
+        onStart: (started) => {
+          this.activeJobId = started.id;
+          if (this.elements.cancelJob) {
+            this.elements.cancelJob.style.display = "inline-block";
+          }
+          if (started.jobsAhead) {
+            this.appendProgressLog(
+              `Waiting for ${started.jobsAhead} earlier job(s)...\n`
+            );
+          }
+        },
+        onOutput: (text) => this.appendProgressLog(text),
+        onProgress: (percent) => this.setProgressPercent(percent),
+      });
+
+      if (job.status === "cancelled") {
+        return { success: false, cancelled: true, error: "Cancelled" };
+      }
+      return job.result || { success: false, error: job.error };
+    } finally {
+      this.activeJobId = null;
+      if (this.elements.cancelJob) {
+        this.elements.cancelJob.style.display = "none";
+      }
+    }
+  }
+
   renderPlatformList() {
     if (!this.elements.list) return;
 
@@ -465,6 +518,7 @@ export class BoardManagerUI {
   }
 
   showProgress(title) {
+    this.progressTitle = title;
     if (this.elements.jobProgress) {
       this.elements.jobProgress.style.display = "block";
       const titleEl =
@@ -476,6 +530,16 @@ export class BoardManagerUI {
     }
   }
 
+  setProgressPercent(percent) {
+    const titleEl = this.elements.jobProgress?.querySelector(".progress-title");
+    if (titleEl) {
+      titleEl.textContent =
+        percent === null
+          ? this.progressTitle
+          : `${this.progressTitle} ${percent}%`;
+    }
+  }
+
   appendProgressLog(text) {
     if (this.elements.progressLog) {
       this.elements.progressLog.textContent += text;
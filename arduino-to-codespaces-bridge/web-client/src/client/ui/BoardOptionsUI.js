@@ -0,0 +1,169 @@
+/**
+ * Board Options UI Component
+ *
+ * Board menu options (CPU frequency, partition scheme, USB mode, ...):
+ * - One select per menu from /api/board-details `configOptions`
+ * - Builds the four-part FQBN (vendor:arch:board:opt=value,...)
+ * - Choices are restored from an FQBN, e.g. the sketch's sketch.yaml
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("BoardOptions");
+
+export class BoardOptionsUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.baseFqbn = null;
+    this.menus = [];
+    this.choices = {};
+    this.disabled = false;
+    this.changeHandlers = [];
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.container.addEventListener("change", (e) => {
+      const select = e.target.closest("select[data-option]");
+      if (!select) return;
+
+      this.choices[select.dataset.option] = select.value;
+      this.changeHandlers.forEach((handler) => handler(this.getFqbn()));
+    });
+  }
+
+  /**
+   * Register a callback for option changes made by the user
+   * @param {function(string): void} handler - Receives the new FQBN
+   */
+  onChange(handler) {
+    this.changeHandlers.push(handler);
+  }
+
+  /**
+   * Show the menus of a board
+   * @param {string} baseFqbn - Three-part FQBN from the board dropdown
+   * @param {Object[]} [menus] - `configOptions` from /api/board-details
+   * @param {string} [savedFqbn] - FQBN whose options to select, e.g. from
+   *   sketch.yaml; options for other boards are ignored
+   * @returns {string|null} The resulting FQBN
+   */
+  show(baseFqbn, menus, savedFqbn = "") {
+    this.baseFqbn = baseFqbn || null;
+    this.menus = Array.isArray(menus) ? menus : [];
+
+    const saved = this.parseOptions(savedFqbn);
+    this.choices = {};
+    for (const menu of this.menus) {
+      const value = saved[menu.option];
+      if (menu.values.some((choice) => choice.value === value)) {
+        this.choices[menu.option] = value;
+      }
+    }
+
+    this.render();
+    return this.getFqbn();
+  }
+
+  /**
+   * Lock the menus, e.g. while a build profile decides the board
+   * @param {boolean} disabled
+   */
+  setDisabled(disabled) {
+    this.disabled = Boolean(disabled);
+    this.render();
+  }
+
+  /**
+   * Menu options of an FQBN for the current board
+   * @param {string} fqbn - e.g. esp32:esp32:esp32:PartitionScheme=huge_app
+   * @returns {Object<string, string>} Value by option
+   * @private
+   */
+  parseOptions(fqbn) {
+    const [vendor, arch, board, options] = String(fqbn || "").split(":");
+    if (!options || `${vendor}:${arch}:${board}` !== this.baseFqbn) return {};
+
+    return Object.fromEntries(
+      options.split(",").map((pair) => pair.split("=", 2))
+    );
+  }
+
+  /**
+   * Default choice of a menu (selected by the platform, else the first)
+   * @private
+   */
+  defaultValue(menu) {
+    return (menu.values.find((choice) => choice.selected) || menu.values[0])
+      ?.value;
+  }
+
+  /**
+   * FQBN with the chosen options
+   *
+   * Only choices that differ from the board defaults are included, so a board
+   * left on its defaults keeps its plain three-part FQBN.
+   *
+   * @returns {string|null}
+   */
+  getFqbn() {
+    if (!this.baseFqbn) return null;
+
+    const options = this.menus
+      .filter(
+        (menu) =>
+          this.choices[menu.option] !== undefined &&
+          this.choices[menu.option] !== this.defaultValue(menu)
+      )
+      .map((menu) => `${menu.option}=${this.choices[menu.option]}`);
+
+    return options.length > 0
+      ? `${this.baseFqbn}:${options.join(",")}`
+      : this.baseFqbn;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.classList.toggle("hidden", this.menus.length === 0);
+    this.container.innerHTML = this.menus
+      .map((menu) => {
+        const current = this.choices[menu.option] ?? this.defaultValue(menu);
+        return `
+          <label class="board-option">
+            <span>${this.escapeHtml(menu.label)}</span>
+            <select data-option="${this.escapeHtml(menu.option)}" ${
+          this.disabled ? "disabled" : ""
+        }>
+              ${menu.values
+                .map(
+                  (choice) => `
+                <option value="${this.escapeHtml(choice.value)}" ${
+                    choice.value === current ? "selected" : ""
+                  }>${this.escapeHtml(choice.label)}</option>
+              `
+                )
+                .join("")}
+            </select>
+          </label>
+        `;
+      })
+      .join("");
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
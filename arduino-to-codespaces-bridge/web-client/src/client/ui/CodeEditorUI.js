@@ -0,0 +1,593 @@
+/**
+ * Code Editor UI Component
+ *
+ * Edits the source files of the selected sketch (Editor tab):
+ * - File list with create, rename and delete (.ino, .h, .cpp, .c)
+ * - Arduino/C++ syntax highlighting and line numbers
+ * - Unsaved changes are kept per file and marked ●, Ctrl+S saves
+ * - Saves are refused when the file changed on disk since it was opened
+ * - Library examples open read-only
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("Editor");
+
+/** Spaces inserted by the Tab key, like the Arduino IDE */
+const INDENT = "  ";
+
+const KEYWORDS = new Set(
+  (
+    "if else for while do switch case default break continue return goto " +
+    "class struct union enum typedef namespace using template typename " +
+    "public private protected virtual override friend operator new delete " +
+    "this sizeof static const constexpr volatile extern inline register " +
+    "mutable explicit auto try catch throw"
+  ).split(" ")
+);
+
+const TYPES = new Set(
+  (
+    "void bool boolean char byte short int long float double unsigned " +
+    "signed word size_t String int8_t int16_t int32_t int64_t uint8_t " +
+    "uint16_t uint32_t uint64_t"
+  ).split(" ")
+);
+
+const CONSTANTS = new Set(
+  (
+    "HIGH LOW INPUT OUTPUT INPUT_PULLUP INPUT_PULLDOWN LED_BUILTIN true " +
+    "false NULL nullptr PI HEX DEC BIN OCT CHANGE RISING FALLING A0 A1 A2 " +
+    "A3 A4 A5"
+  ).split(" ")
+);
+
+const BUILTINS = new Set(
+  (
+    "setup loop pinMode digitalWrite digitalRead analogRead analogWrite " +
+    "analogReference delay delayMicroseconds millis micros tone noTone " +
+    "pulseIn shiftIn shiftOut attachInterrupt detachInterrupt map " +
+    "constrain min max abs random randomSeed Serial Serial1 Serial2 Wire SPI"
+  ).split(" ")
+);
+
+/** Comments, strings/chars, preprocessor lines, numbers, identifiers */
+const TOKEN_PATTERN =
+  /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S])))|("(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)|(^[ \t]*#[^\n]*)|(\b(?:0[xX][\da-fA-F]+|0[bB][01]+|\d+\.?\d*(?:[eE][+-]?\d+)?)[uUlLfF]*\b)|([A-Za-z_]\w*)/gm;
+
+function escapeCode(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Highlight Arduino/C++ source as HTML
+ * @param {string} code - Source text
+ * @returns {string} HTML with `tok-*` spans
+ */
+function highlightCode(code) {
+  let html = "";
+  let last = 0;
+
+  for (const match of code.matchAll(TOKEN_PATTERN)) {
+    const [text, comment, string, directive, number, word] = match;
+    let kind = null;
+    if (comment) kind = "comment";
+    else if (string) kind = "string";
+    else if (directive) kind = "directive";
+    else if (number) kind = "number";
+    else if (word) {
+      if (KEYWORDS.has(word)) kind = "keyword";
+      else if (TYPES.has(word)) kind = "type";
+      else if (CONSTANTS.has(word)) kind = "constant";
+      else if (BUILTINS.has(word)) kind = "builtin";
+    }
+
+    html += escapeCode(code.slice(last, match.index));
+    html += kind
+      ? `<span class="tok-${kind}">${escapeCode(text)}</span>`
+      : escapeCode(text);
+    last = match.index + text.length;
+  }
+
+  // A trailing newline needs content after it to get its own line
+  return html + escapeCode(code.slice(last)) + "\n";
+}
+
+export class CodeEditorUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.sketchPath = null;
+    this.readOnly = false;
+    this.mainFile = null;
+    this.files = [];
+    this.current = null;
+
+    // Open files by name: {content, savedContent, modified}
+    this.buffers = new Map();
+    this.highlightFrame = null;
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.render();
+  }
+
+  cacheElements() {
+    this.elements = {
+      files: document.getElementById("editor-files"),
+      status: document.getElementById("editor-status"),
+      input: document.getElementById("editor-input"),
+      highlight: document.getElementById("editor-highlight"),
+      gutter: document.getElementById("editor-gutter"),
+      newBtn: document.getElementById("editor-new-file"),
+      renameBtn: document.getElementById("editor-rename-file"),
+      deleteBtn: document.getElementById("editor-delete-file"),
+      saveBtn: document.getElementById("editor-save"),
+    };
+  }
+
+  attachEventListeners() {
+    const { input, files } = this.elements;
+
+    files?.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-file]");
+      if (item) this.openFile(item.dataset.file);
+    });
+
+    this.elements.newBtn?.addEventListener("click", () => this.createFile());
+    this.elements.renameBtn?.addEventListener("click", () => this.renameFile());
+    this.elements.deleteBtn?.addEventListener("click", () => this.deleteFile());
+    this.elements.saveBtn?.addEventListener("click", () =>
+      this.saveFile(this.current)
+    );
+
+    input?.addEventListener("input", () => {
+      const buffer = this.buffers.get(this.current);
+      if (!buffer) return;
+
+      const wasDirty = this.isFileDirty(this.current);
+      buffer.content = input.value;
+      this.scheduleHighlight();
+      if (wasDirty !== this.isFileDirty(this.current)) this.render();
+    });
+
+    input?.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    input?.addEventListener("scroll", () => {
+      this.elements.highlight.scrollTop = input.scrollTop;
+      this.elements.highlight.scrollLeft = input.scrollLeft;
+      this.elements.gutter.scrollTop = input.scrollTop;
+    });
+
+    // Unsaved edits would be lost with the page
+    window.addEventListener("beforeunload", (e) => {
+      if (this.isDirty()) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    });
+  }
+
+  handleKeydown(e) {
+    const { input } = this.elements;
+
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "s") {
+      e.preventDefault();
+      this.saveFile(this.current);
+    } else if (e.key === "Tab" && !e.shiftKey && !input.readOnly) {
+      e.preventDefault();
+      input.setRangeText(
+        INDENT,
+        input.selectionStart,
+        input.selectionEnd,
+        "end"
+      );
+      input.dispatchEvent(new Event("input"));
+    }
+  }
+
+  /**
+   * Show the files of a sketch
+   *
+   * Unsaved changes to the previous sketch are saved first if the user
+   * agrees, otherwise discarded.
+   *
+   * @param {string} sketchPath - Path from /api/sketches, or "" for none
+   */
+  async setSketch(sketchPath) {
+    const path = sketchPath && sketchPath !== "__REFRESH__" ? sketchPath : null;
+    if (path === this.sketchPath) return;
+
+    if (
+      this.isDirty() &&
+      confirm(
+        `Save changes to ${this.getDirtyFiles().join(", ")} in ${
+          this.sketchPath
+        }?\n\nCancel discards them.`
+      )
+    ) {
+      await this.saveAll();
+    }
+
+    this.sketchPath = path;
+    this.buffers.clear();
+    this.current = null;
+    this.files = [];
+    this.mainFile = null;
+    this.readOnly = false;
+
+    if (path) {
+      await this.loadFiles();
+      if (this.sketchPath === path && this.mainFile) {
+        await this.openFile(this.mainFile);
+      }
+    }
+    this.render();
+  }
+
+  async loadFiles() {
+    const sketchPath = this.sketchPath;
+    try {
+      const res = await fetch(
+        `/api/sketch-files?path=${encodeURIComponent(sketchPath)}`
+      );
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error);
+
+      // Another sketch may have been selected while fetching
+      if (this.sketchPath !== sketchPath) return;
+      this.files = data.files;
+      this.mainFile = data.mainFile;
+      this.readOnly = data.readOnly;
+    } catch (err) {
+      logger.error("Failed to list sketch files", err);
+      this.setStatus(`Could not list files: ${err.message}`, "status-warning");
+    }
+    this.render();
+  }
+
+  /**
+   * Open a file, optionally at a line
+   * @param {string} name - File name relative to the sketch
+   * @param {number} [line] - 1-based line to select
+   * @returns {Promise<boolean>} Whether the file is open
+   */
+  async openFile(name, line) {
+    if (!this.sketchPath || !name) return false;
+
+    if (!this.buffers.has(name)) {
+      const sketchPath = this.sketchPath;
+      try {
+        const res = await fetch(
+          `/api/sketch-files/content?path=${encodeURIComponent(
+            sketchPath
+          )}&file=${encodeURIComponent(name)}`
+        );
+        const data = await res.json();
+        if (!res.ok || !data.success) throw new Error(data.error);
+        if (this.sketchPath !== sketchPath) return false;
+
+        this.buffers.set(name, {
+          content: data.file.content,
+          savedContent: data.file.content,
+          modified: data.file.modified,
+        });
+      } catch (err) {
+        logger.error(`Failed to open ${name}`, err);
+        this.setStatus(
+          `Could not open ${name}: ${err.message}`,
+          "status-warning"
+        );
+        return false;
+      }
+    }
+
+    this.current = name;
+    this.render();
+    if (line) this.goToLine(line);
+    return true;
+  }
+
+  /**
+   * Select a line and scroll it into view
+   * @param {number} line - 1-based line number
+   */
+  goToLine(line) {
+    const { input } = this.elements;
+    if (!input) return;
+
+    const lines = input.value.split("\n");
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    const start = lines
+      .slice(0, index)
+      .reduce((offset, text) => offset + text.length + 1, 0);
+
+    input.focus();
+    input.setSelectionRange(start, start + lines[index].length);
+    const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+    input.scrollTop = Math.max(0, index * lineHeight - input.clientHeight / 3);
+  }
+
+  /**
+   * Save one file
+   * @param {string} name - File name relative to the sketch
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite changes made on disk
+   * @returns {Promise<boolean>} Whether the file is saved
+   */
+  async saveFile(name, { force = false } = {}) {
+    const buffer = this.buffers.get(name);
+    if (!buffer || this.readOnly) return false;
+    if (!this.isFileDirty(name)) return true;
+
+    const content = buffer.content;
+    try {
+      const res = await fetch("/api/sketch-files/save", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          path: this.sketchPath,
+          file: name,
+          content,
+          modified: force ? undefined : buffer.modified,
+        }),
+      });
+      const data = await res.json();
+
+      if (res.status === 409 && !force) {
+        if (confirm(`${data.error}.\n\nOverwrite ${name} with your changes?`)) {
+          return this.saveFile(name, { force: true });
+        }
+        return false;
+      }
+      if (!res.ok || !data.success) throw new Error(data.error);
+
+      // Typing may have continued while saving
+      buffer.savedContent = content;
+      buffer.modified = data.file.modified;
+      this.setStatus(`Saved ${name}`);
+      this.render();
+      return true;
+    } catch (err) {
+      logger.error(`Failed to save ${name}`, err);
+      this.setStatus(
+        `Could not save ${name}: ${err.message}`,
+        "status-warning"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Save every file with unsaved changes, e.g. before compiling
+   * @returns {Promise<boolean>} Whether nothing is left unsaved
+   */
+  async saveAll() {
+    for (const name of this.getDirtyFiles()) {
+      if (!(await this.saveFile(name))) return false;
+    }
+    return true;
+  }
+
+  async createFile() {
+    const name = prompt(
+      "New file name (.ino, .h, .cpp or .c, use src/ for a subfolder):",
+      "config.h"
+    );
+    if (!name) return;
+
+    const data = await this.postFileAction("create", { file: name.trim() });
+    if (!data) return;
+
+    this.buffers.set(data.file.name, {
+      content: data.file.content,
+      savedContent: data.file.content,
+      modified: data.file.modified,
+    });
+    await this.loadFiles();
+    await this.openFile(data.file.name);
+    this.setStatus(`Created ${data.file.name}`);
+  }
+
+  async renameFile() {
+    const name = this.current;
+    if (!name) return;
+
+    const newName = prompt(`Rename ${name} to:`, name);
+    if (!newName || newName.trim() === name) return;
+
+    const data = await this.postFileAction("rename", {
+      file: name,
+      newName: newName.trim(),
+    });
+    if (!data) return;
+
+    // Unsaved changes move with the file
+    const buffer = this.buffers.get(name);
+    this.buffers.delete(name);
+    if (buffer) {
+      buffer.modified = data.file.modified;
+      this.buffers.set(data.file.name, buffer);
+    }
+    this.current = data.file.name;
+    await this.loadFiles();
+    this.setStatus(`Renamed ${name} to ${data.file.name}`);
+  }
+
+  async deleteFile() {
+    const name = this.current;
+    if (!name || !confirm(`Delete ${name} from ${this.sketchPath}?`)) return;
+
+    if (!(await this.postFileAction("delete", { file: name }))) return;
+
+    this.buffers.delete(name);
+    this.current = null;
+    await this.loadFiles();
+    await this.openFile(this.mainFile);
+    this.setStatus(`Deleted ${name}`);
+  }
+
+  /**
+   * POST a create/rename/delete request for the current sketch
+   * @returns {Promise<Object|null>} Response body, null after an error
+   * @private
+   */
+  async postFileAction(action, body) {
+    try {
+      const res = await fetch(`/api/sketch-files/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ path: this.sketchPath, ...body }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error);
+      return data;
+    } catch (err) {
+      logger.error(`File ${action} failed`, err);
+      alert(`Could not ${action} file: ${err.message}`);
+      return null;
+    }
+  }
+
+  isFileDirty(name) {
+    const buffer = this.buffers.get(name);
+    return Boolean(buffer && buffer.content !== buffer.savedContent);
+  }
+
+  /**
+   * Files with unsaved changes
+   * @returns {string[]}
+   */
+  getDirtyFiles() {
+    return [...this.buffers.keys()].filter((name) => this.isFileDirty(name));
+  }
+
+  /**
+   * Whether any file has unsaved changes
+   * @returns {boolean}
+   */
+  isDirty() {
+    return this.getDirtyFiles().length > 0;
+  }
+
+  setStatus(message, statusClass = "status-ok") {
+    if (!this.elements.status) return;
+    this.elements.status.textContent = message;
+    this.elements.status.className = `index-status ${statusClass}`;
+  }
+
+  scheduleHighlight() {
+    if (this.highlightFrame) return;
+    this.highlightFrame = requestAnimationFrame(() => {
+      this.highlightFrame = null;
+      this.renderHighlight();
+    });
+  }
+
+  render() {
+    if (!this.container || !this.elements.input) return;
+
+    const { input, newBtn, renameBtn, deleteBtn, saveBtn } = this.elements;
+    const buffer = this.buffers.get(this.current);
+    const editable = Boolean(this.sketchPath && !this.readOnly);
+
+    if (input.value !== (buffer?.content ?? "")) {
+      input.value = buffer?.content ?? "";
+      input.scrollTop = 0;
+      input.scrollLeft = 0;
+    }
+    input.readOnly = !buffer || this.readOnly;
+    input.placeholder = this.sketchPath
+      ? ""
+      : "Select a sketch in the toolbar to edit its files";
+
+    if (newBtn) newBtn.disabled = !editable;
+    if (renameBtn) {
+      renameBtn.disabled =
+        !editable || !buffer || this.current === this.mainFile;
+    }
+    if (deleteBtn) {
+      deleteBtn.disabled =
+        !editable || !buffer || this.current === this.mainFile;
+    }
+    if (saveBtn) {
+      saveBtn.disabled = !editable || !this.isFileDirty(this.current);
+    }
+
+    this.renderFiles();
+    this.renderHighlight();
+  }
+
+  renderFiles() {
+    if (!this.elements.files) return;
+
+    if (!this.sketchPath) {
+      this.elements.files.innerHTML = `<div class="editor-files-empty">No sketch selected</div>`;
+      return;
+    }
+
+    const header = this.readOnly
+      ? `<div class="editor-files-note">Library example, read-only</div>`
+      : "";
+    this.elements.files.innerHTML =
+      header +
+      this.files
+        .map(
+          (file) => `
+        <div class="editor-file ${
+          file.name === this.current ? "active" : ""
+        }" data-file="${this.escapeHtml(file.name)}" title="${this.escapeHtml(
+            file.name
+          )}">
+          <span class="editor-file-name">${this.escapeHtml(file.name)}</span>
+          ${
+            this.isFileDirty(file.name)
+              ? `<span class="editor-file-dirty" title="Unsaved changes">●</span>`
+              : ""
+          }
+        </div>
+      `
+        )
+        .join("");
+  }
+
+  renderHighlight() {
+    const { input, highlight, gutter } = this.elements;
+    if (!highlight || !gutter) return;
+
+    highlight.innerHTML = highlightCode(input.value);
+    const lineCount = input.value.split("\n").length;
+    gutter.textContent = Array.from(
+      { length: lineCount },
+      (_, i) => i + 1
+    ).join("\n");
+
+    highlight.scrollTop = input.scrollTop;
+    highlight.scrollLeft = input.scrollLeft;
+    gutter.scrollTop = input.scrollTop;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
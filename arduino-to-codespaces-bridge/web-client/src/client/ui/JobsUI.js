@@ -0,0 +1,235 @@
+/**
+ * Jobs UI Component
+ *
+ * Lists recent server jobs (compiles, uploads, core/library installs):
+ * - Status, timestamps, exit code and the end of the log
+ * - Cancel queued or running jobs, re-run finished ones
+ * - Refreshes while the Jobs view is visible
+ */
+
+import { Logger } from "../../shared/Logger.js";
+import { JobClient } from "../services/JobClient.js";
+
+/** @type {Logger} */
+const logger = new Logger("Jobs");
+
+/** How often the list refreshes while visible */
+const POLL_INTERVAL_MS = 2000;
+
+const STATUS_LABELS = {
+  queued: "⏳ Queued",
+  running: "▶ Running",
+  succeeded: "✓ Succeeded",
+  failed: "✗ Failed",
+  cancelled: "⊘ Cancelled",
+};
+
+export class JobsUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.jobs = [];
+    this.jobClient = new JobClient();
+    this.pollTimer = null;
+
+    // Log excerpts the user has expanded, kept open across refreshes
+    this.expanded = new Set();
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.loadJobs();
+
+    this.pollTimer = setInterval(() => {
+      if (this.container.classList.contains("active")) {
+        this.loadJobs();
+      }
+    }, POLL_INTERVAL_MS);
+  }
+
+  cacheElements() {
+    this.elements = {
+      list: document.getElementById("job-list"),
+      summary: document.getElementById("job-summary"),
+      refreshBtn: document.getElementById("refresh-jobs"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.refreshBtn?.addEventListener("click", () => {
+      this.loadJobs();
+    });
+
+    // Delegate clicks on job cards
+    this.elements.list?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
+
+      const card = btn.closest(".job-card");
+      if (card) this.performAction(card.dataset.id, btn.dataset.action);
+    });
+
+    // Remember which log excerpts are open
+    this.elements.list?.addEventListener(
+      "toggle",
+      (e) => {
+        const card = e.target.closest(".job-card");
+        if (!card) return;
+        if (e.target.open) {
+          this.expanded.add(card.dataset.id);
+        } else {
+          this.expanded.delete(card.dataset.id);
+        }
+      },
+      true
+    );
+  }
+
+  async loadJobs() {
+    try {
+      this.jobs = await this.jobClient.list();
+      this.renderJobList();
+    } catch (err) {
+      logger.error("Failed to load jobs", err);
+      this.showError("Failed to load jobs");
+    }
+  }
+
+  async performAction(jobId, action) {
+    try {
+      if (action === "cancel") {
+        await this.jobClient.cancel(jobId);
+      } else if (action === "rerun") {
+        await this.jobClient.rerun(jobId);
+      }
+    } catch (err) {
+      logger.error(`Job ${action} failed`, err);
+      alert(
+        `Could not ${action === "rerun" ? "re-run" : action} job: ${
+          err.message
+        }`
+      );
+    }
+    await this.loadJobs();
+  }
+
+  renderJobList() {
+    if (!this.elements.list) return;
+
+    const active = this.jobs.filter(
+      (job) => job.status === "queued" || job.status === "running"
+    ).length;
+    if (this.elements.summary) {
+      this.elements.summary.textContent = active
+        ? `${active} active, ${this.jobs.length - active} finished`
+        : `${this.jobs.length} recent jobs`;
+    }
+
+    if (this.jobs.length === 0) {
+      this.elements.list.innerHTML = `
+        <div class="empty-state">
+          <p>No jobs yet.</p>
+          <p>Compiles and installs show up here while they run.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.elements.list.innerHTML = this.jobs
+      .map((job) => this.renderJobCard(job))
+      .join("");
+  }
+
+  renderJobCard(job) {
+    const isActive = job.status === "queued" || job.status === "running";
+    const details = [
+      `Queued ${this.formatTime(job.createdAt)}`,
+      job.startedAt ? `started ${this.formatTime(job.startedAt)}` : null,
+      job.finishedAt && job.startedAt
+        ? `took ${this.formatDuration(job.finishedAt - job.startedAt)}`
+        : null,
+      job.exitCode !== null && job.exitCode !== undefined
+        ? `exit code ${job.exitCode}`
+        : null,
+    ].filter(Boolean);
+
+    let state = STATUS_LABELS[job.status] || job.status;
+    if (job.status === "queued" && job.jobsAhead) {
+      state += ` (${job.jobsAhead} ahead)`;
+    } else if (job.status === "running" && job.percent !== null) {
+      state += ` ${job.percent}%`;
+    }
+
+    return `
+      <div class="job-card ${job.status}" data-id="${this.escapeHtml(job.id)}">
+        <div class="job-header">
+          <h3>${this.escapeHtml(job.title)}</h3>
+          <span class="job-status">${this.escapeHtml(state)}</span>
+        </div>
+        <div class="job-meta">${this.escapeHtml(details.join(" · "))}</div>
+        ${
+          job.error && job.status !== "cancelled"
+            ? `<div class="job-error">${this.escapeHtml(job.error)}</div>`
+            : ""
+        }
+        ${
+          job.logExcerpt
+            ? `
+          <details class="job-log" ${this.expanded.has(job.id) ? "open" : ""}>
+            <summary>Log</summary>
+            <pre>${this.escapeHtml(job.logExcerpt)}</pre>
+          </details>
+        `
+            : ""
+        }
+        <div class="job-actions">
+          ${
+            isActive
+              ? `<button class="btn-remove" data-action="cancel">Cancel</button>`
+              : `<button class="btn-install" data-action="rerun">Re-run</button>`
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+  }
+
+  formatDuration(ms) {
+    const seconds = ms / 1000;
+    return seconds < 60
+      ? `${seconds.toFixed(1)}s`
+      : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  }
+
+  showError(message) {
+    if (this.elements.list) {
+      this.elements.list.innerHTML = `
+        <div class="error-state">
+          <p>⚠️ ${this.escapeHtml(message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
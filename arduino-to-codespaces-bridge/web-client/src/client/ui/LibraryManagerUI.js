@@ -3,12 +3,13 @@
  *
  * Provides UI for managing Arduino libraries:
  * - Search and browse available libraries
- * - Install/upgrade/uninstall libraries
+ * - Install/upgrade/uninstall libraries (installs stream live output)
  * - Filter by category
  * - Track index freshness
  */
 
 import { Logger } from "../../shared/Logger.js";
+import { JobClient } from "../services/JobClient.js";
 
 /** @type {Logger} */
 const logger = new Logger("LibraryManager");
@@ -25,6 +26,9 @@ export class LibraryManagerUI {
     this.showInstalled = false;
     this.isLoading = false;
     this.searchTimeout = null;
+    this.jobClient = new JobClient();
+    this.activeJobId = null;
+    this.progressTitle = "";
 
     // Cache DOM elements
     this.elements = {};
@@ -58,6 +62,7 @@ export class LibraryManagerUI {
       jobProgress: document.getElementById("lib-job-progress"),
       progressLog: document.getElementById("lib-progress-log"),
       closeProgress: document.getElementById("close-lib-progress"),
+      cancelJob: document.getElementById("cancel-lib-job"),
       // Custom install modal elements
       customModal: document.getElementById("lib-custom-modal"),
       closeCustomModal: document.getElementById("close-lib-custom-modal"),
@@ -144,6 +149,11 @@ export class LibraryManagerUI {
       this.hideProgress();
     });
 
+    // Cancel the running install job
+    this.elements.cancelJob?.addEventListener("click", () => {
+      if (this.activeJobId) this.jobClient.cancel(this.activeJobId);
+    });
+
     // Delegate click events on library cards
     this.elements.list?.addEventListener("click", (e) => {
       const btn = e.target.closest("button[data-action]");
@@ -363,19 +373,26 @@ export class LibraryManagerUI {
         body.installDeps = true;
       }
 
-      const res = await fetch(`/api/cli/libraries/${action}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      const data = await res.json();
+      let data;
+      if (action === "install") {
+        // Installs stream their output as they download
+        data = await this.runJob("library-install", body);
+      } else {
+        const res = await fetch(`/api/cli/libraries/${action}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        data = await res.json();
 
-      if (data.log) {
-        this.appendProgressLog(data.log);
+        if (data.log) {
+          this.appendProgressLog(data.log);
+        }
       }
 
-      if (data.success) {
+      if (data.cancelled) {
+        this.appendProgressLog(`\n✗ ${action} cancelled\n`);
+      } else if (data.success) {
         this.appendProgressLog(
           `\n✓ ${action} completed in ${data.duration.toFixed(1)}s\n`
         );
@@ -397,6 +414,42 @@ export class LibraryManagerUI {
     }
   }
 
+  /**
+   * Run a server job, streaming its output into the progress log
+   * @param {string} type - Job type
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object>} Operation result ({success, error, duration, ...})
+   */
+  async runJob(type, params) {
+    try {
+      const job = await this.jobClient.run(type, params, {
+        onStart: (started) => {
+          this.activeJobId = started.id;
+          if (this.elements.cancelJob) {
+            this.elements.cancelJob.style.display = "inline-block";
+          }
+          if (started.jobsAhead) {
+            this.appendProgressLog(
+              `Waiting for ${started.jobsAhead} earlier job(s)...\n`
+            );
+          }
+        },
+        onOutput: (text) => this.appendProgressLog(text),
+        onProgress: (percent) => this.setProgressPercent(percent),
+      });
+
+      if (job.status === "cancelled") {
+        return { success: false, cancelled: true, error: "Cancelled" };
+      }
+      return job.result || { success: false, error: job.error };
+    } finally {
+      this.activeJobId = null;
+      if (this.elements.cancelJob) {
+        this.elements.cancelJob.style.display = "none";
+      }
+    }
+  }
+
   renderLibraryList() {
     if (!this.elements.list) return;
 
@@ -527,6 +580,7 @@ export class LibraryManagerUI {
   }
 
   showProgress(title) {
+    this.progressTitle = title;
     if (this.elements.jobProgress) {
       this.elements.jobProgress.style.display = "block";
       const titleEl =
@@ -538,6 +592,16 @@ export class LibraryManagerUI {
     }
   }
 
+  setProgressPercent(percent) {
+    const titleEl = this.elements.jobProgress?.querySelector(".progress-title");
+    if (titleEl) {
+      titleEl.textContent =
+        percent === null
+          ? this.progressTitle
+          : `${this.progressTitle} ${percent}%`;
+    }
+  }
+
   appendProgressLog(text) {
     if (this.elements.progressLog) {
       this.elements.progressLog.textContent += text;
@@ -0,0 +1,258 @@
+/**
+ * Memory Usage UI Component
+ *
+ * Flash and RAM bars next to the Compile button:
+ * - Filled from the `memory` report of the last compile
+ * - RAM turns red above the board's warning threshold
+ * - Click to see the largest symbols and change the threshold
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("Memory");
+
+export class MemoryUsageUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.report = null;
+    this.fqbn = null;
+    this.open = false;
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.render();
+  }
+
+  cacheElements() {
+    this.elements = {
+      bars: document.getElementById("memory-bars"),
+      details: document.getElementById("memory-details"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.bars?.addEventListener("click", () => {
+      this.open = !this.open;
+      this.render();
+    });
+
+    this.elements.details?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-action]");
+      if (!btn) return;
+
+      if (btn.dataset.action === "save-budget") {
+        const input = this.elements.details.querySelector("#ram-warn-percent");
+        this.saveBudget(input.value === "" ? null : Number(input.value));
+      } else if (btn.dataset.action === "reset-budget") {
+        this.saveBudget(null);
+      }
+    });
+
+    // Close when clicking elsewhere (the path survives re-rendered targets)
+    document.addEventListener("click", (e) => {
+      if (this.open && !e.composedPath().includes(this.container)) {
+        this.open = false;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Show the memory report of a compile
+   * @param {Object|null} report - `memory` from the compile response
+   * @param {string} fqbn - Board the sketch was compiled for
+   */
+  show(report, fqbn) {
+    this.report = report || null;
+    this.fqbn = fqbn;
+    this.render();
+  }
+
+  /**
+   * Whether RAM use is at or above the board's threshold
+   * @returns {boolean}
+   */
+  isRamOverBudget() {
+    const { ram, budget } = this.report || {};
+    return Boolean(
+      ram &&
+        budget &&
+        ram.percent !== null &&
+        ram.percent >= budget.ramWarnPercent
+    );
+  }
+
+  async saveBudget(ramWarnPercent) {
+    try {
+      const res = await fetch("/api/memory-budgets", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ fqbn: this.fqbn, ramWarnPercent }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error || "Could not save threshold");
+      }
+
+      // Applies to the current report right away
+      this.report.budget = data.budget;
+      this.render();
+    } catch (err) {
+      logger.error("Failed to save memory budget", err);
+      alert(`Could not save RAM threshold: ${err.message}`);
+    }
+  }
+
+  render() {
+    if (!this.container || !this.elements.bars) return;
+
+    this.container.classList.toggle("hidden", !this.report);
+    if (!this.report) return;
+
+    const { flash, ram } = this.report;
+    this.elements.bars.innerHTML = [
+      this.renderBar("Flash", flash, flash?.percent > 100),
+      this.renderBar("RAM", ram, this.isRamOverBudget()),
+    ].join("");
+    this.elements.bars.title = [
+      flash ? `Flash: ${this.formatUsage(flash)}` : null,
+      ram ? `RAM: ${this.formatUsage(ram)}` : null,
+      "Click for details",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    if (this.elements.details) {
+      this.elements.details.classList.toggle("hidden", !this.open);
+      this.elements.details.innerHTML = this.open ? this.renderDetails() : "";
+    }
+  }
+
+  renderBar(label, usage, warn) {
+    if (!usage) return "";
+    const percent = usage.percent ?? 0;
+    return `
+      <div class="memory-bar ${warn ? "warn" : ""}">
+        <span class="memory-label">${label}</span>
+        <div class="memory-track">
+          <div class="memory-fill" style="width: ${Math.min(
+            percent,
+            100
+          )}%"></div>
+        </div>
+        <span class="memory-percent">${
+          usage.percent !== null
+            ? `${usage.percent}%`
+            : this.formatBytes(usage.used)
+        }</span>
+      </div>
+    `;
+  }
+
+  renderDetails() {
+    const { flash, ram, budget, warnings, symbols } = this.report;
+    const sections = [];
+
+    sections.push(`
+      <div class="memory-summary">
+        ${flash ? `<div>Flash: ${this.formatUsage(flash)}</div>` : ""}
+        ${
+          ram
+            ? `<div>RAM: ${this.formatUsage(ram)}${
+                ram.free !== null
+                  ? `, ${this.formatBytes(ram.free)} left for local variables`
+                  : ""
+              }</div>`
+            : ""
+        }
+      </div>
+    `);
+
+    (warnings || []).forEach((warning) => {
+      sections.push(
+        `<div class="memory-warning">⚠ ${this.escapeHtml(warning)}</div>`
+      );
+    });
+
+    if (symbols) {
+      sections.push(this.renderSymbols("Largest in RAM", symbols.ram));
+      sections.push(this.renderSymbols("Largest in flash", symbols.flash));
+    }
+
+    if (budget) {
+      sections.push(`
+        <div class="memory-budget">
+          <label>
+            Warn when RAM reaches
+            <input id="ram-warn-percent" type="number" min="1" max="100"
+              value="${budget.ramWarnPercent}" />%
+          </label>
+          <button data-action="save-budget">Save</button>
+          ${
+            budget.custom
+              ? `<button class="secondary-btn" data-action="reset-budget">Default</button>`
+              : ""
+          }
+        </div>
+      `);
+    }
+
+    return sections.join("");
+  }
+
+  renderSymbols(title, list) {
+    if (!list || list.length === 0) return "";
+    return `
+      <div class="memory-symbols">
+        <div class="memory-symbols-title">${title}</div>
+        ${list
+          .map(
+            (symbol) => `
+          <div class="memory-symbol">
+            <span class="memory-symbol-name">${this.escapeHtml(
+              symbol.name
+            )}</span>
+            <span>${this.formatBytes(symbol.size)}</span>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  formatUsage(usage) {
+    return usage.max
+      ? `${this.formatBytes(usage.used)} of ${this.formatBytes(usage.max)} (${
+          usage.percent
+        }%)`
+      : this.formatBytes(usage.used);
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * New Sketch UI Component
+ *
+ * Wizard for creating a sketch in the workspace:
+ * - Name checked against the Arduino sketch naming rules while typing
+ * - Start from a built-in template or a copy of a library example
+ * - The new sketch starts on the currently selected board
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("NewSketch");
+
+/** Same rules as sketch-templates.js on the server */
+const SKETCH_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/;
+
+/** Source choice for copying a library example */
+const EXAMPLE_SOURCE = "__example__";
+
+export class NewSketchUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.templates = [];
+    this.examples = null;
+    this.fqbn = null;
+    this.creating = false;
+    this.createdHandlers = [];
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.cacheElements();
+    this.attachEventListeners();
+  }
+
+  cacheElements() {
+    this.elements = {
+      closeBtn: document.getElementById("close-new-sketch-modal"),
+      nameInput: document.getElementById("new-sketch-name"),
+      nameError: document.getElementById("new-sketch-name-error"),
+      sources: document.getElementById("new-sketch-sources"),
+      exampleSelect: document.getElementById("new-sketch-example"),
+      cancelBtn: document.getElementById("new-sketch-cancel"),
+      createBtn: document.getElementById("new-sketch-create"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.closeBtn?.addEventListener("click", () => this.close());
+    this.elements.cancelBtn?.addEventListener("click", () => this.close());
+    this.elements.createBtn?.addEventListener("click", () => this.create());
+
+    this.elements.nameInput?.addEventListener("input", () =>
+      this.updateValidation()
+    );
+    this.elements.nameInput?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.create();
+      if (e.key === "Escape") this.close();
+    });
+
+    this.elements.sources?.addEventListener("change", () =>
+      this.handleSourceChange()
+    );
+
+    // An example suggests its own name
+    this.elements.exampleSelect?.addEventListener("change", () => {
+      const { nameInput, exampleSelect } = this.elements;
+      const option = exampleSelect.selectedOptions[0];
+      if (option?.dataset.name && !nameInput.value.trim()) {
+        nameInput.value = option.dataset.name;
+        this.updateValidation();
+      }
+    });
+  }
+
+  /**
+   * Register a callback for created sketches
+   * @param {function(Object, string[]): void} handler - Receives the sketch
+   *   (`name`, `relativePath`, `mainFile`) and any warnings
+   */
+  onCreated(handler) {
+    this.createdHandlers.push(handler);
+  }
+
+  /**
+   * Show the wizard
+   * @param {string|null} fqbn - Board the new sketch starts on
+   */
+  async open(fqbn) {
+    this.fqbn = fqbn || null;
+    this.container.style.display = "flex";
+    this.elements.nameInput.value = "";
+    this.updateValidation();
+    this.elements.nameInput.focus();
+
+    if (this.templates.length === 0) {
+      await this.loadTemplates();
+    }
+  }
+
+  close() {
+    this.container.style.display = "none";
+  }
+
+  async loadTemplates() {
+    try {
+      const res = await fetch("/api/sketches/templates");
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error);
+      this.templates = data.templates;
+    } catch (err) {
+      logger.error("Failed to load sketch templates", err);
+      this.templates = [];
+    }
+    this.renderSources();
+  }
+
+  /**
+   * Examples of the installed libraries, loaded the first time they are needed
+   */
+  async loadExamples() {
+    const { exampleSelect } = this.elements;
+    exampleSelect.innerHTML = `<option value="">Loading examples...</option>`;
+
+    const examples = [];
+    try {
+      const libRes = await fetch("/api/cli/libraries/installed");
+      const libData = await libRes.json();
+
+      for (const lib of libData.libraries || []) {
+        const res = await fetch(
+          `/api/cli/libraries/${encodeURIComponent(lib.name)}/examples`
+        );
+        const data = await res.json();
+        (data.examples || []).forEach((example) => {
+          examples.push({ library: lib.name, ...example });
+        });
+      }
+      this.examples = examples;
+    } catch (err) {
+      logger.error("Failed to load library examples", err);
+    }
+    this.renderExamples();
+  }
+
+  handleSourceChange() {
+    const useExample = this.getSource() === EXAMPLE_SOURCE;
+    this.elements.exampleSelect.classList.toggle("hidden", !useExample);
+    if (useExample && this.examples === null) {
+      this.loadExamples();
+    }
+    this.updateValidation();
+  }
+
+  getSource() {
+    return (
+      this.elements.sources?.querySelector(
+        "input[name='new-sketch-source']:checked"
+      )?.value || "blank"
+    );
+  }
+
+  /**
+   * Show why the name cannot be used, and enable Create when it can
+   * @returns {boolean} Whether the form can be submitted
+   */
+  updateValidation() {
+    const { nameInput, nameError, createBtn, exampleSelect } = this.elements;
+    const name = nameInput.value.trim();
+
+    let error = "";
+    if (name.length > 63) {
+      error = "At most 63 characters";
+    } else if (name && !SKETCH_NAME_PATTERN.test(name)) {
+      error =
+        "Start with a letter, number or _, then use only letters, numbers, _ . and -";
+    }
+    nameError.textContent = error;
+
+    const valid =
+      Boolean(name) &&
+      !error &&
+      (this.getSource() !== EXAMPLE_SOURCE || Boolean(exampleSelect.value));
+    createBtn.disabled = !valid || this.creating;
+    return valid;
+  }
+
+  async create() {
+    if (!this.updateValidation()) return;
+
+    const source = this.getSource();
+    const body = {
+      name: this.elements.nameInput.value.trim(),
+      fqbn: this.fqbn,
+    };
+    if (source === EXAMPLE_SOURCE) {
+      body.examplePath = this.elements.exampleSelect.value;
+    } else {
+      body.template = source;
+    }
+
+    this.creating = true;
+    this.updateValidation();
+    try {
+      const res = await fetch("/api/sketches", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error);
+
+      this.close();
+      this.createdHandlers.forEach((handler) =>
+        handler(data.sketch, data.warnings || [])
+      );
+    } catch (err) {
+      logger.error("Failed to create sketch", err);
+      this.elements.nameError.textContent = err.message;
+    } finally {
+      // The form was valid when submitted, keep the server's message
+      this.creating = false;
+      this.elements.createBtn.disabled = false;
+    }
+  }
+
+  renderSources() {
+    if (!this.elements.sources) return;
+
+    const choices = [
+      ...this.templates,
+      {
+        id: EXAMPLE_SOURCE,
+        label: "Library example",
+        description: "Copy an example from an installed library",
+      },
+    ];
+    this.elements.sources.innerHTML = choices
+      .map(
+        (choice, index) => `
+        <label class="new-sketch-source">
+          <input type="radio" name="new-sketch-source" value="${this.escapeHtml(
+            choice.id
+          )}" ${index === 0 ? "checked" : ""} />
+          <span class="new-sketch-source-label">${this.escapeHtml(
+            choice.label
+          )}</span>
+          <span class="new-sketch-source-description">${this.escapeHtml(
+            choice.description
+          )}</span>
+        </label>
+      `
+      )
+      .join("");
+    this.handleSourceChange();
+  }
+
+  renderExamples() {
+    const { exampleSelect } = this.elements;
+    if (!this.examples || this.examples.length === 0) {
+      exampleSelect.innerHTML = `<option value="">No library examples installed</option>`;
+    } else {
+      exampleSelect.innerHTML =
+        `<option value="">Choose an example...</option>` +
+        this.examples
+          .map(
+            (example) =>
+              `<option value="${this.escapeHtml(
+                example.path
+              )}" data-name="${this.escapeHtml(
+                example.name
+              )}">${this.escapeHtml(
+                `${example.library}/${example.name}`
+              )}</option>`
+          )
+          .join("");
+    }
+    this.updateValidation();
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
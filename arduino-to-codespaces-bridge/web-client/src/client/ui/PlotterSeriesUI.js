@@ -0,0 +1,221 @@
+/**
+ * Plotter Series UI Component
+ *
+ * Panel over the plotter with one row per series:
+ * - Show or hide the series, and pick its color
+ * - Draw it on the left or the right Y axis, so values of different sizes
+ *   (analogRead 0-1023 next to a temperature) stay readable
+ * - Scale and offset, applied to the drawn values only (exports keep the
+ *   received values)
+ * - Fixed min/max for the series' axis
+ * Plus a lock that keeps both Y axes at their current range.
+ */
+
+import { SERIES_DEFAULTS } from "./PlotterUI.js";
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("PlotterSeries");
+
+export class PlotterSeriesUI {
+  /**
+   * @param {string} containerId - Panel element
+   * @param {import("./PlotterUI.js").PlotterUI} plotter - Plotter whose series
+   *   are edited
+   */
+  constructor(containerId, plotter) {
+    this.containerId = containerId;
+    this.container = null;
+    this.plotter = plotter;
+
+    // Labels of the rendered rows, rows refer to them by index
+    this.labels = [];
+
+    // Set while this panel changes the plotter, so editing does not
+    // re-render the row being edited
+    this.applying = false;
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="plot-series-header">
+        <span class="plot-series-title">Series</span>
+        <label class="checkbox-label" title="Keep both Y axes at their current range">
+          <input type="checkbox" class="plot-series-lock" /> <span>Lock Y range</span>
+        </label>
+        <button class="plot-series-close" title="Close">×</button>
+      </div>
+      <div class="plot-series-list"></div>
+    `;
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.plotter.onSeriesChange(() => {
+      if (!this.applying) this.render();
+    });
+    this.render();
+  }
+
+  cacheElements() {
+    this.elements = {
+      lockCheck: this.container.querySelector(".plot-series-lock"),
+      closeBtn: this.container.querySelector(".plot-series-close"),
+      list: this.container.querySelector(".plot-series-list"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.closeBtn.addEventListener("click", () => this.hide());
+
+    this.elements.lockCheck.addEventListener("change", (e) => {
+      this.plotter.setYLock(e.target.checked);
+    });
+
+    // One listener for all rows, which are re-rendered as series appear
+    this.elements.list.addEventListener("change", (e) => {
+      const row = e.target.closest(".plot-series-row");
+      if (row) this.applyRow(row, e.target);
+    });
+    this.elements.list.addEventListener("click", (e) => {
+      const resetBtn = e.target.closest(".plot-series-reset");
+      if (!resetBtn) return;
+      const row = resetBtn.closest(".plot-series-row");
+      this.plotter.updateSeries(this.labels[row.dataset.index], {
+        ...SERIES_DEFAULTS,
+      });
+    });
+  }
+
+  toggle() {
+    this.container.classList.toggle("hidden");
+  }
+
+  hide() {
+    this.container.classList.add("hidden");
+  }
+
+  /**
+   * Apply the setting a row's input changed
+   * @param {HTMLElement} row - Series row
+   * @param {HTMLInputElement|HTMLSelectElement} input - Changed input
+   */
+  applyRow(row, input) {
+    const label = this.labels[row.dataset.index];
+    const field = input.dataset.field;
+    if (!field || label === undefined) return;
+
+    let value;
+    if (field === "hidden") {
+      value = !input.checked;
+    } else if (field === "axis" || field === "color") {
+      value = input.value;
+    } else {
+      // An emptied field goes back to its default
+      const text = input.value.trim();
+      value = text ? Number(text) : SERIES_DEFAULTS[field];
+      if (!Number.isFinite(value) && value !== null) {
+        input.classList.add("invalid");
+        return;
+      }
+    }
+    input.classList.remove("invalid");
+
+    // A fixed range needs min below max
+    const { min, max } = {
+      ...this.plotter.getSeriesConfig(label),
+      [field]: value,
+    };
+    const invalidRange = min !== null && max !== null && min >= max;
+    row
+      .querySelectorAll("[data-field='min'], [data-field='max']")
+      .forEach((el) => el.classList.toggle("invalid", invalidRange));
+    if (invalidRange) return;
+
+    this.applying = true;
+    try {
+      this.plotter.updateSeries(label, { [field]: value });
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  render() {
+    if (!this.elements.list) return;
+
+    this.elements.lockCheck.checked = this.plotter.isYLocked();
+
+    const labels = this.plotter.getSeriesLabels();
+    this.labels = labels;
+    if (labels.length === 0) {
+      this.elements.list.innerHTML = `
+        <div class="plot-series-empty">
+          Series appear here once the sketch prints values
+        </div>
+      `;
+      return;
+    }
+
+    const number = (value) => (value === null ? "" : String(value));
+    this.elements.list.innerHTML = `
+      <div class="plot-series-row plot-series-columns">
+        <span></span><span></span><span>Series</span><span>Axis</span>
+        <span>Scale</span><span>Offset</span><span>Min</span><span>Max</span><span></span>
+      </div>
+      ${labels
+        .map((label, index) => {
+          const config = this.plotter.getSeriesConfig(label);
+          return `
+        <div class="plot-series-row" data-index="${index}">
+          <input type="checkbox" data-field="hidden" title="Show" ${
+            config.hidden ? "" : "checked"
+          } />
+          <input type="color" data-field="color" value="${
+            config.color
+          }" title="Color" />
+          <span class="plot-series-name">${this.escapeHtml(label)}</span>
+          <select data-field="axis" title="Y axis">
+            <option value="left" ${
+              config.axis === "left" ? "selected" : ""
+            }>Left</option>
+            <option value="right" ${
+              config.axis === "right" ? "selected" : ""
+            }>Right</option>
+          </select>
+          <input type="text" data-field="scale" value="${number(
+            config.scale
+          )}" title="Drawn value = value × scale + offset" />
+          <input type="text" data-field="offset" value="${number(
+            config.offset
+          )}" title="Drawn value = value × scale + offset" />
+          <input type="text" data-field="min" value="${number(
+            config.min
+          )}" placeholder="auto" title="Fixed minimum of the axis" />
+          <input type="text" data-field="max" value="${number(
+            config.max
+          )}" placeholder="auto" title="Fixed maximum of the axis" />
+          <button class="plot-series-reset" title="Reset this series">↺</button>
+        </div>
+      `;
+        })
+        .join("")}
+    `;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
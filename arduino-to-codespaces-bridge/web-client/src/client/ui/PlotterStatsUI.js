@@ -0,0 +1,225 @@
+/**
+ * Plotter Statistics UI Component
+ *
+ * Panel over the plotter with, for each shown series:
+ * - Min, max, mean, standard deviation and sample rate over the visible
+ *   range, so zooming into the frozen plot narrows them down
+ * - The values at the measurement cursors and their difference, with the
+ *   distance between the cursors (and its frequency on the time axis)
+ * Values are the received ones, before scale and offset.
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("PlotterStats");
+
+/** @constant {number} REFRESH_INTERVAL - Milliseconds between updates while data scrolls by */
+const REFRESH_INTERVAL = 500;
+
+/** @constant {number} SIGNIFICANT_DIGITS - Precision of shown values */
+const SIGNIFICANT_DIGITS = 5;
+
+export class PlotterStatsUI {
+  /**
+   * @param {string} containerId - Panel element
+   * @param {import("./PlotterUI.js").PlotterUI} plotter - Plotter to measure
+   */
+  constructor(containerId, plotter) {
+    this.containerId = containerId;
+    this.container = null;
+    this.plotter = plotter;
+
+    // Interval updating the panel while it is open and the plot live
+    this.refreshTimer = null;
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="plot-stats-header">
+        <span class="plot-stats-title">Statistics</span>
+        <span class="plot-stats-range"></span>
+        <button class="plot-stats-clear" title="Remove both cursors">
+          Clear cursors
+        </button>
+        <button class="plot-stats-close" title="Close">×</button>
+      </div>
+      <div class="plot-stats-body"></div>
+    `;
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.plotter.onViewChange(() => this.render());
+    this.plotter.onSeriesChange(() => this.render());
+  }
+
+  cacheElements() {
+    this.elements = {
+      range: this.container.querySelector(".plot-stats-range"),
+      clearBtn: this.container.querySelector(".plot-stats-clear"),
+      closeBtn: this.container.querySelector(".plot-stats-close"),
+      body: this.container.querySelector(".plot-stats-body"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.closeBtn.addEventListener("click", () => this.hide());
+    this.elements.clearBtn.addEventListener("click", () =>
+      this.plotter.clearCursors()
+    );
+  }
+
+  isVisible() {
+    return !this.container.classList.contains("hidden");
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    this.container.classList.remove("hidden");
+    this.render();
+
+    // A frozen plot only changes through the view handler
+    this.refreshTimer = setInterval(() => {
+      if (!this.plotter.isFrozen()) this.render();
+    }, REFRESH_INTERVAL);
+  }
+
+  hide() {
+    this.container.classList.add("hidden");
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  render() {
+    if (!this.elements.body || !this.isVisible()) return;
+
+    const unit = this.plotter.getAxisUnit();
+    const range = this.plotter.getVisibleRange();
+    this.elements.range.textContent = range
+      ? `${this.formatNumber(range.min)} – ${this.formatNumber(
+          range.max
+        )} ${unit}`
+      : "";
+
+    const statistics = this.plotter.getStatistics();
+    if (statistics.length === 0) {
+      this.elements.clearBtn.classList.add("hidden");
+      this.elements.body.innerHTML = `
+        <div class="plot-stats-empty">
+          Statistics appear here once the sketch prints values
+        </div>
+      `;
+      return;
+    }
+
+    const readout = this.plotter.getCursorReadout();
+    this.elements.clearBtn.classList.toggle("hidden", !readout);
+    const cursorValues = new Map(
+      (readout?.series || []).map((series) => [series.label, series])
+    );
+    const cursorHeader = readout ? "<th>A</th><th>B</th><th>Δ</th>" : "";
+
+    this.elements.body.innerHTML = `
+      <table class="plot-stats-table">
+        <thead>
+          <tr>
+            <th>Series</th><th>Min</th><th>Max</th><th>Mean</th>
+            <th>Std dev</th><th>Rate (Hz)</th>${cursorHeader}
+          </tr>
+        </thead>
+        <tbody>
+          ${statistics
+            .map(({ label, color, stats }) => {
+              const cursor = cursorValues.get(label);
+              const cursorCells = readout
+                ? [cursor?.a, cursor?.b, cursor?.delta]
+                    .map((value) => `<td>${this.formatNumber(value)}</td>`)
+                    .join("")
+                : "";
+              return `
+          <tr>
+            <td class="plot-stats-name">
+              <span class="plot-stats-swatch" style="background-color: ${this.escapeHtml(
+                color
+              )}"></span>${this.escapeHtml(label)}
+            </td>
+            <td>${this.formatNumber(stats?.min)}</td>
+            <td>${this.formatNumber(stats?.max)}</td>
+            <td>${this.formatNumber(stats?.mean)}</td>
+            <td>${this.formatNumber(stats?.stdDev)}</td>
+            <td>${this.formatNumber(stats?.rate)}</td>
+            ${cursorCells}
+          </tr>
+        `;
+            })
+            .join("")}
+        </tbody>
+      </table>
+      <div class="plot-stats-cursors">${this.renderCursorSummary(readout)}</div>
+    `;
+  }
+
+  /**
+   * Cursor positions and their distance, or how to place cursors
+   * @param {Object|null} readout - From PlotterUI.getCursorReadout()
+   * @returns {string} HTML
+   */
+  renderCursorSummary(readout) {
+    if (!this.plotter.isFrozen()) {
+      return "Freeze the plot to zoom (wheel), pan (drag) and place cursors (click)";
+    }
+    if (!readout) {
+      return "Click the plot to place cursor A, then B; double-click resets the zoom";
+    }
+
+    const { a, b, delta, unit } = readout;
+    const parts = [
+      `A: ${this.formatNumber(a)} ${unit}`,
+      `B: ${this.formatNumber(b)} ${unit}`,
+    ];
+    if (delta !== null) {
+      parts.push(`Δ: ${this.formatNumber(delta)} ${unit}`);
+      if (unit === "s" && delta !== 0) {
+        parts.push(`1/Δ: ${this.formatNumber(1 / Math.abs(delta))} Hz`);
+      }
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Number for display, a dash when missing or not a number
+   * @param {number|null|undefined} value
+   * @returns {string}
+   */
+  formatNumber(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return "–";
+    }
+    return String(Number(value.toPrecision(SIGNIFICANT_DIGITS)));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
@@ -2,22 +2,101 @@
  * Serial Plotter UI Component
  *
  * Provides real-time data visualization:
- * - Chart.js-based line graph
- * - Multiple data series support
- * - Freeze/resume functionality
- * - PNG export capability
+ * - Chart.js-based line graph on a numeric X axis: seconds since the first
+ *   sample, or the sample number
+ * - Named data series, kept by label so colors and legend entries stay put
+ * - Per-series settings: hidden, left or right Y axis, scale and offset,
+ *   fixed min/max and color, plus a lock for the current Y range; the
+ *   settings are reported so they can be saved per sketch
+ * - A visible window of the last N seconds or N points
+ * - Samples are batched into one chart update per animation frame, and
+ *   Chart.js min-max decimation draws thousands of samples per second
+ *   without dropping peaks
+ * - Freeze/resume functionality; a frozen plot can be zoomed (wheel) and
+ *   panned (drag), and two cursors (click) measure the distance between
+ *   points in time and value
+ * - Min, max, mean, standard deviation and sample rate of each series over
+ *   the visible range
+ * - PNG export, CSV/JSON export of the recent samples, recording of whole
+ *   sessions and loading of exported CSV files for review
  *
  * @module client/ui/PlotterUI
  */
 
 import Chart from "chart.js/auto";
+import {
+  SampleHistory,
+  samplesToCsv,
+  samplesToJson,
+  computeStatistics,
+  findNearestPoint,
+} from "../services/utils/plotterData.js";
 
 // =============================================================================
 // Constants
 // =============================================================================
 
-/** @constant {number} DEFAULT_MAX_DATA_POINTS - Maximum number of data points to display */
-const DEFAULT_MAX_DATA_POINTS = 100;
+/** @constant {Object} AXIS_MODES - What the X axis counts */
+export const AXIS_MODES = {
+  TIME: "time",
+  SAMPLES: "samples",
+};
+
+/** @constant {Object} WINDOW_UNITS - How the visible window is measured */
+export const WINDOW_UNITS = {
+  SECONDS: "seconds",
+  POINTS: "points",
+};
+
+/** @constant {Object} DEFAULT_WINDOW - Visible window until it is changed */
+const DEFAULT_WINDOW = { size: 10, unit: WINDOW_UNITS.SECONDS };
+
+/** @constant {number} MAX_POINTS_PER_SERIES - Memory bound for long windows at high rates */
+const MAX_POINTS_PER_SERIES = 100000;
+
+/** @constant {number} MAX_PENDING_SAMPLES - Samples buffered before a flush, for hidden tabs without animation frames */
+const MAX_PENDING_SAMPLES = 5000;
+
+/** @constant {number} HISTORY_SIZE - Most recent samples kept for export */
+const HISTORY_SIZE = 100000;
+
+/** @constant {number} ZOOM_STEP - Range factor of one mouse wheel step */
+const ZOOM_STEP = 1.2;
+
+/** @constant {number} DRAG_THRESHOLD - Pixels a press moves before it pans instead of placing a cursor */
+const DRAG_THRESHOLD = 3;
+
+/** @constant {string} CURSOR_COLOR - Color of the measurement cursors */
+const CURSOR_COLOR = "#d4d4d4";
+
+/** @constant {Object} AXIS_TITLES - X axis title per mode */
+const AXIS_TITLES = {
+  [AXIS_MODES.TIME]: "Time (s)",
+  [AXIS_MODES.SAMPLES]: "Sample",
+};
+
+/** @constant {Object} AXIS_UNITS - Unit of X positions per mode */
+const AXIS_UNITS = {
+  [AXIS_MODES.TIME]: "s",
+  [AXIS_MODES.SAMPLES]: "samples",
+};
+
+/** @constant {Object} SERIES_DEFAULTS - Settings of a series nobody changed; color null uses the palette */
+export const SERIES_DEFAULTS = {
+  hidden: false,
+  axis: "left",
+  scale: 1,
+  offset: 0,
+  min: null,
+  max: null,
+  color: null,
+};
+
+/** @constant {Object} Y_SCALE_IDS - Chart.js scale of each Y axis side */
+const Y_SCALE_IDS = {
+  left: "y",
+  right: "y2",
+};
 
 /** @constant {string[]} CHART_COLORS - Color palette for data series */
 const CHART_COLORS = [
@@ -27,6 +106,12 @@ const CHART_COLORS = [
   "#4BC0C0", // Teal
   "#9966FF", // Purple
   "#FF9F40", // Orange
+  "#8BC34A", // Green
+  "#E91E63", // Pink
+  "#00BCD4", // Cyan
+  "#CDDC39", // Lime
+  "#A1887F", // Brown
+  "#B0BEC5", // Grey
 ];
 
 // =============================================================================
@@ -49,8 +134,11 @@ export class PlotterUI {
     this.canvas = document.createElement("canvas");
     this.container.appendChild(this.canvas);
 
-    /** @type {number} Maximum data points to display */
-    this.maxDataPoints = DEFAULT_MAX_DATA_POINTS;
+    /** @type {{size: number, unit: string}} Visible window */
+    this.window = { ...DEFAULT_WINDOW };
+
+    /** @type {string} What the X axis counts, one of AXIS_MODES */
+    this.axisMode = AXIS_MODES.TIME;
 
     /** @type {Chart|null} Chart.js instance */
     this.chart = null;
@@ -58,7 +146,58 @@ export class PlotterUI {
     /** @type {boolean} Whether the chart is frozen */
     this.frozen = false;
 
+    /**
+     * Points of each series label, with the Chart.js dataset drawing them.
+     * Points are `{x, y, t, n}`: t is seconds since the first sample, n the
+     * sample number and x whichever of the two the axis shows
+     * @type {Map<string, {dataset: Object, points: Object[]}>}
+     */
+    this.series = new Map();
+
+    /** @type {Array<{t: number, n: number, samples: Object[]}>} Samples waiting for the next frame */
+    this.pending = [];
+
+    /** @type {boolean} Whether a frame is already requested */
+    this.frameRequested = false;
+
+    /** @type {number|null} performance.now() of the first sample */
+    this.startTime = null;
+
+    /** @type {number} Samples received since the last clear */
+    this.sampleCount = 0;
+
+    /** @type {{t: number, n: number}|null} Newest sample on the chart */
+    this.latest = null;
+
+    /** @type {SampleHistory} Recent samples, also those the window dropped */
+    this.history = new SampleHistory(HISTORY_SIZE);
+
+    /** @type {Object[]|null} Every sample since recording started */
+    this.recording = null;
+
+    /** @type {Map<string, Object>} Changed settings of each series label, also for series not seen yet */
+    this.seriesSettings = new Map();
+
+    /** @type {{left?: Object, right?: Object}|null} Locked Y ranges ({min, max}) */
+    this.lock = null;
+
+    /** @type {Function[]} Called when the user changes settings */
+    this.settingsHandlers = [];
+
+    /** @type {Function[]} Called when series appear or their settings change */
+    this.seriesHandlers = [];
+
+    /** @type {{a: number|null, b: number|null}} X positions of the measurement cursors */
+    this.cursors = { a: null, b: null };
+
+    /** @type {{min: number, max: number}|null} X range zoomed or panned to while frozen */
+    this.view = null;
+
+    /** @type {Function[]} Called when the visible range, the cursors or the frozen state change */
+    this.viewHandlers = [];
+
     this.initChart();
+    this.attachInteractions();
   }
 
   /**
@@ -70,91 +209,872 @@ export class PlotterUI {
     this.chart = new Chart(ctx, {
       type: "line",
       data: {
-        labels: [],
         datasets: [],
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         animation: false,
+        // Points are already {x, y}, which decimation requires
+        parsing: false,
         interaction: {
-          mode: "index",
+          mode: "nearest",
+          axis: "x",
           intersect: false,
         },
+        plugins: {
+          decimation: {
+            enabled: true,
+            algorithm: "min-max",
+          },
+          legend: {
+            // Clicking a legend entry hides the series like the series panel
+            onClick: (event, item) => {
+              const label = [...this.series.keys()][item.datasetIndex];
+              if (label !== undefined) {
+                this.updateSeries(label, {
+                  hidden: !this.getSeriesConfig(label).hidden,
+                });
+              }
+            },
+          },
+        },
         scales: {
           x: {
+            type: "linear",
             display: true,
             title: {
               display: true,
-              text: "Time",
+              text: AXIS_TITLES[this.axisMode],
             },
           },
           y: {
             display: true,
+            position: "left",
             title: {
               display: true,
               text: "Value",
             },
           },
+          y2: {
+            display: false,
+            position: "right",
+            grid: {
+              drawOnChartArea: false,
+            },
+            title: {
+              display: true,
+              text: "Value (right)",
+            },
+          },
         },
         elements: {
           point: {
             radius: 0,
           },
           line: {
-            tension: 0.1,
+            tension: 0,
           },
         },
       },
+      plugins: [
+        {
+          id: "cursors",
+          afterDatasetsDraw: (chart) => this.drawCursors(chart),
+        },
+      ],
     });
   }
 
   /**
-   * Add a new data point to the chart
-   * @param {string} label - X-axis label (timestamp)
-   * @param {number[]} values - Array of Y-axis values
+   * Zoom, pan and cursor placement with the mouse, only while frozen
+   * @private
    */
-  addData(label, values) {
-    if (!this.chart || this.frozen) return;
+  attachInteractions() {
+    // Press on the chart, and whether it moved far enough to pan
+    let drag = null;
+    let dragged = false;
+
+    this.canvas.addEventListener(
+      "wheel",
+      (e) => {
+        const x = this.chart.scales.x;
+        if (!this.frozen || !x) return;
+        e.preventDefault();
+        const center = x.getValueForPixel(e.offsetX);
+        const factor = e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
+        this.setView(
+          center - (center - x.min) * factor,
+          center + (x.max - center) * factor
+        );
+      },
+      { passive: false }
+    );
+
+    this.canvas.addEventListener("mousedown", (e) => {
+      const x = this.chart.scales.x;
+      if (!this.frozen || !x || e.button !== 0) return;
+      drag = { clientX: e.clientX, min: x.min, max: x.max };
+      dragged = false;
+    });
+
+    window.addEventListener("mousemove", (e) => {
+      if (!drag) return;
+      const dx = e.clientX - drag.clientX;
+      if (!dragged && Math.abs(dx) < DRAG_THRESHOLD) return;
+      dragged = true;
+      const shift = (dx / this.chart.scales.x.width) * (drag.max - drag.min);
+      this.setView(drag.min - shift, drag.max - shift);
+    });
+
+    window.addEventListener("mouseup", () => {
+      drag = null;
+    });
+
+    this.canvas.addEventListener("click", (e) => {
+      const area = this.chart.chartArea;
+      if (!this.frozen || dragged || !area) return;
+      if (e.offsetX < area.left || e.offsetX > area.right) return;
+      this.placeCursor(this.chart.scales.x.getValueForPixel(e.offsetX));
+    });
 
-    // Add label
-    this.chart.data.labels.push(label);
-    if (this.chart.data.labels.length > this.maxDataPoints) {
-      this.chart.data.labels.shift();
+    this.canvas.addEventListener("dblclick", () => {
+      if (this.frozen) this.resetView();
+    });
+  }
+
+  /**
+   * Draw the cursors as dashed vertical lines
+   * @param {Chart} chart - Chart being drawn
+   * @private
+   */
+  drawCursors(chart) {
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.strokeStyle = CURSOR_COLOR;
+    ctx.fillStyle = CURSOR_COLOR;
+    ctx.font = "12px sans-serif";
+    ctx.setLineDash([4, 4]);
+
+    Object.entries(this.cursors).forEach(([name, value]) => {
+      if (value === null) return;
+      const pixel = scales.x.getPixelForValue(value);
+      if (pixel < chartArea.left || pixel > chartArea.right) return;
+      ctx.beginPath();
+      ctx.moveTo(pixel, chartArea.top);
+      ctx.lineTo(pixel, chartArea.bottom);
+      ctx.stroke();
+      ctx.fillText(name.toUpperCase(), pixel + 4, chartArea.top + 12);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Store a line of samples and queue it for the chart, which is updated on
+   * the next frame. A frozen chart is not updated, but the samples are still
+   * kept for export and recording
+   * @param {Array<{label: string, value: number}>} samples - Values by series
+   *   label, from parsePlotterLine(); NaN values are drawn as gaps
+   * @param {number} [time=performance.now()] - When the line arrived
+   */
+  addData(samples, time = performance.now()) {
+    if (!this.chart) return;
+
+    if (this.startTime === null) {
+      this.startTime = time;
+    }
+    const row = {
+      t: (time - this.startTime) / 1000,
+      n: this.sampleCount++,
+      samples,
+    };
+    this.history.push(row);
+    this.recording?.push(row);
+
+    if (this.frozen) return;
+    this.pending.push(row);
+
+    if (this.pending.length >= MAX_PENDING_SAMPLES) {
+      this.flush();
     }
+    this.scheduleRender();
+  }
 
-    // Ensure datasets exist for each value
-    values.forEach((value, index) => {
-      if (!this.chart.data.datasets[index]) {
-        this.chart.data.datasets.push({
-          label: `Series ${index + 1}`,
-          data: [],
-          borderColor: this.getColor(index),
-          borderWidth: 2,
-          fill: false,
+  /**
+   * Request a frame unless one is already coming
+   * @private
+   */
+  scheduleRender() {
+    if (this.frameRequested) return;
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this.flush();
+      this.chart.update("none");
+    });
+  }
+
+  /**
+   * Move queued samples into the series and drop points outside the window
+   * @private
+   */
+  flush() {
+    if (this.pending.length === 0) return;
+
+    for (const { t, n, samples } of this.pending) {
+      const x = this.axisMode === AXIS_MODES.TIME ? t : n;
+      for (const { label, value } of samples) {
+        const series = this.series.get(label) || this.addSeries(label);
+        series.points.push({
+          x,
+          y: value * series.scale + series.offset,
+          value,
+          t,
+          n,
         });
       }
+    }
+    this.latest = this.pending[this.pending.length - 1];
+    this.pending = [];
+
+    this.trimWindow();
+  }
 
-      // Add data point
-      this.chart.data.datasets[index].data.push(value);
+  /**
+   * Create a new series, shown in the legend
+   * @param {string} label - Series label
+   * @returns {{dataset: Object, points: Object[], index: number,
+   *   scale: number, offset: number}}
+   * @private
+   */
+  addSeries(label) {
+    const points = [];
+    const dataset = {
+      label,
+      data: points,
+      borderWidth: 2,
+      fill: false,
+    };
 
-      // Remove old data point
-      if (this.chart.data.datasets[index].data.length > this.maxDataPoints) {
-        this.chart.data.datasets[index].data.shift();
+    // Decimation swaps dataset.data during updates, so points are only
+    // ever changed through this array
+    const series = {
+      dataset,
+      points,
+      index: this.series.size,
+      scale: 1,
+      offset: 0,
+    };
+    this.series.set(label, series);
+    this.chart.data.datasets.push(dataset);
+    this.applySeriesConfig(label);
+    this.applyYRanges();
+    this.seriesHandlers.forEach((handler) => handler());
+    return series;
+  }
+
+  /**
+   * Series labels in order of appearance
+   * @returns {string[]}
+   */
+  getSeriesLabels() {
+    return [...this.series.keys()];
+  }
+
+  /**
+   * Settings of a series, defaults filled in
+   * @param {string} label - Series label
+   * @returns {{hidden: boolean, axis: string, scale: number, offset: number,
+   *   min: number|null, max: number|null, color: string}} The color is the
+   *   palette color unless one was chosen
+   */
+  getSeriesConfig(label) {
+    const index = this.series.get(label)?.index ?? this.series.size;
+    const config = {
+      ...SERIES_DEFAULTS,
+      ...this.seriesSettings.get(label),
+    };
+    return { ...config, color: config.color || this.getColor(index) };
+  }
+
+  /**
+   * Change settings of a series and report them for saving
+   * @param {string} label - Series label
+   * @param {Object} changes - Settings to change, see SERIES_DEFAULTS
+   */
+  updateSeries(label, changes) {
+    const config = { ...this.seriesSettings.get(label), ...changes };
+
+    // Keep only what differs from the defaults, which is what gets saved
+    Object.keys(config).forEach((key) => {
+      if (config[key] === SERIES_DEFAULTS[key] || config[key] === undefined) {
+        delete config[key];
       }
     });
+    if (Object.keys(config).length > 0) {
+      this.seriesSettings.set(label, config);
+    } else {
+      this.seriesSettings.delete(label);
+    }
 
-    this.chart.update();
+    if (this.series.has(label)) {
+      this.applySeriesConfig(label);
+      this.applyYRanges();
+      this.chart.update("none");
+    }
+    this.notifySettingsChange();
+  }
+
+  /**
+   * Apply a series' settings to its dataset and points
+   * @param {string} label - Series label
+   * @private
+   */
+  applySeriesConfig(label) {
+    const series = this.series.get(label);
+    const config = this.getSeriesConfig(label);
+    const { dataset } = series;
+
+    dataset.hidden = config.hidden;
+    dataset.yAxisID = Y_SCALE_IDS[config.axis];
+    dataset.borderColor = config.color;
+    dataset.backgroundColor = config.color;
+    dataset.label = this.formatSeriesLabel(label, config);
+
+    if (series.scale !== config.scale || series.offset !== config.offset) {
+      series.scale = config.scale;
+      series.offset = config.offset;
+      series.points.forEach((point) => {
+        point.y = point.value * config.scale + config.offset;
+      });
+    }
+  }
+
+  /**
+   * Legend text, showing a scale or offset so the values are not misread
+   * @private
+   */
+  formatSeriesLabel(label, { scale, offset }) {
+    const parts = [];
+    if (scale !== 1) parts.push(`×${scale}`);
+    if (offset !== 0) parts.push(offset > 0 ? `+${offset}` : `${offset}`);
+    return parts.length > 0 ? `${label} (${parts.join(" ")})` : label;
+  }
+
+  /**
+   * Set the Y axes' ranges: a locked range, else the widest fixed min/max of
+   * the visible series on that axis, else automatic. The right axis is only
+   * shown while a visible series uses it
+   * @private
+   */
+  applyYRanges() {
+    const { scales } = this.chart.options;
+
+    Object.entries(Y_SCALE_IDS).forEach(([axis, scaleId]) => {
+      const configs = this.getSeriesLabels()
+        .map((label) => this.getSeriesConfig(label))
+        .filter((config) => config.axis === axis && !config.hidden);
+      const mins = configs
+        .map((config) => config.min)
+        .filter((value) => value !== null);
+      const maxes = configs
+        .map((config) => config.max)
+        .filter((value) => value !== null);
+
+      const range = this.lock?.[axis] || {
+        min: mins.length > 0 ? Math.min(...mins) : undefined,
+        max: maxes.length > 0 ? Math.max(...maxes) : undefined,
+      };
+      const scale = scales[scaleId];
+      if (range.min === undefined) delete scale.min;
+      else scale.min = range.min;
+      if (range.max === undefined) delete scale.max;
+      else scale.max = range.max;
+
+      if (axis === "right") {
+        scale.display = configs.length > 0;
+      }
+    });
+  }
+
+  /**
+   * Lock the Y axes at their current ranges, or let them scale again
+   * @param {boolean} locked - Whether to lock
+   */
+  setYLock(locked) {
+    if (locked) {
+      this.lock = {};
+      Object.entries(Y_SCALE_IDS).forEach(([axis, scaleId]) => {
+        const scale = this.chart.scales[scaleId];
+        if (scale && this.chart.options.scales[scaleId].display) {
+          this.lock[axis] = { min: scale.min, max: scale.max };
+        }
+      });
+    } else {
+      this.lock = null;
+    }
+    this.applyYRanges();
+    this.chart.update("none");
+    this.notifySettingsChange();
+  }
+
+  /**
+   * Check if the Y range is locked
+   * @returns {boolean}
+   */
+  isYLocked() {
+    return this.lock !== null;
+  }
+
+  /**
+   * Settings to save, only what differs from the defaults
+   * @returns {{series?: Object, lock?: Object}|null} Null when nothing is set
+   */
+  getSettings() {
+    const settings = {};
+    if (this.seriesSettings.size > 0) {
+      settings.series = Object.fromEntries(this.seriesSettings);
+    }
+    if (this.lock) {
+      settings.lock = this.lock;
+    }
+    return Object.keys(settings).length > 0 ? settings : null;
+  }
+
+  /**
+   * Replace all settings, e.g. with those saved for another sketch
+   * @param {{series?: Object, lock?: Object}|null} settings - From
+   *   getSettings(), null for the defaults
+   */
+  applySettings(settings) {
+    this.seriesSettings = new Map(Object.entries(settings?.series || {}));
+    this.lock = settings?.lock ? { ...settings.lock } : null;
+
+    this.getSeriesLabels().forEach((label) => this.applySeriesConfig(label));
+    this.applyYRanges();
+    this.chart.update("none");
+    this.seriesHandlers.forEach((handler) => handler());
+  }
+
+  /**
+   * Register a callback for settings changed through this component, to
+   * save them
+   * @param {function(Object|null): void} handler - Receives getSettings()
+   */
+  onSettingsChange(handler) {
+    this.settingsHandlers.push(handler);
+  }
+
+  /**
+   * Register a callback for new series and changed series settings
+   * @param {function(): void} handler
+   */
+  onSeriesChange(handler) {
+    this.seriesHandlers.push(handler);
+  }
+
+  /**
+   * @private
+   */
+  notifySettingsChange() {
+    const settings = this.getSettings();
+    this.settingsHandlers.forEach((handler) => handler(settings));
+    this.seriesHandlers.forEach((handler) => handler());
+  }
+
+  /**
+   * Drop points older than the window and pin the X axis to it
+   * @private
+   */
+  trimWindow() {
+    const x = this.chart.options.scales.x;
+    if (!this.latest) {
+      delete x.min;
+      delete x.max;
+      return;
+    }
+
+    const { size, unit } = this.window;
+    const inWindow =
+      unit === WINDOW_UNITS.SECONDS
+        ? (point) => point.t >= this.latest.t - size
+        : (point) => point.n > this.latest.n - size;
+
+    this.series.forEach(({ points }) => {
+      let start = 0;
+      while (start < points.length && !inWindow(points[start])) {
+        start++;
+      }
+      start = Math.max(start, points.length - MAX_POINTS_PER_SERIES);
+      if (start > 0) {
+        points.splice(0, start);
+      }
+    });
+
+    // Scroll smoothly when the axis and the window use the same measure,
+    // otherwise fit the points that are left
+    const timeAxis = this.axisMode === AXIS_MODES.TIME;
+    if (timeAxis === (unit === WINDOW_UNITS.SECONDS)) {
+      x.max = timeAxis ? this.latest.t : this.latest.n;
+      x.min = Math.max(0, x.max - size);
+    } else {
+      delete x.min;
+      delete x.max;
+    }
+
+    if (this.view) {
+      x.min = this.view.min;
+      x.max = this.view.max;
+    }
+  }
+
+  /**
+   * Show an X range of the frozen plot
+   * @param {number} min - First X position
+   * @param {number} max - Last X position, more than min
+   */
+  setView(min, max) {
+    if (!(max > min)) return;
+    this.view = { min, max };
+    const x = this.chart.options.scales.x;
+    x.min = min;
+    x.max = max;
+    this.chart.update("none");
+    this.notifyViewChange();
   }
 
   /**
-   * Clear all data from the chart
+   * Go back to the window's X range after zooming or panning
+   */
+  resetView() {
+    this.view = null;
+    this.trimWindow();
+    this.chart.update("none");
+    this.notifyViewChange();
+  }
+
+  /**
+   * Place cursor A, then cursor B, then move whichever is nearer
+   * @param {number} value - X position
+   */
+  placeCursor(value) {
+    const { a, b } = this.cursors;
+    if (a === null) {
+      this.cursors.a = value;
+    } else if (b === null) {
+      this.cursors.b = value;
+    } else if (Math.abs(value - a) < Math.abs(value - b)) {
+      this.cursors.a = value;
+    } else {
+      this.cursors.b = value;
+    }
+    this.chart.update("none");
+    this.notifyViewChange();
+  }
+
+  /**
+   * Remove both cursors
+   */
+  clearCursors() {
+    this.cursors = { a: null, b: null };
+    this.chart.update("none");
+    this.notifyViewChange();
+  }
+
+  /**
+   * X range the chart shows
+   * @returns {{min: number, max: number}|null} Null before the chart is drawn
+   */
+  getVisibleRange() {
+    const x = this.chart.scales.x;
+    if (!x || !Number.isFinite(x.min) || !Number.isFinite(x.max)) {
+      return null;
+    }
+    return { min: x.min, max: x.max };
+  }
+
+  /**
+   * Unit of X positions: seconds or samples, depending on the axis
+   * @returns {string}
+   */
+  getAxisUnit() {
+    return AXIS_UNITS[this.axisMode];
+  }
+
+  /**
+   * Statistics of each shown series over the visible range, of the received
+   * values (before scale and offset)
+   * @returns {Array<{label: string, color: string, stats: Object|null}>}
+   *   stats from computeStatistics(), null when the series has no points in
+   *   the range
+   */
+  getStatistics() {
+    const range = this.getVisibleRange();
+    return this.getShownSeries().map(({ label, color, points }) => ({
+      label,
+      color,
+      stats: range ? computeStatistics(points, range.min, range.max) : null,
+    }));
+  }
+
+  /**
+   * Cursor positions and the received values of each shown series at them
+   * @returns {{a: number|null, b: number|null, delta: number|null,
+   *   unit: string, series: Array<{label: string, color: string,
+   *   a: number|null, b: number|null, delta: number|null}>}|null} delta is
+   *   b - a; null when no cursor is placed
+   */
+  getCursorReadout() {
+    const { a, b } = this.cursors;
+    if (a === null && b === null) return null;
+
+    const valueAt = (points, x) =>
+      x === null ? null : findNearestPoint(points, x)?.value ?? null;
+    const difference = (from, to) =>
+      from === null || to === null ? null : to - from;
+
+    return {
+      a,
+      b,
+      delta: difference(a, b),
+      unit: this.getAxisUnit(),
+      series: this.getShownSeries().map(({ label, color, points }) => {
+        const valueA = valueAt(points, a);
+        const valueB = valueAt(points, b);
+        return {
+          label,
+          color,
+          a: valueA,
+          b: valueB,
+          delta: difference(valueA, valueB),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Series that are not hidden
+   * @returns {Array<{label: string, color: string, points: Object[]}>}
+   * @private
+   */
+  getShownSeries() {
+    return this.getSeriesLabels()
+      .map((label) => ({ label, config: this.getSeriesConfig(label) }))
+      .filter(({ config }) => !config.hidden)
+      .map(({ label, config }) => ({
+        label,
+        color: config.color,
+        points: this.series.get(label).points,
+      }));
+  }
+
+  /**
+   * Register a callback for zooming, panning, cursor changes and freezing
+   * @param {function(): void} handler
+   */
+  onViewChange(handler) {
+    this.viewHandlers.push(handler);
+  }
+
+  /**
+   * @private
+   */
+  notifyViewChange() {
+    this.viewHandlers.forEach((handler) => handler());
+  }
+
+  /**
+   * Change what the X axis counts
+   * @param {string} mode - One of AXIS_MODES
+   */
+  setAxisMode(mode) {
+    if (!Object.values(AXIS_MODES).includes(mode) || mode === this.axisMode) {
+      return;
+    }
+    this.axisMode = mode;
+    this.chart.options.scales.x.title.text = AXIS_TITLES[mode];
+
+    // Zoom and cursors are X positions in the old unit
+    this.view = null;
+    this.cursors = { a: null, b: null };
+
+    this.flush();
+    const timeAxis = mode === AXIS_MODES.TIME;
+    this.series.forEach(({ points }) => {
+      points.forEach((point) => {
+        point.x = timeAxis ? point.t : point.n;
+      });
+    });
+    this.trimWindow();
+    this.chart.update("none");
+  }
+
+  /**
+   * Change the visible window; points outside a smaller window are dropped
+   * @param {number} size - Window length, more than 0
+   * @param {string} unit - One of WINDOW_UNITS
+   */
+  setWindow(size, unit) {
+    if (
+      !(size > 0) ||
+      !Object.values(WINDOW_UNITS).includes(unit) ||
+      (size === this.window.size && unit === this.window.unit)
+    ) {
+      return;
+    }
+    this.window = { size, unit };
+    this.view = null;
+
+    this.flush();
+    this.trimWindow();
+    this.chart.update("none");
+    this.notifyViewChange();
+  }
+
+  /**
+   * Clear all data from the chart and restart the X axis at zero
    */
   clear() {
     if (!this.chart) return;
-    this.chart.data.labels = [];
+    this.pending = [];
+    this.series.clear();
+    this.startTime = null;
+    this.sampleCount = 0;
+    this.latest = null;
+    this.history.clear();
+    this.view = null;
+    this.cursors = { a: null, b: null };
     this.chart.data.datasets = [];
+    this.trimWindow();
+    this.applyYRanges();
     this.chart.update();
+    this.seriesHandlers.forEach((handler) => handler());
+    this.notifyViewChange();
+  }
+
+  /**
+   * Show samples from a file instead of the live data. The plotter is frozen
+   * and the window widened so the whole file is visible
+   * @param {Array<{t: number, n: number, samples: Object[]}>} rows - From
+   *   parseSamplesCsv(), oldest first
+   * @returns {{size: number, unit: string}} The new window
+   */
+  loadSamples(rows) {
+    this.clear();
+    if (rows.length === 0) return this.window;
+
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    this.window =
+      this.window.unit === WINDOW_UNITS.SECONDS
+        ? {
+            size: Math.max(1, Math.ceil(last.t - first.t)),
+            unit: WINDOW_UNITS.SECONDS,
+          }
+        : {
+            size: Math.max(1, last.n - first.n + 1),
+            unit: WINDOW_UNITS.POINTS,
+          };
+
+    rows.forEach((row) => this.history.push(row));
+    this.pending = rows.slice();
+    this.flush();
+    this.chart.update("none");
+
+    // Live samples continue after the file's timeline while frozen
+    this.startTime = performance.now() - last.t * 1000;
+    this.sampleCount = last.n + 1;
+    this.setFrozen(true);
+    return this.window;
+  }
+
+  /**
+   * Start keeping every sample, without the history's size limit
+   */
+  startRecording() {
+    this.recording = [];
+  }
+
+  /**
+   * Stop recording and download the session as CSV
+   * @returns {number} Samples recorded
+   */
+  stopRecording() {
+    const rows = this.recording || [];
+    this.recording = null;
+    if (rows.length > 0) {
+      this.downloadFile(
+        `serial-recording-${this.fileTimestamp()}.csv`,
+        samplesToCsv(rows),
+        "text/csv"
+      );
+    }
+    return rows.length;
+  }
+
+  /**
+   * Check if a recording is running
+   * @returns {boolean} Whether samples are being recorded
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Samples recorded so far, 0 when not recording
+   * @returns {number}
+   */
+  getRecordedCount() {
+    return this.recording?.length || 0;
+  }
+
+  /**
+   * Download the recent samples
+   * @param {"csv"|"json"} format - File format
+   * @returns {number} Samples exported
+   */
+  exportData(format) {
+    const rows = this.history.toArray();
+    if (rows.length === 0) return 0;
+
+    const name = `serial-plotter-${this.fileTimestamp()}`;
+    if (format === "json") {
+      this.downloadFile(
+        `${name}.json`,
+        samplesToJson(rows),
+        "application/json"
+      );
+    } else {
+      this.downloadFile(`${name}.csv`, samplesToCsv(rows), "text/csv");
+    }
+    return rows.length;
+  }
+
+  /**
+   * Save text as a file
+   * @param {string} fileName - Suggested file name
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @private
+   */
+  downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Timestamp for file names
+   * @returns {string}
+   * @private
+   */
+  fileTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, "-");
   }
 
   /**
@@ -181,7 +1101,7 @@ export class PlotterUI {
    * @returns {boolean} New frozen state
    */
   toggleFreeze() {
-    this.frozen = !this.frozen;
+    this.setFrozen(!this.frozen);
     return this.frozen;
   }
 
@@ -194,11 +1114,23 @@ export class PlotterUI {
   }
 
   /**
-   * Set freeze state explicitly
+   * Set freeze state explicitly. Resuming drops the zoom and the cursors
    * @param {boolean} frozen - Whether to freeze the plotter
    */
   setFrozen(frozen) {
     this.frozen = frozen;
+    this.canvas.style.cursor = frozen ? "crosshair" : "";
+
+    if (
+      !frozen &&
+      (this.view || this.cursors.a !== null || this.cursors.b !== null)
+    ) {
+      this.view = null;
+      this.cursors = { a: null, b: null };
+      this.trimWindow();
+      this.chart.update("none");
+    }
+    this.notifyViewChange();
   }
 
   /**
@@ -222,8 +1154,7 @@ export class PlotterUI {
 
     // Convert to PNG and download
     const link = document.createElement("a");
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    link.download = `serial-plotter-${timestamp}.png`;
+    link.download = `serial-plotter-${this.fileTimestamp()}.png`;
     link.href = tempCanvas.toDataURL("image/png");
     link.click();
   }
@@ -0,0 +1,219 @@
+/**
+ * Problems UI Component
+ *
+ * Lists the errors and warnings from the last compile under the terminal:
+ * - Location relative to the sketch, severity and message
+ * - Click a problem to show its source line, notes and include chain
+ * - Problems in sketch files can be opened in the editor
+ * - Hidden while there is nothing to report
+ */
+
+import { Logger } from "../../shared/Logger.js";
+
+/** @type {Logger} */
+const logger = new Logger("Problems");
+
+const SEVERITY_ICONS = {
+  error: "✗",
+  warning: "⚠",
+};
+
+export class ProblemsUI {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.container = null;
+    this.diagnostics = [];
+    this.selected = null;
+    this.collapsed = false;
+    this.openHandlers = [];
+
+    // Cache DOM elements
+    this.elements = {};
+  }
+
+  /**
+   * Initialize the UI - must be called after DOM is ready
+   */
+  init() {
+    this.container = document.getElementById(this.containerId);
+    if (!this.container) {
+      logger.error(`Container #${this.containerId} not found`);
+      return;
+    }
+
+    this.cacheElements();
+    this.attachEventListeners();
+    this.render();
+  }
+
+  cacheElements() {
+    this.elements = {
+      list: document.getElementById("problems-list"),
+      summary: document.getElementById("problems-summary"),
+      toggleBtn: document.getElementById("toggle-problems"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.toggleBtn?.addEventListener("click", () => {
+      this.collapsed = !this.collapsed;
+      this.render();
+    });
+
+    // Delegate clicks on problem rows
+    this.elements.list?.addEventListener("click", (e) => {
+      const row = e.target.closest(".problem");
+      if (!row) return;
+
+      const index = Number(row.dataset.index);
+      if (e.target.closest("button[data-action='open']")) {
+        const { file, line } = this.diagnostics[index];
+        this.openHandlers.forEach((handler) => handler(file, line));
+        return;
+      }
+      this.selected = this.selected === index ? null : index;
+      this.render();
+    });
+  }
+
+  /**
+   * Register a callback for "Open in editor"
+   * @param {function(string, number|null): void} handler - Receives the file
+   *   (relative to the sketch) and line
+   */
+  onOpen(handler) {
+    this.openHandlers.push(handler);
+  }
+
+  /**
+   * Show the diagnostics of a compile
+   * @param {Object[]} diagnostics - `diagnostics` from the compile response
+   */
+  show(diagnostics) {
+    this.diagnostics = Array.isArray(diagnostics) ? diagnostics : [];
+    this.selected = null;
+    this.collapsed = false;
+    this.render();
+  }
+
+  /**
+   * Count problems by severity
+   * @returns {{errors: number, warnings: number}}
+   */
+  getCounts() {
+    const errors = this.diagnostics.filter(
+      (d) => d.severity === "error"
+    ).length;
+    return { errors, warnings: this.diagnostics.length - errors };
+  }
+
+  render() {
+    if (!this.container || !this.elements.list) return;
+
+    this.container.classList.toggle("hidden", this.diagnostics.length === 0);
+    this.container.classList.toggle("collapsed", this.collapsed);
+    if (this.elements.toggleBtn) {
+      this.elements.toggleBtn.textContent = this.collapsed ? "▲" : "▼";
+    }
+
+    const { errors, warnings } = this.getCounts();
+    if (this.elements.summary) {
+      this.elements.summary.textContent = `${errors} error${
+        errors === 1 ? "" : "s"
+      }, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+    }
+
+    this.elements.list.innerHTML = this.diagnostics
+      .map((diagnostic, index) => this.renderProblem(diagnostic, index))
+      .join("");
+  }
+
+  renderProblem(diagnostic, index) {
+    const isSelected = this.selected === index;
+    const icon = SEVERITY_ICONS[diagnostic.severity] || "•";
+
+    return `
+      <div class="problem ${diagnostic.severity} ${
+      isSelected ? "selected" : ""
+    }" data-index="${index}">
+        <div class="problem-header">
+          <span class="problem-icon">${icon}</span>
+          <span class="problem-message">${this.escapeHtml(
+            diagnostic.message
+          )}</span>
+          <span class="problem-location ${
+            diagnostic.inSketch ? "" : "external"
+          }">${this.escapeHtml(this.formatLocation(diagnostic))}</span>
+        </div>
+        ${isSelected ? this.renderDetails(diagnostic) : ""}
+      </div>
+    `;
+  }
+
+  renderDetails(diagnostic) {
+    const lines = [];
+
+    if (diagnostic.context) {
+      lines.push(
+        `<div class="problem-context">${this.escapeHtml(
+          diagnostic.context
+        )}</div>`
+      );
+    }
+    if (diagnostic.source) {
+      lines.push(this.renderSource(diagnostic));
+    }
+    (diagnostic.includedFrom || []).forEach((include) => {
+      lines.push(
+        `<div class="problem-note">included from ${this.escapeHtml(
+          this.formatLocation(include)
+        )}</div>`
+      );
+    });
+    (diagnostic.notes || []).forEach((note) => {
+      lines.push(
+        `<div class="problem-note">note: ${this.escapeHtml(note.message)}${
+          note.file
+            ? ` <span class="problem-location">${this.escapeHtml(
+                this.formatLocation(note)
+              )}</span>`
+            : ""
+        }</div>`
+      );
+    });
+
+    if (lines.length === 0) {
+      lines.push(`<div class="problem-note">No further details.</div>`);
+    }
+    if (diagnostic.inSketch && diagnostic.file) {
+      lines.push(
+        `<button class="problem-open" data-action="open">Open in editor</button>`
+      );
+    }
+    return `<div class="problem-details">${lines.join("")}</div>`;
+  }
+
+  /**
+   * Source line with a caret under the reported column
+   */
+  renderSource(diagnostic) {
+    const caret =
+      diagnostic.column > 0 ? `\n${" ".repeat(diagnostic.column - 1)}^` : "";
+    return `<pre class="problem-source">${this.escapeHtml(
+      diagnostic.source + caret
+    )}</pre>`;
+  }
+
+  formatLocation({ file, line, column }) {
+    if (!file) return "linker";
+    return [file, line, column]
+      .filter((part) => part !== null && part !== undefined)
+      .join(":");
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML;
+  }
+}
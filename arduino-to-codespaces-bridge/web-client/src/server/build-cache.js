@@ -0,0 +1,417 @@
+/**
+ * Build Cache Module
+ *
+ * Keeps arduino-cli build folders between compiles so only changed files
+ * are rebuilt:
+ * - One build path per sketch + FQBN (board options included)
+ * - Build paths are wiped when installed cores or libraries change
+ * - Size reporting and pruning (least recently used first); build paths of
+ *   compiles still running are never pruned
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createHash } from "crypto";
+import { executeCliCommand } from "./cli-executor.js";
+
+/** Per-entry metadata file written inside each build path */
+const CACHE_INFO_FILE = ".bridge-cache.json";
+
+/** Automatic pruning keeps the cache under this size */
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1 GiB
+
+/** Automatic pruning drops entries unused for this long */
+const DEFAULT_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+/** Automatic pruning walks the whole cache, so it runs at most this often */
+const AUTO_PRUNE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+let cacheRoot = null;
+
+/** arduino-cli data/user directories, read once from the CLI config */
+let arduinoDirectories = null;
+
+/** Build paths handed out by prepareBuildPath() and not released yet */
+const activeBuildPaths = new Set();
+
+/** The prune in progress; prunes run one at a time */
+let pruning = Promise.resolve();
+
+/** When pruneBuildCacheIfDue() last pruned */
+let lastAutoPruneAt = 0;
+
+/**
+ * Set where build paths are kept
+ * @param {string} rootDir - Cache root directory
+ * @param {object} [options]
+ * @param {{data: string, user: string}} [options.directories] - arduino-cli
+ *   data (cores) and user (libraries) directories; read from the CLI config
+ *   when omitted
+ */
+export function configureBuildCache(rootDir, { directories = null } = {}) {
+  cacheRoot = rootDir;
+  arduinoDirectories = directories;
+  fs.mkdirSync(cacheRoot, { recursive: true });
+}
+
+/**
+ * Sort board options so 'a:b:c:x=1,y=2' and 'a:b:c:y=2,x=1' share a cache
+ * @param {string} fqbn - Fully qualified board name
+ * @returns {string}
+ */
+export function normalizeFqbn(fqbn) {
+  const [vendor, arch, board, options] = fqbn.split(":");
+  const base = [vendor, arch, board].join(":");
+  if (!options) return base;
+  return `${base}:${options.split(",").filter(Boolean).sort().join(",")}`;
+}
+
+function hash(value) {
+  return createHash("sha1").update(value).digest("hex").slice(0, 16);
+}
+
+/**
+ * Name of the build path for a board, and for a profile's pinned versions
+ * @param {string} fqbn - FQBN, including board options
+ * @param {Object} [profile] - sketch.yaml build profile
+ * @returns {string} Directory name inside the sketch's cache folder
+ */
+export function getBuildCacheKey(fqbn, profile = null) {
+  const normalizedFqbn = normalizeFqbn(fqbn);
+  const key = profile
+    ? `${normalizedFqbn}\n${JSON.stringify([
+        profile.name,
+        profile.platforms,
+        profile.libraries,
+      ])}`
+    : normalizedFqbn;
+  return hash(key);
+}
+
+/**
+ * Locate the arduino-cli data (cores) and user (libraries) directories
+ * @returns {Promise<{data: string, user: string}>}
+ */
+export async function getArduinoDirectories() {
+  if (arduinoDirectories) return arduinoDirectories;
+
+  const fallback = {
+    data: path.join(os.homedir(), ".arduino15"),
+    user: path.join(os.homedir(), "Arduino"),
+  };
+
+  const result = await executeCliCommand(["config", "dump"], {
+    timeout: 10000,
+  });
+  // Newer arduino-cli versions nest the settings under "config"
+  const directories =
+    result.data?.config?.directories || result.data?.directories || {};
+
+  arduinoDirectories = {
+    data: directories.data || fallback.data,
+    user: directories.user || fallback.user,
+  };
+  return arduinoDirectories;
+}
+
+function listDirectories(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Fingerprint of the installed cores and libraries
+ *
+ * Built from platform versions on disk and library.properties timestamps, so
+ * installs done outside the bridge (e.g. arduino-cli in a terminal) count too.
+ *
+ * @returns {Promise<string>}
+ */
+export async function getToolchainFingerprint() {
+  const { data, user } = await getArduinoDirectories();
+  const entries = [];
+
+  // Platforms live in packages/<vendor>/hardware/<arch>/<version>
+  const packagesDir = path.join(data, "packages");
+  for (const vendor of listDirectories(packagesDir)) {
+    const hardwareDir = path.join(packagesDir, vendor, "hardware");
+    for (const arch of listDirectories(hardwareDir)) {
+      for (const version of listDirectories(path.join(hardwareDir, arch))) {
+        entries.push(`core ${vendor}:${arch}@${version}`);
+      }
+    }
+  }
+
+  const librariesDir = path.join(user, "libraries");
+  for (const library of listDirectories(librariesDir)) {
+    try {
+      const stat = fs.statSync(
+        path.join(librariesDir, library, "library.properties")
+      );
+      entries.push(`lib ${library} ${stat.mtimeMs}`);
+    } catch (err) {
+      entries.push(`lib ${library}`);
+    }
+  }
+
+  return hash(entries.sort().join("\n"));
+}
+
+function readCacheInfo(buildPath) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(buildPath, CACHE_INFO_FILE), "utf8")
+    );
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCacheInfo(buildPath, info) {
+  fs.writeFileSync(
+    path.join(buildPath, CACHE_INFO_FILE),
+    JSON.stringify(info, null, 2)
+  );
+}
+
+/**
+ * Total size of a directory tree in bytes, without blocking the event loop
+ * @param {string} dir - Directory
+ * @returns {Promise<number>}
+ */
+async function directorySize(dir) {
+  let total = 0;
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(fullPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.promises.stat(fullPath)).size;
+      } catch (err) {
+        /* removed while walking */
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Get the build path for a compile, reusing earlier builds when possible
+ *
+ * The path is not pruned until it is handed back with releaseBuildPath().
+ *
+ * @param {object} params
+ * @param {string} params.sketchSlug - Slug of the sketch folder
+ * @param {string} params.fqbn - FQBN, including board options
+ * @param {Object} [params.profile] - sketch.yaml build profile; its pinned
+ *   versions get a build path of their own
+ * @param {boolean} [params.clean=false] - Discard any cached build first
+ * @returns {Promise<{buildPath: string, status: string}>} status is 'hit',
+ *   'miss', 'clean' or 'invalidated' (cores or libraries changed)
+ */
+export async function prepareBuildPath({
+  sketchSlug,
+  fqbn,
+  profile = null,
+  clean = false,
+}) {
+  const normalizedFqbn = normalizeFqbn(fqbn);
+  const buildPath = path.join(
+    cacheRoot,
+    sketchSlug,
+    getBuildCacheKey(fqbn, profile)
+  );
+
+  // A prune that already picked this path finishes before it is reused
+  activeBuildPaths.add(buildPath);
+  try {
+    await pruning;
+    const status = await refreshBuildPath(buildPath, {
+      sketchSlug,
+      normalizedFqbn,
+      profile,
+      clean,
+    });
+    return { buildPath, status };
+  } catch (err) {
+    activeBuildPaths.delete(buildPath);
+    throw err;
+  }
+}
+
+/**
+ * Wipe a build path unless it can be reused, and record its use
+ * @returns {Promise<string>} Cache status, see prepareBuildPath()
+ */
+async function refreshBuildPath(
+  buildPath,
+  { sketchSlug, normalizedFqbn, profile, clean }
+) {
+  const fingerprint = await getToolchainFingerprint();
+  const info = readCacheInfo(buildPath);
+
+  let status = "hit";
+  if (!info) {
+    status = "miss";
+  } else if (clean) {
+    status = "clean";
+  } else if (info.fingerprint !== fingerprint) {
+    status = "invalidated";
+  }
+
+  if (status !== "hit") {
+    fs.rmSync(buildPath, { recursive: true, force: true });
+  }
+  fs.mkdirSync(buildPath, { recursive: true });
+
+  const now = Date.now();
+  writeCacheInfo(buildPath, {
+    sketch: sketchSlug,
+    fqbn: normalizedFqbn,
+    ...(profile ? { profile: profile.name } : {}),
+    fingerprint,
+    createdAt: status === "hit" ? info.createdAt : now,
+    lastUsedAt: now,
+  });
+
+  return status;
+}
+
+/**
+ * Let a build path be pruned again once its compile has finished
+ * @param {string} buildPath - Path from prepareBuildPath()
+ */
+export function releaseBuildPath(buildPath) {
+  activeBuildPaths.delete(buildPath);
+}
+
+/**
+ * List cached builds with their sizes
+ * @returns {Promise<{root: string, totalBytes: number, maxBytes: number,
+ *   entries: object[]}>}
+ */
+export async function getBuildCacheStats() {
+  const entries = [];
+  for (const sketch of listDirectories(cacheRoot)) {
+    for (const key of listDirectories(path.join(cacheRoot, sketch))) {
+      const buildPath = path.join(cacheRoot, sketch, key);
+      const info = readCacheInfo(buildPath) || {};
+      entries.push({
+        sketch,
+        fqbn: info.fqbn || null,
+        profile: info.profile || null,
+        path: buildPath,
+        bytes: await directorySize(buildPath),
+        createdAt: info.createdAt || null,
+        lastUsedAt: info.lastUsedAt || 0,
+      });
+    }
+  }
+
+  entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  return {
+    root: cacheRoot,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+    maxBytes: DEFAULT_MAX_BYTES,
+    entries,
+  };
+}
+
+/**
+ * Remove cached builds
+ *
+ * With no criteria, applies the default size and age limits. Build paths of
+ * running compiles are always kept.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.all] - Remove everything
+ * @param {string} [options.sketch] - Remove every build of this sketch slug
+ * @param {number} [options.maxBytes] - Remove least recently used builds until under this size
+ * @param {number} [options.maxAgeMs] - Remove builds unused for longer than this
+ * @param {string[]} [options.keep] - Build paths never removed (e.g. the one just used)
+ * @returns {Promise<{removed: object[], freedBytes: number, totalBytes: number}>}
+ */
+export function pruneBuildCache(options = {}) {
+  const run = pruning.then(() => prune(options));
+  pruning = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Apply the default limits, unless that was done recently
+ * @param {object} [options] - See pruneBuildCache()
+ * @returns {Promise<object|null>} pruneBuildCache() result, null when not due
+ */
+export async function pruneBuildCacheIfDue(options = {}) {
+  const now = Date.now();
+  if (now - lastAutoPruneAt < AUTO_PRUNE_INTERVAL_MS) return null;
+  lastAutoPruneAt = now;
+  return pruneBuildCache(options);
+}
+
+async function prune(options) {
+  const {
+    all = false,
+    sketch = null,
+    maxBytes = all || sketch ? null : DEFAULT_MAX_BYTES,
+    maxAgeMs = all || sketch ? null : DEFAULT_MAX_AGE_MS,
+    keep = [],
+  } = options;
+
+  const { entries, totalBytes } = await getBuildCacheStats();
+  const now = Date.now();
+  const removed = [];
+  let remaining = totalBytes;
+
+  // Oldest first, so size pruning drops the least recently used
+  for (const entry of [...entries].reverse()) {
+    // Checked right before removing, compiles may have started meanwhile
+    if (keep.includes(entry.path) || activeBuildPaths.has(entry.path)) {
+      continue;
+    }
+
+    if (
+      all ||
+      (sketch && entry.sketch === sketch) ||
+      (maxAgeMs !== null && now - entry.lastUsedAt > maxAgeMs) ||
+      (maxBytes !== null && remaining > maxBytes)
+    ) {
+      await fs.promises.rm(entry.path, { recursive: true, force: true });
+      remaining -= entry.bytes;
+      removed.push(entry);
+    }
+  }
+
+  // Drop sketch folders left empty
+  for (const sketchDir of listDirectories(cacheRoot)) {
+    const dir = path.join(cacheRoot, sketchDir);
+    if (listDirectories(dir).length === 0) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    removed: removed.map(({ sketch: slug, fqbn, bytes }) => ({
+      sketch: slug,
+      fqbn,
+      bytes,
+    })),
+    freedBytes: totalBytes - remaining,
+    totalBytes: remaining,
+  };
+}
@@ -52,7 +52,8 @@ const cliMutex = new CliMutex();
  * @param {function} options.onProgress - Callback for progress data
  * @param {boolean} options.useMutex - Whether to use mutex (default: false)
  * @param {boolean} options.addJsonFlag - Whether to add --format json (default: true)
- * @returns {Promise<{success: boolean, data: object|null, log: string, duration: number, exitCode?: number}>}
+ * @param {AbortSignal} options.signal - Aborting kills the process (job cancellation)
+ * @returns {Promise<{success: boolean, data: object|null, log: string, duration: number, exitCode?: number, cancelled?: boolean}>}
  */
 export async function executeCliCommand(args, options = {}) {
   const {
@@ -60,6 +61,7 @@ export async function executeCliCommand(args, options = {}) {
     onProgress = null,
     useMutex = false,
     addJsonFlag = true,
+    signal = null,
   } = options;
 
   const startTime = Date.now();
@@ -92,6 +94,7 @@ export async function executeCliCommand(args, options = {}) {
     const child = spawn("arduino-cli", commandArgs, {
       env: process.env,
       stdio: ["ignore", "pipe", "pipe"],
+      ...(signal ? { signal } : {}),
     });
 
     // Set up timeout
@@ -127,6 +130,18 @@ export async function executeCliCommand(args, options = {}) {
 
     child.on("error", (err) => {
       clearTimeout(timeoutId);
+      if (err.name === "AbortError") {
+        finalize({
+          success: false,
+          data: null,
+          log: stderr || stdout || "Cancelled",
+          duration: (Date.now() - startTime) / 1000,
+          exitCode: -1,
+          cancelled: true,
+          error: "Cancelled",
+        });
+        return;
+      }
       finalize({
         success: false,
         data: null,
@@ -224,12 +224,14 @@ export async function listInstalledCores() {
  * @param {string} platformId - Platform ID (e.g., 'arduino:avr')
  * @param {string} version - Optional version to install
  * @param {function} onProgress - Progress callback
- * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
+ * @param {AbortSignal} signal - Aborting kills arduino-cli
+ * @returns {Promise<{success: boolean, log: string, duration: number, error?: string, exitCode?: number, cancelled?: boolean}>}
  */
 export async function installCore(
   platformId,
   version = null,
-  onProgress = null
+  onProgress = null,
+  signal = null
 ) {
   if (!platformId || !isValidPlatformId(platformId)) {
     return {
@@ -247,6 +249,7 @@ export async function installCore(
     timeout: 180000, // 3 minutes for large cores
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -254,6 +257,8 @@ export async function installCore(
     log: result.log || result.rawOutput || "",
     duration: result.duration,
     error: result.success ? undefined : parseCliError(result.log),
+    exitCode: result.exitCode,
+    cancelled: result.cancelled,
   };
 }
 
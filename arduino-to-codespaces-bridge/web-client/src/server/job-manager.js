@@ -0,0 +1,429 @@
+/**
+ * Job Manager Module
+ *
+ * Runs long operations (compile, upload, core/library installs) as jobs:
+ * - Starting a job returns its id straight away
+ * - Jobs wait in a queue and run one at a time, like arduino-cli's mutex
+ * - Output and percent progress are pushed to subscribers as they happen
+ * - Cancelling a job aborts its signal, which kills the arduino-cli child
+ * - History (status, timestamps, exit code, log excerpt) is saved to disk
+ *   so it survives a server restart
+ */
+
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import fs from "fs";
+import path from "path";
+
+/** Number of finished jobs kept in memory and on disk */
+const MAX_FINISHED_JOBS = 50;
+
+/** Output kept per job, older text is dropped first */
+const MAX_OUTPUT_CHARS = 512 * 1024;
+
+/** Trailing output lines saved with the job history */
+const LOG_EXCERPT_LINES = 40;
+
+/** Percentages printed by avrdude, bossac, esptool, etc. */
+const PERCENT_PATTERN = /(\d{1,3}(?:\.\d+)?)\s?%/g;
+
+/**
+ * Job lifecycle states
+ * @enum {string}
+ */
+export const JobStatus = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const jobs = new Map();
+
+/** Jobs waiting to run, oldest first */
+const queue = [];
+
+/** The job currently running, if any */
+let runningJob = null;
+
+/** Where history is saved, set by configureJobHistory() */
+let historyPath = null;
+
+/**
+ * A long-running operation with streamed output
+ *
+ * Events:
+ * - "status" (summary) when a queued job starts running
+ * - "output" ({stream, text})
+ * - "progress" ({percent, status})
+ * - "done" (summary)
+ */
+export class Job extends EventEmitter {
+  /**
+   * @param {string} type - Job type (e.g. 'compile', 'core-install')
+   * @param {string} title - Human-readable description
+   * @param {object} params - Request parameters the job was started with
+   * @param {function(Job): Promise<object>} [run] - The operation, absent for jobs loaded from history
+   */
+  constructor(type, title, params, run = null) {
+    super();
+    this.id = randomUUID();
+    this.type = type;
+    this.title = title;
+    this.params = params;
+    this.run = run;
+    this.status = JobStatus.QUEUED;
+    this.percent = null;
+    this.progressStatus = "";
+    this.output = "";
+    // Characters dropped from the front of output, so output[0] is at this
+    // absolute position and clients can resume by position
+    this.outputOffset = 0;
+    this.result = null;
+    this.error = null;
+    this.exitCode = null;
+    this.createdAt = Date.now();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.controller = new AbortController();
+
+    // Parsed percentages are mapped into this range, see setPhase()
+    this.phase = { start: 0, end: 100 };
+  }
+
+  /**
+   * Rebuild a finished job from saved history
+   * @param {object} record - Entry written by toRecord()
+   * @returns {Job}
+   */
+  static fromRecord(record) {
+    const job = new Job(record.type, record.title, record.params);
+    Object.assign(job, {
+      id: record.id,
+      status: record.status,
+      percent: record.percent,
+      progressStatus: record.progressStatus || "",
+      output: record.logExcerpt || "",
+      error: record.error,
+      exitCode: record.exitCode,
+      createdAt: record.createdAt,
+      startedAt: record.startedAt,
+      finishedAt: record.finishedAt,
+    });
+
+    // The process did not survive the restart
+    if (!job.finished) {
+      job.status = JobStatus.FAILED;
+      job.error = "Interrupted by server restart";
+      job.finishedAt = job.finishedAt || Date.now();
+    }
+    return job;
+  }
+
+  /** @returns {AbortSignal} Signal passed to spawned processes */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /** @returns {boolean} Whether the job has finished */
+  get finished() {
+    return (
+      this.status !== JobStatus.QUEUED && this.status !== JobStatus.RUNNING
+    );
+  }
+
+  /** @returns {string} Last LOG_EXCERPT_LINES lines of output */
+  get logExcerpt() {
+    return this.output.split("\n").slice(-LOG_EXCERPT_LINES).join("\n");
+  }
+
+  /**
+   * Append process output and pick up any percentage it contains
+   *
+   * The "output" event carries the chunk's absolute position in the job's
+   * output, which keeps counting after old text is dropped.
+   *
+   * @param {string} text - Output chunk
+   * @param {string} stream - 'stdout' or 'stderr'
+   */
+  appendOutput(text, stream = "stdout") {
+    if (!text || this.status !== JobStatus.RUNNING) return;
+
+    const offset = this.outputOffset + this.output.length;
+    this.output += text;
+    if (this.output.length > MAX_OUTPUT_CHARS) {
+      this.outputOffset += this.output.length - MAX_OUTPUT_CHARS;
+      this.output = this.output.slice(-MAX_OUTPUT_CHARS);
+    }
+    this.emit("output", { stream, text, offset });
+
+    const matches = [...text.matchAll(PERCENT_PATTERN)];
+    if (matches.length > 0) {
+      const percent = parseFloat(matches[matches.length - 1][1]);
+      if (percent <= 100) {
+        const { start, end } = this.phase;
+        this.setProgress(start + ((end - start) * percent) / 100);
+      }
+    }
+  }
+
+  /**
+   * Start a new step, mapping later output percentages into [start, end]
+   * @param {string} status - Step description
+   * @param {number} start - Overall percent at the start of the step
+   * @param {number} end - Overall percent at the end of the step
+   */
+  setPhase(status, start, end) {
+    this.phase = { start, end };
+    this.setProgress(start, status);
+  }
+
+  /**
+   * Report progress
+   * @param {number|null} percent - 0-100, or null if unknown
+   * @param {string} [status] - Step description, unchanged if omitted
+   */
+  setProgress(percent, status) {
+    if (this.status !== JobStatus.RUNNING) return;
+    if (percent !== null) {
+      // Progress never moves backwards within a job
+      percent = Math.round(Math.max(this.percent || 0, Math.min(percent, 100)));
+    }
+    if (status !== undefined) this.progressStatus = status;
+    if (percent === this.percent && status === undefined) return;
+
+    this.percent = percent;
+    this.emit("progress", { percent, status: this.progressStatus });
+  }
+
+  /**
+   * Move from the queue to running
+   * @private
+   */
+  start() {
+    this.status = JobStatus.RUNNING;
+    this.startedAt = Date.now();
+    this.emit("status", this.toJSON());
+    saveHistory();
+  }
+
+  /**
+   * Mark the job finished
+   * @param {string} status - Final JobStatus
+   * @param {object} [result] - Response payload of the operation
+   */
+  finish(status, result = null) {
+    if (this.finished) return;
+
+    this.status = status;
+    this.result = result;
+    this.error =
+      status === JobStatus.SUCCEEDED
+        ? null
+        : result?.error ||
+          (status === JobStatus.CANCELLED ? "Cancelled" : "Failed");
+    this.exitCode =
+      result?.exitCode ?? (status === JobStatus.SUCCEEDED ? 0 : null);
+    if (status === JobStatus.SUCCEEDED) this.percent = 100;
+    this.finishedAt = Date.now();
+    this.emit("done", this.toJSON());
+    pruneFinishedJobs();
+    saveHistory();
+  }
+
+  /**
+   * Cancel the job, killing its child process or dropping it from the queue
+   * @param {string} [reason="Cancelled"] - Recorded as the job's error
+   * @returns {boolean} False if the job had already finished
+   */
+  cancel(reason = "Cancelled") {
+    if (this.finished) return false;
+
+    const queued = queue.indexOf(this);
+    if (queued !== -1) queue.splice(queued, 1);
+
+    this.controller.abort();
+    this.finish(JobStatus.CANCELLED, { success: false, error: reason });
+    return true;
+  }
+
+  /**
+   * Serializable summary
+   * @param {boolean} [includeOutput=false] - Include the accumulated output
+   *   and outputOffset, its absolute position
+   * @returns {object}
+   */
+  toJSON(includeOutput = false) {
+    const position = queue.indexOf(this);
+    return {
+      id: this.id,
+      type: this.type,
+      title: this.title,
+      params: this.params,
+      status: this.status,
+      // Jobs that will run before this one, null once it has started
+      jobsAhead: position === -1 ? null : position + (runningJob ? 1 : 0),
+      percent: this.percent,
+      progressStatus: this.progressStatus,
+      error: this.error,
+      exitCode: this.exitCode,
+      result: this.result,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      logExcerpt: this.logExcerpt,
+      ...(includeOutput
+        ? { output: this.output, outputOffset: this.outputOffset }
+        : {}),
+    };
+  }
+
+  /**
+   * History entry saved to disk (no full output or result payload)
+   * @returns {object}
+   */
+  toRecord() {
+    const record = this.toJSON();
+    delete record.result;
+    delete record.jobsAhead;
+    return record;
+  }
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter((job) => job.finished);
+  finished
+    .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+    .forEach((job) => jobs.delete(job.id));
+}
+
+/**
+ * Write job history to disk
+ */
+function saveHistory() {
+  if (!historyPath) return;
+
+  const records = [...jobs.values()].map((job) => job.toRecord());
+  const tempPath = `${historyPath}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ jobs: records }, null, 2));
+    fs.renameSync(tempPath, historyPath);
+  } catch (err) {
+    console.warn(`[Jobs] Could not save job history: ${err.message}`);
+  }
+}
+
+/**
+ * Load saved history and keep saving to the same file
+ *
+ * Jobs that were queued or running when the server stopped are recorded as
+ * failed, since their processes are gone.
+ *
+ * @param {string} filePath - JSON history file
+ * @returns {number} Number of jobs loaded
+ */
+export function configureJobHistory(filePath) {
+  historyPath = filePath;
+
+  let records = [];
+  try {
+    records = JSON.parse(fs.readFileSync(filePath, "utf8")).jobs || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`[Jobs] Ignoring unreadable job history: ${err.message}`);
+    }
+  }
+
+  records
+    .filter((record) => record && record.id && !jobs.has(record.id))
+    .forEach((record) => jobs.set(record.id, Job.fromRecord(record)));
+  pruneFinishedJobs();
+  saveHistory();
+  return records.length;
+}
+
+/**
+ * Start the next queued job if nothing is running
+ */
+function runNextJob() {
+  if (runningJob || queue.length === 0) return;
+
+  const job = queue.shift();
+  runningJob = job;
+  job.start();
+
+  Promise.resolve()
+    .then(() => job.run(job))
+    .then(
+      (result) =>
+        job.finish(
+          result?.success ? JobStatus.SUCCEEDED : JobStatus.FAILED,
+          result
+        ),
+      (err) =>
+        job.finish(JobStatus.FAILED, { success: false, error: err.message })
+    )
+    .finally(() => {
+      // A cancelled job only frees the queue once its process has exited
+      runningJob = null;
+      runNextJob();
+    });
+}
+
+/**
+ * Queue a job
+ *
+ * The run function receives the job, streams into it, and resolves with the
+ * operation's response payload ({success, error?, exitCode?, ...}). A
+ * rejection fails the job with the error message.
+ *
+ * @param {string} type - Job type
+ * @param {string} title - Human-readable description
+ * @param {object} params - Request parameters
+ * @param {function(Job): Promise<object>} run - The operation
+ * @returns {Job} The queued job
+ */
+export function startJob(type, title, params, run) {
+  const job = new Job(type, title, params, run);
+  jobs.set(job.id, job);
+  queue.push(job);
+  saveHistory();
+
+  // Run after the caller has had a chance to respond with the id
+  setImmediate(runNextJob);
+
+  return job;
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Job|undefined}
+ */
+export function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * List known jobs, newest first
+ * @returns {object[]} Job summaries
+ */
+export function listJobs() {
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((job) => job.toJSON());
+}
+
+/**
+ * Cancel every queued and running job (used during server cleanup)
+ * @param {string} [reason] - Recorded as each job's error
+ */
+export function cancelAllJobs(reason) {
+  [...queue].forEach((job) => job.cancel(reason));
+  runningJob?.cancel(reason);
+}
@@ -148,13 +148,15 @@ export async function listInstalledLibraries() {
  * @param {string} version - Optional version to install
  * @param {boolean} installDeps - Whether to install dependencies (default: true)
  * @param {function} onProgress - Progress callback
- * @returns {Promise<{success: boolean, log: string, duration: number, error?: string}>}
+ * @param {AbortSignal} signal - Aborting kills arduino-cli
+ * @returns {Promise<{success: boolean, log: string, duration: number, error?: string, exitCode?: number, cancelled?: boolean}>}
  */
 export async function installLibrary(
   name,
   version = null,
   installDeps = true,
-  onProgress = null
+  onProgress = null,
+  signal = null
 ) {
   if (!name || !isValidLibraryName(name)) {
     return {
@@ -178,6 +180,7 @@ export async function installLibrary(
     timeout: 60000, // 1 minute for library install
     onProgress,
     useMutex: true,
+    signal,
   });
 
   return {
@@ -185,6 +188,8 @@ export async function installLibrary(
     log: result.log || result.rawOutput || "",
     duration: result.duration,
     error: result.success ? undefined : parseCliError(result.log),
+    exitCode: result.exitCode,
+    cancelled: result.cancelled,
   };
 }
 
@@ -0,0 +1,267 @@
+/**
+ * Memory Usage Module
+ *
+ * Reports how much flash and RAM a compiled sketch uses:
+ * - Flash/RAM totals parsed from arduino-cli's "Sketch uses..." lines
+ * - Largest symbols read from the ELF with the core's nm tool
+ * - Per-board RAM warning thresholds, saved to disk
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+
+/** Arduino IDE warns about stability problems above this RAM use */
+const DEFAULT_RAM_WARN_PERCENT = 75;
+
+/** Symbols listed per memory type */
+const MAX_SYMBOLS = 10;
+
+/** Time allowed for nm on large ELF files */
+const NM_TIMEOUT_MS = 15000;
+
+/** Sketch uses 924 bytes (2%) of program storage space. Maximum is 32256 bytes. */
+const FLASH_USAGE_PATTERN =
+  /Sketch uses (\d+) bytes(?: \((\d+)%\))? of program storage space(?:\. Maximum is (\d+) bytes)?/;
+
+/** Global variables use 9 bytes (0%) of dynamic memory, leaving 2039 bytes ... Maximum is 2048 bytes. */
+const RAM_USAGE_PATTERN =
+  /Global variables use (\d+) bytes(?: \((\d+)%\))? of dynamic memory(?:, leaving (-?\d+) bytes for local variables)?(?:\. Maximum is (\d+) bytes)?/;
+
+/** nm --print-size --size-sort -t d: "<address> <size> <type> <name>" */
+const NM_LINE_PATTERN = /^[0-9a-f]+\s+(\d+)\s+([a-zA-Z])\s+(.+)$/;
+
+/** nm symbol types stored in RAM (initialized data, bss, weak objects) */
+const RAM_SYMBOL_TYPES = new Set(["d", "b", "v", "g", "s"]);
+
+let budgetsPath = null;
+let budgets = {};
+
+/**
+ * Percentage as printed by arduino-cli, else computed from the maximum
+ */
+function percentOf(printed, used, max) {
+  if (printed !== undefined) return parseInt(printed, 10);
+  return max ? Math.floor((used / max) * 100) : null;
+}
+
+/**
+ * Parse the size report arduino-cli prints after linking
+ * @param {string} compileLog - Compiler output
+ * @returns {{flash: object|null, ram: object|null}|null} Byte counts
+ *   ({used, max, percent}, RAM also has `free`), null if not reported
+ */
+export function parseMemoryUsage(compileLog) {
+  const text = String(compileLog || "");
+  const flashMatch = text.match(FLASH_USAGE_PATTERN);
+  const ramMatch = text.match(RAM_USAGE_PATTERN);
+  if (!flashMatch && !ramMatch) return null;
+
+  let flash = null;
+  if (flashMatch) {
+    const used = parseInt(flashMatch[1], 10);
+    const max = flashMatch[3] ? parseInt(flashMatch[3], 10) : null;
+    flash = { used, max, percent: percentOf(flashMatch[2], used, max) };
+  }
+
+  let ram = null;
+  if (ramMatch) {
+    const used = parseInt(ramMatch[1], 10);
+    const max = ramMatch[4] ? parseInt(ramMatch[4], 10) : null;
+    ram = {
+      used,
+      max,
+      percent: percentOf(ramMatch[2], used, max),
+      free: ramMatch[3] ? parseInt(ramMatch[3], 10) : max ? max - used : null,
+    };
+  }
+
+  return { flash, ram };
+}
+
+/**
+ * Locate the core's nm tool from expanded build properties
+ *
+ * Platforms name their size tool (avr-size, arm-none-eabi-size, ...); nm
+ * sits next to it with the same prefix.
+ *
+ * @param {Map<string, string>} properties - Expanded build properties
+ * @returns {string|null} Path to nm, null if it cannot be found
+ */
+export function findNmTool(properties) {
+  const compilerPath = properties.get("compiler.path") || "";
+  const candidates = [
+    properties.get("compiler.size.cmd")?.replace(/size$/, "nm"),
+    properties.get("compiler.c.elf.cmd")?.replace(/g(?:cc|\+\+)$/, "nm"),
+  ].filter(Boolean);
+
+  const extension = process.platform === "win32" ? ".exe" : "";
+  for (const name of candidates) {
+    const toolPath = path.join(compilerPath, `${name}${extension}`);
+    if (fs.existsSync(toolPath)) return toolPath;
+  }
+  return null;
+}
+
+/**
+ * Find the linked ELF in a build path
+ * @param {string} buildPath - arduino-cli build path
+ * @param {string} sketchName - Sketch folder name
+ * @returns {string|null}
+ */
+export function findElfFile(buildPath, sketchName) {
+  const expected = path.join(buildPath, `${sketchName}.ino.elf`);
+  if (fs.existsSync(expected)) return expected;
+
+  try {
+    const elf = fs.readdirSync(buildPath).find((name) => name.endsWith(".elf"));
+    return elf ? path.join(buildPath, elf) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * List the largest flash and RAM symbols of an ELF file
+ * @param {string} nmPath - Core's nm tool
+ * @param {string} elfPath - Linked sketch
+ * @returns {Promise<{flash: object[], ram: object[]}>} Largest first,
+ *   each {name, size, type}
+ */
+export function readLargestSymbols(nmPath, elfPath) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      nmPath,
+      [
+        "--print-size",
+        "--size-sort",
+        "--reverse-sort",
+        "-C",
+        "-t",
+        "d",
+        elfPath,
+      ],
+      { timeout: NM_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 },
+      (err, stdout) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const symbols = { flash: [], ram: [] };
+        for (const line of stdout.split(/\r?\n/)) {
+          const match = line.match(NM_LINE_PATTERN);
+          if (!match) continue;
+
+          const [, size, type, name] = match;
+          const list = RAM_SYMBOL_TYPES.has(type.toLowerCase())
+            ? symbols.ram
+            : symbols.flash;
+          if (list.length < MAX_SYMBOLS) {
+            list.push({ name, size: parseInt(size, 10), type });
+          }
+        }
+        resolve(symbols);
+      }
+    );
+  });
+}
+
+/**
+ * Boards share a budget regardless of menu options
+ */
+function budgetKey(fqbn) {
+  return String(fqbn).split(":").slice(0, 3).join(":");
+}
+
+/**
+ * Load saved budgets and keep saving to the same file
+ * @param {string} filePath - JSON budgets file
+ */
+export function configureMemoryBudgets(filePath) {
+  budgetsPath = filePath;
+  try {
+    budgets = JSON.parse(fs.readFileSync(filePath, "utf8")).budgets || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`[Memory] Ignoring unreadable budgets: ${err.message}`);
+    }
+    budgets = {};
+  }
+}
+
+/**
+ * RAM warning threshold for a board
+ * @param {string} fqbn - Board FQBN
+ * @returns {{ramWarnPercent: number, custom: boolean}}
+ */
+export function getMemoryBudget(fqbn) {
+  const saved = budgets[budgetKey(fqbn)];
+  return saved
+    ? { ramWarnPercent: saved.ramWarnPercent, custom: true }
+    : { ramWarnPercent: DEFAULT_RAM_WARN_PERCENT, custom: false };
+}
+
+/**
+ * List saved budgets and the default
+ * @returns {{defaults: object, budgets: object}}
+ */
+export function listMemoryBudgets() {
+  return {
+    defaults: { ramWarnPercent: DEFAULT_RAM_WARN_PERCENT },
+    budgets: { ...budgets },
+  };
+}
+
+/**
+ * Set or clear a board's RAM warning threshold
+ * @param {string} fqbn - Board FQBN (board options are ignored)
+ * @param {number|null} ramWarnPercent - 1-100, or null for the default
+ * @returns {{ramWarnPercent: number, custom: boolean}} The budget now in effect
+ * @throws {Error} If the percentage is out of range
+ */
+export function setMemoryBudget(fqbn, ramWarnPercent) {
+  const key = budgetKey(fqbn);
+  if (ramWarnPercent === null || ramWarnPercent === undefined) {
+    delete budgets[key];
+  } else {
+    const percent = Number(ramWarnPercent);
+    if (!Number.isFinite(percent) || percent < 1 || percent > 100) {
+      const error = new Error("ramWarnPercent must be between 1 and 100");
+      error.code = "INVALID_BUDGET";
+      throw error;
+    }
+    budgets[key] = { ramWarnPercent: percent };
+  }
+
+  if (budgetsPath) {
+    fs.mkdirSync(path.dirname(budgetsPath), { recursive: true });
+    fs.writeFileSync(budgetsPath, JSON.stringify({ budgets }, null, 2));
+  }
+  return getMemoryBudget(fqbn);
+}
+
+/**
+ * Warnings for a usage report against the board's budget
+ * @param {{flash: object|null, ram: object|null}} usage - From parseMemoryUsage()
+ * @param {{ramWarnPercent: number}} budget - From getMemoryBudget()
+ * @returns {string[]}
+ */
+export function checkMemoryBudget(usage, budget) {
+  const warnings = [];
+  if (usage.ram?.percent !== null && usage.ram?.percent !== undefined) {
+    if (usage.ram.percent >= budget.ramWarnPercent) {
+      warnings.push(
+        `RAM use is ${usage.ram.percent}% (warning threshold ${budget.ramWarnPercent}%), only ${usage.ram.free} bytes left for local variables`
+      );
+    }
+  }
+  if (usage.flash?.percent > 100) {
+    warnings.push(
+      `Sketch is ${
+        usage.flash.used - usage.flash.max
+      } bytes larger than the available flash`
+    );
+  }
+  return warnings;
+}
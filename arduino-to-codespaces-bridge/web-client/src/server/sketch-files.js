@@ -0,0 +1,348 @@
+/**
+ * Sketch Files Module
+ *
+ * Source files of a sketch folder for the web client's editor:
+ * - Only .ino, .h, .cpp and .c files, named relative to the sketch folder
+ *   (subfolders such as `src/` are allowed)
+ * - Names are checked before any file access, and symlinks may not lead
+ *   outside the sketch folder
+ * - Saves can pass the modification time they started from, so edits made
+ *   elsewhere (VS Code, git) are not overwritten
+ * - The main .ino (named after the folder) cannot be renamed or deleted,
+ *   arduino-cli needs it
+ * - Library and platform examples are opened by absolute path, which must
+ *   lead into one of the folders examples come from
+ */
+
+import fs from "fs";
+import path from "path";
+
+/** Extensions the editor may open and create */
+const SOURCE_EXTENSIONS = new Set([".ino", ".h", ".cpp", ".c"]);
+
+/** Largest file the editor reads or writes */
+const MAX_FILE_SIZE = 512 * 1024;
+
+/** How deep listSketchFiles() looks into subfolders */
+const MAX_LIST_DEPTH = 4;
+
+/** Folders that never hold sketch sources */
+const IGNORED_DIRS = new Set(["build", "node_modules"]);
+
+/** One path segment: letters, digits, space, dot, dash, underscore */
+const SEGMENT_PATTERN = /^[\w][\w .-]*$/;
+
+/** Content of newly created files by extension */
+const NEW_FILE_CONTENT = {
+  ".ino": "",
+  ".h": "#pragma once\n\n#include <Arduino.h>\n",
+  ".cpp": "#include <Arduino.h>\n",
+  ".c": "",
+};
+
+function fileError(message, code = "INVALID_FILE_NAME") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Main sketch file, which arduino-cli requires
+ * @param {string} sketchDir - Absolute sketch folder
+ * @returns {string} e.g. "Blink.ino" for the folder "Blink"
+ */
+export function getMainFileName(sketchDir) {
+  return `${path.basename(sketchDir)}.ino`;
+}
+
+/**
+ * Throw unless a path (or, for new files, its closest existing parent)
+ * really lies inside the sketch folder once symlinks are followed
+ */
+function assertInsideSketch(sketchDir, absolutePath) {
+  const root = fs.realpathSync(sketchDir);
+  let existing = absolutePath;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+
+  const real = fs.realpathSync(existing);
+  if (real !== root && !real.startsWith(root + path.sep)) {
+    throw fileError("File is outside the sketch folder");
+  }
+}
+
+/**
+ * Find a library or platform example folder sent by absolute path
+ *
+ * The path must resolve, symlinks followed, to a folder inside one of the
+ * roots, e.g. the sketchbook's libraries/ folder.
+ *
+ * @param {string} examplePath - Absolute example folder
+ * @param {string[]} roots - Folders examples may come from
+ * @returns {string|null} Real path of the example, null if it is not a
+ *   folder or lies outside every root
+ */
+export function resolveExampleFolder(examplePath, roots) {
+  if (typeof examplePath !== "string" || !path.isAbsolute(examplePath)) {
+    return null;
+  }
+
+  let real;
+  try {
+    real = fs.realpathSync(examplePath);
+    if (!fs.statSync(real).isDirectory()) return null;
+  } catch (err) {
+    return null;
+  }
+
+  const inside = roots.some((root) => {
+    try {
+      return real.startsWith(fs.realpathSync(root) + path.sep);
+    } catch (err) {
+      return false;
+    }
+  });
+  return inside ? real : null;
+}
+
+/**
+ * Check a file name from a request and find the file
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - Name relative to the sketch, with / separators
+ * @returns {{name: string, absolutePath: string}} Normalized name and path
+ * @throws {Error} INVALID_FILE_NAME for other extensions, hidden files or
+ *   paths leaving the sketch folder
+ */
+export function resolveSketchFile(sketchDir, name) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw fileError("File name is required");
+  }
+
+  const segments = name.trim().split("/");
+  if (segments.some((segment) => !SEGMENT_PATTERN.test(segment))) {
+    throw fileError(
+      `Invalid file name "${name}": use letters, digits, spaces, . - _ and / for folders`
+    );
+  }
+
+  const normalized = segments.join("/");
+  const extension = path.extname(normalized).toLowerCase();
+  if (!SOURCE_EXTENSIONS.has(extension)) {
+    throw fileError(
+      `Only ${[...SOURCE_EXTENSIONS].join(", ")} files can be edited`
+    );
+  }
+
+  const absolutePath = path.resolve(sketchDir, ...segments);
+  if (!absolutePath.startsWith(path.resolve(sketchDir) + path.sep)) {
+    throw fileError("File is outside the sketch folder");
+  }
+  assertInsideSketch(sketchDir, absolutePath);
+
+  return { name: normalized, absolutePath };
+}
+
+function statFile(absolutePath, name) {
+  let stats;
+  try {
+    stats = fs.statSync(absolutePath);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw fileError(`${name} does not exist`, "FILE_NOT_FOUND");
+    }
+    throw err;
+  }
+  if (!stats.isFile()) {
+    throw fileError(`${name} is not a file`, "FILE_NOT_FOUND");
+  }
+  return stats;
+}
+
+function checkSize(name, bytes) {
+  if (bytes > MAX_FILE_SIZE) {
+    throw fileError(
+      `${name} is larger than ${MAX_FILE_SIZE / 1024} KB`,
+      "FILE_TOO_LARGE"
+    );
+  }
+}
+
+/**
+ * Source files of a sketch, main .ino first
+ * @param {string} sketchDir - Absolute sketch folder
+ * @returns {Array<{name: string, size: number, modified: number}>}
+ */
+export function listSketchFiles(sketchDir) {
+  const files = [];
+
+  const walk = (dir, prefix, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const absolutePath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < MAX_LIST_DEPTH && !IGNORED_DIRS.has(entry.name)) {
+          walk(absolutePath, name, depth + 1);
+        }
+      } else if (
+        entry.isFile() &&
+        SOURCE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+      ) {
+        const stats = fs.statSync(absolutePath);
+        files.push({ name, size: stats.size, modified: stats.mtimeMs });
+      }
+    }
+  };
+  walk(sketchDir, "", 0);
+
+  // Main sketch, then the other tabs the Arduino IDE would show, then the rest
+  const mainFile = getMainFileName(sketchDir);
+  const rank = (file) =>
+    file.name === mainFile ? 0 : file.name.endsWith(".ino") ? 1 : 2;
+  return files.sort(
+    (a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Read a source file
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - File name relative to the sketch
+ * @returns {{name: string, content: string, modified: number}}
+ * @throws {Error} INVALID_FILE_NAME, FILE_NOT_FOUND or FILE_TOO_LARGE
+ */
+export function readSketchFile(sketchDir, name) {
+  const file = resolveSketchFile(sketchDir, name);
+  const stats = statFile(file.absolutePath, file.name);
+  checkSize(file.name, stats.size);
+
+  return {
+    name: file.name,
+    content: fs.readFileSync(file.absolutePath, "utf8"),
+    modified: stats.mtimeMs,
+  };
+}
+
+/**
+ * Save a source file that already exists
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - File name relative to the sketch
+ * @param {string} content - New content
+ * @param {Object} [options]
+ * @param {number} [options.modified] - Modification time the edit started
+ *   from; the save is refused if the file changed since
+ * @returns {{name: string, modified: number}}
+ * @throws {Error} FILE_CONFLICT if the file changed on disk, or
+ *   INVALID_FILE_NAME, FILE_NOT_FOUND, FILE_TOO_LARGE
+ */
+export function writeSketchFile(sketchDir, name, content, { modified } = {}) {
+  if (typeof content !== "string") {
+    throw fileError("File content must be a string", "INVALID_CONTENT");
+  }
+  const file = resolveSketchFile(sketchDir, name);
+  const stats = statFile(file.absolutePath, file.name);
+  checkSize(file.name, Buffer.byteLength(content));
+
+  if (
+    modified !== undefined &&
+    modified !== null &&
+    stats.mtimeMs !== modified
+  ) {
+    throw fileError(
+      `${file.name} was changed on disk since it was opened`,
+      "FILE_CONFLICT"
+    );
+  }
+
+  fs.writeFileSync(file.absolutePath, content);
+  return { name: file.name, modified: fs.statSync(file.absolutePath).mtimeMs };
+}
+
+/**
+ * Create a source file, and its folder if needed
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - File name relative to the sketch
+ * @param {string} [content] - Initial content, a starter for the file type
+ *   if left out
+ * @returns {{name: string, content: string, modified: number}}
+ * @throws {Error} FILE_EXISTS, INVALID_FILE_NAME or FILE_TOO_LARGE
+ */
+export function createSketchFile(sketchDir, name, content) {
+  const file = resolveSketchFile(sketchDir, name);
+  if (fs.existsSync(file.absolutePath)) {
+    throw fileError(`${file.name} already exists`, "FILE_EXISTS");
+  }
+
+  const text =
+    typeof content === "string"
+      ? content
+      : NEW_FILE_CONTENT[path.extname(file.name).toLowerCase()];
+  checkSize(file.name, Buffer.byteLength(text));
+
+  fs.mkdirSync(path.dirname(file.absolutePath), { recursive: true });
+  fs.writeFileSync(file.absolutePath, text, { flag: "wx" });
+  return {
+    name: file.name,
+    content: text,
+    modified: fs.statSync(file.absolutePath).mtimeMs,
+  };
+}
+
+/**
+ * Rename or move a source file within the sketch
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - Current file name
+ * @param {string} newName - New file name
+ * @returns {{name: string, modified: number}}
+ * @throws {Error} MAIN_SKETCH_FILE for the main .ino, FILE_EXISTS,
+ *   FILE_NOT_FOUND or INVALID_FILE_NAME
+ */
+export function renameSketchFile(sketchDir, name, newName) {
+  const from = resolveSketchFile(sketchDir, name);
+  const to = resolveSketchFile(sketchDir, newName);
+  statFile(from.absolutePath, from.name);
+
+  const mainFile = getMainFileName(sketchDir);
+  if (from.name === mainFile) {
+    throw fileError(
+      `${mainFile} must keep the folder's name, rename the sketch folder instead`,
+      "MAIN_SKETCH_FILE"
+    );
+  }
+  if (fs.existsSync(to.absolutePath)) {
+    throw fileError(`${to.name} already exists`, "FILE_EXISTS");
+  }
+
+  fs.mkdirSync(path.dirname(to.absolutePath), { recursive: true });
+  fs.renameSync(from.absolutePath, to.absolutePath);
+  return { name: to.name, modified: fs.statSync(to.absolutePath).mtimeMs };
+}
+
+/**
+ * Delete a source file
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - File name relative to the sketch
+ * @throws {Error} MAIN_SKETCH_FILE for the main .ino, FILE_NOT_FOUND or
+ *   INVALID_FILE_NAME
+ */
+export function deleteSketchFile(sketchDir, name) {
+  const file = resolveSketchFile(sketchDir, name);
+  statFile(file.absolutePath, file.name);
+
+  if (file.name === getMainFileName(sketchDir)) {
+    throw fileError(
+      `${file.name} is the main sketch file and cannot be deleted`,
+      "MAIN_SKETCH_FILE"
+    );
+  }
+  fs.unlinkSync(file.absolutePath);
+}
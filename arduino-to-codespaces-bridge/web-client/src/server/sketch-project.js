@@ -0,0 +1,486 @@
+/**
+ * Sketch Project Module
+ *
+ * Per-sketch settings kept in the sketch folder's sketch.yaml:
+ * - `default_fqbn` holds the board and its menu options, arduino-cli uses it
+ *   when no --fqbn is given
+ * - Bridge settings (serial baud, line ending, required libraries, plotter
+ *   series) live under a `bridge:` key, which arduino-cli ignores
+ * - Build profiles pin platform and library versions (`--profile`)
+ * - Updates keep comments and anything else written by hand
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+/** File names arduino-cli accepts for the project file, preferred first */
+const PROJECT_FILES = ["sketch.yaml", "sketch.yml"];
+
+/** Line ending choices of the serial monitor */
+const LINE_ENDINGS = new Set(["none", "nl", "cr", "nlcr"]);
+
+/** Y axes a plotter series can be drawn on */
+const PLOTTER_AXES = ["left", "right"];
+
+/** Series colors, as given by <input type="color"> */
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/** vendor:arch:board with optional menu options (key=value,...) */
+const FQBN_PATTERN =
+  /^[\w.-]+:[\w.-]+:[\w.-]+(?::[\w.-]+=[\w.-]+(?:,[\w.-]+=[\w.-]+)*)?$/;
+
+/** Profile names usable as YAML keys and on the command line */
+const PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+/** "Name (version)" entries of profile platforms and libraries */
+const PINNED_PATTERN = /^(.+?)\s*\(([^()]+)\)\s*$/;
+
+/** Header of the table arduino-cli prints after a successful compile */
+const USED_LIBRARY_HEADER = /^Used library\s+Version\s+Path\s*$/;
+
+/**
+ * Project file of a sketch
+ * @param {string} sketchDir - Absolute sketch folder
+ * @returns {string} Existing sketch.yaml/sketch.yml, else where to create one
+ */
+export function getProjectFilePath(sketchDir) {
+  const existing = PROJECT_FILES.map((name) => path.join(sketchDir, name)).find(
+    (filePath) => fs.existsSync(filePath)
+  );
+  return existing || path.join(sketchDir, PROJECT_FILES[0]);
+}
+
+function invalidProject(message, code = "INVALID_PROJECT") {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a project file, keeping comments and layout for rewriting
+ * @returns {YAML.Document|null} null if the file does not exist
+ */
+function loadDocument(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const doc = YAML.parseDocument(text);
+  if (doc.errors.length > 0) {
+    throw invalidProject(
+      `${path.basename(filePath)}: ${doc.errors[0].message.split("\n")[0]}`
+    );
+  }
+  if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+    throw invalidProject(`${path.basename(filePath)} must contain a mapping`);
+  }
+  return doc;
+}
+
+/**
+ * Split a pinned entry such as "ArduinoJson (7.0.4)"
+ * @returns {{name: string, version: string|null}}
+ */
+function parsePinned(entry) {
+  const text = String(entry ?? "").trim();
+  const match = text.match(PINNED_PATTERN);
+  return match
+    ? { name: match[1], version: match[2].trim() }
+    : { name: text, version: null };
+}
+
+/**
+ * Profiles of a parsed project file
+ */
+function toProfiles(data) {
+  const profiles =
+    data.profiles && typeof data.profiles === "object" ? data.profiles : {};
+
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    fqbn: typeof profile?.fqbn === "string" ? profile.fqbn : null,
+    notes: typeof profile?.notes === "string" ? profile.notes : "",
+    platforms: (Array.isArray(profile?.platforms) ? profile.platforms : []).map(
+      (entry) => {
+        const { name: id, version } = parsePinned(entry?.platform);
+        return { id, version, indexUrl: entry?.platform_index_url || null };
+      }
+    ),
+    // Libraries can also be local folders ({dir: path})
+    libraries: (Array.isArray(profile?.libraries) ? profile.libraries : []).map(
+      (entry) => (entry?.dir ? `dir: ${entry.dir}` : String(entry))
+    ),
+  }));
+}
+
+/**
+ * Plotter settings with anything invalid or left at its default dropped
+ * @param {*} value - `bridge.plotter` as read or sent
+ * @returns {{series?: Object, lock?: Object}|null} Null when nothing is set
+ */
+function toPlotterSettings(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const finite = (number) =>
+    typeof number === "number" && Number.isFinite(number);
+
+  const series = {};
+  const configs =
+    value.series && typeof value.series === "object" ? value.series : {};
+  for (const [label, config] of Object.entries(configs)) {
+    if (!config || typeof config !== "object") continue;
+
+    const entry = {};
+    if (config.hidden === true) entry.hidden = true;
+    if (config.axis === "right") entry.axis = "right";
+    if (finite(config.scale) && config.scale !== 1) entry.scale = config.scale;
+    if (finite(config.offset) && config.offset !== 0) {
+      entry.offset = config.offset;
+    }
+    if (finite(config.min)) entry.min = config.min;
+    if (finite(config.max)) entry.max = config.max;
+    if (entry.min >= entry.max) {
+      delete entry.min;
+      delete entry.max;
+    }
+    if (COLOR_PATTERN.test(config.color)) entry.color = config.color;
+    if (Object.keys(entry).length > 0) series[label] = entry;
+  }
+
+  const lock = {};
+  for (const axis of PLOTTER_AXES) {
+    const range = value.lock?.[axis];
+    if (finite(range?.min) && finite(range?.max) && range.min < range.max) {
+      lock[axis] = { min: range.min, max: range.max };
+    }
+  }
+
+  const settings = {};
+  if (Object.keys(series).length > 0) settings.series = series;
+  if (Object.keys(lock).length > 0) settings.lock = lock;
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * Settings stored in a project document
+ */
+function toProject(doc, filePath) {
+  const data = doc?.toJS() || {};
+  const bridge =
+    data.bridge && typeof data.bridge === "object" ? data.bridge : {};
+
+  return {
+    exists: Boolean(doc),
+    file: path.basename(filePath),
+    fqbn: typeof data.default_fqbn === "string" ? data.default_fqbn : null,
+    baud: Number.isInteger(bridge.baud) ? bridge.baud : null,
+    lineEnding: LINE_ENDINGS.has(bridge.line_ending)
+      ? bridge.line_ending
+      : null,
+    libraries: Array.isArray(bridge.libraries)
+      ? bridge.libraries.map(String)
+      : [],
+    plotter: toPlotterSettings(bridge.plotter),
+    profiles: toProfiles(data),
+    defaultProfile:
+      typeof data.default_profile === "string" ? data.default_profile : null,
+  };
+}
+
+/**
+ * Read a sketch's project settings
+ * @param {string} sketchDir - Absolute sketch folder
+ * @returns {{exists: boolean, file: string, fqbn: string|null,
+ *   baud: number|null, lineEnding: string|null, libraries: string[],
+ *   plotter: Object|null, profiles: Object[], defaultProfile: string|null}}
+ *   Unset values are null (lists empty); profiles are {name, fqbn, notes,
+ *   platforms, libraries}
+ * @throws {Error} INVALID_PROJECT if the file is not valid YAML
+ */
+export function readSketchProject(sketchDir) {
+  const filePath = getProjectFilePath(sketchDir);
+  return toProject(loadDocument(filePath), filePath);
+}
+
+/**
+ * Build profile of a sketch
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - Profile name
+ * @returns {Object} {name, fqbn, notes, platforms, libraries}
+ * @throws {Error} UNKNOWN_PROFILE if there is no such profile,
+ *   INVALID_PROJECT if it has no fqbn or the file is not valid YAML
+ */
+export function getSketchProfile(sketchDir, name) {
+  const profile = readSketchProject(sketchDir).profiles.find(
+    (entry) => entry.name === name
+  );
+  if (!profile) {
+    throw invalidProject(`No profile named "${name}"`, "UNKNOWN_PROFILE");
+  }
+  if (!profile.fqbn || !FQBN_PATTERN.test(profile.fqbn)) {
+    throw invalidProject(`Profile "${name}" has no valid fqbn`);
+  }
+  return profile;
+}
+
+/**
+ * Apply changes to a sketch's project file, creating it if needed
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {function(YAML.Document): void} edit - Changes the document
+ * @returns {{project: Object, changed: boolean}} The file is only written
+ *   when its text changed
+ */
+function editProject(sketchDir, edit) {
+  const filePath = getProjectFilePath(sketchDir);
+  const existing = loadDocument(filePath);
+  const doc = existing || new YAML.Document({});
+  const before = existing ? doc.toString() : "";
+
+  edit(doc);
+
+  const after = doc.toString();
+  const changed = after !== before;
+  if (changed) fs.writeFileSync(filePath, after);
+
+  return { project: toProject(doc, filePath), changed };
+}
+
+/**
+ * @throws {Error} INVALID_PROJECT for a value that cannot be saved
+ */
+function validateUpdates({
+  fqbn,
+  baud,
+  lineEnding,
+  libraries,
+  plotter,
+  defaultProfile,
+}) {
+  if (fqbn && !FQBN_PATTERN.test(fqbn)) {
+    throw invalidProject(`Invalid FQBN: ${fqbn}`);
+  }
+  if (baud && (!Number.isInteger(baud) || baud <= 0)) {
+    throw invalidProject(`Invalid baud rate: ${baud}`);
+  }
+  if (lineEnding && !LINE_ENDINGS.has(lineEnding)) {
+    throw invalidProject(`Invalid line ending: ${lineEnding}`);
+  }
+  if (
+    libraries &&
+    (!Array.isArray(libraries) ||
+      libraries.some((lib) => typeof lib !== "string"))
+  ) {
+    throw invalidProject("libraries must be a list of names");
+  }
+  if (plotter && (typeof plotter !== "object" || Array.isArray(plotter))) {
+    throw invalidProject("plotter must be an object");
+  }
+  if (defaultProfile && !PROFILE_NAME_PATTERN.test(defaultProfile)) {
+    throw invalidProject(`Invalid profile name: ${defaultProfile}`);
+  }
+}
+
+/**
+ * Change a sketch's project settings, creating sketch.yaml if needed
+ *
+ * Omitted (undefined) settings are left alone, null removes a setting. The
+ * file is only written when something changed.
+ *
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {{fqbn?: string|null, baud?: number|null, lineEnding?: string|null,
+ *   libraries?: string[]|null, plotter?: Object|null,
+ *   defaultProfile?: string|null}} updates; plotter settings are stored
+ *   without invalid or default values
+ * @returns {{project: Object, changed: boolean}} Settings after the update
+ * @throws {Error} INVALID_PROJECT for invalid values or an unreadable file,
+ *   UNKNOWN_PROFILE for a default profile that does not exist
+ */
+export function updateSketchProject(sketchDir, updates) {
+  validateUpdates(updates);
+
+  return editProject(sketchDir, (doc) => {
+    // Settings go into a bridge mapping, replace anything else found there
+    if (doc.has("bridge") && !YAML.isMap(doc.get("bridge"))) {
+      doc.delete("bridge");
+    }
+
+    const current = doc.toJS() || {};
+    if (updates.defaultProfile && !current.profiles?.[updates.defaultProfile]) {
+      throw invalidProject(
+        `No profile named "${updates.defaultProfile}"`,
+        "UNKNOWN_PROFILE"
+      );
+    }
+
+    const set = (keyPath, value) => {
+      if (value === undefined) return;
+      const previous = keyPath.reduce((data, key) => data?.[key], current);
+      if (value === null || (Array.isArray(value) && value.length === 0)) {
+        if (previous !== undefined) doc.deleteIn(keyPath);
+      } else if (JSON.stringify(previous) !== JSON.stringify(value)) {
+        doc.setIn(keyPath, value);
+      }
+    };
+    set(["default_fqbn"], updates.fqbn);
+    set(["default_profile"], updates.defaultProfile);
+    set(["bridge", "baud"], updates.baud);
+    set(["bridge", "line_ending"], updates.lineEnding);
+    set(["bridge", "libraries"], updates.libraries);
+    if (updates.plotter !== undefined) {
+      set(["bridge", "plotter"], toPlotterSettings(updates.plotter));
+    }
+
+    // Drop an emptied bridge section
+    const bridge = doc.get("bridge");
+    if (YAML.isMap(bridge) && bridge.items.length === 0) doc.delete("bridge");
+  });
+}
+
+/**
+ * Pin a board's platform and the sketch's libraries at the installed versions
+ *
+ * Libraries come from the sketch's recorded `libraries` (see
+ * parseUsedLibraries()); without a record every library in the user's
+ * sketchbook is pinned. Libraries bundled with a platform are left out, the
+ * platform provides them.
+ *
+ * @param {object} params
+ * @param {string} params.fqbn - Board, including menu options
+ * @param {Object[]} params.platforms - Installed platforms ({id, installedVersion})
+ * @param {Object[]} params.libraries - Installed libraries ({name, installedVersion, location})
+ * @param {string[]} [params.usedLibraries] - Libraries the sketch uses
+ * @param {string[]} [params.boardUrls] - Additional board manager URLs
+ * @returns {{profile: Object, warnings: string[]}} Profile in the format of
+ *   getSketchProfile()
+ * @throws {Error} INVALID_PROJECT if the board's platform is not installed
+ */
+export function createProfile({
+  fqbn,
+  platforms,
+  libraries,
+  usedLibraries = [],
+  boardUrls = [],
+}) {
+  if (!FQBN_PATTERN.test(String(fqbn))) {
+    throw invalidProject(`Invalid FQBN: ${fqbn}`);
+  }
+
+  const warnings = [];
+  const [vendor, arch] = fqbn.split(":");
+  const platformId = `${vendor}:${arch}`;
+  const platform = platforms.find((entry) => entry.id === platformId);
+  if (!platform?.installedVersion) {
+    throw invalidProject(`Platform ${platformId} is not installed`);
+  }
+
+  // Only Arduino's own platforms are in the default index
+  let indexUrl = null;
+  if (vendor !== "arduino") {
+    indexUrl =
+      boardUrls.find((url) =>
+        path.basename(url).toLowerCase().includes(vendor.toLowerCase())
+      ) || (boardUrls.length === 1 ? boardUrls[0] : null);
+    if (!indexUrl) {
+      warnings.push(
+        `No board manager URL found for ${platformId}, add platform_index_url to the profile`
+      );
+    }
+  }
+
+  const userLibraries = libraries.filter((lib) => lib.location === "user");
+  const used = usedLibraries.map((entry) => parsePinned(entry).name);
+  const pinned = (
+    used.length > 0
+      ? userLibraries.filter((lib) => used.includes(lib.name))
+      : userLibraries
+  )
+    .map((lib) =>
+      lib.installedVersion ? `${lib.name} (${lib.installedVersion})` : lib.name
+    )
+    .sort((a, b) => a.localeCompare(b));
+  if (used.length === 0 && pinned.length > 0) {
+    warnings.push(
+      "Compile the sketch first to pin only the libraries it uses; all installed libraries were pinned"
+    );
+  }
+
+  return {
+    profile: {
+      fqbn,
+      notes: `Generated from installed versions on ${
+        new Date().toISOString().split("T")[0]
+      }`,
+      platforms: [
+        { id: platformId, version: platform.installedVersion, indexUrl },
+      ],
+      libraries: pinned,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Add or replace a build profile in a sketch's project file
+ * @param {string} sketchDir - Absolute sketch folder
+ * @param {string} name - Profile name
+ * @param {Object} profile - From createProfile()
+ * @param {{makeDefault?: boolean}} [options] - Also set default_profile
+ * @returns {{project: Object, changed: boolean}}
+ * @throws {Error} INVALID_PROJECT for an invalid name or unreadable file
+ */
+export function saveSketchProfile(sketchDir, name, profile, options = {}) {
+  if (!PROFILE_NAME_PATTERN.test(String(name))) {
+    throw invalidProject(
+      "Profile names may only use letters, digits, '.', '_' and '-'"
+    );
+  }
+
+  return editProject(sketchDir, (doc) => {
+    if (doc.has("profiles") && !YAML.isMap(doc.get("profiles"))) {
+      throw invalidProject("profiles in the project file must be a mapping");
+    }
+
+    // arduino-cli's layout: platforms are {platform, platform_index_url}
+    doc.setIn(["profiles", name], {
+      ...(profile.notes ? { notes: profile.notes } : {}),
+      fqbn: profile.fqbn,
+      platforms: profile.platforms.map((platform) => ({
+        platform: `${platform.id} (${platform.version})`,
+        ...(platform.indexUrl ? { platform_index_url: platform.indexUrl } : {}),
+      })),
+      ...(profile.libraries.length > 0 ? { libraries: profile.libraries } : {}),
+    });
+    if (options.makeDefault) doc.set("default_profile", name);
+  });
+}
+
+/**
+ * Libraries listed in arduino-cli's "Used library" table
+ * @param {string} compileLog - Output of a successful compile
+ * @returns {string[]} "Name (version)" like sketch.yaml profiles, name only
+ *   when the version is unknown
+ */
+export function parseUsedLibraries(compileLog) {
+  const lines = String(compileLog || "").split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => USED_LIBRARY_HEADER.test(line));
+  if (headerIndex === -1) return [];
+
+  // Columns are padded to the widest entry, names may contain spaces
+  const header = lines[headerIndex];
+  const versionColumn = header.indexOf("Version");
+  const pathColumn = header.indexOf("Path");
+
+  const libraries = [];
+  for (const line of lines.slice(headerIndex + 1)) {
+    if (!line.trim()) break;
+
+    const name = line.slice(0, versionColumn).trim();
+    const version = line.slice(versionColumn, pathColumn).trim();
+    if (name) libraries.push(version ? `${name} (${version})` : name);
+  }
+  return libraries;
+}
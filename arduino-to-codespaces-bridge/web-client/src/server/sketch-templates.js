@@ -0,0 +1,177 @@
+/**
+ * Sketch Templates Module
+ *
+ * Creates new sketch folders in the workspace:
+ * - Names follow the Arduino sketch specification, and the folder gets a
+ *   matching main .ino so arduino-cli accepts it
+ * - Built-in templates for common starting points, read from
+ *   resources/sketch-templates (`{{name}}` becomes the sketch name)
+ * - Or a copy of a library example, with its main .ino renamed to match
+ */
+
+import fs from "fs";
+import path from "path";
+import { resolveExampleFolder } from "./sketch-files.js";
+
+/**
+ * Sketch names from the Arduino sketch specification: a letter, digit or
+ * underscore, then letters, digits, underscores, dots and dashes, at most
+ * 63 characters
+ */
+const SKETCH_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/;
+
+/** Folder with templates.json and the template sources */
+let templatesDir = null;
+
+/**
+ * Set where the built-in templates live (resources/sketch-templates, shared
+ * with the VS Code extension)
+ * @param {string} dir - Absolute folder
+ */
+export function configureSketchTemplates(dir) {
+  templatesDir = dir;
+}
+
+/**
+ * Template manifest, read on each call so edits apply without a restart
+ * @returns {Array<{id: string, label: string, description: string, file: string}>}
+ */
+function loadTemplates() {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(templatesDir, "templates.json"), "utf8")
+    );
+  } catch (err) {
+    console.warn(`[Sketches] Templates unavailable: ${err.message}`);
+    return [];
+  }
+}
+
+function sketchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Built-in templates
+ * @returns {Array<{id: string, label: string, description: string}>}
+ */
+export function listSketchTemplates() {
+  return loadTemplates().map(({ id, label, description }) => ({
+    id,
+    label,
+    description,
+  }));
+}
+
+/**
+ * Check a sketch name against the Arduino sketch specification
+ * @param {string} name - Proposed sketch name
+ * @returns {string|null} Why the name is invalid, null if it is fine
+ */
+export function validateSketchName(name) {
+  if (typeof name !== "string" || !name) return "Sketch name is required";
+  if (name.length > 63) return "Sketch names are at most 63 characters";
+  if (!SKETCH_NAME_PATTERN.test(name)) {
+    return "Sketch names start with a letter, number or _ and may only contain letters, numbers, _ . and -";
+  }
+  return null;
+}
+
+/**
+ * Main .ino of an example folder, renamed when the copy gets a new name
+ */
+function findMainIno(dir) {
+  const named = `${path.basename(dir)}.ino`;
+  const inos = fs
+    .readdirSync(dir)
+    .filter((file) => file.toLowerCase().endsWith(".ino"));
+  return inos.includes(named) ? named : inos.length === 1 ? inos[0] : null;
+}
+
+/**
+ * Create a sketch folder with a matching .ino
+ * @param {string} workspaceRoot - Folder new sketches are created in
+ * @param {Object} options
+ * @param {string} options.name - Sketch name, also the folder name
+ * @param {string} [options.template="blank"] - Built-in template id
+ * @param {string} [options.examplePath] - Example folder to copy instead
+ * @param {string[]} [options.exampleRoots] - Folders examples may be copied
+ *   from (see resolveExampleFolder())
+ * @param {Set<string>} [options.reservedNames] - Folder names the sketch
+ *   list skips, which cannot hold sketches
+ * @returns {{name: string, absolutePath: string, mainFile: string}}
+ * @throws {Error} INVALID_SKETCH_NAME, SKETCH_EXISTS, UNKNOWN_TEMPLATE or
+ *   INVALID_EXAMPLE
+ */
+export function createSketch(
+  workspaceRoot,
+  {
+    name,
+    template = "blank",
+    examplePath,
+    exampleRoots = [],
+    reservedNames = new Set(),
+  }
+) {
+  const problem = validateSketchName(name);
+  if (problem) throw sketchError(problem, "INVALID_SKETCH_NAME");
+  if (reservedNames.has(name)) {
+    throw sketchError(
+      `"${name}" is used by the bridge, choose another name`,
+      "INVALID_SKETCH_NAME"
+    );
+  }
+
+  // Case-insensitive, so the sketch also works on macOS and Windows
+  const existing = fs
+    .readdirSync(workspaceRoot)
+    .find((entry) => entry.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    throw sketchError(`${existing} already exists`, "SKETCH_EXISTS");
+  }
+
+  const absolutePath = path.join(workspaceRoot, name);
+  const mainFile = `${name}.ino`;
+
+  if (examplePath) {
+    if (typeof examplePath !== "string") {
+      throw sketchError("examplePath must be a folder path", "INVALID_EXAMPLE");
+    }
+    const exampleDir = resolveExampleFolder(examplePath, exampleRoots);
+    if (!exampleDir) {
+      throw sketchError(
+        `${examplePath} is not a library or platform example`,
+        "INVALID_EXAMPLE"
+      );
+    }
+    const exampleIno = findMainIno(exampleDir);
+    if (!exampleIno) {
+      throw sketchError(
+        `${examplePath} is not a sketch folder`,
+        "INVALID_EXAMPLE"
+      );
+    }
+
+    fs.cpSync(exampleDir, absolutePath, { recursive: true });
+    if (exampleIno !== mainFile) {
+      fs.renameSync(
+        path.join(absolutePath, exampleIno),
+        path.join(absolutePath, mainFile)
+      );
+    }
+  } else {
+    const found = loadTemplates().find((entry) => entry.id === template);
+    if (!found) {
+      throw sketchError(`Unknown template "${template}"`, "UNKNOWN_TEMPLATE");
+    }
+    const source = fs
+      .readFileSync(path.join(templatesDir, found.file), "utf8")
+      .replace(/\{\{name\}\}/g, name);
+    fs.mkdirSync(absolutePath);
+    fs.writeFileSync(path.join(absolutePath, mainFile), source);
+  }
+
+  return { name, absolutePath, mainFile };
+}
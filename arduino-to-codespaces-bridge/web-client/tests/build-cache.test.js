@@ -0,0 +1,221 @@
+/**
+ * Build Cache Test Suite
+ *
+ * Cache keys, the toolchain fingerprint that invalidates builds, and pruning
+ * around compiles that are still running. Uses temporary directories in
+ * place of the arduino-cli data and user directories.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, beforeEach, afterEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  configureBuildCache,
+  getBuildCacheKey,
+  getBuildCacheStats,
+  getToolchainFingerprint,
+  normalizeFqbn,
+  prepareBuildPath,
+  pruneBuildCache,
+  releaseBuildPath,
+} from "../src/server/build-cache.js";
+
+let tempDir;
+let directories;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-cache-test-"));
+  directories = {
+    data: path.join(tempDir, "arduino15"),
+    user: path.join(tempDir, "Arduino"),
+  };
+  configureBuildCache(path.join(tempDir, "cache"), { directories });
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function installCore(vendor, arch, version) {
+  fs.mkdirSync(
+    path.join(directories.data, "packages", vendor, "hardware", arch, version),
+    { recursive: true }
+  );
+}
+
+function installLibrary(name, mtime) {
+  const dir = path.join(directories.user, "libraries", name);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, "library.properties");
+  fs.writeFileSync(file, `name=${name}\n`);
+  fs.utimesSync(file, mtime, mtime);
+}
+
+// =============================================================================
+// Keys
+// =============================================================================
+
+suite("Build cache keys", () => {
+  test("sorts board options", () => {
+    assert.strictEqual(
+      normalizeFqbn("esp32:esp32:esp32:PSRAM=enabled,FlashMode=qio"),
+      "esp32:esp32:esp32:FlashMode=qio,PSRAM=enabled"
+    );
+    assert.strictEqual(normalizeFqbn("arduino:avr:uno"), "arduino:avr:uno");
+  });
+
+  test("shares a key between option orders, not between boards", () => {
+    assert.strictEqual(
+      getBuildCacheKey("a:b:c:x=1,y=2"),
+      getBuildCacheKey("a:b:c:y=2,x=1")
+    );
+    assert.notStrictEqual(
+      getBuildCacheKey("a:b:c:x=1"),
+      getBuildCacheKey("a:b:c:x=2")
+    );
+    assert.notStrictEqual(
+      getBuildCacheKey("arduino:avr:uno"),
+      getBuildCacheKey("arduino:avr:nano")
+    );
+  });
+
+  test("gives each profile's pinned versions a key of their own", () => {
+    const profile = {
+      name: "release",
+      platforms: [{ platform: "arduino:avr (1.8.6)" }],
+      libraries: ["Servo (1.2.1)"],
+    };
+    const fqbn = "arduino:avr:uno";
+
+    assert.notStrictEqual(
+      getBuildCacheKey(fqbn, profile),
+      getBuildCacheKey(fqbn)
+    );
+    assert.strictEqual(
+      getBuildCacheKey(fqbn, profile),
+      getBuildCacheKey(fqbn, { ...profile })
+    );
+    assert.notStrictEqual(
+      getBuildCacheKey(fqbn, profile),
+      getBuildCacheKey(fqbn, { ...profile, libraries: ["Servo (1.2.2)"] })
+    );
+  });
+});
+
+// =============================================================================
+// Fingerprint
+// =============================================================================
+
+suite("Toolchain fingerprint", () => {
+  test("stays the same while nothing is installed or removed", async () => {
+    installCore("arduino", "avr", "1.8.6");
+    installLibrary("Servo", new Date(2024, 0, 1));
+    assert.strictEqual(
+      await getToolchainFingerprint(),
+      await getToolchainFingerprint()
+    );
+  });
+
+  test("changes with core versions", async () => {
+    installCore("arduino", "avr", "1.8.6");
+    const before = await getToolchainFingerprint();
+    installCore("arduino", "avr", "1.8.7");
+    assert.notStrictEqual(await getToolchainFingerprint(), before);
+  });
+
+  test("changes when a library is added or updated", async () => {
+    installLibrary("Servo", new Date(2024, 0, 1));
+    const before = await getToolchainFingerprint();
+
+    installLibrary("Servo", new Date(2024, 6, 1));
+    const updated = await getToolchainFingerprint();
+    assert.notStrictEqual(updated, before);
+
+    installLibrary("Wire", new Date(2024, 0, 1));
+    assert.notStrictEqual(await getToolchainFingerprint(), updated);
+  });
+});
+
+// =============================================================================
+// Build Paths and Pruning
+// =============================================================================
+
+suite("Build paths", () => {
+  const params = { sketchSlug: "blink", fqbn: "arduino:avr:uno" };
+
+  test("reports miss, hit, clean and invalidated", async () => {
+    installCore("arduino", "avr", "1.8.6");
+
+    const first = await prepareBuildPath(params);
+    assert.strictEqual(first.status, "miss");
+    fs.writeFileSync(path.join(first.buildPath, "core.a"), "object");
+    releaseBuildPath(first.buildPath);
+
+    const second = await prepareBuildPath(params);
+    assert.strictEqual(second.status, "hit");
+    assert.strictEqual(second.buildPath, first.buildPath);
+    assert.ok(fs.existsSync(path.join(second.buildPath, "core.a")));
+    releaseBuildPath(second.buildPath);
+
+    installCore("arduino", "avr", "1.8.7");
+    const third = await prepareBuildPath(params);
+    assert.strictEqual(third.status, "invalidated");
+    assert.ok(!fs.existsSync(path.join(third.buildPath, "core.a")));
+    releaseBuildPath(third.buildPath);
+
+    const fourth = await prepareBuildPath({ ...params, clean: true });
+    assert.strictEqual(fourth.status, "clean");
+    releaseBuildPath(fourth.buildPath);
+  });
+
+  test("never prunes a build path that is still in use", async () => {
+    const running = await prepareBuildPath(params);
+    const finished = await prepareBuildPath({
+      ...params,
+      fqbn: "arduino:avr:nano",
+    });
+    releaseBuildPath(finished.buildPath);
+
+    const pruned = await pruneBuildCache({ all: true });
+    assert.deepStrictEqual(
+      pruned.removed.map(({ fqbn }) => fqbn),
+      ["arduino:avr:nano"]
+    );
+    assert.ok(fs.existsSync(running.buildPath));
+    assert.ok(!fs.existsSync(finished.buildPath));
+
+    releaseBuildPath(running.buildPath);
+    await pruneBuildCache({ all: true });
+    assert.ok(!fs.existsSync(running.buildPath));
+  });
+
+  test("prunes the least recently used builds first", async () => {
+    for (const fqbn of ["arduino:avr:uno", "arduino:avr:nano"]) {
+      const { buildPath } = await prepareBuildPath({ ...params, fqbn });
+      fs.writeFileSync(path.join(buildPath, "sketch.o"), "x".repeat(1000));
+      releaseBuildPath(buildPath);
+      // lastUsedAt has millisecond resolution
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const stats = await getBuildCacheStats();
+    assert.deepStrictEqual(
+      stats.entries.map(({ fqbn }) => fqbn),
+      ["arduino:avr:nano", "arduino:avr:uno"]
+    );
+    assert.ok(stats.entries.every(({ bytes }) => bytes > 1000));
+
+    const pruned = await pruneBuildCache({
+      maxBytes: stats.totalBytes - 1,
+      maxAgeMs: null,
+    });
+    assert.deepStrictEqual(
+      pruned.removed.map(({ fqbn }) => fqbn),
+      ["arduino:avr:uno"]
+    );
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Compiler Diagnostics Test Suite
+ *
+ * Parses GCC output as arduino-cli prints it, with errors in the merged
+ * .ino.cpp mapped back to the .ino files through its #line directives. Runs
+ * every case against this server's parser and the extension's TypeScript
+ * port (src/server/diagnostics.ts), so the two cannot drift apart; the port
+ * is transpiled with the extension's TypeScript and skipped without it.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, before, after } from "node:test";
+import { createRequire } from "module";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseCompilerDiagnostics } from "../src/server/diagnostics.js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load the extension's parser, adapted to this server's signature
+ * @returns {Promise<Function|null>} null when TypeScript is not installed
+ */
+async function loadExtensionParser() {
+  let ts;
+  try {
+    ts = (await import("typescript")).default;
+  } catch (err) {
+    return null;
+  }
+
+  const source = fs.readFileSync(
+    new URL("../../src/server/diagnostics.ts", import.meta.url),
+    "utf8"
+  );
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2020,
+      esModuleInterop: true,
+    },
+  });
+  const module = { exports: {} };
+  new Function("require", "module", "exports", outputText)(
+    require,
+    module,
+    module.exports
+  );
+  return (log, { sketchPath, buildPath }) =>
+    module.exports.parseCompilerDiagnostics(log, sketchPath, buildPath);
+}
+
+const parsers = [
+  ["web client", parseCompilerDiagnostics],
+  ["extension", await loadExtensionParser()],
+];
+
+// =============================================================================
+// Sketch Fixture
+// =============================================================================
+
+let tempDir;
+let sketchPath;
+let buildPath;
+let libraryHeader;
+
+/** Blink.ino and Helpers.ino merged the way arduino-cli preprocesses them */
+function writeSketch() {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "diagnostics-test-"));
+  sketchPath = path.join(tempDir, "Blink");
+  buildPath = path.join(tempDir, "build");
+  libraryHeader = path.join(tempDir, "libraries", "Leds", "Leds.h");
+
+  fs.mkdirSync(sketchPath);
+  fs.mkdirSync(path.join(buildPath, "sketch"), { recursive: true });
+  fs.writeFileSync(
+    path.join(buildPath, "sketch", "Blink.ino.cpp"),
+    [
+      "#include <Arduino.h>",
+      `#line 1 "${path.join(sketchPath, "Blink.ino")}"`,
+      "void setup() {",
+      "  pinMode(13, OUTPUT);",
+      "}",
+      "",
+      "void loop() {",
+      "  digitalWrite(13, HIG);",
+      "}",
+      `#line 1 "${path.join(sketchPath, "Helpers.ino")}"`,
+      "int twice(int x) {",
+      "  return x * 2",
+      "}",
+    ].join("\n")
+  );
+}
+
+/** Compiler output for the sketch, as arduino-cli prints it */
+function compileLog() {
+  const cpp = path.join(buildPath, "sketch", "Blink.ino.cpp");
+  const util = path.join(buildPath, "sketch", "util.cpp");
+  return [
+    `${cpp}: In function 'void loop()':`,
+    `${cpp}:8:20: error: 'HIG' was not declared in this scope`,
+    "    8 |   digitalWrite(13, HIG);",
+    "      |                    ^~~",
+    `${cpp}:8:20: note: suggested alternative: 'HIGH'`,
+    "    8 |   digitalWrite(13, HIG);",
+    "      |                    ^~~",
+    "      |                    HIGH",
+    `${cpp}: In function 'int twice(int)':`,
+    `${cpp}:12:15: error: expected ';' before '}' token`,
+    "   12 |   return x * 2",
+    "      |               ^",
+    "      |               ;",
+    `In file included from ${cpp}:1:`,
+    `${libraryHeader}:3:9: warning: "LED_BUILTIN" redefined`,
+    "    3 | #define LED_BUILTIN 4",
+    "      |         ^~~~~~~~~~~",
+    `${util}:4:1: error: 'x' does not name a type`,
+  ];
+}
+
+before(writeSketch);
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// =============================================================================
+// Cases
+// =============================================================================
+
+for (const [name, parse] of parsers) {
+  suite(`Compiler diagnostics (${name})`, { skip: !parse }, () => {
+    const diagnose = (lines) =>
+      parse(lines.join("\n"), { sketchPath, buildPath });
+
+    test("maps the merged .ino.cpp back to each .ino through #line", () => {
+      const [hig, semicolon] = diagnose(compileLog());
+
+      assert.deepStrictEqual(hig, {
+        file: "Blink.ino",
+        line: 6,
+        column: 20,
+        inSketch: true,
+        severity: "error",
+        message: "'HIG' was not declared in this scope",
+        context: "In function 'void loop()'",
+        source: "  digitalWrite(13, HIG);",
+        includedFrom: [],
+        notes: [
+          {
+            file: "Blink.ino",
+            line: 6,
+            column: 20,
+            inSketch: true,
+            message: "suggested alternative: 'HIGH'",
+            source: "  digitalWrite(13, HIG);",
+          },
+        ],
+      });
+
+      assert.strictEqual(semicolon.file, "Helpers.ino");
+      assert.strictEqual(semicolon.line, 2);
+      assert.strictEqual(semicolon.context, "In function 'int twice(int)'");
+    });
+
+    test("puts generated code before the first #line on line 1", () => {
+      const [warning] = diagnose(compileLog()).filter(
+        ({ severity }) => severity === "warning"
+      );
+
+      assert.deepStrictEqual(warning.includedFrom, [
+        { file: "Blink.ino", line: 1 },
+      ]);
+      assert.strictEqual(warning.file, libraryHeader);
+      assert.strictEqual(warning.inSketch, false);
+      assert.strictEqual(warning.source, "#define LED_BUILTIN 4");
+    });
+
+    test("maps other build-path copies to the sketch folder", () => {
+      const util = diagnose(compileLog()).pop();
+      assert.strictEqual(util.file, "util.cpp");
+      assert.strictEqual(util.inSketch, true);
+      assert.strictEqual(util.context, null);
+    });
+
+    test("reads the sketch in place without a build path", () => {
+      const [diagnostic] = parse(
+        `${path.join(sketchPath, "Blink.ino")}:6:3: warning: unused`,
+        { sketchPath }
+      );
+      assert.strictEqual(diagnostic.file, "Blink.ino");
+      assert.strictEqual(diagnostic.line, 6);
+      assert.strictEqual(diagnostic.source, null);
+    });
+
+    test("reports linker errors without a location", () => {
+      const diagnostics = diagnose([
+        "/tmp/ccX.ltrans0.ltrans.o: In function `main':",
+        "<artificial>:(.text.startup+0x8): undefined reference to `blink()'",
+        "collect2: error: ld returned 1 exit status",
+      ]);
+
+      assert.deepStrictEqual(
+        diagnostics.map(({ file, line, severity, message }) => ({
+          file,
+          line,
+          severity,
+          message,
+        })),
+        [
+          {
+            file: null,
+            line: null,
+            severity: "error",
+            message: "undefined reference to `blink()'",
+          },
+          {
+            file: null,
+            line: null,
+            severity: "error",
+            message: "collect2: ld returned 1 exit status",
+          },
+        ]
+      );
+    });
+
+    test("reports errors repeated by library detection once", () => {
+      const log = compileLog().slice(0, 4);
+      assert.strictEqual(diagnose([...log, ...log]).length, 1);
+    });
+  });
+}
+
+suite("Compiler diagnostics parity", { skip: !parsers[1][1] }, () => {
+  test("extension port returns exactly what the web client returns", () => {
+    const log = compileLog().join("\r\n");
+    const [web, extension] = parsers.map(([, parse]) =>
+      parse(log, { sketchPath, buildPath })
+    );
+    assert.deepStrictEqual(extension, web);
+  });
+});
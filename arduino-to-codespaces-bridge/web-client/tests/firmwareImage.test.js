@@ -0,0 +1,444 @@
+/**
+ * Firmware Image Test Suite
+ *
+ * Parsing of Intel HEX, S-record and UF2 files, good and corrupted, and
+ * flattening of parsed images.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test } from "node:test";
+import {
+  FIRMWARE_FORMATS,
+  PARSE_ERROR_CODE,
+  UF2_FAMILIES,
+  detectFormat,
+  parseFirmware,
+  parseIntelHex,
+  parseSrec,
+  parseUf2,
+  toFlatImage,
+} from "../src/client/services/utils/firmwareImage.js";
+
+// =============================================================================
+// Builders
+// =============================================================================
+
+const hexByte = (value) => value.toString(16).toUpperCase().padStart(2, "0");
+
+/**
+ * One Intel HEX record with a valid checksum
+ */
+function hexRecord(type, offset, data = []) {
+  const bytes = [data.length, offset >> 8, offset & 0xff, type, ...data];
+  const checksum = -bytes.reduce((sum, b) => sum + b, 0) & 0xff;
+  return `:${[...bytes, checksum].map(hexByte).join("")}`;
+}
+
+const HEX_EOF = hexRecord(0x01, 0);
+
+/**
+ * One S-record with a 16-bit (S1/S9) or 32-bit (S3/S7) address
+ */
+function srecRecord(type, address, data = []) {
+  const addressBytes = type === 3 || type === 7 ? 4 : 2;
+  const bytes = [addressBytes + data.length + 1];
+  for (let i = addressBytes - 1; i >= 0; i--) {
+    bytes.push((address >>> (i * 8)) & 0xff);
+  }
+  bytes.push(...data);
+  const checksum = ~bytes.reduce((sum, b) => sum + b, 0) & 0xff;
+  return `S${type}${[...bytes, checksum].map(hexByte).join("")}`;
+}
+
+/**
+ * One 512-byte UF2 block
+ */
+function uf2Block({
+  flags = 0x00002000,
+  address,
+  data,
+  blockNo,
+  numBlocks,
+  familyId = UF2_FAMILIES.RP2040,
+}) {
+  const block = new Uint8Array(512);
+  const view = new DataView(block.buffer);
+  view.setUint32(0, 0x0a324655, true);
+  view.setUint32(4, 0x9e5d5157, true);
+  view.setUint32(8, flags, true);
+  view.setUint32(12, address, true);
+  view.setUint32(16, data.length, true);
+  view.setUint32(20, blockNo, true);
+  view.setUint32(24, numBlocks, true);
+  view.setUint32(28, familyId, true);
+  block.set(data, 32);
+  view.setUint32(508, 0x0ab16f30, true);
+  return block;
+}
+
+function concat(blocks) {
+  const bytes = new Uint8Array(blocks.length * 512);
+  blocks.forEach((block, i) => bytes.set(block, i * 512));
+  return bytes;
+}
+
+/**
+ * Assert that a call throws a firmware parse error matching a message
+ */
+function assertParseError(fn, message) {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, PARSE_ERROR_CODE);
+    assert.match(err.message, message);
+    return true;
+  });
+}
+
+// =============================================================================
+// Intel HEX
+// =============================================================================
+
+suite("Intel HEX", () => {
+  test("merges adjacent data records into one segment", () => {
+    const image = parseIntelHex(
+      [
+        hexRecord(0x00, 0x0000, [1, 2, 3, 4]),
+        hexRecord(0x00, 0x0004, [5, 6]),
+        hexRecord(0x00, 0x0100, [7]),
+        HEX_EOF,
+      ].join("\n")
+    );
+
+    assert.strictEqual(image.format, FIRMWARE_FORMATS.HEX);
+    assert.strictEqual(image.size, 7);
+    assert.deepStrictEqual(
+      image.segments.map(({ address, data }) => [address, [...data]]),
+      [
+        [0x0000, [1, 2, 3, 4, 5, 6]],
+        [0x0100, [7]],
+      ]
+    );
+  });
+
+  test("applies extended linear and segment address records", () => {
+    const image = parseIntelHex(
+      [
+        hexRecord(0x04, 0, [0x08, 0x00]),
+        hexRecord(0x00, 0x0010, [0xaa]),
+        hexRecord(0x02, 0, [0x10, 0x00]),
+        hexRecord(0x00, 0x0002, [0xbb]),
+        HEX_EOF,
+      ].join("\r\n")
+    );
+
+    assert.deepStrictEqual(
+      image.segments.map(({ address }) => address),
+      [0x10002, 0x08000010]
+    );
+  });
+
+  test("reads start address records as the entry point", () => {
+    const linear = parseIntelHex(
+      [hexRecord(0x05, 0, [0x08, 0x00, 0x01, 0x23]), HEX_EOF].join("\n")
+    );
+    assert.strictEqual(linear.entryPoint, 0x08000123);
+
+    const segment = parseIntelHex(
+      [hexRecord(0x03, 0, [0x10, 0x00, 0x00, 0x04]), HEX_EOF].join("\n")
+    );
+    assert.strictEqual(segment.entryPoint, 0x10004);
+  });
+
+  test("stops at the EOF record", () => {
+    const image = parseIntelHex(
+      [HEX_EOF, hexRecord(0x00, 0, [1]), "garbage"].join("\n")
+    );
+    assert.strictEqual(image.size, 0);
+  });
+
+  test("rejects a checksum mismatch with the line number", () => {
+    const good = hexRecord(0x00, 0, [1, 2]);
+    const bad = good.slice(0, -2) + "00";
+    assert.throws(
+      () => parseIntelHex([good, bad, HEX_EOF].join("\n")),
+      (err) => {
+        assert.strictEqual(err.code, PARSE_ERROR_CODE);
+        assert.strictEqual(err.line, 2);
+        assert.match(err.message, /checksum mismatch/);
+        return true;
+      }
+    );
+  });
+
+  test("rejects malformed records", () => {
+    assertParseError(
+      () => parseIntelHex(["0400000001", HEX_EOF].join("\n")),
+      /missing ':'/
+    );
+    assertParseError(
+      () => parseIntelHex([":0400ZZ", HEX_EOF].join("\n")),
+      /malformed record/
+    );
+    assertParseError(
+      () =>
+        parseIntelHex(
+          [hexRecord(0x00, 0, [1, 2]).replace(":02", ":03"), HEX_EOF].join("\n")
+        ),
+      /byte count 3 does not match/
+    );
+    assertParseError(
+      () => parseIntelHex([hexRecord(0x07, 0), HEX_EOF].join("\n")),
+      /unknown record type 0x07/
+    );
+  });
+
+  test("rejects a file without EOF record", () => {
+    assertParseError(
+      () => parseIntelHex(hexRecord(0x00, 0, [1])),
+      /missing EOF record/
+    );
+  });
+
+  test("rejects overlapping data", () => {
+    assertParseError(
+      () =>
+        parseIntelHex(
+          [
+            hexRecord(0x00, 0x0000, [1, 2, 3, 4]),
+            hexRecord(0x00, 0x0002, [5]),
+            HEX_EOF,
+          ].join("\n")
+        ),
+      /overlaps earlier record/
+    );
+  });
+});
+
+// =============================================================================
+// S-record
+// =============================================================================
+
+suite("S-record", () => {
+  test("parses 16 and 32-bit data records and the entry point", () => {
+    const image = parseSrec(
+      [
+        srecRecord(1, 0x0000, [1, 2]),
+        srecRecord(1, 0x0002, [3]),
+        srecRecord(3, 0x20000000, [4, 5]),
+        srecRecord(7, 0x20000001),
+      ].join("\n")
+    );
+
+    assert.strictEqual(image.format, FIRMWARE_FORMATS.SREC);
+    assert.strictEqual(image.entryPoint, 0x20000001);
+    assert.deepStrictEqual(
+      image.segments.map(({ address, data }) => [address, [...data]]),
+      [
+        [0x0000, [1, 2, 3]],
+        [0x20000000, [4, 5]],
+      ]
+    );
+  });
+
+  test("ignores header records", () => {
+    const image = parseSrec(
+      [srecRecord(0, 0, [0x48, 0x44, 0x52]), srecRecord(9, 0)].join("\n")
+    );
+    assert.strictEqual(image.size, 0);
+  });
+
+  test("rejects a checksum mismatch", () => {
+    const bad = srecRecord(1, 0, [1, 2]).slice(0, -2) + "00";
+    assertParseError(() => parseSrec(bad), /line 1: checksum mismatch/);
+  });
+
+  test("rejects unknown record types and byte count mismatches", () => {
+    assertParseError(() => parseSrec("S4030000FC"), /unknown record type/);
+    assertParseError(
+      () => parseSrec(srecRecord(1, 0, [1]).replace("S104", "S105")),
+      /byte count 5 does not match/
+    );
+  });
+});
+
+// =============================================================================
+// UF2
+// =============================================================================
+
+suite("UF2", () => {
+  test("parses blocks into segments with family IDs", () => {
+    const image = parseUf2(
+      concat([
+        uf2Block({
+          address: 0x10000000,
+          data: [1, 2],
+          blockNo: 0,
+          numBlocks: 2,
+        }),
+        uf2Block({
+          address: 0x10000002,
+          data: [3],
+          blockNo: 1,
+          numBlocks: 2,
+        }),
+      ])
+    );
+
+    assert.strictEqual(image.format, FIRMWARE_FORMATS.UF2);
+    assert.strictEqual(image.blockCount, 2);
+    assert.deepStrictEqual(image.familyIds, [UF2_FAMILIES.RP2040]);
+    assert.deepStrictEqual(
+      image.segments.map(({ address, data }) => [address, [...data]]),
+      [[0x10000000, [1, 2, 3]]]
+    );
+  });
+
+  test("numbers blocks per family and skips blocks not in main flash", () => {
+    const image = parseUf2(
+      concat([
+        uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 1 }),
+        uf2Block({
+          address: 0x100,
+          data: [2],
+          blockNo: 0,
+          numBlocks: 1,
+          familyId: UF2_FAMILIES.DATA,
+          flags: 0x00002001,
+        }),
+      ])
+    );
+
+    assert.deepStrictEqual(image.familyIds, [
+      UF2_FAMILIES.RP2040,
+      UF2_FAMILIES.DATA,
+    ]);
+    assert.strictEqual(image.size, 1);
+  });
+
+  test("rejects a size that is not whole blocks", () => {
+    assertParseError(
+      () => parseUf2(new Uint8Array(100)),
+      /not a multiple of 512/
+    );
+  });
+
+  test("rejects a bad magic number", () => {
+    const block = uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 1 });
+    block[508] = 0;
+    assertParseError(() => parseUf2(block), /block 0: bad magic number/);
+  });
+
+  test("rejects duplicate, out of range and missing blocks", () => {
+    assertParseError(
+      () =>
+        parseUf2(
+          concat([
+            uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 2 }),
+            uf2Block({ address: 1, data: [2], blockNo: 0, numBlocks: 2 }),
+          ])
+        ),
+      /block 1: duplicate block number 0/
+    );
+    assertParseError(
+      () =>
+        parseUf2(uf2Block({ address: 0, data: [1], blockNo: 1, numBlocks: 1 })),
+      /block number 1 is not below total 1/
+    );
+    assertParseError(
+      () =>
+        parseUf2(uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 2 })),
+      /has 1 of 2 blocks/
+    );
+    assertParseError(
+      () =>
+        parseUf2(
+          concat([
+            uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 2 }),
+            uf2Block({ address: 1, data: [2], blockNo: 1, numBlocks: 3 }),
+          ])
+        ),
+      /total 3 disagrees with earlier blocks \(2\)/
+    );
+  });
+
+  test("rejects an oversized payload", () => {
+    const block = uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 1 });
+    new DataView(block.buffer).setUint32(16, 477, true);
+    assertParseError(() => parseUf2(block), /payload size 477 exceeds 476/);
+  });
+});
+
+// =============================================================================
+// Detection and Layout
+// =============================================================================
+
+suite("Firmware detection and layout", () => {
+  test("detects each format from its first bytes", () => {
+    const encode = (text) => new TextEncoder().encode(text);
+    assert.strictEqual(
+      detectFormat(encode(`\n${HEX_EOF}`)),
+      FIRMWARE_FORMATS.HEX
+    );
+    assert.strictEqual(
+      detectFormat(encode(srecRecord(9, 0))),
+      FIRMWARE_FORMATS.SREC
+    );
+    assert.strictEqual(
+      detectFormat(
+        uf2Block({ address: 0, data: [1], blockNo: 0, numBlocks: 1 })
+      ),
+      FIRMWARE_FORMATS.UF2
+    );
+    assert.strictEqual(
+      detectFormat(new Uint8Array([0x0c, 0x94, 0x5c, 0x00])),
+      FIRMWARE_FORMATS.BIN
+    );
+  });
+
+  test("parses raw binaries at the base address", () => {
+    const image = parseFirmware(new Uint8Array([0x0c, 0x94]).buffer, {
+      baseAddress: 0x2000,
+    });
+    assert.strictEqual(image.format, FIRMWARE_FORMATS.BIN);
+    assert.strictEqual(image.segments[0].address, 0x2000);
+  });
+
+  test("flattens segments, filling gaps and padding to the alignment", () => {
+    const image = parseIntelHex(
+      [
+        hexRecord(0x00, 0x0000, [1, 2]),
+        hexRecord(0x00, 0x0004, [3]),
+        HEX_EOF,
+      ].join("\n")
+    );
+
+    assert.deepStrictEqual([...toFlatImage(image)], [1, 2, 0xff, 0xff, 3]);
+    assert.deepStrictEqual(
+      [...toFlatImage(image, { align: 4, fill: 0 })],
+      [1, 2, 0, 0, 3, 0, 0, 0]
+    );
+  });
+
+  test("flattens relative to a base address", () => {
+    const image = parseFirmware(new Uint8Array([7, 8]), {
+      baseAddress: 0x2002,
+    });
+    assert.deepStrictEqual(
+      [...toFlatImage(image, { base: 0x2000 })],
+      [0xff, 0xff, 7, 8]
+    );
+  });
+
+  test("rejects segments outside the target memory", () => {
+    const image = parseFirmware(new Uint8Array(8), { baseAddress: 0x1000 });
+    assert.throws(
+      () => toFlatImage(image, { base: 0x2000 }),
+      /is outside flash/
+    );
+    assert.throws(
+      () => toFlatImage(image, { base: 0x1000, size: 4, target: "EEPROM" }),
+      /is outside EEPROM \(0x0*1000-0x0*1003\)/
+    );
+  });
+});
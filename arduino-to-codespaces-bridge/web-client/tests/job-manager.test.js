@@ -0,0 +1,321 @@
+/**
+ * Job Manager Test Suite
+ *
+ * The job queue behind /api/jobs and the blocking compile, upload and
+ * install endpoints: the lifecycle from queued to a final status, running
+ * one job at a time in queue order, cancelling queued and running jobs, and
+ * the history file that survives a restart.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, before, after } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  JobStatus,
+  configureJobHistory,
+  getJob,
+  listJobs,
+  startJob,
+} from "../src/server/job-manager.js";
+
+let tempDir;
+let historyPath;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-manager-test-"));
+  historyPath = path.join(tempDir, "build", "jobs.json");
+  configureJobHistory(historyPath);
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/** Resolves with the job's summary when it finishes */
+function finished(job) {
+  return new Promise((resolve) => job.once("done", resolve));
+}
+
+/** A run function that waits until release() is called */
+function gate() {
+  let release;
+  const released = new Promise((resolve) => (release = resolve));
+  return { release, run: () => released.then(() => ({ success: true })) };
+}
+
+function savedHistory() {
+  return JSON.parse(fs.readFileSync(historyPath, "utf8")).jobs;
+}
+
+// =============================================================================
+// Lifecycle
+// =============================================================================
+
+suite("Job lifecycle", () => {
+  test("goes from queued to running to succeeded", async () => {
+    const job = startJob("compile", "Compile Blink", { path: "Blink" }, (j) => {
+      j.appendOutput("Sketch uses 924 bytes\n");
+      return { success: true, size: 924 };
+    });
+    const statuses = [job.status];
+    job.on("status", ({ status }) => statuses.push(status));
+
+    assert.strictEqual(job.toJSON().jobsAhead, 0);
+    const summary = await finished(job);
+
+    assert.deepStrictEqual(statuses, [JobStatus.QUEUED, JobStatus.RUNNING]);
+    assert.strictEqual(summary.status, JobStatus.SUCCEEDED);
+    assert.strictEqual(summary.exitCode, 0);
+    assert.strictEqual(summary.percent, 100);
+    assert.strictEqual(summary.error, null);
+    assert.deepStrictEqual(summary.result, { success: true, size: 924 });
+    assert.strictEqual(summary.jobsAhead, null);
+    assert.ok(summary.startedAt >= summary.createdAt);
+    assert.ok(summary.finishedAt >= summary.startedAt);
+    assert.strictEqual(summary.logExcerpt, "Sketch uses 924 bytes\n");
+  });
+
+  test("fails when the operation reports failure", async () => {
+    const summary = await finished(
+      startJob("compile", "Compile Broken", {}, () => ({
+        success: false,
+        error: "Compilation failed",
+        exitCode: 1,
+      }))
+    );
+    assert.strictEqual(summary.status, JobStatus.FAILED);
+    assert.strictEqual(summary.error, "Compilation failed");
+    assert.strictEqual(summary.exitCode, 1);
+  });
+
+  test("fails with the message when the operation throws", async () => {
+    const summary = await finished(
+      startJob("core-install", "Install", {}, async () => {
+        throw new Error("arduino-cli not found");
+      })
+    );
+    assert.strictEqual(summary.status, JobStatus.FAILED);
+    assert.strictEqual(summary.error, "arduino-cli not found");
+    assert.strictEqual(summary.exitCode, null);
+  });
+
+  test("maps output percentages into the current phase", async () => {
+    const progress = [];
+    const job = startJob("upload", "Upload", {}, (j) => {
+      j.setPhase("Compiling", 0, 50);
+      j.setPhase("Uploading", 50, 100);
+      j.appendOutput("Writing | 40% 0.2s\n");
+      j.appendOutput("Writing | 20% 0.1s\n");
+      return { success: true };
+    });
+    job.on("progress", ({ percent, status }) =>
+      progress.push(`${percent} ${status}`)
+    );
+
+    await finished(job);
+    // Progress never moves backwards
+    assert.deepStrictEqual(progress, [
+      "0 Compiling",
+      "50 Uploading",
+      "70 Uploading",
+    ]);
+  });
+});
+
+// =============================================================================
+// Queue
+// =============================================================================
+
+suite("Job queue", () => {
+  test("runs one job at a time in the order they were queued", async () => {
+    const order = [];
+    let running = 0;
+    const run = (name) => async () => {
+      running++;
+      assert.strictEqual(running, 1, `${name} ran alongside another job`);
+      order.push(name);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+      return { success: true };
+    };
+
+    const jobs = ["install", "compile", "upload"].map((name) =>
+      startJob(name, name, {}, run(name))
+    );
+    assert.deepStrictEqual(
+      jobs.map((job) => job.toJSON().jobsAhead),
+      [0, 1, 2]
+    );
+
+    await Promise.all(jobs.map(finished));
+    assert.deepStrictEqual(order, ["install", "compile", "upload"]);
+  });
+
+  test("counts the running job among the jobs ahead", async () => {
+    const install = gate();
+    const first = startJob("library-install", "Install", {}, install.run);
+    await new Promise((resolve) => first.once("status", resolve));
+
+    const compile = startJob("compile", "Compile", {}, () => ({
+      success: true,
+    }));
+    assert.strictEqual(compile.toJSON().jobsAhead, 1);
+    assert.strictEqual(compile.status, JobStatus.QUEUED);
+
+    install.release();
+    assert.strictEqual((await finished(compile)).status, JobStatus.SUCCEEDED);
+  });
+});
+
+// =============================================================================
+// Cancelling
+// =============================================================================
+
+suite("Cancelling jobs", () => {
+  test("drops a queued job without running it", async () => {
+    const install = gate();
+    const first = startJob("core-install", "Install", {}, install.run);
+    let ran = false;
+    const second = startJob("compile", "Compile", {}, () => {
+      ran = true;
+      return { success: true };
+    });
+    const third = startJob("compile", "Compile again", {}, () => ({
+      success: true,
+    }));
+
+    assert.strictEqual(second.cancel(), true);
+    assert.strictEqual(second.status, JobStatus.CANCELLED);
+    assert.strictEqual(second.error, "Cancelled");
+    assert.strictEqual(third.toJSON().jobsAhead, 1);
+
+    install.release();
+    await Promise.all([finished(first), finished(third)]);
+    assert.strictEqual(ran, false);
+  });
+
+  test("aborts a running job and waits for it to exit", async () => {
+    let exited = false;
+    let spawned;
+    const running = new Promise((resolve) => (spawned = resolve));
+    const job = startJob("upload", "Upload", {}, (j) => {
+      return new Promise((resolve) => {
+        // Like a child process killed through its signal
+        j.signal.addEventListener("abort", () =>
+          setTimeout(() => {
+            exited = true;
+            resolve({ success: false, error: "killed" });
+          }, 5)
+        );
+        spawned();
+      });
+    });
+    await running;
+
+    let nextStartedAfterExit = null;
+    const next = startJob("compile", "Compile", {}, () => {
+      nextStartedAfterExit = exited;
+      return { success: true };
+    });
+
+    assert.strictEqual(job.cancel("Stopped by user"), true);
+    assert.strictEqual(job.signal.aborted, true);
+    assert.strictEqual(job.status, JobStatus.CANCELLED);
+    assert.strictEqual(job.error, "Stopped by user");
+
+    await finished(next);
+    assert.strictEqual(nextStartedAfterExit, true);
+    // The late result does not overwrite the cancellation
+    assert.strictEqual(job.status, JobStatus.CANCELLED);
+  });
+
+  test("leaves finished jobs alone", async () => {
+    const job = startJob("compile", "Compile", {}, () => ({ success: true }));
+    await finished(job);
+    assert.strictEqual(job.cancel(), false);
+    assert.strictEqual(job.status, JobStatus.SUCCEEDED);
+  });
+});
+
+// =============================================================================
+// History
+// =============================================================================
+
+suite("Job history", () => {
+  test("saves finished jobs without their result payload", async () => {
+    const job = startJob("compile", "Compile Blink", { path: "Blink" }, () => ({
+      success: true,
+      output: "x".repeat(1000),
+    }));
+    await finished(job);
+
+    const record = savedHistory().find(({ id }) => id === job.id);
+    assert.strictEqual(record.status, JobStatus.SUCCEEDED);
+    assert.deepStrictEqual(record.params, { path: "Blink" });
+    assert.ok(!("result" in record));
+    assert.ok(!("jobsAhead" in record));
+  });
+
+  test("reloads history and fails jobs the restart interrupted", () => {
+    const restoredPath = path.join(tempDir, "restored", "jobs.json");
+    fs.mkdirSync(path.dirname(restoredPath));
+    const base = { params: {}, createdAt: 1000, startedAt: 1001 };
+    fs.writeFileSync(
+      restoredPath,
+      JSON.stringify({
+        jobs: [
+          {
+            ...base,
+            id: "old-compile",
+            type: "compile",
+            title: "Compile Blink",
+            status: JobStatus.SUCCEEDED,
+            exitCode: 0,
+            finishedAt: 1002,
+            logExcerpt: "Sketch uses 924 bytes",
+          },
+          {
+            ...base,
+            id: "old-install",
+            type: "core-install",
+            title: "Install arduino:avr",
+            status: JobStatus.RUNNING,
+          },
+        ],
+      })
+    );
+
+    assert.strictEqual(configureJobHistory(restoredPath), 2);
+
+    const compile = getJob("old-compile");
+    assert.strictEqual(compile.status, JobStatus.SUCCEEDED);
+    assert.strictEqual(compile.output, "Sketch uses 924 bytes");
+
+    const install = getJob("old-install");
+    assert.strictEqual(install.status, JobStatus.FAILED);
+    assert.strictEqual(install.error, "Interrupted by server restart");
+    assert.ok(install.finishedAt >= 1001);
+
+    // Saved back with the interrupted job marked failed
+    const saved = JSON.parse(fs.readFileSync(restoredPath, "utf8")).jobs;
+    assert.strictEqual(
+      saved.find(({ id }) => id === "old-install").status,
+      JobStatus.FAILED
+    );
+    assert.ok(listJobs().some(({ id }) => id === "old-compile"));
+  });
+
+  test("ignores an unreadable history file", (t) => {
+    const brokenPath = path.join(tempDir, "broken.json");
+    fs.writeFileSync(brokenPath, "{not json");
+    const warn = t.mock.method(console, "warn", () => {});
+
+    assert.strictEqual(configureJobHistory(brokenPath), 0);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.ok(Array.isArray(JSON.parse(fs.readFileSync(brokenPath)).jobs));
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Memory Usage Test Suite
+ *
+ * The size report arduino-cli prints after linking, as printed for AVR,
+ * ESP32 and RP2040 boards and for boards without a RAM maximum, and the
+ * per-board RAM warning thresholds checked against it and saved to disk.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, beforeEach, afterEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  checkMemoryBudget,
+  configureMemoryBudgets,
+  getMemoryBudget,
+  listMemoryBudgets,
+  parseMemoryUsage,
+  setMemoryBudget,
+} from "../src/server/memory-usage.js";
+
+/** Size reports as arduino-cli prints them at the end of a compile */
+const REPORTS = {
+  avr: [
+    "Sketch uses 924 bytes (2%) of program storage space. Maximum is 32256 bytes.",
+    "Global variables use 9 bytes (0%) of dynamic memory, leaving 2039 bytes for local variables. Maximum is 2048 bytes.",
+  ],
+  avrLowMemory: [
+    "Sketch uses 7240 bytes (22%) of program storage space. Maximum is 32256 bytes.",
+    "Global variables use 1612 bytes (78%) of dynamic memory, leaving 436 bytes for local variables. Maximum is 2048 bytes.",
+    "Low memory available, stability problems may occur.",
+  ],
+  avrTooBig: [
+    "Sketch uses 33410 bytes (103%) of program storage space. Maximum is 32256 bytes.",
+    "Global variables use 2210 bytes (107%) of dynamic memory, leaving -162 bytes for local variables. Maximum is 2048 bytes.",
+    "Sketch too big; see https://support.arduino.cc/hc/en-us/articles/360013825179 for tips on reducing it.",
+    "text section exceeds available space in board",
+  ],
+  esp32: [
+    "Sketch uses 283757 bytes (21%) of program storage space. Maximum is 1310720 bytes.",
+    "Global variables use 21432 bytes (6%) of dynamic memory, leaving 306248 bytes for local variables. Maximum is 327680 bytes.",
+  ],
+  rp2040: [
+    "Sketch uses 53012 bytes (2%) of program storage space. Maximum is 16510976 bytes.",
+    "Global variables use 10204 bytes (3%) of dynamic memory, leaving 251940 bytes for local variables. Maximum is 262144 bytes.",
+  ],
+  // Boards whose platform sets no upload.maximum_data_size
+  noRamMaximum: [
+    "Sketch uses 13524 bytes (5%) of program storage space. Maximum is 262144 bytes.",
+    "Global variables use 2936 bytes of dynamic memory.",
+  ],
+  noMaximums: ["Sketch uses 13524 bytes of program storage space."],
+};
+
+function report(name) {
+  return ["Linking everything together...", ...REPORTS[name], ""].join("\n");
+}
+
+function assertBudgetError(fn) {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, "INVALID_BUDGET");
+    return true;
+  });
+}
+
+// =============================================================================
+// Size Report
+// =============================================================================
+
+suite("parseMemoryUsage", () => {
+  test("reads flash and RAM from an AVR report", () => {
+    assert.deepStrictEqual(parseMemoryUsage(report("avr")), {
+      flash: { used: 924, max: 32256, percent: 2 },
+      ram: { used: 9, max: 2048, percent: 0, free: 2039 },
+    });
+  });
+
+  test("reads ESP32 and RP2040 reports", () => {
+    assert.deepStrictEqual(parseMemoryUsage(report("esp32")), {
+      flash: { used: 283757, max: 1310720, percent: 21 },
+      ram: { used: 21432, max: 327680, percent: 6, free: 306248 },
+    });
+    assert.deepStrictEqual(parseMemoryUsage(report("rp2040")), {
+      flash: { used: 53012, max: 16510976, percent: 2 },
+      ram: { used: 10204, max: 262144, percent: 3, free: 251940 },
+    });
+  });
+
+  test("keeps negative free RAM and percentages above 100", () => {
+    const usage = parseMemoryUsage(report("avrTooBig"));
+    assert.deepStrictEqual(usage.flash, {
+      used: 33410,
+      max: 32256,
+      percent: 103,
+    });
+    assert.strictEqual(usage.ram.percent, 107);
+    assert.strictEqual(usage.ram.free, -162);
+  });
+
+  test("has no RAM percentage when the board has no RAM maximum", () => {
+    assert.deepStrictEqual(parseMemoryUsage(report("noRamMaximum")).ram, {
+      used: 2936,
+      max: null,
+      percent: null,
+      free: null,
+    });
+  });
+
+  test("reports flash alone when there is no Global variables line", () => {
+    assert.deepStrictEqual(parseMemoryUsage(report("noMaximums")), {
+      flash: { used: 13524, max: null, percent: null },
+      ram: null,
+    });
+  });
+
+  test("returns null for output without a size report", () => {
+    assert.strictEqual(parseMemoryUsage("exit status 1\n"), null);
+    assert.strictEqual(parseMemoryUsage(""), null);
+    assert.strictEqual(parseMemoryUsage(undefined), null);
+  });
+});
+
+// =============================================================================
+// Budgets
+// =============================================================================
+
+suite("checkMemoryBudget", () => {
+  const budget = { ramWarnPercent: 75 };
+
+  test("has no warnings below the threshold", () => {
+    for (const name of ["avr", "esp32", "rp2040"]) {
+      assert.deepStrictEqual(
+        checkMemoryBudget(parseMemoryUsage(report(name)), budget),
+        [],
+        name
+      );
+    }
+  });
+
+  test("warns at and above the RAM threshold", () => {
+    const usage = parseMemoryUsage(report("avrLowMemory"));
+    assert.deepStrictEqual(checkMemoryBudget(usage, budget), [
+      "RAM use is 78% (warning threshold 75%), only 436 bytes left for local variables",
+    ]);
+    assert.strictEqual(
+      checkMemoryBudget(usage, { ramWarnPercent: 78 }).length,
+      1
+    );
+    assert.deepStrictEqual(
+      checkMemoryBudget(usage, { ramWarnPercent: 79 }),
+      []
+    );
+  });
+
+  test("warns when the sketch does not fit in flash", () => {
+    const warnings = checkMemoryBudget(
+      parseMemoryUsage(report("avrTooBig")),
+      budget
+    );
+    assert.strictEqual(warnings.length, 2);
+    assert.strictEqual(
+      warnings[1],
+      "Sketch is 1154 bytes larger than the available flash"
+    );
+  });
+
+  test("skips the RAM check without a RAM percentage", () => {
+    for (const name of ["noRamMaximum", "noMaximums"]) {
+      assert.deepStrictEqual(
+        checkMemoryBudget(parseMemoryUsage(report(name)), {
+          ramWarnPercent: 1,
+        }),
+        [],
+        name
+      );
+    }
+  });
+});
+
+suite("Memory budgets", () => {
+  let tempDir;
+  let budgetsPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "memory-usage-test-"));
+    budgetsPath = path.join(tempDir, "build", "memory-budgets.json");
+    configureMemoryBudgets(budgetsPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("uses the default until a board has its own threshold", () => {
+    assert.deepStrictEqual(getMemoryBudget("arduino:avr:uno"), {
+      ramWarnPercent: 75,
+      custom: false,
+    });
+    assert.deepStrictEqual(setMemoryBudget("arduino:avr:uno", "90"), {
+      ramWarnPercent: 90,
+      custom: true,
+    });
+    assert.strictEqual(getMemoryBudget("arduino:avr:nano").custom, false);
+  });
+
+  test("shares a threshold across board options", () => {
+    setMemoryBudget("esp32:esp32:esp32s3:PartitionScheme=huge_app", 60);
+    assert.deepStrictEqual(getMemoryBudget("esp32:esp32:esp32s3"), {
+      ramWarnPercent: 60,
+      custom: true,
+    });
+    assert.deepStrictEqual(listMemoryBudgets().budgets, {
+      "esp32:esp32:esp32s3": { ramWarnPercent: 60 },
+    });
+  });
+
+  test("saves thresholds and loads them back", () => {
+    setMemoryBudget("rp2040:rp2040:rpipico", 50);
+    configureMemoryBudgets(path.join(tempDir, "missing.json"));
+    assert.strictEqual(getMemoryBudget("rp2040:rp2040:rpipico").custom, false);
+
+    configureMemoryBudgets(budgetsPath);
+    assert.strictEqual(
+      getMemoryBudget("rp2040:rp2040:rpipico").ramWarnPercent,
+      50
+    );
+  });
+
+  test("clears a threshold with null", () => {
+    setMemoryBudget("arduino:avr:uno", 90);
+    assert.deepStrictEqual(setMemoryBudget("arduino:avr:uno", null), {
+      ramWarnPercent: 75,
+      custom: false,
+    });
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(budgetsPath, "utf8")).budgets,
+      {}
+    );
+  });
+
+  test("rejects percentages outside 1-100", () => {
+    for (const percent of [0, 101, -5, "high", NaN, Infinity, {}]) {
+      assertBudgetError(() => setMemoryBudget("arduino:avr:uno", percent));
+    }
+    assert.strictEqual(getMemoryBudget("arduino:avr:uno").custom, false);
+    assert.strictEqual(fs.existsSync(budgetsPath), false);
+  });
+
+  test("ignores an unreadable budgets file", (t) => {
+    fs.mkdirSync(path.dirname(budgetsPath));
+    fs.writeFileSync(budgetsPath, "{not json");
+    const warn = t.mock.method(console, "warn", () => {});
+
+    configureMemoryBudgets(budgetsPath);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.deepStrictEqual(listMemoryBudgets().budgets, {});
+  });
+});
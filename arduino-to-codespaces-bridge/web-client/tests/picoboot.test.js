@@ -0,0 +1,230 @@
+/**
+ * PICOBOOT Test Suite
+ *
+ * Grouping of firmware images into flash sectors, read-back verification
+ * and the flash sequence, against a fake boot ROM that keeps its flash in
+ * memory.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test } from "node:test";
+import { PICOBOOT_CONFIG } from "../src/client/config/boardProtocols.js";
+import { PicobootProtocol } from "../src/client/services/protocols/Picoboot.js";
+
+const FLASH_BASE = PICOBOOT_CONFIG.memory.flashBase;
+const SECTOR_SIZE = PICOBOOT_CONFIG.memory.sectorSize;
+
+/** Command IDs, as in picoboot.h */
+const PC_REBOOT = 0x02;
+const PC_FLASH_ERASE = 0x03;
+const PC_READ = 0x84;
+const PC_WRITE = 0x05;
+
+// =============================================================================
+// Fake Device
+// =============================================================================
+
+/**
+ * WebUSB provider answering PICOBOOT commands from an in-memory flash
+ */
+class FakePicobootProvider {
+  constructor(flashSize = 4 * SECTOR_SIZE) {
+    this.flash = new Uint8Array(flashSize).fill(0xff);
+    this.commands = [];
+    this.pending = null;
+  }
+
+  offset(address) {
+    return address - FLASH_BASE;
+  }
+
+  async transferOut(data) {
+    if (this.pending?.type === "write") {
+      this.flash.set(data, this.offset(this.pending.address));
+      this.pending = null;
+      return { status: "ok" };
+    }
+    if (data.length === 0) {
+      // Host acknowledges an IN command
+      this.pending = null;
+      return { status: "ok" };
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const cmdId = data[8];
+    const address = view.getUint32(16, true);
+    const size = view.getUint32(20, true);
+    this.commands.push(cmdId);
+
+    if (cmdId === PC_FLASH_ERASE) {
+      const start = this.offset(address);
+      this.flash.fill(0xff, start, start + size);
+    } else if (cmdId === PC_WRITE) {
+      this.pending = { type: "write", address };
+    } else if (cmdId === PC_READ) {
+      this.pending = { type: "read", address, size };
+    }
+    return { status: "ok" };
+  }
+
+  async transferIn(length) {
+    if (this.pending?.type === "read") {
+      const start = this.offset(this.pending.address);
+      const bytes = this.flash.slice(start, start + length);
+      return { status: "ok", data: new DataView(bytes.buffer) };
+    }
+    return { status: "ok", data: new DataView(new ArrayBuffer(0)) };
+  }
+
+  async controlTransferOut() {}
+
+  async controlTransferIn() {
+    return { data: new DataView(new ArrayBuffer(16)) };
+  }
+
+  async clearHalt() {}
+}
+
+function createProtocol(provider = new FakePicobootProvider()) {
+  return new PicobootProtocol(provider, PICOBOOT_CONFIG, () => {});
+}
+
+function segment(offset, bytes) {
+  return { address: FLASH_BASE + offset, data: Uint8Array.from(bytes) };
+}
+
+// =============================================================================
+// Sectors
+// =============================================================================
+
+suite("PICOBOOT sectors", () => {
+  test("pads a segment to its whole sector with erased bytes", () => {
+    const [sector, ...rest] = createProtocol().toSectors({
+      segments: [segment(0x10, [1, 2, 3])],
+    });
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(sector.address, FLASH_BASE);
+    assert.strictEqual(sector.data.length, SECTOR_SIZE);
+    assert.deepStrictEqual(
+      [...sector.data.subarray(0x0f, 0x14)],
+      [0xff, 1, 2, 3, 0xff]
+    );
+  });
+
+  test("splits a segment across sector boundaries", () => {
+    const sectors = createProtocol().toSectors({
+      segments: [segment(SECTOR_SIZE - 2, [1, 2, 3, 4])],
+    });
+
+    assert.deepStrictEqual(
+      sectors.map(({ address }) => address - FLASH_BASE),
+      [0, SECTOR_SIZE]
+    );
+    assert.deepStrictEqual([...sectors[0].data.subarray(-2)], [1, 2]);
+    assert.deepStrictEqual([...sectors[1].data.subarray(0, 3)], [3, 4, 0xff]);
+  });
+
+  test("merges segments sharing a sector and sorts by address", () => {
+    const sectors = createProtocol().toSectors({
+      segments: [
+        segment(2 * SECTOR_SIZE, [9]),
+        segment(4, [5]),
+        segment(0, [1]),
+      ],
+    });
+
+    assert.deepStrictEqual(
+      sectors.map(({ address }) => address - FLASH_BASE),
+      [0, 2 * SECTOR_SIZE]
+    );
+    assert.deepStrictEqual(
+      [...sectors[0].data.subarray(0, 5)],
+      [1, 0xff, 0xff, 0xff, 5]
+    );
+  });
+
+  test("rejects segments outside the flash window", () => {
+    const protocol = createProtocol();
+    for (const outside of [
+      { address: 0x20000000, data: new Uint8Array(4) },
+      { address: FLASH_BASE - 4, data: new Uint8Array(8) },
+      segment(PICOBOOT_CONFIG.memory.flashSize - 2, [1, 2, 3, 4]),
+    ]) {
+      assert.throws(
+        () => protocol.toSectors({ segments: [outside] }),
+        /outside flash/
+      );
+    }
+  });
+});
+
+// =============================================================================
+// Verification and Flashing
+// =============================================================================
+
+suite("PICOBOOT verify", () => {
+  test("passes when the flash matches and reports progress", async () => {
+    const provider = new FakePicobootProvider();
+    const protocol = createProtocol(provider);
+    const sectors = protocol.toSectors({ segments: [segment(0, [1, 2])] });
+    provider.flash.set(sectors[0].data, 0);
+
+    const progress = [];
+    await protocol.verify(sectors, (percent) => progress.push(percent));
+    assert.deepStrictEqual(progress, [100]);
+  });
+
+  test("fails at the first differing address", async () => {
+    const provider = new FakePicobootProvider();
+    const protocol = createProtocol(provider);
+    const sectors = protocol.toSectors({
+      segments: [segment(0, [1, 2]), segment(SECTOR_SIZE, [3, 4])],
+    });
+    provider.flash.set(sectors[0].data, 0);
+    provider.flash.set([3, 0x7f], SECTOR_SIZE);
+
+    await assert.rejects(protocol.verify(sectors), (err) => {
+      assert.strictEqual(err.code, "VERIFY_FAILED");
+      assert.strictEqual(err.address, FLASH_BASE + SECTOR_SIZE + 1);
+      assert.match(err.message, /expected 0x04, read 0x7f/);
+      return true;
+    });
+  });
+});
+
+suite("PICOBOOT flashImage", () => {
+  test("erases, writes and verifies every sector without rebooting", async () => {
+    const provider = new FakePicobootProvider();
+    provider.flash.fill(0x00);
+    const protocol = createProtocol(provider);
+
+    const result = await protocol.flashImage({
+      segments: [segment(0, [1, 2, 3]), segment(SECTOR_SIZE + 8, [4])],
+    });
+
+    assert.deepStrictEqual(result, { sectorsWritten: 2 });
+    assert.deepStrictEqual([...provider.flash.subarray(0, 4)], [1, 2, 3, 0xff]);
+    assert.strictEqual(provider.flash[SECTOR_SIZE + 8], 4);
+    // Sectors not in the image are left alone
+    assert.strictEqual(provider.flash[3 * SECTOR_SIZE], 0x00);
+    assert.strictEqual(
+      provider.commands.filter((cmd) => cmd === PC_FLASH_ERASE).length,
+      2
+    );
+    assert.ok(provider.commands.includes(PC_READ));
+    assert.ok(!provider.commands.includes(PC_REBOOT));
+  });
+
+  test("skips the read-back when verify is off", async () => {
+    const provider = new FakePicobootProvider();
+    await createProtocol(provider).flashImage(
+      { segments: [segment(0, [1])] },
+      null,
+      { verify: false }
+    );
+    assert.ok(!provider.commands.includes(PC_READ));
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Plotter Data Test Suite
+ *
+ * The plotter's sample history and its file formats: the ring buffer
+ * wrapping around, and CSV exports loading back as the rows they were made
+ * from. Also the statistics and cursor lookups over the points of a zoomed
+ * range.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test } from "node:test";
+import {
+  SampleHistory,
+  computeStatistics,
+  findNearestPoint,
+  getSeriesLabels,
+  parseSamplesCsv,
+  samplesToCsv,
+  samplesToJson,
+} from "../src/client/services/utils/plotterData.js";
+
+/** Row with labelled values, e.g. row(0, {temp: 21}) */
+function row(n, values, t = n / 10) {
+  return {
+    t,
+    n,
+    samples: Object.entries(values).map(([label, value]) => ({
+      label,
+      value,
+    })),
+  };
+}
+
+// =============================================================================
+// Ring Buffer
+// =============================================================================
+
+suite("SampleHistory", () => {
+  test("returns rows oldest first until full", () => {
+    const history = new SampleHistory(3);
+    assert.deepStrictEqual(history.toArray(), []);
+
+    history.push(row(0, { a: 0 }));
+    history.push(row(1, { a: 1 }));
+    assert.deepStrictEqual(
+      history.toArray().map(({ n }) => n),
+      [0, 1]
+    );
+  });
+
+  test("overwrites the oldest rows once full", () => {
+    const history = new SampleHistory(3);
+    for (let n = 0; n < 5; n++) history.push(row(n, { a: n }));
+
+    assert.strictEqual(history.size, 3);
+    assert.deepStrictEqual(
+      history.toArray().map(({ n }) => n),
+      [2, 3, 4]
+    );
+  });
+
+  test("stays in order over many wraparounds", () => {
+    const history = new SampleHistory(4);
+    for (let last = 0; last < 1003; last++) {
+      history.push(row(last, { a: last }));
+      const first = Math.max(0, last - 3);
+      assert.deepStrictEqual(
+        history.toArray().map(({ n }) => n),
+        Array.from({ length: last - first + 1 }, (_, i) => first + i)
+      );
+    }
+  });
+
+  test("keeps a single row with capacity 1", () => {
+    const history = new SampleHistory(1);
+    history.push(row(0, { a: 0 }));
+    history.push(row(1, { a: 1 }));
+    assert.deepStrictEqual(
+      history.toArray().map(({ n }) => n),
+      [1]
+    );
+  });
+
+  test("starts over after clear", () => {
+    const history = new SampleHistory(2);
+    for (let n = 0; n < 3; n++) history.push(row(n, { a: n }));
+    history.clear();
+    assert.deepStrictEqual(history.toArray(), []);
+
+    history.push(row(7, { a: 7 }));
+    assert.deepStrictEqual(
+      history.toArray().map(({ n }) => n),
+      [7]
+    );
+  });
+});
+
+// =============================================================================
+// CSV and JSON
+// =============================================================================
+
+suite("CSV export and import", () => {
+  const rows = [
+    row(0, { temp: 21.5, hum: 40 }, 0),
+    row(1, { hum: 41 }, 0.1),
+    row(2, { 'Temp, "outside"': -3, temp: NaN }, 0.25),
+    row(3, { "value 1": 1e-7, temp: 22 }, 1.5),
+  ];
+
+  test("writes one column per series in order of first appearance", () => {
+    assert.deepStrictEqual(getSeriesLabels(rows), [
+      "temp",
+      "hum",
+      'Temp, "outside"',
+      "value 1",
+    ]);
+    assert.strictEqual(
+      samplesToCsv(rows),
+      [
+        'time_s,sample,temp,hum,"Temp, ""outside""",value 1',
+        "0.000,0,21.5,40,,",
+        "0.100,1,,41,,",
+        "0.250,2,NaN,,-3,",
+        "1.500,3,22,,,1e-7",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("loads an export back as the rows it was made from", () => {
+    const loaded = parseSamplesCsv(samplesToCsv(rows));
+
+    // Columns come back in header order; compare values per label
+    const byLabel = (data) =>
+      data.map(({ t, n, samples }) => ({
+        t,
+        n,
+        values: Object.fromEntries(
+          samples.map(({ label, value }) => [label, value])
+        ),
+      }));
+    assert.deepStrictEqual(byLabel(loaded), byLabel(rows));
+  });
+
+  test("rounds exported times to milliseconds", () => {
+    const [loaded] = parseSamplesCsv(samplesToCsv([row(0, { a: 1 }, 1.23456)]));
+    assert.strictEqual(loaded.t, 1.235);
+  });
+
+  test("accepts CRLF, blank lines and files without a time column", () => {
+    assert.deepStrictEqual(parseSamplesCsv("sample,a\r\n\r\n5,1\r\n6,2\r\n"), [
+      row(5, { a: 1 }, 5),
+      row(6, { a: 2 }, 6),
+    ]);
+  });
+
+  test("numbers rows without a sample column", () => {
+    assert.deepStrictEqual(parseSamplesCsv("time_s,a\n0.5,1\n0.7,2\n"), [
+      row(0, { a: 1 }, 0.5),
+      row(1, { a: 2 }, 0.7),
+    ]);
+  });
+
+  test("rejects files that are not plotter exports", () => {
+    for (const [text, message] of [
+      ["", /empty/],
+      ["a,b\n1,2\n", /"time_s" or "sample" column/],
+      ["time_s,sample\n0,0\n", /no series columns/],
+      ["time_s,a\n0,1\n0.1,high\n", /Line 3: "high" is not a number/],
+    ]) {
+      assert.throws(() => parseSamplesCsv(text), message);
+    }
+  });
+
+  test("exports JSON with NaN as null", () => {
+    const exported = JSON.parse(samplesToJson(rows));
+    assert.deepStrictEqual(exported.series, getSeriesLabels(rows));
+    assert.deepStrictEqual(exported.samples[2], {
+      t: 0.25,
+      n: 2,
+      values: { 'Temp, "outside"': -3, temp: null },
+    });
+  });
+});
+
+// =============================================================================
+// Statistics and Cursors
+// =============================================================================
+
+/** Chart points with x = sample number, sampled at 10 Hz */
+function points(values) {
+  return values.map((value, x) => ({ x, value, t: x / 10 }));
+}
+
+suite("computeStatistics", () => {
+  const ramp = points([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+  test("covers the points from one X position to the other inclusive", () => {
+    const stats = computeStatistics(ramp, 2, 5);
+    assert.strictEqual(stats.count, 4);
+    assert.strictEqual(stats.min, 2);
+    assert.strictEqual(stats.max, 5);
+    assert.strictEqual(stats.mean, 3.5);
+    assert.ok(Math.abs(stats.stdDev - Math.sqrt(5 / 3)) < 1e-12);
+    assert.ok(Math.abs(stats.rate - 10) < 1e-9);
+  });
+
+  test("takes the points between positions that fall between points", () => {
+    const stats = computeStatistics(ramp, 2.5, 4.5);
+    assert.strictEqual(stats.count, 2);
+    assert.strictEqual(stats.min, 3);
+    assert.strictEqual(stats.max, 4);
+  });
+
+  test("returns null when no point lies in the range", () => {
+    assert.strictEqual(computeStatistics(ramp, 3.2, 3.8), null);
+    assert.strictEqual(computeStatistics(ramp, 20, 30), null);
+    assert.strictEqual(computeStatistics([], 0, 10), null);
+  });
+
+  test("leaves gaps out of the values but not out of the rate", () => {
+    const stats = computeStatistics(points([1, NaN, 3, NaN, 5]), 0, 4);
+    assert.strictEqual(stats.count, 3);
+    assert.strictEqual(stats.mean, 3);
+    assert.strictEqual(stats.stdDev, 2);
+    assert.ok(Math.abs(stats.rate - 10) < 1e-9);
+
+    const gaps = computeStatistics(points([NaN, NaN]), 0, 1);
+    assert.strictEqual(gaps.count, 0);
+    assert.ok([gaps.min, gaps.max, gaps.mean, gaps.stdDev].every(Number.isNaN));
+  });
+
+  test("has no spread or rate for a single point", () => {
+    const stats = computeStatistics(ramp, 4, 4);
+    assert.strictEqual(stats.count, 1);
+    assert.strictEqual(stats.mean, 4);
+    assert.ok(Number.isNaN(stats.stdDev));
+    assert.ok(Number.isNaN(stats.rate));
+  });
+
+  test("stays accurate for small changes on a large value", () => {
+    const stats = computeStatistics(points([1e9 + 1, 1e9 + 2, 1e9 + 3]), 0, 2);
+    assert.strictEqual(stats.mean, 1e9 + 2);
+    assert.ok(Math.abs(stats.stdDev - 1) < 1e-6);
+  });
+});
+
+suite("findNearestPoint", () => {
+  const chart = [{ x: 0 }, { x: 1 }, { x: 3 }, { x: 7 }];
+
+  test("finds the closest point on either side", () => {
+    assert.strictEqual(findNearestPoint(chart, 3), chart[2]);
+    assert.strictEqual(findNearestPoint(chart, 2.2), chart[2]);
+    assert.strictEqual(findNearestPoint(chart, 4.9), chart[2]);
+    assert.strictEqual(findNearestPoint(chart, 5.1), chart[3]);
+  });
+
+  test("takes the earlier point when both are as close", () => {
+    assert.strictEqual(findNearestPoint(chart, 2), chart[1]);
+    assert.strictEqual(findNearestPoint(chart, 5), chart[2]);
+  });
+
+  test("clamps to the first and last point", () => {
+    assert.strictEqual(findNearestPoint(chart, -10), chart[0]);
+    assert.strictEqual(findNearestPoint(chart, 100), chart[3]);
+    assert.strictEqual(findNearestPoint([], 1), null);
+  });
+});
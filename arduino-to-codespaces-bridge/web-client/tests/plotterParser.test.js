@@ -0,0 +1,184 @@
+/**
+ * Plotter Parser Test Suite
+ *
+ * Lines of serial output in the Arduino IDE 2 Serial Plotter format:
+ * labelled and unlabelled values, the separators between them, Arduino's
+ * special float output, and text that is not plot data.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test } from "node:test";
+import {
+  parsePlotterLine,
+  parsePlotterValue,
+} from "../src/client/services/utils/plotterParser.js";
+
+/** Samples of a line as {label: value} */
+function parse(line) {
+  const samples = parsePlotterLine(line);
+  return samples && Object.fromEntries(samples.map((s) => [s.label, s.value]));
+}
+
+// =============================================================================
+// Values
+// =============================================================================
+
+suite("Plotter values", () => {
+  test("reads decimal and scientific notation", () => {
+    for (const [text, value] of [
+      ["42", 42],
+      ["-3", -3],
+      ["+2", 2],
+      ["21.5", 21.5],
+      ["7.", 7],
+      [".5", 0.5],
+      ["1e3", 1000],
+      ["-2.5E-2", -0.025],
+    ]) {
+      assert.strictEqual(parsePlotterValue(text), value, text);
+    }
+  });
+
+  test("turns Arduino's nan, inf and ovf into NaN", () => {
+    for (const text of ["nan", "-nan", "inf", "-inf", "ovf", "NAN", "INF"]) {
+      assert.ok(Number.isNaN(parsePlotterValue(text)), text);
+    }
+  });
+
+  test("rejects anything else", () => {
+    for (const text of ["", "abc", "1.2.3", "0x10", "1e", "--1", "12V"]) {
+      assert.strictEqual(parsePlotterValue(text), undefined, text);
+    }
+  });
+});
+
+// =============================================================================
+// Lines
+// =============================================================================
+
+suite("Labelled values", () => {
+  test("names series by label:value pairs", () => {
+    assert.deepStrictEqual(parsePlotterLine("temp:21 hum:40"), [
+      { label: "temp", value: 21 },
+      { label: "hum", value: 40 },
+    ]);
+    assert.deepStrictEqual(parse("temp:21,hum:40\tpressure:1013.2"), {
+      temp: 21,
+      hum: 40,
+      pressure: 1013.2,
+    });
+  });
+
+  test("allows spaces in labels set off by commas or tabs", () => {
+    assert.deepStrictEqual(parse("Temp (C):21.5,Relative humidity:40"), {
+      "Temp (C)": 21.5,
+      "Relative humidity": 40,
+    });
+    assert.deepStrictEqual(parse("Temp (C):21.5\tLight level: 300"), {
+      "Temp (C)": 21.5,
+      "Light level": 300,
+    });
+  });
+
+  test("splits at the last colon and allows a space after it", () => {
+    assert.deepStrictEqual(parse("x: 5"), { x: 5 });
+    assert.deepStrictEqual(parse("ratio a:b:0.5"), { "ratio a:b": 0.5 });
+  });
+
+  test("keeps the first value when a line repeats a label", () => {
+    assert.deepStrictEqual(parsePlotterLine("a:1 a:2"), [
+      { label: "a", value: 1 },
+    ]);
+  });
+});
+
+suite("Unlabelled and mixed values", () => {
+  test("names unlabelled values by position", () => {
+    assert.deepStrictEqual(parsePlotterLine("1 2.5 -3"), [
+      { label: "value 1", value: 1 },
+      { label: "value 2", value: 2.5 },
+      { label: "value 3", value: -3 },
+    ]);
+    assert.deepStrictEqual(parse("1,2\t3"), {
+      "value 1": 1,
+      "value 2": 2,
+      "value 3": 3,
+    });
+  });
+
+  test("counts positions over unlabelled values only", () => {
+    assert.deepStrictEqual(parsePlotterLine("a:1,2,b:3 4"), [
+      { label: "a", value: 1 },
+      { label: "value 1", value: 2 },
+      { label: "b", value: 3 },
+      { label: "value 2", value: 4 },
+    ]);
+  });
+
+  test("skips empty fields and surrounding whitespace", () => {
+    assert.deepStrictEqual(parse("  1,,2,  \r"), {
+      "value 1": 1,
+      "value 2": 2,
+    });
+  });
+
+  test("keeps special floats as gaps", () => {
+    const samples = parse("a:nan,b:inf,3");
+    assert.ok(Number.isNaN(samples.a));
+    assert.ok(Number.isNaN(samples.b));
+    assert.strictEqual(samples["value 1"], 3);
+  });
+});
+
+suite("Malformed lines", () => {
+  test("ignores lines that are not plot data as a whole", () => {
+    for (const line of [
+      "",
+      "   ",
+      "Booting...",
+      "WiFi connected: 192.168.1.20",
+      "temp:21 hum:high",
+      "1 2 three",
+      "temp:",
+      ":5",
+      "1,2,oops",
+      ",,",
+    ]) {
+      assert.strictEqual(parsePlotterLine(line), null, JSON.stringify(line));
+    }
+  });
+});
+
+// =============================================================================
+// Series Identity
+// =============================================================================
+
+suite("Series identity", () => {
+  test("keeps series keyed by label when lines drop or reorder them", () => {
+    const lines = ["temp:21,hum:40", "hum:41", "hum:42,temp:22", "temp:23"];
+    const series = {};
+    for (const line of lines) {
+      for (const { label, value } of parsePlotterLine(line)) {
+        (series[label] ||= []).push(value);
+      }
+    }
+
+    assert.deepStrictEqual(series, {
+      temp: [21, 22, 23],
+      hum: [40, 41, 42],
+    });
+  });
+
+  test("gives unlabelled values the same name on every line", () => {
+    const labels = ["1 2", "3 4 5", "6"].map((line) =>
+      parsePlotterLine(line).map(({ label }) => label)
+    );
+    assert.deepStrictEqual(labels, [
+      ["value 1", "value 2"],
+      ["value 1", "value 2", "value 3"],
+      ["value 1"],
+    ]);
+  });
+});
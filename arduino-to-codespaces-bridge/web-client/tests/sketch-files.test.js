@@ -0,0 +1,367 @@
+/**
+ * Sketch Files Test Suite
+ *
+ * The checks that keep the editor's file API inside the sketch folder: the
+ * name pattern, the prefix check, symlinks resolved with realpath, the main
+ * .ino that cannot be renamed or deleted, and saves refused when the file
+ * changed on disk. Uses a temporary sketch folder with a secret file next to
+ * it that no request may reach. Also the check that example folders, opened
+ * by absolute path, come from a library folder.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, beforeEach, afterEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createSketchFile,
+  deleteSketchFile,
+  listSketchFiles,
+  readSketchFile,
+  renameSketchFile,
+  resolveExampleFolder,
+  resolveSketchFile,
+  writeSketchFile,
+} from "../src/server/sketch-files.js";
+
+let tempDir;
+let sketchDir;
+let outsideDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sketch-files-test-"));
+  sketchDir = path.join(tempDir, "Blink");
+  outsideDir = path.join(tempDir, "outside");
+
+  fs.mkdirSync(sketchDir);
+  fs.mkdirSync(outsideDir);
+  fs.writeFileSync(path.join(sketchDir, "Blink.ino"), "void setup() {}\n");
+  fs.writeFileSync(path.join(sketchDir, "pins.h"), "#define LED 13\n");
+  fs.writeFileSync(path.join(outsideDir, "secret.h"), "#define KEY 42\n");
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function assertFileError(fn, code) {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, code);
+    return true;
+  });
+}
+
+function secret() {
+  return fs.readFileSync(path.join(outsideDir, "secret.h"), "utf8");
+}
+
+// =============================================================================
+// File Names
+// =============================================================================
+
+suite("Sketch file names", () => {
+  test("accepts source files and subfolders", () => {
+    assert.deepStrictEqual(resolveSketchFile(sketchDir, " src/motor.cpp "), {
+      name: "src/motor.cpp",
+      absolutePath: path.join(sketchDir, "src", "motor.cpp"),
+    });
+    assert.strictEqual(
+      resolveSketchFile(sketchDir, "My Tab-2.ino").name,
+      "My Tab-2.ino"
+    );
+  });
+
+  test("rejects names that climb out with ../", () => {
+    for (const name of [
+      "../outside/secret.h",
+      "src/../../outside/secret.h",
+      "./pins.h",
+      "..",
+    ]) {
+      assertFileError(
+        () => resolveSketchFile(sketchDir, name),
+        "INVALID_FILE_NAME"
+      );
+    }
+    assertFileError(
+      () => readSketchFile(sketchDir, "../outside/secret.h"),
+      "INVALID_FILE_NAME"
+    );
+  });
+
+  test("rejects absolute paths and backslashes", () => {
+    for (const name of [
+      path.join(outsideDir, "secret.h"),
+      "/etc/hosts.h",
+      "C:\\secret.h",
+      "..\\outside\\secret.h",
+      "src//pins.h",
+    ]) {
+      assertFileError(
+        () => resolveSketchFile(sketchDir, name),
+        "INVALID_FILE_NAME"
+      );
+    }
+  });
+
+  test("rejects hidden files, other extensions and empty names", () => {
+    for (const name of [".env.h", "src/.hidden.cpp", "notes.txt", "pins", ""]) {
+      assertFileError(
+        () => resolveSketchFile(sketchDir, name),
+        "INVALID_FILE_NAME"
+      );
+    }
+    assertFileError(
+      () => resolveSketchFile(sketchDir, undefined),
+      "INVALID_FILE_NAME"
+    );
+  });
+});
+
+// =============================================================================
+// Symlinks
+// =============================================================================
+
+suite("Symlinks", () => {
+  test("refuses a file symlinked to outside the sketch", () => {
+    fs.symlinkSync(
+      path.join(outsideDir, "secret.h"),
+      path.join(sketchDir, "link.h")
+    );
+
+    assertFileError(
+      () => readSketchFile(sketchDir, "link.h"),
+      "INVALID_FILE_NAME"
+    );
+    assertFileError(
+      () => writeSketchFile(sketchDir, "link.h", "overwritten"),
+      "INVALID_FILE_NAME"
+    );
+    assert.strictEqual(secret(), "#define KEY 42\n");
+  });
+
+  test("refuses new files under a folder symlinked to outside", () => {
+    fs.symlinkSync(outsideDir, path.join(sketchDir, "lib"), "dir");
+
+    assertFileError(
+      () => createSketchFile(sketchDir, "lib/new.h"),
+      "INVALID_FILE_NAME"
+    );
+    assertFileError(
+      () => createSketchFile(sketchDir, "lib/deeper/new.h"),
+      "INVALID_FILE_NAME"
+    );
+    assertFileError(
+      () => renameSketchFile(sketchDir, "pins.h", "lib/pins.h"),
+      "INVALID_FILE_NAME"
+    );
+    assert.deepStrictEqual(fs.readdirSync(outsideDir), ["secret.h"]);
+  });
+
+  test("tells the sketch apart from a sibling sharing its name prefix", () => {
+    const sibling = path.join(tempDir, "Blink2");
+    fs.mkdirSync(sibling);
+    fs.writeFileSync(path.join(sibling, "Blink2.ino"), "");
+    fs.symlinkSync(sibling, path.join(sketchDir, "other"), "dir");
+
+    assertFileError(
+      () => readSketchFile(sketchDir, "other/Blink2.ino"),
+      "INVALID_FILE_NAME"
+    );
+  });
+
+  test("follows symlinks that stay inside the sketch", () => {
+    fs.symlinkSync(
+      path.join(sketchDir, "pins.h"),
+      path.join(sketchDir, "alias.h")
+    );
+    assert.strictEqual(
+      readSketchFile(sketchDir, "alias.h").content,
+      "#define LED 13\n"
+    );
+  });
+
+  test("works when the sketch folder itself is reached through a symlink", () => {
+    const linkedSketch = path.join(tempDir, "Blink-link");
+    fs.symlinkSync(sketchDir, linkedSketch, "dir");
+
+    assert.strictEqual(
+      readSketchFile(linkedSketch, "pins.h").content,
+      "#define LED 13\n"
+    );
+  });
+});
+
+// =============================================================================
+// Main Sketch File
+// =============================================================================
+
+suite("Main sketch file", () => {
+  test("cannot be deleted", () => {
+    assertFileError(
+      () => deleteSketchFile(sketchDir, "Blink.ino"),
+      "MAIN_SKETCH_FILE"
+    );
+    assert.ok(fs.existsSync(path.join(sketchDir, "Blink.ino")));
+  });
+
+  test("cannot be renamed or moved", () => {
+    for (const newName of ["Other.ino", "src/Blink.ino"]) {
+      assertFileError(
+        () => renameSketchFile(sketchDir, "Blink.ino", newName),
+        "MAIN_SKETCH_FILE"
+      );
+    }
+    assert.ok(fs.existsSync(path.join(sketchDir, "Blink.ino")));
+  });
+
+  test("leaves other files free to rename and delete", () => {
+    assert.strictEqual(
+      renameSketchFile(sketchDir, "pins.h", "src/pins.h").name,
+      "src/pins.h"
+    );
+    deleteSketchFile(sketchDir, "src/pins.h");
+    assert.deepStrictEqual(
+      listSketchFiles(sketchDir).map(({ name }) => name),
+      ["Blink.ino"]
+    );
+  });
+
+  test("is listed first, then other tabs, then the rest", () => {
+    createSketchFile(sketchDir, "Aux.ino");
+    fs.writeFileSync(path.join(sketchDir, ".hidden.h"), "");
+    assert.deepStrictEqual(
+      listSketchFiles(sketchDir).map(({ name }) => name),
+      ["Blink.ino", "Aux.ino", "pins.h"]
+    );
+  });
+});
+
+// =============================================================================
+// Saving
+// =============================================================================
+
+suite("Saving", () => {
+  test("saves when the file is unchanged since it was read", () => {
+    const { modified } = readSketchFile(sketchDir, "pins.h");
+    writeSketchFile(sketchDir, "pins.h", "#define LED 12\n", { modified });
+    assert.strictEqual(
+      readSketchFile(sketchDir, "pins.h").content,
+      "#define LED 12\n"
+    );
+  });
+
+  test("refuses to overwrite changes made on disk", () => {
+    const { modified } = readSketchFile(sketchDir, "pins.h");
+
+    // Edited elsewhere, e.g. in VS Code
+    const file = path.join(sketchDir, "pins.h");
+    fs.writeFileSync(file, "#define LED 2\n");
+    const later = new Date(modified + 5000);
+    fs.utimesSync(file, later, later);
+
+    assertFileError(
+      () =>
+        writeSketchFile(sketchDir, "pins.h", "#define LED 12\n", { modified }),
+      "FILE_CONFLICT"
+    );
+    assert.strictEqual(fs.readFileSync(file, "utf8"), "#define LED 2\n");
+
+    // Without a modification time the save always goes through
+    writeSketchFile(sketchDir, "pins.h", "#define LED 12\n");
+    assert.strictEqual(fs.readFileSync(file, "utf8"), "#define LED 12\n");
+  });
+
+  test("only saves files that exist, and never creates over one", () => {
+    assertFileError(
+      () => writeSketchFile(sketchDir, "missing.h", ""),
+      "FILE_NOT_FOUND"
+    );
+    assertFileError(() => createSketchFile(sketchDir, "pins.h"), "FILE_EXISTS");
+    assertFileError(
+      () => renameSketchFile(sketchDir, "pins.h", "Blink.ino"),
+      "FILE_EXISTS"
+    );
+  });
+});
+
+// =============================================================================
+// Example Folders
+// =============================================================================
+
+suite("Example folders", () => {
+  let librariesDir;
+  let sweepDir;
+
+  beforeEach(() => {
+    librariesDir = path.join(tempDir, "Arduino", "libraries");
+    sweepDir = path.join(librariesDir, "Servo", "examples", "Sweep");
+    fs.mkdirSync(sweepDir, { recursive: true });
+    fs.writeFileSync(path.join(sweepDir, "Sweep.ino"), "void setup() {}\n");
+  });
+
+  test("accepts an example inside a library folder", () => {
+    assert.strictEqual(
+      resolveExampleFolder(sweepDir, [librariesDir]),
+      fs.realpathSync(sweepDir)
+    );
+  });
+
+  test("rejects folders outside every root", () => {
+    for (const examplePath of [
+      outsideDir,
+      sketchDir,
+      "/etc",
+      librariesDir,
+      path.join(librariesDir, "..", "..", "outside"),
+    ]) {
+      assert.strictEqual(
+        resolveExampleFolder(examplePath, [librariesDir]),
+        null,
+        examplePath
+      );
+    }
+    assert.strictEqual(resolveExampleFolder(sweepDir, []), null);
+  });
+
+  test("rejects relative paths, files and missing folders", () => {
+    for (const examplePath of [
+      "Arduino/libraries/Servo/examples/Sweep",
+      path.join(sweepDir, "Sweep.ino"),
+      path.join(librariesDir, "Missing"),
+      undefined,
+      { path: sweepDir },
+    ]) {
+      assert.strictEqual(
+        resolveExampleFolder(examplePath, [librariesDir]),
+        null,
+        String(examplePath)
+      );
+    }
+  });
+
+  test("follows symlinks before checking the root", () => {
+    fs.symlinkSync(outsideDir, path.join(librariesDir, "Leak"), "dir");
+    assert.strictEqual(
+      resolveExampleFolder(path.join(librariesDir, "Leak"), [librariesDir]),
+      null
+    );
+
+    // The workspace's library-examples links point into the libraries
+    const linked = path.join(tempDir, "library-examples-Servo");
+    fs.symlinkSync(path.dirname(sweepDir), linked, "dir");
+    assert.strictEqual(
+      resolveExampleFolder(path.join(linked, "Sweep"), [librariesDir]),
+      fs.realpathSync(sweepDir)
+    );
+  });
+
+  test("tells a root apart from a sibling sharing its name prefix", () => {
+    const sibling = path.join(tempDir, "Arduino", "libraries-old", "Servo");
+    fs.mkdirSync(sibling, { recursive: true });
+    assert.strictEqual(resolveExampleFolder(sibling, [librariesDir]), null);
+  });
+});
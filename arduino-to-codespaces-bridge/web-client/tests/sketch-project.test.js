@@ -0,0 +1,486 @@
+/**
+ * Sketch Project Test Suite
+ *
+ * Per-sketch settings in sketch.yaml: updates that keep the comments and
+ * keys written by hand, values refused before anything is written, and the
+ * "Used library" table arduino-cli prints after a compile. Also build
+ * profiles pinned from the installed platforms and libraries, saved in
+ * arduino-cli's layout and read back for --profile.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, beforeEach, afterEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createProfile,
+  getProjectFilePath,
+  getSketchProfile,
+  parseUsedLibraries,
+  readSketchProject,
+  saveSketchProfile,
+  updateSketchProject,
+} from "../src/server/sketch-project.js";
+
+let tempDir;
+let sketchDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sketch-project-test-"));
+  sketchDir = path.join(tempDir, "Blink");
+  fs.mkdirSync(sketchDir);
+  fs.writeFileSync(path.join(sketchDir, "Blink.ino"), "void setup() {}\n");
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function assertProjectError(fn, code = "INVALID_PROJECT") {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, code);
+    return true;
+  });
+}
+
+function writeProject(lines, name = "sketch.yaml") {
+  fs.writeFileSync(path.join(sketchDir, name), lines.join("\n") + "\n");
+}
+
+function projectText(name = "sketch.yaml") {
+  return fs.readFileSync(path.join(sketchDir, name), "utf8");
+}
+
+/** A sketch.yaml written by hand, with a profile arduino-cli uses */
+const COMMENTED_PROJECT = [
+  "# Blink for the classroom kits",
+  "default_fqbn: arduino:avr:uno # the kits use an Uno",
+  "",
+  "profiles:",
+  "  # Pinned for the exam",
+  "  classroom:",
+  "    fqbn: arduino:avr:uno",
+  "    platforms:",
+  "      - platform: arduino:avr (1.8.6)",
+  "",
+  "bridge:",
+  "  # Matches Serial.begin() in setup()",
+  "  baud: 9600",
+];
+
+// =============================================================================
+// Reading and Updating
+// =============================================================================
+
+suite("Sketch project settings", () => {
+  test("reads unset settings when there is no project file", () => {
+    assert.deepStrictEqual(readSketchProject(sketchDir), {
+      exists: false,
+      file: "sketch.yaml",
+      fqbn: null,
+      baud: null,
+      lineEnding: null,
+      libraries: [],
+      plotter: null,
+      profiles: [],
+      defaultProfile: null,
+    });
+  });
+
+  test("keeps comments and other keys through an update", () => {
+    writeProject(COMMENTED_PROJECT);
+
+    const { project, changed } = updateSketchProject(sketchDir, {
+      fqbn: "arduino:avr:nano:cpu=atmega328old",
+      baud: 115200,
+      lineEnding: "nl",
+      libraries: ["Servo"],
+    });
+
+    assert.strictEqual(changed, true);
+    assert.strictEqual(project.fqbn, "arduino:avr:nano:cpu=atmega328old");
+    assert.strictEqual(project.baud, 115200);
+    assert.strictEqual(project.lineEnding, "nl");
+    assert.deepStrictEqual(project.libraries, ["Servo"]);
+
+    const text = projectText();
+    for (const comment of [
+      "# Blink for the classroom kits",
+      "# Pinned for the exam",
+      "# Matches Serial.begin() in setup()",
+    ]) {
+      assert.ok(text.includes(comment), comment);
+    }
+    assert.ok(text.includes("- platform: arduino:avr (1.8.6)"));
+    assert.deepStrictEqual(readSketchProject(sketchDir), project);
+  });
+
+  test("only writes the file when a value changed", () => {
+    writeProject(COMMENTED_PROJECT);
+    const before = projectText();
+
+    const { changed } = updateSketchProject(sketchDir, {
+      fqbn: "arduino:avr:uno",
+      baud: 9600,
+    });
+    assert.strictEqual(changed, false);
+    assert.strictEqual(projectText(), before);
+  });
+
+  test("removes settings set to null and an emptied bridge section", () => {
+    writeProject(COMMENTED_PROJECT);
+
+    const { project } = updateSketchProject(sketchDir, {
+      fqbn: null,
+      baud: null,
+    });
+    assert.strictEqual(project.fqbn, null);
+    assert.strictEqual(project.baud, null);
+    assert.ok(!/^bridge:/m.test(projectText()));
+    assert.strictEqual(project.profiles[0].name, "classroom");
+  });
+
+  test("creates sketch.yaml, or updates an existing sketch.yml", () => {
+    updateSketchProject(sketchDir, { lineEnding: "nlcr" });
+    assert.strictEqual(readSketchProject(sketchDir).lineEnding, "nlcr");
+    assert.strictEqual(
+      getProjectFilePath(sketchDir),
+      path.join(sketchDir, "sketch.yaml")
+    );
+
+    fs.rmSync(path.join(sketchDir, "sketch.yaml"));
+    writeProject(["default_fqbn: arduino:avr:uno"], "sketch.yml");
+    updateSketchProject(sketchDir, { baud: 57600 });
+    assert.ok(projectText("sketch.yml").includes("baud: 57600"));
+    assert.strictEqual(
+      fs.existsSync(path.join(sketchDir, "sketch.yaml")),
+      false
+    );
+  });
+
+  test("ignores hand-written values of the wrong type", () => {
+    writeProject([
+      "default_fqbn: 42",
+      "bridge:",
+      "  baud: fast",
+      "  line_ending: crlf",
+    ]);
+    const project = readSketchProject(sketchDir);
+    assert.strictEqual(project.fqbn, null);
+    assert.strictEqual(project.baud, null);
+    assert.strictEqual(project.lineEnding, null);
+  });
+});
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+suite("Sketch project validation", () => {
+  test("rejects invalid FQBNs", () => {
+    for (const fqbn of [
+      "arduino:avr",
+      "arduino:avr:uno:cpu",
+      "arduino:avr:uno:cpu=",
+      "arduino avr uno",
+      "arduino:avr:uno\nbridge: {}",
+    ]) {
+      assertProjectError(() => updateSketchProject(sketchDir, { fqbn }));
+    }
+  });
+
+  test("rejects invalid baud rates and line endings", () => {
+    for (const baud of [-9600, 9600.5, "9600"]) {
+      assertProjectError(() => updateSketchProject(sketchDir, { baud }));
+    }
+    for (const lineEnding of ["crlf", "\n", "NL"]) {
+      assertProjectError(() => updateSketchProject(sketchDir, { lineEnding }));
+    }
+    assertProjectError(() =>
+      updateSketchProject(sketchDir, { libraries: "Servo" })
+    );
+  });
+
+  test("writes nothing when a value is refused", () => {
+    writeProject(COMMENTED_PROJECT);
+    const before = projectText();
+
+    assertProjectError(() =>
+      updateSketchProject(sketchDir, { baud: 115200, lineEnding: "crlf" })
+    );
+    assert.strictEqual(projectText(), before);
+
+    fs.rmSync(path.join(sketchDir, "sketch.yaml"));
+    assertProjectError(() => updateSketchProject(sketchDir, { fqbn: "uno" }));
+    assert.strictEqual(
+      fs.existsSync(path.join(sketchDir, "sketch.yaml")),
+      false
+    );
+  });
+
+  test("reports a file that is not valid YAML or not a mapping", () => {
+    writeProject(["default_fqbn: [arduino:avr:uno"]);
+    assertProjectError(() => readSketchProject(sketchDir));
+    assertProjectError(() => updateSketchProject(sketchDir, { baud: 9600 }));
+
+    writeProject(["- arduino:avr:uno"]);
+    assertProjectError(() => readSketchProject(sketchDir));
+  });
+});
+
+// =============================================================================
+// Used Libraries
+// =============================================================================
+
+suite("parseUsedLibraries", () => {
+  test("reads names and versions from arduino-cli's table", () => {
+    const log = [
+      "Sketch uses 4124 bytes (12%) of program storage space. Maximum is 32256 bytes.",
+      "Global variables use 222 bytes (10%) of dynamic memory, leaving 1826 bytes for local variables. Maximum is 2048 bytes.",
+      "",
+      "Used library      Version Path",
+      "ArduinoJson       7.0.4   /home/vscode/Arduino/libraries/ArduinoJson",
+      "Adafruit NeoPixel 1.12.3  /home/vscode/Arduino/libraries/Adafruit_NeoPixel",
+      "SPI               1.0     /home/vscode/.arduino15/packages/arduino/hardware/avr/1.8.6/libraries/SPI",
+      "Local Helpers             /workspaces/Blink/libraries/Local_Helpers",
+      "",
+      "Used platform Version Path",
+      "arduino:avr   1.8.6   /home/vscode/.arduino15/packages/arduino/hardware/avr/1.8.6",
+    ].join("\r\n");
+
+    assert.deepStrictEqual(parseUsedLibraries(log), [
+      "ArduinoJson (7.0.4)",
+      "Adafruit NeoPixel (1.12.3)",
+      "SPI (1.0)",
+      "Local Helpers",
+    ]);
+  });
+
+  test("returns nothing without a table", () => {
+    assert.deepStrictEqual(
+      parseUsedLibraries(
+        "Used platform Version Path\narduino:avr   1.8.6   /x\n"
+      ),
+      []
+    );
+    assert.deepStrictEqual(parseUsedLibraries(""), []);
+    assert.deepStrictEqual(parseUsedLibraries(null), []);
+  });
+});
+
+// =============================================================================
+// Build Profiles
+// =============================================================================
+
+/** Installed platforms and libraries, as the core and library managers list them */
+const INSTALLED = {
+  platforms: [
+    { id: "arduino:avr", installedVersion: "1.8.6" },
+    { id: "esp32:esp32", installedVersion: "3.0.7" },
+    { id: "rp2040:rp2040", installedVersion: null },
+  ],
+  libraries: [
+    { name: "Servo", installedVersion: "1.2.1", location: "user" },
+    { name: "ArduinoJson", installedVersion: "7.0.4", location: "user" },
+    { name: "Adafruit NeoPixel", installedVersion: "1.12.3", location: "user" },
+    { name: "Local Helpers", installedVersion: "", location: "user" },
+    { name: "SPI", installedVersion: "1.0", location: "platform" },
+    { name: "Keyboard", installedVersion: "1.0.6", location: "ide_builtin" },
+  ],
+};
+
+const ESP32_INDEX =
+  "https://espressif.github.io/arduino-esp32/package_esp32_index.json";
+
+suite("createProfile", () => {
+  test("pins the platform and used libraries at their installed versions", () => {
+    const { profile, warnings } = createProfile({
+      ...INSTALLED,
+      fqbn: "arduino:avr:uno",
+      usedLibraries: ["Servo (1.2.1)", "ArduinoJson (7.0.4)", "SPI (1.0)"],
+    });
+
+    assert.strictEqual(profile.fqbn, "arduino:avr:uno");
+    assert.deepStrictEqual(profile.platforms, [
+      { id: "arduino:avr", version: "1.8.6", indexUrl: null },
+    ]);
+    // SPI comes with the platform and is left out
+    assert.deepStrictEqual(profile.libraries, [
+      "ArduinoJson (7.0.4)",
+      "Servo (1.2.1)",
+    ]);
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  test("pins every user library until the sketch was compiled", () => {
+    const { profile, warnings } = createProfile({
+      ...INSTALLED,
+      fqbn: "arduino:avr:uno",
+    });
+
+    assert.deepStrictEqual(profile.libraries, [
+      "Adafruit NeoPixel (1.12.3)",
+      "ArduinoJson (7.0.4)",
+      "Local Helpers",
+      "Servo (1.2.1)",
+    ]);
+    assert.match(warnings[0], /Compile the sketch first/);
+  });
+
+  test("adds the board manager URL for other vendors", () => {
+    const boardUrls = [
+      "https://github.com/earlephilhower/arduino-pico/releases/download/global/package_rp2040_index.json",
+      ESP32_INDEX,
+    ];
+    const { profile, warnings } = createProfile({
+      ...INSTALLED,
+      fqbn: "esp32:esp32:esp32s3:CDCOnBoot=cdc",
+      usedLibraries: [],
+      boardUrls,
+    });
+    assert.deepStrictEqual(profile.platforms, [
+      { id: "esp32:esp32", version: "3.0.7", indexUrl: ESP32_INDEX },
+    ]);
+    assert.strictEqual(warnings.length, 1);
+
+    const withoutUrl = createProfile({
+      ...INSTALLED,
+      libraries: [],
+      fqbn: "esp32:esp32:esp32",
+    });
+    assert.strictEqual(withoutUrl.profile.platforms[0].indexUrl, null);
+    assert.match(withoutUrl.warnings[0], /No board manager URL/);
+  });
+
+  test("refuses a platform that is not installed", () => {
+    for (const fqbn of ["rp2040:rp2040:rpipico", "arduino:megaavr:nona4809"]) {
+      assertProjectError(() => createProfile({ ...INSTALLED, fqbn }));
+    }
+    assertProjectError(() => createProfile({ ...INSTALLED, fqbn: "uno" }));
+  });
+});
+
+suite("Saved profiles", () => {
+  function savedProfile(name = "classroom", options) {
+    const { profile } = createProfile({
+      ...INSTALLED,
+      fqbn: "esp32:esp32:esp32s3:CDCOnBoot=cdc",
+      usedLibraries: ["ArduinoJson (7.0.4)"],
+      boardUrls: [ESP32_INDEX],
+    });
+    saveSketchProfile(sketchDir, name, profile, options);
+    return profile;
+  }
+
+  test("are written in arduino-cli's layout and read back", () => {
+    writeProject(COMMENTED_PROJECT);
+    const profile = savedProfile("esp32");
+
+    const text = projectText();
+    assert.ok(text.includes("- platform: esp32:esp32 (3.0.7)"));
+    assert.ok(text.includes(`platform_index_url: ${ESP32_INDEX}`));
+    assert.ok(text.includes("- ArduinoJson (7.0.4)"));
+    assert.ok(text.includes("# Pinned for the exam"));
+
+    assert.deepStrictEqual(getSketchProfile(sketchDir, "esp32"), {
+      name: "esp32",
+      ...profile,
+    });
+    assert.deepStrictEqual(
+      readSketchProject(sketchDir).profiles.map(({ name }) => name),
+      ["classroom", "esp32"]
+    );
+  });
+
+  test("replace a profile saved under the same name", () => {
+    writeProject(COMMENTED_PROJECT);
+    savedProfile("classroom");
+
+    const [classroom] = readSketchProject(sketchDir).profiles;
+    assert.strictEqual(classroom.fqbn, "esp32:esp32:esp32s3:CDCOnBoot=cdc");
+    assert.strictEqual(readSketchProject(sketchDir).profiles.length, 1);
+  });
+
+  test("refuse names that are not usable as a key", () => {
+    for (const name of ["my profile", "", "a:b", "../x"]) {
+      assertProjectError(() => savedProfile(name));
+    }
+    assert.strictEqual(
+      fs.existsSync(path.join(sketchDir, "sketch.yaml")),
+      false
+    );
+  });
+
+  test("raise UNKNOWN_PROFILE for a name that is not saved", () => {
+    savedProfile();
+    assertProjectError(
+      () => getSketchProfile(sketchDir, "exam"),
+      "UNKNOWN_PROFILE"
+    );
+  });
+
+  test("raise INVALID_PROJECT for a profile without a valid fqbn", () => {
+    writeProject([
+      "profiles:",
+      "  nofqbn:",
+      "    platforms:",
+      "      - platform: arduino:avr (1.8.6)",
+      "  badfqbn:",
+      "    fqbn: uno",
+    ]);
+    assertProjectError(() => getSketchProfile(sketchDir, "nofqbn"));
+    assertProjectError(() => getSketchProfile(sketchDir, "badfqbn"));
+  });
+});
+
+suite("Default profile", () => {
+  test("is set when saving with makeDefault", () => {
+    const { profile } = createProfile({
+      ...INSTALLED,
+      fqbn: "arduino:avr:uno",
+      usedLibraries: ["Servo"],
+    });
+    const { project } = saveSketchProfile(sketchDir, "classroom", profile, {
+      makeDefault: true,
+    });
+    assert.strictEqual(project.defaultProfile, "classroom");
+    assert.ok(projectText().includes("default_profile: classroom"));
+  });
+
+  test("can only name a saved profile", () => {
+    writeProject(COMMENTED_PROJECT);
+    const before = projectText();
+
+    assertProjectError(
+      () => updateSketchProject(sketchDir, { defaultProfile: "exam" }),
+      "UNKNOWN_PROFILE"
+    );
+    assertProjectError(() =>
+      updateSketchProject(sketchDir, { defaultProfile: "bad name" })
+    );
+    assert.strictEqual(projectText(), before);
+
+    assert.strictEqual(
+      updateSketchProject(sketchDir, { defaultProfile: "classroom" }).project
+        .defaultProfile,
+      "classroom"
+    );
+  });
+
+  test("is cleared with null", () => {
+    writeProject([...COMMENTED_PROJECT, "default_profile: classroom"]);
+    assert.strictEqual(
+      readSketchProject(sketchDir).defaultProfile,
+      "classroom"
+    );
+
+    const { project } = updateSketchProject(sketchDir, {
+      defaultProfile: null,
+    });
+    assert.strictEqual(project.defaultProfile, null);
+    assert.ok(!projectText().includes("default_profile"));
+  });
+});
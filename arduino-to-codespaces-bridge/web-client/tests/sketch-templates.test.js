@@ -0,0 +1,254 @@
+/**
+ * Sketch Templates Test Suite
+ *
+ * New sketch folders: names checked against the Arduino sketch
+ * specification, templates with the sketch name filled in, and library
+ * examples copied with their main .ino renamed. Examples must come from a
+ * library folder, so a request cannot copy other folders of the server
+ * into the workspace.
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert";
+import { suite, test, beforeEach, afterEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  configureSketchTemplates,
+  createSketch,
+  listSketchTemplates,
+  validateSketchName,
+} from "../src/server/sketch-templates.js";
+
+const SHIPPED_TEMPLATES_DIR = fileURLToPath(
+  new URL("../../resources/sketch-templates", import.meta.url)
+);
+
+let tempDir;
+let workspaceRoot;
+let librariesDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sketch-templates-test-"));
+  workspaceRoot = path.join(tempDir, "workspace");
+  librariesDir = path.join(tempDir, "Arduino", "libraries");
+  fs.mkdirSync(path.join(workspaceRoot, "Blink"), { recursive: true });
+
+  const templatesDir = path.join(tempDir, "templates");
+  fs.mkdirSync(templatesDir);
+  fs.writeFileSync(
+    path.join(templatesDir, "templates.json"),
+    JSON.stringify([
+      { id: "blank", label: "Blank", description: "", file: "blank.tmpl" },
+      { id: "hello", label: "Hello", description: "", file: "hello.tmpl" },
+    ])
+  );
+  fs.writeFileSync(path.join(templatesDir, "blank.tmpl"), "void setup() {}\n");
+  fs.writeFileSync(
+    path.join(templatesDir, "hello.tmpl"),
+    '// {{name}}\nvoid setup() { Serial.println("{{name}}"); }\n'
+  );
+  configureSketchTemplates(templatesDir);
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function assertSketchError(fn, code) {
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.code, code);
+    return true;
+  });
+}
+
+/** Library example folder with the given files */
+function writeExample(library, example, files) {
+  const dir = path.join(librariesDir, library, "examples", example);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+function create(options) {
+  return createSketch(workspaceRoot, {
+    exampleRoots: [librariesDir],
+    ...options,
+  });
+}
+
+// =============================================================================
+// Names
+// =============================================================================
+
+suite("Sketch names", () => {
+  test("accepts names from the Arduino sketch specification", () => {
+    for (const name of ["Blink2", "_private", "9volt", "my-sketch.v2"]) {
+      assert.strictEqual(validateSketchName(name), null, name);
+    }
+    assert.strictEqual(validateSketchName("a".repeat(63)), null);
+  });
+
+  test("rejects a leading dot or dash and other characters", () => {
+    for (const name of [
+      ".hidden",
+      "-dash",
+      "my sketch",
+      "../escape",
+      "a/b",
+      "Blink!",
+      "Grüße",
+    ]) {
+      assert.match(validateSketchName(name), /start with a letter/, name);
+    }
+  });
+
+  test("rejects names longer than 63 characters and empty names", () => {
+    assert.match(validateSketchName("a".repeat(64)), /at most 63/);
+    assert.match(validateSketchName(""), /required/);
+    assert.match(validateSketchName(undefined), /required/);
+    assert.match(validateSketchName(42), /required/);
+  });
+
+  test("refuses reserved names and names already in the workspace", () => {
+    assertSketchError(
+      () => create({ name: "docs", reservedNames: new Set(["docs"]) }),
+      "INVALID_SKETCH_NAME"
+    );
+    for (const name of ["Blink", "BLINK", "blink"]) {
+      assertSketchError(() => create({ name }), "SKETCH_EXISTS");
+    }
+    assertSketchError(() => create({ name: "-bad" }), "INVALID_SKETCH_NAME");
+    assert.deepStrictEqual(fs.readdirSync(workspaceRoot), ["Blink"]);
+  });
+});
+
+// =============================================================================
+// Templates
+// =============================================================================
+
+suite("Templates", () => {
+  test("fills in the sketch name", () => {
+    const sketch = create({ name: "Greeter", template: "hello" });
+
+    assert.deepStrictEqual(sketch, {
+      name: "Greeter",
+      absolutePath: path.join(workspaceRoot, "Greeter"),
+      mainFile: "Greeter.ino",
+    });
+    assert.strictEqual(
+      fs.readFileSync(path.join(sketch.absolutePath, "Greeter.ino"), "utf8"),
+      '// Greeter\nvoid setup() { Serial.println("Greeter"); }\n'
+    );
+  });
+
+  test("uses the blank template by default", () => {
+    const { absolutePath } = create({ name: "Empty" });
+    assert.deepStrictEqual(fs.readdirSync(absolutePath), ["Empty.ino"]);
+  });
+
+  test("refuses an unknown template", () => {
+    assertSketchError(
+      () => create({ name: "Other", template: "missing" }),
+      "UNKNOWN_TEMPLATE"
+    );
+    assert.strictEqual(fs.existsSync(path.join(workspaceRoot, "Other")), false);
+  });
+
+  test("ships a source for every listed template", () => {
+    configureSketchTemplates(SHIPPED_TEMPLATES_DIR);
+    const templates = listSketchTemplates();
+    assert.ok(templates.some(({ id }) => id === "blank"));
+
+    for (const { id } of templates) {
+      const { absolutePath } = create({ name: `From_${id}` });
+      const source = fs.readFileSync(
+        path.join(absolutePath, `From_${id}.ino`),
+        "utf8"
+      );
+      assert.ok(!source.includes("{{name}}"), id);
+    }
+  });
+});
+
+// =============================================================================
+// Library Examples
+// =============================================================================
+
+suite("Library examples", () => {
+  test("copies the example and renames its main .ino", () => {
+    const sweep = writeExample("Servo", "Sweep", {
+      "Sweep.ino": "#include <Servo.h>\n",
+      "config.h": "#define PIN 9\n",
+    });
+
+    const sketch = create({ name: "MySweep", examplePath: sweep });
+    assert.strictEqual(sketch.mainFile, "MySweep.ino");
+    assert.deepStrictEqual(fs.readdirSync(sketch.absolutePath).sort(), [
+      "MySweep.ino",
+      "config.h",
+    ]);
+    assert.strictEqual(
+      fs.readFileSync(path.join(sketch.absolutePath, "MySweep.ino"), "utf8"),
+      "#include <Servo.h>\n"
+    );
+    // The example itself is left alone
+    assert.ok(fs.existsSync(path.join(sweep, "Sweep.ino")));
+  });
+
+  test("takes a single .ino not named after the folder", () => {
+    const example = writeExample("Leds", "Fade", { "fade_leds.ino": "" });
+    const { absolutePath } = create({ name: "Fader", examplePath: example });
+    assert.deepStrictEqual(fs.readdirSync(absolutePath), ["Fader.ino"]);
+  });
+
+  test("refuses folders without one main .ino", () => {
+    const none = writeExample("Leds", "Docs", { "README.md": "" });
+    const several = writeExample("Leds", "Many", { "a.ino": "", "b.ino": "" });
+    for (const examplePath of [none, several]) {
+      assertSketchError(
+        () => create({ name: "Copy", examplePath }),
+        "INVALID_EXAMPLE"
+      );
+    }
+  });
+
+  test("refuses folders outside the example roots", () => {
+    const outside = path.join(tempDir, "outside");
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(outside, "outside.ino"), "// secret\n");
+    const sweep = writeExample("Servo", "Sweep", { "Sweep.ino": "" });
+    fs.symlinkSync(outside, path.join(librariesDir, "Leak"), "dir");
+
+    for (const examplePath of [
+      outside,
+      path.join(librariesDir, "Leak"),
+      path.join(workspaceRoot, "Blink"),
+      "Arduino/libraries/Servo/examples/Sweep",
+    ]) {
+      assertSketchError(
+        () => create({ name: "Copy", examplePath }),
+        "INVALID_EXAMPLE"
+      );
+    }
+    assertSketchError(
+      () => createSketch(workspaceRoot, { name: "Copy", examplePath: sweep }),
+      "INVALID_EXAMPLE"
+    );
+    assert.strictEqual(fs.existsSync(path.join(workspaceRoot, "Copy")), false);
+  });
+
+  test("refuses an examplePath that is not a string", () => {
+    for (const examplePath of [42, ["/tmp"], { path: "/tmp" }, true]) {
+      assertSketchError(
+        () => create({ name: "Copy", examplePath }),
+        "INVALID_EXAMPLE"
+      );
+    }
+  });
+});